@@ -1,16 +1,35 @@
 import express from 'express';
 import cors from 'cors';
-import axios from 'axios';
-import cheerio from 'cheerio';
-import { XMLParser } from 'fast-xml-parser';
+import { auditUrl, resolveAuditContext } from '../lib/analyzer.js';
+import { crawlSite, normalizeCrawlOptions } from '../lib/crawler.js';
+import { auditBatch, prepareBatch } from '../lib/batch.js';
+import { toErrorResponse, isClientError } from '../lib/errors.js';
+import { loadRules, describeRule } from '../lib/rule-engine.js';
+import { SCORE_CHECKS } from '../lib/scoring.js';
+import { PROFILES, DEFAULT_PROFILE } from '../lib/scoring-profiles.js';
+import { createJob, getJob, cancelJob, serializeJob, subscribeToJob, isTerminal } from '../lib/jobs.js';
+import { buildReport, ReportError } from '../lib/reports.js';
+import { exportLinkGraph, LinkGraphError } from '../lib/link-graph.js';
+import { cachedAudit, auditCacheKey } from '../lib/cache.js';
+import { identifyClient, getClient, requireApiKey, consumeRequest, chargeAudits, getUsage, AccessError } from '../lib/access.js';
+import { saveRun, listRuns, getRun, getPreviousRun, diffRuns } from '../lib/history.js';
+import {
+    createSchedule, listSchedules, getSchedule, pauseSchedule, resumeSchedule, deleteSchedule,
+    runSchedule, serializeSchedule, startScheduler
+} from '../lib/schedules.js';
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Anonymous clients are told apart by IP address, so behind a proxy (as on Render) req.ip must
+// come from X-Forwarded-For. TRUST_PROXY is the number of proxy hops, or an Express trust setting.
+const trustProxy = process.env.TRUST_PROXY || '1';
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+
 // Middleware
 app.use(cors({
     origin: '*',  // Allow all origins
-    methods: ['GET', 'POST', 'OPTIONS'],  // Allow these HTTP methods
+    methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],  // Allow these HTTP methods
     allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],  // Allow these headers
     credentials: false,  // Don't include credentials
     preflightContinue: false,  // Don't pass the OPTIONS request to the next handler
@@ -40,8 +59,9 @@ app.use(function(req, res, next) {
     }
     
     // Make sure all header values don't have spaces after commas
-    res.header('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
+    res.header('Access-Control-Allow-Methods', 'GET,POST,DELETE,OPTIONS');
     res.header('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-Requested-With,Origin,Cache-Control,Accept');
+    res.header('Access-Control-Expose-Headers', 'X-RateLimit-Limit,X-RateLimit-Remaining,X-RateLimit-Reset,Retry-After');
     res.header('Access-Control-Allow-Credentials', 'false');
     res.header('Access-Control-Max-Age', '86400'); // 24 hours
     
@@ -52,11 +72,76 @@ app.use(function(req, res, next) {
     next();
 });
 
-app.use(express.json());
+// Audit results posted to /api/reports can run to a few megabytes
+app.use(express.json({ limit: '5mb' }));
 
 // Add preflight OPTIONS handling
 app.options('*', cors());
 
+// === API keys, rate limits and quotas ===
+// See lib/access.js for key configuration and the usage store
+
+const sendAccessError = (res, error) => {
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    const { status, body } = toErrorResponse(error);
+    res.status(status).json(body);
+};
+
+const setRateLimitHeaders = (res, rateLimit) => {
+    if (!rateLimit) return;
+    res.set('X-RateLimit-Limit', String(rateLimit.limit));
+    res.set('X-RateLimit-Remaining', String(rateLimit.remaining));
+    res.set('X-RateLimit-Reset', String(Math.ceil(rateLimit.resetAt / 1000)));
+};
+
+// Identify the client and count the request against its rate limit. EventSource can't send
+// headers, so event streams also accept the key as ?api_key=.
+app.use('/api', async (req, res, next) => {
+    const queryKey = req.method === 'GET' && req.path.endsWith('/events') && req.query.api_key;
+    try {
+        req.client = identifyClient({ authorization: req.headers.authorization || (queryKey ? `Bearer ${queryKey}` : ''), ip: req.ip });
+        setRateLimitHeaders(res, await consumeRequest(req.client));
+        next();
+    } catch (error) {
+        if (!(error instanceof AccessError)) {
+            // A failing usage store shouldn't take the API down with it
+            console.error('Rate limiting failed:', error.message);
+            return next();
+        }
+        setRateLimitHeaders(res, error.rateLimit);
+        sendAccessError(res, error);
+    }
+});
+
+// Charge an audit request to the client's quotas before it runs: one audit per page analysed,
+// the page limit for crawls. Responds itself and returns false when the request can't go ahead.
+const chargeRequest = async (req, res, type, units) => {
+    try {
+        await chargeAudits(req.client, type, units);
+        return true;
+    } catch (error) {
+        if (error instanceof AccessError) {
+            sendAccessError(res, error);
+            return false;
+        }
+        console.error('Quota tracking failed:', error.message);
+        return true;
+    }
+};
+
+const crawlCost = (options) => normalizeCrawlOptions(options).maxPages;
+const scheduleCost = (schedule) => schedule.type === 'crawl' ? crawlCost(schedule.options) : 1;
+
+// The client's plan, rate limit and quota use
+app.get('/api/usage', async (req, res) => {
+    try {
+        res.json(await getUsage(req.client));
+    } catch (error) {
+        console.error('Failed to read usage:', error.message);
+        res.status(500).json({ error: 'Failed to read usage', message: error.message });
+    }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
     console.error('Error:', err);
@@ -90,14 +175,52 @@ app.get('/', (req, res) => {
         message: 'SEO Audit Tool API',
         endpoints: {
             health: '/health',
-            analyze: '/api/analyze'
+            analyze: '/api/analyze',
+            crawl: '/api/crawl',
+            batch: '/api/batch',
+            jobs: '/api/jobs',
+            history: '/api/history',
+            schedules: '/api/schedules',
+            reports: '/api/reports',
+            linkGraph: '/api/link-graph',
+            rules: '/api/rules',
+            scoringProfiles: '/api/scoring-profiles',
+            usage: '/api/usage'
         }
     });
 });
 
+// Save an analyze result to the client's audit history. A storage failure is logged rather than
+// failing an audit that has already succeeded.
+const recordRun = async (url, result, clientId) => {
+    try {
+        return await saveRun(url, result, { clientId });
+    } catch (error) {
+        console.error('Failed to save audit history:', error.message);
+        return null;
+    }
+};
+
+// A single-page audit through the result cache (see lib/cache.js); identical audits running
+// at the same time share one run. `force` skips a cached result. A cache hit carries the
+// historyId of the run it came from rather than saving the same result again, unless that run
+// is in another client's history.
+const analyzeWithCache = async (url, { force, ...options }, { signal, onProgress, clientId } = {}) => {
+    const { value, cache } = await cachedAudit(auditCacheKey(url, options), async (context) => {
+        const result = await auditUrl(url, { ...options, ...context });
+        return { ...result, historyId: await recordRun(url, result, clientId), historyClientId: clientId };
+    }, { signal, onProgress, force: Boolean(force) });
+    const { historyId, historyClientId, ...result } = value;
+    return {
+        ...result,
+        historyId: historyClientId === clientId ? historyId : await recordRun(url, result, clientId),
+        cache
+    };
+};
+
 // SEO Analysis endpoint
 app.post('/api/analyze', async (req, res) => {
-    const url = req.body.url;
+    const { url, checkLinks, rules, scoringProfile, render, keywords, language, force } = req.body;
     const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2);
     
     console.log(`[${requestId}] Analyzing URL: ${url}`);
@@ -107,11 +230,18 @@ app.post('/api/analyze', async (req, res) => {
         console.error(`[${requestId}] Invalid URL provided:`, url);
         return res.status(400).json({ error: 'Invalid URL provided' });
     }
+    if (!await chargeRequest(req, res, 'analyze', 1)) return;
     
-    // Set a timeout for the request
+    // Set a timeout for the request, and stop the remaining audit work when it fires.
+    // Slow sites should go through POST /api/jobs instead.
+    const controller = new AbortController();
     const timeout = setTimeout(() => {
         console.error(`[${requestId}] Request timed out after 30 seconds for URL: ${url}`);
-        return res.status(504).json({ error: 'Request timed out. The website may be too slow to respond.' });
+        controller.abort();
+        return res.status(504).json({
+            error: 'Request timed out. The website may be too slow to respond.',
+            hint: 'Submit the audit to POST /api/jobs and poll for the result instead.'
+        });
     }, 30000); // 30 second timeout
     
     try {
@@ -119,542 +249,483 @@ app.post('/api/analyze', async (req, res) => {
             return res.status(400).json({ error: 'URL is required' });
         }
 
-        // Fetch the webpage
-        const response = await axios.get(url, {
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (compatible; SEOAuditTool/1.0)'
-            },
-            timeout: 30000
+        const result = await analyzeWithCache(url, { checkLinks, rules, scoringProfile, render, keywords, language, force }, { signal: controller.signal, clientId: req.client.id });
+
+        // Clear the timeout since the request completed successfully
+        clearTimeout(timeout);
+
+        res.json(result);
+
+    } catch (error) {
+        // Clear the timeout since the request completed (with an error)
+        clearTimeout(timeout);
+
+        // The 504 has already been sent if the timeout aborted the audit
+        if (res.headersSent) return;
+
+        console.error(`[${requestId}] Error analyzing URL:`, error.message);
+
+        // Provide more specific error messages based on the error type
+        const { status, body } = toErrorResponse(error);
+        res.status(status).json(body);
+    }
+});
+
+// List the available audit rules, including custom rules loaded from RULES_DIR
+app.get('/api/rules', async (req, res) => {
+    try {
+        const rules = await loadRules();
+        res.json({ rules: rules.map(describeRule) });
+    } catch (error) {
+        console.error('Failed to load rules:', error.message);
+        res.status(500).json({ error: 'Failed to load rules', message: error.message });
+    }
+});
+
+// Named scoring profiles and the checks a custom profile can weight
+app.get('/api/scoring-profiles', (req, res) => {
+    res.json({
+        default: DEFAULT_PROFILE,
+        profiles: Object.values(PROFILES),
+        checks: Object.entries(SCORE_CHECKS).map(([id, { category, label }]) => ({ id, category, label }))
+    });
+});
+
+// Site crawl endpoint - audits every internal page reachable from the seed URL
+app.post('/api/crawl', async (req, res) => {
+    const { url, maxPages, maxDepth, concurrency, useSitemap, checkLinks, rules, scoringProfile, render, keywords, language } = req.body;
+    const requestId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+
+    console.log(`[${requestId}] Crawling site: ${url}`);
+
+    // Validate URL
+    if (!url || typeof url !== 'string') {
+        console.error(`[${requestId}] Invalid URL provided:`, url);
+        return res.status(400).json({ error: 'Invalid URL provided' });
+    }
+    if (!await chargeRequest(req, res, 'crawl', crawlCost({ maxPages }))) return;
+
+    try {
+        const result = await crawlSite(url, { maxPages, maxDepth, concurrency, useSitemap, checkLinks, rules, scoringProfile, render, keywords, language });
+        console.log(`[${requestId}] Crawl finished: ${result.summary.pagesAudited} pages audited, ${result.summary.pagesFailed} failed`);
+        res.json(result);
+    } catch (error) {
+        console.error(`[${requestId}] Error crawling site:`, error.message);
+        if (isClientError(error) || error.code === 'RENDERER_UNAVAILABLE') {
+            const { status, body } = toErrorResponse(error);
+            return res.status(status).json(body);
+        }
+        res.status(500).json({
+            error: 'Failed to crawl site',
+            message: error.message
         });
+    }
+});
+
+// === Asynchronous audit jobs ===
+const JOB_TYPES = {
+    analyze: ({ url, ...options }, context) => analyzeWithCache(url, options, context),
+    crawl: ({ url, ...options }, { clientId, ...context }) => crawlSite(url, { ...options, ...context })
+};
+
+// The request options each job type accepts
+const JOB_OPTIONS = {
+    analyze: ['checkLinks', 'rules', 'scoringProfile', 'render', 'keywords', 'language', 'force'],
+    crawl: ['maxPages', 'maxDepth', 'concurrency', 'useSitemap', 'checkLinks', 'rules', 'scoringProfile', 'render', 'keywords', 'language']
+};
+
+const pickJobOptions = (type, body) => Object.fromEntries(JOB_OPTIONS[type].map(name => [name, body[name]]));
+
+// Queue an audit job for a client; also used by the scheduler
+const submitJob = (type, input, clientId) => {
+    const job = createJob(type, input, (context) => JOB_TYPES[type](input, { ...context, clientId }));
+    console.log(`[job ${job.id}] Queued ${type} for ${input.url}`);
+    return job;
+};
+
+// Submit an audit; responds immediately with the job ID to poll
+app.post('/api/jobs', async (req, res) => {
+    const { type = 'analyze', url, checkLinks, rules, scoringProfile, keywords, language } = req.body;
+
+    if (!JOB_TYPES[type]) {
+        return res.status(400).json({ error: `Unknown job type "${type}". Use one of: ${Object.keys(JOB_TYPES).join(', ')}` });
+    }
+    if (!url || typeof url !== 'string') {
+        return res.status(400).json({ error: 'Invalid URL provided' });
+    }
+
+    // Reject bad rule selections, scoring profiles and keywords now rather than as a failed job
+    try {
+        await resolveAuditContext({ rules, checkLinks, scoringProfile, keywords, language });
+    } catch (error) {
+        const { status, body } = toErrorResponse(error);
+        return res.status(status).json(body);
+    }
+    if (!await chargeRequest(req, res, type, type === 'crawl' ? crawlCost(req.body) : 1)) return;
 
-        // Parse the HTML
-        const $ = cheerio.load(response.data);
-
-        // Extract SEO elements - making sure to only get the target site's title
-        let title = $('title').text();
-        
-        // Clean up the title to remove any SEO Audit Tool related text
-        if (title.includes('SEO Audit Tool')) {
-            // If title contains SEO Audit Tool, remove that part and anything after it
-            title = title.split('SEO Audit Tool')[0].trim();
-            // Also remove any trailing separators like | or -
-            title = title.replace(/[\|\-\.]+\s*$/, '').trim();
+    const job = submitJob(type, { url, ...pickJobOptions(type, req.body) }, req.client.id);
+
+    res.status(202).json({
+        ...serializeJob(job),
+        links: {
+            self: `/api/jobs/${job.id}`,
+            events: `/api/jobs/${job.id}/events`
         }
-        
-        console.log('Extracted title:', title);
-        const metaDescription = $('meta[name="description"]').attr('content') || '';
-        const viewportMeta = $('meta[name="viewport"]').attr('content') || '';
-        // Super robust heading detection - using multiple methods in combination
-        console.log('URL being analyzed:', url);
-        console.log('Parsing HTML content length:', response.data.length);
-        
-        // Method 1: Use Cheerio with direct tag selectors and log fully
-        let h1CountCheerio = $('h1').length;
-        let h2CountCheerio = $('h2').length;
-        let h3CountCheerio = $('h3').length;
-        let h4CountCheerio = $('h4').length;
-        let h5CountCheerio = $('h5').length;
-        let h6CountCheerio = $('h6').length;
-
-        // Log ALL found tags for debugging
-        console.log('Cheerio found H1 tags:', $('h1').length);
-        if (h1CountCheerio > 0) {
-            $('h1').each((i, el) => {
-                console.log(`H1 #${i+1} text:`, $(el).text());
-                console.log(`H1 #${i+1} html:`, $(el).html());
-            });
+    });
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found or expired' });
+    res.json(serializeJob(job));
+});
+
+// Server-sent progress events; the stream closes once the job finishes
+app.get('/api/jobs/:id/events', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found or expired' });
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    send('snapshot', serializeJob(job));
+    if (isTerminal(job)) return res.end();
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const unsubscribe = subscribeToJob(job, ({ event, job: snapshot }) => {
+        send(event, snapshot);
+        if (isTerminal(snapshot)) {
+            clearInterval(heartbeat);
+            res.end();
         }
-        console.log('Cheerio found H2 tags:', $('h2').length);
-        if (h2CountCheerio > 0) {
-            $('h2').each((i, el) => {
-                if (i < 3) console.log(`H2 #${i+1} text:`, $(el).text()); // Log only first 3 to avoid clutter
-            });
+    });
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+app.delete('/api/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+    if (!job) return res.status(404).json({ error: 'Job not found or expired' });
+    if (isTerminal(job)) {
+        return res.status(409).json({ error: `Job already ${job.status}`, job: serializeJob(job, { includeResult: false }) });
+    }
+    cancelJob(job.id);
+    console.log(`[job ${job.id}] Cancelled`);
+    res.json(serializeJob(job));
+});
+
+// === Batch audits ===
+// A list of unrelated URLs audited as one background job; see lib/batch.js
+
+const BATCH_OPTIONS = ['concurrency', 'hostDelayMs', 'checkLinks', 'rules', 'scoringProfile', 'render', 'keywords', 'language'];
+
+// Query-string booleans arrive as strings
+const parseFlag = (value) => value === undefined ? undefined : !['false', '0', 'no', ''].includes(String(value).toLowerCase());
+
+// Body: { urls: [...] | "one per line", ...options } as JSON, or a CSV or plain-text upload
+// (text/csv, text/plain) with the options in the query string
+app.post('/api/batch', express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+    const isUpload = typeof req.body === 'string';
+    const options = isUpload
+        ? {
+            concurrency: req.query.concurrency,
+            hostDelayMs: req.query.hostDelayMs,
+            checkLinks: parseFlag(req.query.checkLinks),
+            scoringProfile: req.query.scoringProfile,
+            render: parseFlag(req.query.render),
+            keywords: req.query.keywords,
+            language: req.query.language
         }
-        
-        // Method 2: Use regex approach as a backup
-        const htmlContent = response.data;
-        
-        // These patterns handle complex nested tags better
-        const h1Regex = /<h1[^>]*>[\s\S]*?<\/h1>/gi;
-        const h2Regex = /<h2[^>]*>[\s\S]*?<\/h2>/gi;
-        const h3Regex = /<h3[^>]*>[\s\S]*?<\/h3>/gi;
-        const h4Regex = /<h4[^>]*>[\s\S]*?<\/h4>/gi;
-        const h5Regex = /<h5[^>]*>[\s\S]*?<\/h5>/gi;
-        const h6Regex = /<h6[^>]*>[\s\S]*?<\/h6>/gi;
-        
-        // Count matches with regex
-        const h1Matches = htmlContent.match(h1Regex) || [];
-        const h2Matches = htmlContent.match(h2Regex) || [];
-        const h3Matches = htmlContent.match(h3Regex) || [];
-        const h4Matches = htmlContent.match(h4Regex) || [];
-        const h5Matches = htmlContent.match(h5Regex) || [];
-        const h6Matches = htmlContent.match(h6Regex) || [];
-        
-        console.log('Regex found H1 tags:', h1Matches.length);
-        h1Matches.forEach((match, i) => {
-            if (i < 3) console.log(`Regex H1 #${i+1}:`, match.substring(0, 100) + (match.length > 100 ? '...' : ''));
-        });
-        console.log('Regex found H2 tags:', h2Matches.length);
-        h2Matches.forEach((match, i) => {
-            if (i < 3) console.log(`Regex H2 #${i+1}:`, match.substring(0, 100) + (match.length > 100 ? '...' : ''));
-        });
-        
-        // Method 3: Try a more aggressive search with alternate patterns
-        // This can help with pages that use custom components or have malformed HTML
-        try {
-            // Look for any tag that might be styled as a heading or have heading-like properties
-            const potentialHeadingElements = $('[role="heading"], .heading, .title, .header, .h1, .h2, .h3');
-            console.log('Potential additional heading elements found:', potentialHeadingElements.length);
-            
-            if (potentialHeadingElements.length > 0) {
-                potentialHeadingElements.each((i, el) => {
-                    if (i < 3) console.log(`Potential heading #${i+1}:`, $(el).text());
-                });
+        : Object.fromEntries(BATCH_OPTIONS.map(name => [name, req.body[name]]));
+
+    try {
+        const { urls, invalid, duplicates } = prepareBatch(isUpload ? req.body : req.body.urls);
+        await resolveAuditContext(options);
+        if (!await chargeRequest(req, res, 'batch', urls.length)) return;
+
+        const job = createJob('batch', { urls, ...options }, (context) => auditBatch(urls, { ...options, ...context }));
+        console.log(`[job ${job.id}] Queued batch of ${urls.length} URLs`);
+
+        res.status(202).json({
+            ...serializeJob(job),
+            parsed: { accepted: urls.length, duplicates, invalid },
+            links: {
+                self: `/api/jobs/${job.id}`,
+                events: `/api/jobs/${job.id}/events`
             }
-        } catch (error) {
-            console.error('Error in heading detection method 3:', error.message);
-        }
-        
-        // Method 4: Count any tag containing "h1", "h2" case-insensitively
-        try {
-            // This approach could catch customized heading tags like <custom-h1>
-            const customH1Regex = /<[^>]*h1[^>]*>[\s\S]*?<\/[^>]*h1[^>]*>/gi;
-            const customH2Regex = /<[^>]*h2[^>]*>[\s\S]*?<\/[^>]*h2[^>]*>/gi;
-            const customH1Matches = htmlContent.match(customH1Regex) || [];
-            const customH2Matches = htmlContent.match(customH2Regex) || [];
-            
-            console.log('Custom H1 tags found:', customH1Matches.length);
-            console.log('Custom H2 tags found:', customH2Matches.length);
-        } catch (error) {
-            console.error('Error in heading detection method 4:', error.message);
+        });
+    } catch (error) {
+        if (isClientError(error)) {
+            const { status, body } = toErrorResponse(error);
+            return res.status(status).json(body);
         }
-        
-        // Method 5: Use HTML comment stripping and brute-force regex approach
-        // This can help with complex nested HTML or websites with JavaScript rendering
-        try {
-            // Strip HTML comments that might contain heading tags but aren't rendered
-            const strippedHtml = htmlContent.replace(/<!--[\s\S]*?-->/g, '');
-            
-            // Super aggressive regex patterns that are very permissive
-            const bruteH1Regex = /<h1[^>]*>[\s\S]*?<\/h1>/gi;
-            const bruteH2Regex = /<h2[^>]*>[\s\S]*?<\/h2>/gi;
-            
-            const bruteH1Matches = strippedHtml.match(bruteH1Regex) || [];
-            const bruteH2Matches = strippedHtml.match(bruteH2Regex) || [];
-            
-            console.log('Brute force H1 tags found:', bruteH1Matches.length);
-            console.log('Brute force H2 tags found:', bruteH2Matches.length);
-            
-            // Check for significant differences between methods
-            if (bruteH1Matches.length > h1CountCheerio && bruteH1Matches.length > h1Matches.length) {
-                console.log('Brute force method found more H1 tags than other methods');
-                h1CountCheerio = bruteH1Matches.length; // Use this higher count
-            }
-            
-            if (bruteH2Matches.length > h2CountCheerio && bruteH2Matches.length > h2Matches.length) {
-                console.log('Brute force method found more H2 tags than other methods');
-                h2CountCheerio = bruteH2Matches.length; // Use this higher count
-            }
-        } catch (error) {
-            console.error('Error in heading detection method 5:', error.message);
+        console.error('Failed to queue batch:', error.message);
+        res.status(500).json({ error: 'Failed to queue batch', message: error.message });
+    }
+});
+
+// === Audit history ===
+// Every /api/analyze result (and analyze job) is saved; see lib/history.js for storage options
+
+// Past runs for a URL, newest first. Clients only see the runs saved for them.
+app.get('/api/history', async (req, res) => {
+    const { url } = req.query;
+    if (!url || typeof url !== 'string') return res.status(400).json({ error: 'The url query parameter is required' });
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    try {
+        const { total, runs } = await listRuns(url, { limit, offset, clientId: req.client.id });
+        res.json({ url, total, limit, offset, runs });
+    } catch (error) {
+        if (error.code === 'ERR_INVALID_URL') return res.status(400).json({ error: 'Invalid URL provided' });
+        console.error('Failed to list audit history:', error.message);
+        res.status(500).json({ error: 'Failed to list audit history', message: error.message });
+    }
+});
+
+// Compare two runs: ?to=<id> against the run before it, or ?from=<id>&to=<id>
+app.get('/api/history/diff', async (req, res) => {
+    const { from: fromId, to: toId } = req.query;
+    if (!toId) return res.status(400).json({ error: 'The to query parameter is required' });
+    try {
+        const to = await getRun(toId, { clientId: req.client.id });
+        if (!to) return res.status(404).json({ error: `Run ${toId} not found` });
+        const from = fromId ? await getRun(fromId, { clientId: req.client.id }) : await getPreviousRun(to);
+        if (!from) {
+            return res.status(404).json({ error: fromId ? `Run ${fromId} not found` : `No earlier run of ${to.url} to compare with` });
         }
-        
-        // Use the higher count from all methods with additional safeguards
-        // If there's a large discrepancy, log explanations and use the highest count
-        
-        // Additional check: directly search in the raw HTML for probable h2/h3 tags
-        // Some sites use non-standard HTML that might confuse parsers
-        const rawH2Count = (htmlContent.match(/<h2/gi) || []).length;
-        const rawH3Count = (htmlContent.match(/<h3/gi) || []).length;
-        console.log('Raw HTML tag counts:', { rawH2: rawH2Count, rawH3: rawH3Count });
-        
-        // Final counts: take the maximum of all counting methods
-        const h1Count = Math.max(h1CountCheerio, h1Matches.length);
-        const h2Count = Math.max(h2CountCheerio, h2Matches.length, rawH2Count);
-        const h3Count = Math.max(h3CountCheerio, h3Matches.length, rawH3Count);
-        const h4Count = Math.max(h4CountCheerio, h4Matches.length);
-        const h5Count = Math.max(h5CountCheerio, h5Matches.length);
-        const h6Count = Math.max(h6CountCheerio, h6Matches.length);
-        
-        console.log('FINAL HEADING COUNTS:', { h1: h1Count, h2: h2Count, h3: h3Count, h4: h4Count, h5: h5Count, h6: h6Count });
-        
-        if (Math.abs(h1CountCheerio - h1Matches.length) > 2) {
-            console.log('WARNING: Large discrepancy in H1 count between methods!');
+        if (from.url !== to.url) return res.status(400).json({ error: 'Both runs must be audits of the same URL' });
+        res.json(diffRuns(from, to));
+    } catch (error) {
+        console.error('Failed to diff audit runs:', error.message);
+        res.status(500).json({ error: 'Failed to diff audit runs', message: error.message });
+    }
+});
+
+app.get('/api/history/:id', async (req, res) => {
+    try {
+        const run = await getRun(req.params.id, { clientId: req.client.id });
+        if (!run) return res.status(404).json({ error: 'Run not found' });
+        res.json(run);
+    } catch (error) {
+        console.error('Failed to load audit run:', error.message);
+        res.status(500).json({ error: 'Failed to load audit run', message: error.message });
+    }
+});
+
+// === Report exports ===
+// HTML, PDF, CSV, JSON and SARIF downloads of a single-page audit; see lib/reports.js
+
+// The audit a report request refers to: one of the client's history runs, a completed analyze
+// job, or a result posted in the body
+const findReportResult = async ({ historyId, jobId, result }, clientId) => {
+    if (historyId) {
+        const run = await getRun(historyId, { clientId });
+        if (!run) throw Object.assign(new Error(`Run ${historyId} not found`), { status: 404 });
+        return run.result;
+    }
+    if (jobId) {
+        const job = getJob(jobId);
+        if (!job) throw Object.assign(new Error('Job not found or expired'), { status: 404 });
+        if (job.status !== 'completed') throw Object.assign(new Error(`Job is ${job.status}`), { status: 409 });
+        return job.result;
+    }
+    if (result) return result;
+    throw new ReportError('Pass a historyId, a jobId or the audit result to report on');
+};
+
+const sendReport = async (req, res, source, { format, branding }) => {
+    try {
+        const result = await findReportResult(source, req.client.id);
+        const report = await buildReport(result, { format, branding });
+        res.set('Content-Type', report.contentType);
+        res.set('Content-Disposition', `${req.query.download === 'false' ? 'inline' : 'attachment'}; filename="${report.filename}"`);
+        res.send(report.body);
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        if (isClientError(error) || error.code === 'RENDERER_UNAVAILABLE') {
+            const { status, body } = toErrorResponse(error);
+            return res.status(status).json(body);
         }
-        if (Math.abs(h2CountCheerio - h2Matches.length) > 5) {
-            console.log('WARNING: Large discrepancy in H2 count between methods!');
+        console.error('Failed to build report:', error.message);
+        res.status(500).json({ error: 'Failed to build report', message: error.message });
+    }
+};
+
+// Body: { format, branding, historyId | jobId | result }
+app.post('/api/reports', (req, res) => {
+    const { format, branding, historyId, jobId, result } = req.body;
+    sendReport(req, res, { historyId, jobId, result }, { format, branding });
+});
+
+// Branding fields can be given in the query string, e.g. ?format=pdf&agencyName=Acme&primaryColor=%23005FCC
+app.get('/api/history/:id/report', (req, res) => {
+    const { format, agencyName, logoUrl, primaryColor, accentColor, footerText } = req.query;
+    sendReport(req, res, { historyId: req.params.id }, { format, branding: { agencyName, logoUrl, primaryColor, accentColor, footerText } });
+});
+
+// === Link graph exports ===
+// A crawl's internal link graph as JSON, GraphML or a CSV edge list; see lib/link-graph.js
+
+const findLinkGraph = ({ jobId, result }) => {
+    if (jobId) {
+        const job = getJob(jobId);
+        if (!job) throw Object.assign(new Error('Job not found or expired'), { status: 404 });
+        if (job.type !== 'crawl') throw new LinkGraphError('Only crawl jobs have a link graph');
+        if (job.status !== 'completed') throw Object.assign(new Error(`Job is ${job.status}`), { status: 409 });
+        return job.result.linkGraph;
+    }
+    if (result) return result.linkGraph;
+    throw new LinkGraphError('Pass a jobId or the crawl result');
+};
+
+const sendLinkGraph = (req, res, source, format) => {
+    try {
+        const graph = exportLinkGraph(findLinkGraph(source), format);
+        res.set('Content-Type', graph.contentType);
+        res.set('Content-Disposition', `${req.query.download === 'false' ? 'inline' : 'attachment'}; filename="${graph.filename}"`);
+        res.send(graph.body);
+    } catch (error) {
+        if (error.status) return res.status(error.status).json({ error: error.message });
+        if (isClientError(error)) {
+            const { status, body } = toErrorResponse(error);
+            return res.status(status).json(body);
         }
+        console.error('Failed to export link graph:', error.message);
+        res.status(500).json({ error: 'Failed to export link graph', message: error.message });
+    }
+};
+
+// Body: { format, jobId | result }
+app.post('/api/link-graph', (req, res) => {
+    const { format, jobId, result } = req.body;
+    sendLinkGraph(req, res, { jobId, result }, format);
+});
 
-        // Get first H1 text if it exists
-        let h1Text = '';
-        if (h1Count > 0 && h1Matches[0]) {
-            // Extract text from first H1 tag, removing HTML tags
-            h1Text = h1Matches[0].replace(/<\/?[^>]+(>|$)/g, '').trim();
+app.get('/api/jobs/:id/link-graph', (req, res) => {
+    sendLinkGraph(req, res, { jobId: req.params.id }, req.query.format);
+});
+
+// === Scheduled audits ===
+// Recurring analyze or crawl jobs that POST regressions to a webhook; see lib/schedules.js
+
+// Each schedule belongs to the key holder that created it, whose quota its runs are charged
+// to, so only key holders can manage them and only their own
+app.use('/api/schedules', (req, res, next) => {
+    try {
+        requireApiKey(req.client);
+        next();
+    } catch (error) {
+        sendAccessError(res, error);
+    }
+});
+
+// Body: { url, type, cron, webhook: { url, secret }, alerts, ...job options }. The webhook
+// secret (generated when not given) is only returned here.
+app.post('/api/schedules', async (req, res) => {
+    const { type = 'analyze', url, cron, webhook, alerts, checkLinks, rules, scoringProfile, keywords, language } = req.body;
+    try {
+        if (!JOB_OPTIONS[type]) {
+            return res.status(400).json({ error: `Unknown schedule type "${type}". Use one of: ${Object.keys(JOB_OPTIONS).join(', ')}` });
         }
-        
-        // Debug output for heading detection
-        console.log('Enhanced heading detection:');
-        console.log('H1 Tags:', h1Matches);
-        console.log('H2 Tags:', h2Matches.slice(0, 5)); // Show first 5 only to avoid log clutter
-        console.log('Heading counts:', { h1: h1Count, h2: h2Count, h3: h3Count, h4: h4Count, h5: h5Count, h6: h6Count });
-        const imgCount = $('img').length;
-        const imgWithAltCount = $('img[alt]').length;
-        const internalLinks = $('a[href^="/"], a[href^="' + url + '"], a[href^="http://' + new URL(url).hostname + '"], a[href^="https://' + new URL(url).hostname + '"]').length;
-        const externalLinks = $('a[href^="http"]:not([href^="' + url + '"]):not([href^="http://' + new URL(url).hostname + '"]):not([href^="https://' + new URL(url).hostname + '"])').length;
-        const canonicalUrl = $('link[rel="canonical"]').attr('href') || '';
-        const robotsMeta = $('meta[name="robots"]').attr('content') || '';
-        const keywordsMeta = $('meta[name="keywords"]').attr('content') || '';
-        const headings = {
-            h1: h1Count,
-            h2: h2Count,
-            h3: h3Count,
-            h4: h4Count,
-            h5: h5Count,
-            h6: h6Count
-        };
-        
-        // Check for SSL - safely get it from the original URL
-        // Axios response structure may vary between environments
-        const hasSSL = url.startsWith('https://');
-        console.log('SSL check:', { originalUrl: url, hasSSL });
-        
-        // Initialize values with defaults to avoid undefined
-        // Analyze page load speed factors
-        const scriptCount = $('script').length || 0;
-        const cssCount = $('link[rel="stylesheet"]').length || 0;
-        const inlineStyles = $('style').length || 0;
-        console.log('Resource counts:', { scripts: scriptCount, css: cssCount, styles: inlineStyles });
-        
-        // Calculate text-to-code ratio for content quality assessment
-        const bodyText = $('body').text();
-        const textLength = bodyText.length;
-        const htmlLength = htmlContent.length;
-        const textToCodeRatio = textLength / htmlLength;
-        console.log('Content quality:', { textLength, htmlLength, textToCodeRatio });
-        
-        // Count media elements for content richness
-        const totalImages = imgCount || 0;
-        const totalVideos = $('video, iframe[src*="youtube"], iframe[src*="vimeo"]').length || 0;
-        console.log('Media elements:', { images: totalImages, videos: totalVideos });
-        
-        // Check for structured data
-        const structuredDataCount = $('script[type="application/ld+json"]').length || 0;
-        
-        // Estimate keyword density (simplified approach)
-        let keywordDensity = 0;
-        if (title && bodyText) {
-            // Extract potential keywords from title
-            const potentialKeywords = title.toLowerCase().split(/\s+/)
-                .filter(word => word.length > 3) // Only consider words larger than 3 chars
-                .filter(word => !['and', 'the', 'for', 'with'].includes(word)); // Remove common words
-            
-            if (potentialKeywords.length > 0) {
-                // Count occurrences of the first potential keyword in body text
-                const keyword = potentialKeywords[0];
-                const keywordRegex = new RegExp(keyword, 'gi');
-                const matches = bodyText.match(keywordRegex) || [];
-                keywordDensity = (matches.length / (bodyText.split(/\s+/).length || 1)) * 100;
-            }
+        await resolveAuditContext({ rules, checkLinks, scoringProfile, keywords, language });
+        const schedule = await createSchedule({ ownerId: req.client.id, url, type, cron, webhook, alerts, options: pickJobOptions(type, req.body) });
+        console.log(`[schedule ${schedule.id}] Created ${type} "${schedule.cron}" for ${url}`);
+        res.status(201).json(serializeSchedule(schedule, { includeSecret: true }));
+    } catch (error) {
+        if (isClientError(error)) {
+            const { status, body } = toErrorResponse(error);
+            return res.status(status).json(body);
         }
-        console.log('Keyword density estimation:', keywordDensity.toFixed(2) + '%');
-        
-        // Check for social media meta tags
-        const openGraphTags = $('meta[property^="og:"]').length || 0;
-        const twitterTags = $('meta[name^="twitter:"]').length || 0;
-        const socialMediaTags = openGraphTags + twitterTags;
-        console.log('Social tags:', { openGraph: openGraphTags, twitter: twitterTags, total: socialMediaTags });
-        
-        // Mobile friendliness check - more detailed
-        const hasMobileViewport = typeof viewportMeta === 'string' && viewportMeta.includes('width=device-width');
-        console.log('Mobile viewport:', { meta: viewportMeta, hasMobileViewport });
-
-        // === Advanced checks and scoring ===
-        const checkSecurityHeaders = async (url) => {
-            try {
-                const headerResponse = await axios.head(url, { validateStatus: () => true, timeout: 10000 });
-                const headers = headerResponse.headers || {};
-                return {
-                    hasXFrameOptions: Boolean(headers['x-frame-options']),
-                    hasContentSecurityPolicy: Boolean(headers['content-security-policy']),
-                    hasXXSSProtection: Boolean(headers['x-xss-protection']),
-                    hasStrictTransportSecurity: Boolean(headers['strict-transport-security']),
-                    hasReferrerPolicy: Boolean(headers['referrer-policy']),
-                    hasPermissionsPolicy: Boolean(headers['permissions-policy'] || headers['feature-policy'])
-                };
-            } catch (err) {
-                console.error('Security header check failed:', err.message);
-                return {};
-            }
-        };
+        console.error('Failed to create schedule:', error.message);
+        res.status(500).json({ error: 'Failed to create schedule', message: error.message });
+    }
+});
 
-        const checkResourceHints = ($) => ({
-            hasPreload: $('link[rel="preload"]').length > 0,
-            hasPreconnect: $('link[rel="preconnect"]').length > 0,
-            hasDnsPrefetch: $('link[rel="dns-prefetch"]').length > 0,
-            totalResourceHints: $('link[rel="preload"], link[rel="preconnect"], link[rel="dns-prefetch"]').length
-        });
+app.get('/api/schedules', async (req, res) => {
+    try {
+        const schedules = await listSchedules({ ownerId: req.client.id });
+        res.json({ schedules: schedules.map(schedule => serializeSchedule(schedule)) });
+    } catch (error) {
+        console.error('Failed to list schedules:', error.message);
+        res.status(500).json({ error: 'Failed to list schedules', message: error.message });
+    }
+});
 
-        const analyzeImageOptimization = ($) => {
-            const imgs = $('img');
-            let withLazy = 0;
-            let withSrcset = 0;
-            imgs.each((i, el) => {
-                const $img = $(el);
-                if ($img.attr('loading') === 'lazy') withLazy++;
-                if ($img.attr('srcset')) withSrcset++;
-            });
-            return { total: imgs.length, withLazy, withSrcset };
-        };
-
-        const analyzeURLStructure = (u) => {
-            try {
-                const { pathname } = new URL(u);
-                const clean = pathname.toLowerCase() === pathname && !pathname.includes('_');
-                const lenOk = pathname.length < 100;
-                return { clean, lenOk, score: (clean ? 50 : 0) + (lenOk ? 50 : 0) };
-            } catch {
-                return { clean: false, lenOk: false, score: 0 };
-            }
-        };
-
-        const calculateTechnicalScore = ({ hasSSL, hasMobileViewport, canonicalUrl, robotsMeta, resourceHints, securityHeaders }) => {
-            let score = 0;
-            if (hasSSL) score += 20;
-            if (hasMobileViewport) score += 15;
-            if (canonicalUrl) score += 10;
-            if (!robotsMeta.includes('noindex')) score += 15;
-            if (resourceHints && resourceHints.totalResourceHints) score += 10;
-            if (securityHeaders && securityHeaders.hasContentSecurityPolicy) score += 10;
-            return Math.min(score, 100);
-        };
-
-        const calculateContentScore = ({ textToCodeRatio, h1Count, h2Count, keywordDensity }) => {
-            let score = 0;
-            if (textToCodeRatio > 0.1) score += 20;
-            if (h1Count === 1) score += 20;
-            if (h2Count >= 2) score += 10;
-            if (keywordDensity > 0.5 && keywordDensity < 5) score += 10;
-            return Math.min(score, 100);
-        };
-
-        const calculateWeightedScore = (scores) => {
-            const weights = { technical: 0.4, content: 0.4, performance: 0.2 };
-            return Math.round(scores.technical * weights.technical + scores.content * weights.content + scores.performance * weights.performance);
-        };
-
-        const resourceHints = checkResourceHints($);
-        const securityHeaders = await checkSecurityHeaders(url);
-        const imageOptimization = analyzeImageOptimization($);
-        const urlStructure = analyzeURLStructure(url);
-
-        const technicalScore = calculateTechnicalScore({ hasSSL, hasMobileViewport, canonicalUrl, robotsMeta, resourceHints, securityHeaders });
-        const contentScore = calculateContentScore({ textToCodeRatio, h1Count, h2Count, keywordDensity });
-        const performanceScore = Math.max(100 - (scriptCount + cssCount) * 2, 0);
-        const overallScore = calculateWeightedScore({ technical: technicalScore, content: contentScore, performance: performanceScore });
-
-        const recommendations = [];
-        if (!hasMobileViewport) recommendations.push('Add a viewport meta tag for mobile responsiveness');
-        if (h1Count === 0) recommendations.push('Add at least one H1 heading');
-        if (imgWithAltCount < imgCount) recommendations.push(`Add alt text to ${imgCount - imgWithAltCount} images`);
-        if (keywordDensity < 0.5) recommendations.push('Use your primary keyword more frequently in body copy');
-        if (!structuredDataCount) recommendations.push('Implement schema.org structured data');
-
-        console.log('Scores:', { technicalScore, contentScore, performanceScore, overallScore });
-
-        // === New advanced utility functions ===
-        const fetchRobotsTxt = async (siteUrl) => {
-            try {
-                const robotsUrl = new URL('/robots.txt', siteUrl).href;
-                const res = await axios.get(robotsUrl, { timeout: 15000, validateStatus: () => true });
-                if (res.status >= 400) return { exists: false, status: res.status };
-                const disallows = res.data.split('\n').filter(l => l.toLowerCase().startsWith('disallow'));
-                return { exists: true, disallows, status: res.status };
-            } catch (err) {
-                return { exists: false, error: err.message };
-            }
-        };
-
-        const fetchXmlSitemap = async (siteUrl) => {
-            try {
-                const sitemapUrl = new URL('/sitemap.xml', siteUrl).href;
-                const res = await axios.get(sitemapUrl, { timeout: 15000, validateStatus: () => true });
-                if (res.status >= 400) return { exists: false, status: res.status };
-                const parser = new XMLParser();
-                let parsed = {};
-                try { parsed = parser.parse(res.data); } catch { }
-                const urlCount = parsed?.urlset?.url ? (Array.isArray(parsed.urlset.url) ? parsed.urlset.url.length : 1) : 0;
-                return { exists: true, urlCount };
-            } catch (err) {
-                return { exists: false, error: err.message };
-            }
-        };
-
-        const validateHreflang = ($) => {
-            const links = $('link[rel="alternate"][hreflang]');
-            if (!links.length) return { hasHreflang: false };
-            const codes = [];
-            links.each((_, el) => codes.push($(el).attr('hreflang')));
-            const errors = [];
-            if (!codes.includes('x-default')) errors.push('Missing x-default hreflang');
-            return { hasHreflang: true, count: links.length, errors };
-        };
-
-        const checkPagination = ($) => {
-            const prev = $('link[rel="prev"]').length > 0;
-            const next = $('link[rel="next"]').length > 0;
-            return { prev, next, paginated: prev || next };
-        };
-
-        const checkImageSizes = async ($, pageUrl, limit = 5) => {
-            const imgs = $('img').slice(0, limit);
-            let total = 0, counted = 0;
-            for (let i = 0; i < imgs.length; i++) {
-                const src = $(imgs[i]).attr('src');
-                if (!src) continue;
-                let abs;
-                try { abs = new URL(src, pageUrl).href; } catch { continue; }
-                try {
-                    const head = await axios.head(abs, { timeout: 10000, validateStatus: () => true });
-                    const len = parseInt(head.headers['content-length'] || '0', 10);
-                    if (len) { total += len; counted++; }
-                } catch { }
-            }
-            return { sampled: counted, avgSize: counted ? Math.round(total / counted) : 0 };
-        };
-
-        const evaluateCaching = (headers) => {
-            const cc = headers['cache-control'] || '';
-            const maxAgeMatch = cc.match(/max-age=(\d+)/);
-            const maxAge = maxAgeMatch ? parseInt(maxAgeMatch[1], 10) : 0;
-            return { cacheControl: cc, maxAgeSeconds: maxAge, good: maxAge > 2592000 }; // >30d
-        };
-
-        const mixedContentCheck = ($, pageUrl) => {
-            if (!pageUrl.startsWith('https://')) return { mixedCount: 0 };
-            const count = $('img[src^="http://"], script[src^="http://"], link[href^="http://"], iframe[src^="http://"]').length;
-            return { mixedCount: count };
-        };
-
-        const validateStructuredData = ($) => {
-            let errors = 0;
-            $('script[type="application/ld+json"]').each((_, el) => {
-                try { JSON.parse($(el).html()); } catch { errors++; }
-            });
-            return { errors };
-        };
-
-        // === Execute new checks ===
-        const robotsInfo = await fetchRobotsTxt(url);
-        const sitemapInfo = await fetchXmlSitemap(url);
-        const hreflangInfo = validateHreflang($);
-        const paginationInfo = checkPagination($);
-        const imageSizeInfo = await checkImageSizes($, url);
-        const cachingInfo = evaluateCaching(response.headers || {});
-        const mixedContentInfo = mixedContentCheck($, url);
-        const structuredDataValidation = validateStructuredData($);
-
-        // === Recommendations based on new checks ===
-        if (!robotsInfo.exists) recommendations.push('Add a robots.txt');
-        if (!sitemapInfo.exists) recommendations.push('Add a sitemap.xml and reference it in robots.txt');
-        if (hreflangInfo.errors && hreflangInfo.errors.length) recommendations.push('Fix hreflang issues: ' + hreflangInfo.errors.join(', '));
-        if (mixedContentInfo.mixedCount) recommendations.push(`${mixedContentInfo.mixedCount} insecure (HTTP) assets found on HTTPS page`);
-        if (!cachingInfo.good) recommendations.push('Serve static assets with far-future Cache-Control headers');
-        if (structuredDataValidation.errors) recommendations.push(`${structuredDataValidation.errors} structured-data blocks contain invalid JSON`);
+app.get('/api/schedules/:id', async (req, res) => {
+    try {
+        const schedule = await getSchedule(req.params.id, { ownerId: req.client.id });
+        if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
+        res.json(serializeSchedule(schedule, { includeDeliveries: true }));
+    } catch (error) {
+        console.error('Failed to load schedule:', error.message);
+        res.status(500).json({ error: 'Failed to load schedule', message: error.message });
+    }
+});
 
-        // Clear the timeout since the request completed successfully
-        clearTimeout(timeout);
-        
-        res.json({
-            url,
-            analysis: {
-                // Basic SEO Elements
-                title,
-                metaDescription,
-                h1Text,
-                h1Count,
-                h2Count,
-                h3Count,
-                h4Count,
-                h5Count,
-                h6Count,
-                imgCount,
-                imgWithAltCount,
-                internalLinks,
-                externalLinks,
-                canonicalUrl,
-                robotsMeta,
-                keywordsMeta,
-                
-                // Page Structure
-                headings,
-                
-                // Technical SEO
-                hasSSL,
-                hasMobileViewport,
-                viewportMeta,
-                
-                // Performance Indicators
-                scriptCount,
-                cssCount,
-                inlineStyles,
-                
-                // Content Quality Metrics
-                textToCodeRatio,
-                keywordDensity,
-                totalImages: imgCount,
-                totalVideos,
-                structuredDataCount,
-                
-                // Social Media
-                socialMediaTags,
-                openGraphTags,
-                twitterTags,
-                
-                // Advanced scores
-                technicalScore,
-                contentScore,
-                performanceScore,
-                overallScore,
-
-                // Crawl & technical extras
-                robotsInfo,
-                sitemapInfo,
-                hreflangInfo,
-                paginationInfo,
-                imageSizeInfo,
-                cachingInfo,
-                mixedContentInfo,
-                structuredDataValidation,
-                
-                timestamp: new Date().toISOString()
-            },
-            recommendations
-        });
+const SCHEDULE_ACTIONS = { pause: pauseSchedule, resume: resumeSchedule };
 
+app.post('/api/schedules/:id/:action(pause|resume)', async (req, res) => {
+    try {
+        const schedule = await SCHEDULE_ACTIONS[req.params.action](req.params.id, { ownerId: req.client.id });
+        if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
+        console.log(`[schedule ${schedule.id}] Status ${schedule.status}`);
+        res.json(serializeSchedule(schedule));
     } catch (error) {
-        // Clear the timeout since the request completed (with an error)
-        clearTimeout(timeout);
-
-        console.error(`[${requestId}] Error analyzing URL:`, error.message);
+        console.error(`Failed to ${req.params.action} schedule:`, error.message);
+        res.status(500).json({ error: `Failed to ${req.params.action} schedule`, message: error.message });
+    }
+});
 
-        // Provide more specific error messages based on the error type
-        if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-            return res.status(400).json({ 
-                error: 'Could not connect to the website. Please check the URL and try again.'
-            });
-        } else if (error.response && error.response.status) {
-            return res.status(error.response.status).json({ 
-                error: `Website returned an error: ${error.response.status} ${error.response.statusText}`
-            });
-        }
+// Run a schedule now, outside its cron times; the regular runs are unaffected
+app.post('/api/schedules/:id/run', async (req, res) => {
+    try {
+        const schedule = await getSchedule(req.params.id, { ownerId: req.client.id });
+        if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
+        if (!await chargeRequest(req, res, schedule.type, scheduleCost(schedule))) return;
+        const job = await runSchedule(schedule.id);
+        if (!job) return res.status(409).json({ error: 'Schedule is already running' });
+        res.status(202).json({ schedule: serializeSchedule(schedule), job: serializeJob(job), links: { job: `/api/jobs/${job.id}` } });
+    } catch (error) {
+        console.error('Failed to run schedule:', error.message);
+        res.status(500).json({ error: 'Failed to run schedule', message: error.message });
+    }
+});
 
-        res.status(500).json({ 
-            error: 'Failed to analyze URL', 
-            message: error.message 
-        });
+app.delete('/api/schedules/:id', async (req, res) => {
+    try {
+        const schedule = await deleteSchedule(req.params.id, { ownerId: req.client.id });
+        if (!schedule) return res.status(404).json({ error: 'Schedule not found' });
+        console.log(`[schedule ${schedule.id}] Deleted`);
+        res.json({ deleted: true, id: schedule.id });
+    } catch (error) {
+        console.error('Failed to delete schedule:', error.message);
+        res.status(500).json({ error: 'Failed to delete schedule', message: error.message });
     }
 });
 
+// Charge a cron-fired run to the schedule owner's quota, as POST /api/schedules/:id/run charges
+// the caller. Like a request, a run goes ahead when the usage store itself fails.
+const chargeScheduledRun = async (schedule) => {
+    const owner = getClient(schedule.ownerId);
+    if (!owner) throw new AccessError('UNAUTHORIZED', "The schedule owner's API key is no longer configured");
+    try {
+        await chargeAudits(owner, schedule.type, scheduleCost(schedule));
+    } catch (error) {
+        if (error instanceof AccessError) throw error;
+        console.error('Quota tracking failed:', error.message);
+    }
+};
+
+// Scheduled runs track changes over time, so they never reuse a cached result
+startScheduler((type, input, ownerId) => submitJob(type, { ...input, force: true }, ownerId), { charge: chargeScheduledRun });
+
 // Global error handlers to prevent crashes
 process.on('uncaughtException', (error) => {
     console.error('UNCAUGHT EXCEPTION! Shutting down gracefully...', error);
@@ -0,0 +1,271 @@
+import fs from 'fs';
+import { createHash, timingSafeEqual } from 'crypto';
+
+// API keys, per-client rate limits and audit quotas.
+//
+// Keys come from API_KEYS (a JSON array, or comma-separated keys on the standard plan) and/or
+// API_KEYS_FILE (a JSON array). Each entry is { key | keyHash, name, plan, rateLimit,
+// dailyQuota, monthlyQuota }; `keyHash` is the key's SHA-256 hex digest, so the key itself
+// needn't be stored, and the limits override the plan's (null means unlimited).
+//
+// Requests without a key use the anonymous plan, per IP address, unless ANONYMOUS_ACCESS=false.
+//
+// Counters live in a usage store, which implements:
+//   increment(key, amount, ttlMs) - add `amount` to counter `key` and resolve with the new total;
+//                                   a new counter expires after `ttlMs`
+//   get(key)                      - the counter's total, 0 if unset or expired
+// The built-in store is in memory, so counters are per process and reset on restart. Call
+// setUsageStore() to plug in a shared backend such as Redis.
+
+const RATE_WINDOW_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// `none` or `unlimited` lifts a limit
+const envLimit = (name, fallback) => {
+    const value = process.env[name];
+    if (value === undefined || value === '') return fallback;
+    if (['none', 'unlimited'].includes(value.toLowerCase())) return null;
+    const n = parseInt(value, 10);
+    return Number.isNaN(n) ? fallback : Math.max(n, 0);
+};
+
+// rateLimit is requests per minute across the API; quotas count audited pages: one per
+// analyze, the page limit of a crawl and the URL count of a batch. `audits` lists the audit
+// types the plan may run (null for all).
+export const PLANS = {
+    anonymous: {
+        rateLimit: envLimit('ANONYMOUS_RATE_LIMIT', 60),
+        dailyQuota: envLimit('ANONYMOUS_DAILY_QUOTA', 10),
+        monthlyQuota: envLimit('ANONYMOUS_MONTHLY_QUOTA', 100),
+        audits: ['analyze']
+    },
+    standard: { rateLimit: 300, dailyQuota: 1000, monthlyQuota: 20000, audits: null },
+    unlimited: { rateLimit: null, dailyQuota: null, monthlyQuota: null, audits: null }
+};
+
+export const ANONYMOUS_ACCESS = !['0', 'false', 'no', 'off'].includes(String(process.env.ANONYMOUS_ACCESS || '').toLowerCase());
+
+// `status` is the HTTP status it maps to; `retryAfter` is in seconds
+export class AccessError extends Error {
+    constructor(code, message, { retryAfter = null } = {}) {
+        super(message);
+        this.name = 'AccessError';
+        this.code = code;
+        this.retryAfter = retryAfter;
+    }
+}
+
+const hashKey = (key) => createHash('sha256').update(String(key)).digest('hex');
+
+const LIMIT_FIELDS = ['rateLimit', 'dailyQuota', 'monthlyQuota'];
+
+const toKeyEntry = (entry, i) => {
+    const config = typeof entry === 'string' ? { key: entry } : entry;
+    if (!config || (typeof config.key !== 'string' && typeof config.keyHash !== 'string')) {
+        throw new Error(`API key entry ${i + 1} needs a "key" or "keyHash"`);
+    }
+    const plan = config.plan || 'standard';
+    if (!PLANS[plan] || plan === 'anonymous') {
+        throw new Error(`API key entry ${i + 1} has unknown plan "${plan}". Use one of: ${Object.keys(PLANS).filter(p => p !== 'anonymous').join(', ')}`);
+    }
+    const hash = (config.keyHash || hashKey(config.key)).toLowerCase();
+    const limits = Object.fromEntries(LIMIT_FIELDS.filter(field => config[field] !== undefined).map(field => [field, config[field]]));
+    return {
+        hash,
+        // Counters and logs use a prefix of the hash, never the key
+        id: `key:${hash.slice(0, 16)}`,
+        name: config.name || `key ${hash.slice(0, 8)}`,
+        plan,
+        limits: { ...PLANS[plan], ...limits }
+    };
+};
+
+const parseKeyList = (text, source) => {
+    const trimmed = String(text).trim();
+    if (!trimmed) return [];
+    if (trimmed.startsWith('[')) {
+        try {
+            return JSON.parse(trimmed);
+        } catch (error) {
+            throw new Error(`${source} is not valid JSON: ${error.message}`);
+        }
+    }
+    return trimmed.split(',').map(key => key.trim()).filter(Boolean);
+};
+
+export const loadApiKeys = () => {
+    const entries = [
+        ...(process.env.API_KEYS_FILE ? parseKeyList(fs.readFileSync(process.env.API_KEYS_FILE, 'utf8'), 'API_KEYS_FILE') : []),
+        ...parseKeyList(process.env.API_KEYS || '', 'API_KEYS')
+    ];
+    return entries.map(toKeyEntry);
+};
+
+let apiKeys = loadApiKeys();
+
+// Replace the configured keys, e.g. with ones loaded from a database
+export const setApiKeys = (entries) => {
+    apiKeys = entries.map(toKeyEntry);
+};
+
+export const createMemoryUsageStore = () => {
+    const counters = new Map();
+    const live = (key) => {
+        const counter = counters.get(key);
+        if (counter && counter.expiresAt <= Date.now()) {
+            counters.delete(key);
+            return null;
+        }
+        return counter || null;
+    };
+    // Expired counters are only dropped when touched; sweep the rest now and then
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        counters.forEach((counter, key) => {
+            if (counter.expiresAt <= now) counters.delete(key);
+        });
+    }, RATE_WINDOW_MS);
+    sweep.unref();
+    return {
+        async increment(key, amount, ttlMs) {
+            const counter = live(key) || { value: 0, expiresAt: Date.now() + ttlMs };
+            counter.value += amount;
+            counters.set(key, counter);
+            return counter.value;
+        },
+        async get(key) {
+            const counter = live(key);
+            return counter ? counter.value : 0;
+        }
+    };
+};
+
+let store = createMemoryUsageStore();
+
+export const setUsageStore = (newStore) => {
+    store = newStore;
+};
+
+// Look the key up by its hash, comparing in constant time
+const findKey = (key) => {
+    const hash = Buffer.from(hashKey(key), 'hex');
+    return apiKeys.find(entry => {
+        const candidate = Buffer.from(entry.hash, 'hex');
+        return candidate.length === hash.length && timingSafeEqual(candidate, hash);
+    }) || null;
+};
+
+const toClient = (entry) => ({ id: entry.id, name: entry.name, plan: entry.plan, anonymous: false, limits: entry.limits });
+
+// The client a request is made by: `Authorization: Bearer <key>`, or anonymous by IP address.
+// A key that isn't recognised is rejected rather than treated as anonymous.
+export const identifyClient = ({ authorization, ip }) => {
+    const header = String(authorization || '').trim();
+    if (header) {
+        const match = header.match(/^Bearer\s+(\S+)$/i);
+        if (!match) throw new AccessError('UNAUTHORIZED', 'The Authorization header must be "Bearer <API key>"');
+        const entry = findKey(match[1]);
+        if (!entry) throw new AccessError('UNAUTHORIZED', 'Invalid API key');
+        return toClient(entry);
+    }
+    if (!ANONYMOUS_ACCESS) throw new AccessError('UNAUTHORIZED', 'An API key is required. Send it as "Authorization: Bearer <API key>"');
+    return { id: `ip:${ip}`, name: 'anonymous', plan: 'anonymous', anonymous: true, limits: PLANS.anonymous };
+};
+
+// The key holder with client id `id`, for work done on their behalf outside a request (such
+// as scheduled audits), or null once the key is no longer configured
+export const getClient = (id) => {
+    const entry = apiKeys.find(candidate => candidate.id === id);
+    return entry ? toClient(entry) : null;
+};
+
+export const requireApiKey = (client) => {
+    if (client.anonymous) throw new AccessError('UNAUTHORIZED', 'This endpoint needs an API key. Send it as "Authorization: Bearer <API key>"');
+};
+
+// Fixed one-minute windows, and UTC calendar days and months for quotas
+const rateWindow = (now) => {
+    const start = Math.floor(now / RATE_WINDOW_MS) * RATE_WINDOW_MS;
+    return { key: `rate:${start}`, resetAt: start + RATE_WINDOW_MS };
+};
+const quotaPeriods = (now) => {
+    const date = new Date(now);
+    const monthEnd = Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+    return {
+        daily: { key: `daily:${date.toISOString().slice(0, 10)}`, resetAt: Math.floor(now / DAY_MS) * DAY_MS + DAY_MS, limitField: 'dailyQuota' },
+        monthly: { key: `monthly:${date.toISOString().slice(0, 7)}`, resetAt: monthEnd, limitField: 'monthlyQuota' }
+    };
+};
+
+const secondsUntil = (time, now) => Math.max(1, Math.ceil((time - now) / 1000));
+
+// Count one API request against the client's rate limit. Resolves with { limit, remaining,
+// resetAt } for the X-RateLimit headers; throws RATE_LIMITED once the window is used up.
+export const consumeRequest = async (client) => {
+    const { rateLimit } = client.limits;
+    if (rateLimit === null) return null;
+    const now = Date.now();
+    const window = rateWindow(now);
+    const used = await store.increment(`${client.id}:${window.key}`, 1, window.resetAt - now);
+    const status = { limit: rateLimit, remaining: Math.max(rateLimit - used, 0), resetAt: window.resetAt };
+    if (used > rateLimit) {
+        throw Object.assign(new AccessError('RATE_LIMITED', `Rate limit of ${rateLimit} requests per minute exceeded`,
+            { retryAfter: secondsUntil(window.resetAt, now) }), { rateLimit: status });
+    }
+    return status;
+};
+
+// Charge `units` audited pages of `type` (analyze, crawl, batch) to the client's daily and
+// monthly quotas. Throws AUDIT_NOT_ALLOWED for types outside the plan and QUOTA_EXCEEDED,
+// charging nothing, when a quota can't cover them.
+export const chargeAudits = async (client, type, units) => {
+    const { audits } = client.limits;
+    if (audits && !audits.includes(type)) {
+        throw new AccessError('AUDIT_NOT_ALLOWED', client.anonymous
+            ? `Anonymous requests can only run ${audits.join(', ')} audits. Use an API key for ${type} audits.`
+            : `The ${client.plan} plan can't run ${type} audits`);
+    }
+    const now = Date.now();
+    const charged = [];
+    for (const [period, { key, resetAt, limitField }] of Object.entries(quotaPeriods(now))) {
+        const limit = client.limits[limitField];
+        if (limit === null) continue;
+        const counter = `${client.id}:${key}`;
+        // Counters outlive their period by a day so usage can still be read just after it ends
+        const used = await store.increment(counter, units, resetAt - now + DAY_MS);
+        charged.push(counter);
+        if (used > limit) {
+            await Promise.all(charged.map(c => store.increment(c, -units, resetAt - now + DAY_MS)));
+            const remaining = Math.max(limit - (used - units), 0);
+            throw new AccessError('QUOTA_EXCEEDED',
+                `This request needs ${units} audit${units === 1 ? '' : 's'} but only ${remaining} of the ${period} quota of ${limit} ${remaining === 1 ? 'is' : 'are'} left`,
+                { retryAfter: secondsUntil(resetAt, now) });
+        }
+    }
+};
+
+// The client's plan, current rate-limit window and quota use, for GET /api/usage
+export const getUsage = async (client) => {
+    const now = Date.now();
+    const window = rateWindow(now);
+    const periods = quotaPeriods(now);
+    const { rateLimit } = client.limits;
+    const requests = await store.get(`${client.id}:${window.key}`);
+    const quotas = {};
+    for (const [period, { key, resetAt, limitField }] of Object.entries(periods)) {
+        const limit = client.limits[limitField];
+        const used = await store.get(`${client.id}:${key}`);
+        quotas[period] = { limit, used, remaining: limit === null ? null : Math.max(limit - used, 0), resetAt: new Date(resetAt).toISOString() };
+    }
+    return {
+        client: { name: client.name, plan: client.plan, anonymous: client.anonymous },
+        audits: client.limits.audits || 'all',
+        rateLimit: {
+            limit: rateLimit,
+            used: requests,
+            remaining: rateLimit === null ? null : Math.max(rateLimit - requests, 0),
+            resetAt: new Date(window.resetAt).toISOString()
+        },
+        quotas
+    };
+};
@@ -0,0 +1,357 @@
+import { checkHeadingOutline } from './content.js';
+import { selectorFor } from './utils.js';
+
+// Evidence items kept per check
+const MAX_ITEMS = 50;
+
+// WCAG 2.2 success criteria the checks refer to
+export const WCAG_CRITERIA = {
+    '1.1.1': 'Non-text Content',
+    '1.3.1': 'Info and Relationships',
+    '1.4.3': 'Contrast (Minimum)',
+    '2.4.3': 'Focus Order',
+    '2.4.4': 'Link Purpose (In Context)',
+    '2.4.6': 'Headings and Labels',
+    '3.1.1': 'Language of Page',
+    '3.3.2': 'Labels or Instructions',
+    '4.1.1': 'Parsing (WCAG 2.0 and 2.1)',
+    '4.1.2': 'Name, Role, Value'
+};
+
+// WAI-ARIA 1.2 roles and aria-* attributes
+const ARIA_ROLES = new Set(`
+    alert alertdialog application article banner blockquote button caption cell checkbox code columnheader combobox
+    complementary contentinfo definition deletion dialog directory document emphasis feed figure form generic grid
+    gridcell group heading img insertion link list listbox listitem log main marquee math menu menubar menuitem
+    menuitemcheckbox menuitemradio meter navigation none note option paragraph presentation progressbar radio
+    radiogroup region row rowgroup rowheader scrollbar search searchbox separator slider spinbutton status strong
+    subscript superscript switch tab table tablist tabpanel term textbox time timer toolbar tooltip tree treegrid treeitem
+`.trim().split(/\s+/));
+const ARIA_ATTRIBUTES = new Set(`
+    activedescendant atomic autocomplete braillelabel brailleroledescription busy checked colcount colindex colindextext
+    colspan controls current describedby description details disabled dropeffect errormessage expanded flowto grabbed
+    haspopup hidden invalid keyshortcuts label labelledby level live modal multiline multiselectable orientation owns
+    placeholder posinset pressed readonly relevant required roledescription rowcount rowindex rowindextext rowspan
+    selected setsize sort valuemax valuemin valuenow valuetext
+`.trim().split(/\s+/).map(name => `aria-${name}`));
+// Attributes that hold id references
+const ID_REFERENCE_ATTRIBUTES = ['aria-labelledby', 'aria-describedby', 'aria-controls', 'aria-owns', 'aria-activedescendant', 'aria-errormessage', 'aria-details', 'aria-flowto'];
+
+const FOCUSABLE_SELECTOR = 'a[href], area[href], button, input:not([type="hidden"]), select, textarea, iframe, [tabindex], [contenteditable=""], [contenteditable="true"]';
+const LABELLED_INPUT_SELECTOR = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]):not([type="reset"]):not([type="image"]), select, textarea';
+
+// Alt text that describes the file rather than the image
+const FILENAME_ALT = /(^[\w,\s-]+\.(?:jpe?g|png|gif|webp|avif|svg|bmp|tiff?)$)|(^(?:img|image|dsc|dscn|pxl|photo|screenshot)[-_ ]?\d+$)/i;
+const PLACEHOLDER_ALT = new Set(['image', 'img', 'photo', 'picture', 'graphic', 'logo', 'icon', 'banner', 'untitled', 'alt', 'spacer']);
+
+const normalizeText = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+const truncate = (text, length = 80) => (text.length > length ? `${text.slice(0, length - 1)}…` : text);
+
+const imageSrc = ($, el) => $(el).attr('src') || $(el).attr('data-src') || '';
+
+// Elements whose `name` attribute is exactly `value`. Matched by comparison rather than a
+// selector, since page-supplied ids can hold anything, including a trailing backslash that
+// makes the selector unparseable.
+const withAttribute = ($, selector, name, value) => $(selector).filter((_, el) => $(el).attr(name) === value);
+
+// Text of the elements an aria-labelledby attribute points at
+const labelledByText = ($, el) => ($(el).attr('aria-labelledby') || '').split(/\s+/).filter(Boolean)
+    .map(id => normalizeText(withAttribute($, '[id]', 'id', id).text()))
+    .join(' ')
+    .trim();
+
+// Accessible name per the accessible name computation, simplified: aria-labelledby, aria-label,
+// then text content including image alt text, then title
+const accessibleName = ($, el) => {
+    const labelledBy = labelledByText($, el);
+    if (labelledBy) return labelledBy;
+    const label = normalizeText($(el).attr('aria-label'));
+    if (label) return label;
+    const text = normalizeText($(el).text());
+    if (text) return text;
+    const alts = $(el).find('img[alt], [role="img"][aria-label], svg[aria-label]')
+        .map((_, child) => normalizeText($(child).attr('alt') || $(child).attr('aria-label'))).get().join(' ').trim();
+    if (alts) return alts;
+    return normalizeText($(el).attr('title'));
+};
+
+// 1.1.1: images without alt, with a filename or placeholder as alt, and distinct images
+// sharing one alt. Empty alt is fine for decorative images, but not when the image is a
+// link's or button's only content.
+const checkImages = ($) => {
+    const missing = [];
+    const filename = [];
+    const emptyInControl = [];
+    const byAlt = new Map();
+    let images = 0;
+    let meaningful = 0;
+    $('img').each((_, el) => {
+        if ($(el).attr('role') === 'presentation' || $(el).attr('role') === 'none' || $(el).attr('aria-hidden') === 'true') return;
+        images++;
+        const alt = $(el).attr('alt');
+        const item = { selector: selectorFor($, el), url: imageSrc($, el) || undefined };
+        if (alt === undefined) {
+            missing.push(item);
+            return;
+        }
+        const text = normalizeText(alt);
+        if (!text) {
+            const control = $(el).closest('a[href], button');
+            if (control.length && !accessibleName($, control.get(0))) emptyInControl.push(item);
+            else meaningful++;
+            return;
+        }
+        if (FILENAME_ALT.test(text) || PLACEHOLDER_ALT.has(text.toLowerCase())) {
+            filename.push({ ...item, value: text });
+            return;
+        }
+        meaningful++;
+        const key = text.toLowerCase();
+        if (!byAlt.has(key)) byAlt.set(key, { alt: text, sources: new Set(), items: [] });
+        byAlt.get(key).sources.add(imageSrc($, el));
+        byAlt.get(key).items.push({ ...item, value: text });
+    });
+    const duplicates = [...byAlt.values()].filter(group => group.sources.size > 1).flatMap(group => group.items);
+    return { images, meaningful, missing, filename, emptyInControl, duplicates };
+};
+
+// 1.3.1 / 3.3.2 / 4.1.2: form fields need a programmatic label; a placeholder isn't one
+const checkFormLabels = ($) => {
+    const unlabelled = [];
+    let fields = 0;
+    $(LABELLED_INPUT_SELECTOR).each((_, el) => {
+        fields++;
+        const id = $(el).attr('id');
+        const hasLabel = (id && normalizeText(withAttribute($, 'label[for]', 'for', id).text()))
+            || normalizeText($(el).closest('label').text())
+            || normalizeText($(el).attr('aria-label'))
+            || labelledByText($, el)
+            || normalizeText($(el).attr('title'));
+        if (!hasLabel) {
+            unlabelled.push({ selector: selectorFor($, el), value: $(el).attr('placeholder') ? `placeholder only: ${truncate($(el).attr('placeholder'))}` : undefined });
+        }
+    });
+    return { fields, unlabelled };
+};
+
+// 2.4.4 / 4.1.2: links and buttons need an accessible name
+const checkAccessibleNames = ($) => {
+    const links = [];
+    const buttons = [];
+    let controls = 0;
+    $('a[href]').each((_, el) => {
+        if ($(el).attr('aria-hidden') === 'true') return;
+        controls++;
+        if (!accessibleName($, el)) links.push({ selector: selectorFor($, el), url: $(el).attr('href') });
+    });
+    $('button, [role="button"], input[type="submit"], input[type="button"], input[type="reset"], input[type="image"]').each((_, el) => {
+        controls++;
+        const type = ($(el).attr('type') || '').toLowerCase();
+        let name = accessibleName($, el);
+        if (!name && el.tagName === 'input') {
+            // Submit and reset buttons get a default name from the browser
+            name = type === 'image' ? normalizeText($(el).attr('alt')) : normalizeText($(el).attr('value')) || (['submit', 'reset'].includes(type) ? type : '');
+        }
+        if (!name) buttons.push({ selector: selectorFor($, el) });
+    });
+    return { controls, links, buttons };
+};
+
+// 3.1.1: <html lang> present and shaped like a BCP 47 tag
+const checkLanguage = ($) => {
+    const lang = normalizeText($('html').attr('lang') || $('html').attr('xml:lang'));
+    return { lang: lang || null, valid: /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i.test(lang) };
+};
+
+// 4.1.1 (WCAG 2.0/2.1) and 4.1.2: ids must be unique, especially when referenced
+const checkIds = ($) => {
+    const counts = new Map();
+    $('[id]').each((_, el) => {
+        const id = $(el).attr('id');
+        if (!id) return;
+        if (!counts.has(id)) counts.set(id, []);
+        counts.get(id).push(el);
+    });
+    const duplicates = [...counts].filter(([, els]) => els.length > 1)
+        .map(([id, els]) => ({ selector: selectorFor($, els[1]), value: `id="${id}" used ${els.length} times` }));
+    return { ids: counts, duplicates };
+};
+
+// 4.1.2: unknown roles and aria-* attributes, references to missing ids, and aria-hidden
+// content that can still take keyboard focus
+const checkAria = ($, ids) => {
+    const issues = [];
+    $('*').each((_, el) => {
+        const attributes = el.attribs || {};
+        const role = normalizeText(attributes.role);
+        if (role) {
+            const unknown = role.split(' ').filter(r => !ARIA_ROLES.has(r.toLowerCase()));
+            // Fallback roles are allowed as long as one of them is known
+            if (unknown.length === role.split(' ').length) issues.push({ selector: selectorFor($, el), value: `unknown role "${role}"` });
+        }
+        for (const name of Object.keys(attributes)) {
+            if (name.startsWith('aria-') && !ARIA_ATTRIBUTES.has(name)) issues.push({ selector: selectorFor($, el), value: `unknown attribute ${name}` });
+        }
+        for (const name of ID_REFERENCE_ATTRIBUTES) {
+            if (!attributes[name]) continue;
+            const missing = attributes[name].split(/\s+/).filter(id => id && !ids.has(id));
+            if (missing.length) issues.push({ selector: selectorFor($, el), value: `${name} points to missing id ${missing.join(', ')}` });
+        }
+        if (attributes['aria-hidden'] === 'true') {
+            const focusable = $(el).is(FOCUSABLE_SELECTOR) ? [el] : $(el).find(FOCUSABLE_SELECTOR).toArray();
+            const reachable = focusable.filter(node => !/^-/.test(String($(node).attr('tabindex') || '')) && $(node).attr('disabled') === undefined);
+            if (reachable.length) issues.push({ selector: selectorFor($, el), value: `aria-hidden="true" hides ${reachable.length} focusable elements` });
+        }
+    });
+    return { issues };
+};
+
+// 2.4.3: a positive tabindex puts the element ahead of the natural focus order
+const checkTabindex = ($) => {
+    const positive = [];
+    $('[tabindex]').each((_, el) => {
+        const value = parseInt($(el).attr('tabindex'), 10);
+        if (value > 0) positive.push({ selector: selectorFor($, el), value: `tabindex="${value}"` });
+    });
+    return { positive };
+};
+
+// CSS colour keywords most often found in inline styles
+const NAMED_COLORS = {
+    black: [0, 0, 0], white: [255, 255, 255], red: [255, 0, 0], green: [0, 128, 0], blue: [0, 0, 255],
+    yellow: [255, 255, 0], orange: [255, 165, 0], purple: [128, 0, 128], gray: [128, 128, 128], grey: [128, 128, 128],
+    silver: [192, 192, 192], maroon: [128, 0, 0], navy: [0, 0, 128], teal: [0, 128, 128], olive: [128, 128, 0],
+    lime: [0, 255, 0], aqua: [0, 255, 255], cyan: [0, 255, 255], fuchsia: [255, 0, 255], magenta: [255, 0, 255],
+    lightgray: [211, 211, 211], lightgrey: [211, 211, 211], darkgray: [169, 169, 169], darkgrey: [169, 169, 169],
+    whitesmoke: [245, 245, 245], gainsboro: [220, 220, 220], pink: [255, 192, 203], gold: [255, 215, 0], brown: [165, 42, 42]
+};
+
+// [r, g, b] for an opaque CSS colour, or null for anything that can't be judged
+// statically (transparency, currentColor, var(), gradients)
+export const parseColor = (value) => {
+    const color = String(value || '').trim().toLowerCase();
+    if (NAMED_COLORS[color]) return NAMED_COLORS[color];
+    let match = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+    if (match) {
+        const hex = match[1].length === 3 ? match[1].split('').map(c => c + c).join('') : match[1];
+        return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+    }
+    match = color.match(/^rgba?\(\s*(\d{1,3})[\s,]+(\d{1,3})[\s,]+(\d{1,3})(?:\s*[,/]\s*([\d.]+%?))?\s*\)$/);
+    if (match) {
+        if (match[4] !== undefined && parseFloat(match[4]) < (match[4].endsWith('%') ? 100 : 1)) return null;
+        return [match[1], match[2], match[3]].map(n => Math.min(255, parseInt(n, 10)));
+    }
+    return null;
+};
+
+const luminance = ([r, g, b]) => {
+    const [R, G, B] = [r, g, b].map(c => {
+        const s = c / 255;
+        return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+};
+
+export const contrastRatio = (a, b) => {
+    const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+};
+
+const parseStyle = (style) => Object.fromEntries(String(style || '').split(';')
+    .map(declaration => declaration.split(':'))
+    .filter(parts => parts.length >= 2)
+    .map(([name, ...rest]) => [name.trim().toLowerCase(), rest.join(':').replace(/!important/i, '').trim()]));
+
+// Inline style property from the element or its nearest ancestor that sets it
+const inheritedStyle = ($, el, properties) => {
+    for (let node = el; node && node.type === 'tag'; node = node.parent) {
+        const style = parseStyle($(node).attr('style'));
+        for (const property of properties) {
+            if (style[property]) return style[property];
+        }
+    }
+    return null;
+};
+
+// 1.4.3: only text whose colour and background both come from inline styles can be judged
+// without a browser; stylesheet colours are ignored. Large text (24px, or 18.66px bold)
+// needs 3:1, other text 4.5:1.
+const checkContrast = ($) => {
+    const failures = [];
+    let checked = 0;
+    $('body [style]').each((_, el) => {
+        const own = parseStyle($(el).attr('style'));
+        if (!own.color && !own.background && !own['background-color']) return;
+        // Each text-bearing element is judged once, where its colours are set
+        const text = normalizeText($(el).contents().filter((__, node) => node.type === 'text').text());
+        if (!text) return;
+        const foreground = parseColor(inheritedStyle($, el, ['color']));
+        const backgroundValue = inheritedStyle($, el, ['background-color', 'background']);
+        const background = backgroundValue && parseColor(backgroundValue.split(/\s+/)[0]);
+        if (!foreground || !background) return;
+        checked++;
+        const size = parseFloat(inheritedStyle($, el, ['font-size'])) || 16;
+        const sizeInPx = /pt\s*$/.test(inheritedStyle($, el, ['font-size']) || '') ? size * (4 / 3) : size;
+        const weight = inheritedStyle($, el, ['font-weight']) || (['b', 'strong', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'].includes(el.tagName) ? 'bold' : 'normal');
+        const bold = weight === 'bold' || weight === 'bolder' || parseInt(weight, 10) >= 700;
+        const large = sizeInPx >= 24 || (bold && sizeInPx >= 18.66);
+        const required = large ? 3 : 4.5;
+        const ratio = contrastRatio(foreground, background);
+        if (ratio < required) {
+            failures.push({ selector: selectorFor($, el), value: `${Math.round(ratio * 100) / 100}:1, needs ${required}:1 ("${truncate(text, 40)}")` });
+        }
+    });
+    return { checked, failures };
+};
+
+const limit = (items) => items.slice(0, MAX_ITEMS);
+
+// Run every check against the page. Each entry in `checks` has the WCAG criteria it tests,
+// how many elements were tested and the failing ones.
+export const analyzeAccessibility = ($) => {
+    const images = checkImages($);
+    const forms = checkFormLabels($);
+    const names = checkAccessibleNames($);
+    const language = checkLanguage($);
+    const { ids, duplicates: duplicateIds } = checkIds($);
+    const aria = checkAria($, ids);
+    const tabindex = checkTabindex($);
+    const contrast = checkContrast($);
+    const { issues: headingIssues } = checkHeadingOutline($);
+
+    const checks = {
+        imageAlt: { wcag: ['1.1.1'], tested: images.images, failures: limit(images.missing) },
+        altTextQuality: { wcag: ['1.1.1'], tested: images.images, failures: limit(images.filename) },
+        emptyAltInControls: { wcag: ['1.1.1', '2.4.4'], tested: images.images, failures: limit(images.emptyInControl) },
+        duplicateAltText: { wcag: ['1.1.1'], tested: images.images, failures: limit(images.duplicates) },
+        formLabels: { wcag: ['1.3.1', '3.3.2', '4.1.2'], tested: forms.fields, failures: limit(forms.unlabelled) },
+        linkNames: { wcag: ['2.4.4', '4.1.2'], tested: names.controls, failures: limit(names.links) },
+        buttonNames: { wcag: ['4.1.2'], tested: names.controls, failures: limit(names.buttons) },
+        documentLanguage: { wcag: ['3.1.1'], tested: 1, failures: language.valid ? [] : [{ selector: 'html', value: language.lang ? `lang="${language.lang}"` : 'no lang attribute' }] },
+        duplicateIds: { wcag: ['4.1.1', '4.1.2'], tested: ids.size, failures: limit(duplicateIds) },
+        ariaUsage: { wcag: ['4.1.2'], tested: null, failures: limit(aria.issues) },
+        headingLevels: { wcag: ['1.3.1', '2.4.6'], tested: null, failures: limit([
+            ...headingIssues.skippedLevels.map(({ selector, details }) => ({ selector, value: details })),
+            ...headingIssues.emptyHeadings.map(({ selector }) => ({ selector, value: 'empty heading' }))
+        ]) },
+        tabindex: { wcag: ['2.4.3'], tested: null, failures: limit(tabindex.positive) },
+        colorContrast: { wcag: ['1.4.3'], tested: contrast.checked, failures: limit(contrast.failures) }
+    };
+    // Keep the full counts; `failures` is capped
+    const counts = {
+        imageAlt: images.missing.length, altTextQuality: images.filename.length, emptyAltInControls: images.emptyInControl.length,
+        duplicateAltText: images.duplicates.length, formLabels: forms.unlabelled.length, linkNames: names.links.length,
+        buttonNames: names.buttons.length, documentLanguage: checks.documentLanguage.failures.length, duplicateIds: duplicateIds.length,
+        ariaUsage: aria.issues.length, headingLevels: headingIssues.skippedLevels.length + headingIssues.emptyHeadings.length,
+        tabindex: tabindex.positive.length, colorContrast: contrast.failures.length
+    };
+    Object.entries(counts).forEach(([id, count]) => { checks[id].failureCount = count; });
+
+    return {
+        lang: language.lang,
+        images: { total: images.images, withMeaningfulAlt: images.meaningful },
+        formFields: forms.fields,
+        checks,
+        issueCount: Object.values(counts).reduce((a, b) => a + b, 0)
+    };
+};
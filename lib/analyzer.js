@@ -0,0 +1,512 @@
+import cheerio from 'cheerio';
+import { getRobotsTxt, getXmlSitemap } from './cache.js';
+import { validateLinks } from './links.js';
+import { renderPage, compareRendered } from './renderer.js';
+import { extractStructuredData } from './structured-data.js';
+import { analyzeKeywords, normalizeKeywordOptions } from './keywords.js';
+import { analyzeContent } from './content.js';
+import { analyzeAccessibility } from './accessibility.js';
+import { countLinks } from './link-graph.js';
+import { analyzeResources } from './resources.js';
+import { analyzeSocial, extractSocialTags, buildPreview } from './social.js';
+import { analyzeIndexability } from './indexability.js';
+import { loadRules, selectRules, runRules } from './rule-engine.js';
+import { safeRequest } from './safe-fetch.js';
+import { resolveScoringProfile, scorePage, estimateScoreImpact } from './scoring.js';
+
+const SEVERITY_ORDER = { error: 0, warning: 1, notice: 2 };
+
+// The link previews from the tags alone, for when the social rules are disabled or failed. A
+// preview is never worth failing the audit over.
+const previewFromTags = ($, url) => {
+    try {
+        return buildPreview(extractSocialTags($, url), url);
+    } catch (err) {
+        console.error('Preview failed:', err.message);
+        return null;
+    }
+};
+
+// Fetch the webpage. Private addresses, non-HTML responses and oversized bodies are refused
+// with a SafeFetchError; `response.url` is the URL after redirects. Error statuses are returned
+// rather than thrown, and so is a redirect chain too long to follow (an empty 3xx response with
+// `redirectLimitExceeded`), so the audit can say why the page isn't indexable.
+export const fetchPage = async (url, { signal } = {}) => {
+    try {
+        return await safeRequest(url, {
+            timeout: 30000,
+            expectHtml: true,
+            validateStatus: () => true,
+            signal
+        });
+    } catch (error) {
+        if (error.code !== 'TOO_MANY_REDIRECTS') throw error;
+        const last = error.redirects[error.redirects.length - 1];
+        return { status: last.status, statusText: '', headers: {}, data: '', url: last.url, redirects: error.redirects.slice(0, -1), redirectLimitExceeded: true };
+    }
+};
+
+// Fetch a page for auditing. With `render` the page is also loaded in a headless browser:
+// the returned response carries the rendered DOM instead of the raw HTML, and `rendering`
+// describes what client-side rendering changed. Error and redirect responses aren't rendered.
+export const loadPage = async (url, { render = false, signal, onProgress = () => {} } = {}) => {
+    const response = await fetchPage(url, { signal });
+    if (!render || response.status >= 300) return { response, rendering: null };
+
+    onProgress({ stage: 'rendering page' });
+    const { html, ...renderInfo } = await renderPage(url, { signal });
+    return {
+        response: { ...response, data: html },
+        rendering: { ...renderInfo, diff: compareRendered(response.data, html, url) }
+    };
+};
+
+export const fetchSecurityHeaders = async (url, { signal } = {}) => {
+    try {
+        const headerResponse = await safeRequest(url, { method: 'HEAD', validateStatus: () => true, timeout: 10000, signal });
+        const headers = headerResponse.headers || {};
+        return {
+            hasXFrameOptions: Boolean(headers['x-frame-options']),
+            hasContentSecurityPolicy: Boolean(headers['content-security-policy']),
+            hasXXSSProtection: Boolean(headers['x-xss-protection']),
+            hasStrictTransportSecurity: Boolean(headers['strict-transport-security']),
+            hasReferrerPolicy: Boolean(headers['referrer-policy']),
+            hasPermissionsPolicy: Boolean(headers['permissions-policy'] || headers['feature-policy'])
+        };
+    } catch (err) {
+        console.error('Security header check failed:', err.message);
+        return {};
+    }
+};
+
+// Resolve the per-request options into the `rules` / `disabledRules` / `scoringProfile` /
+// `keywordOptions` context analyzePage expects. `checkLinks: false` is shorthand for disabling
+// link-validation. Throws RuleSelectionError / ScoringProfileError / KeywordOptionsError for
+// bad options.
+export const resolveAuditContext = async ({ rules: selection, checkLinks, scoringProfile, keywords, language } = {}) => {
+    const merged = { ...(selection || {}) };
+    if (checkLinks === false) merged.disable = [...(merged.disable || []), 'link-validation'];
+    const { selected, disabled } = selectRules(await loadRules(), merged);
+    return {
+        rules: selected,
+        disabledRules: disabled,
+        scoringProfile: resolveScoringProfile(scoringProfile),
+        keywordOptions: normalizeKeywordOptions({ keywords, language })
+    };
+};
+
+// Extract the page metrics and run the selected rules against an already fetched page.
+// `context` can carry:
+//   rules, disabledRules,   - from resolveAuditContext; resolved here from the raw request
+//   scoringProfile,           options (`rules`, `checkLinks`, `scoringProfile`, `keywords`,
+//   keywordOptions            `language`) when missing
+//   robotsInfo, sitemapInfo - site-wide files the crawler fetched once for every page
+//   rendering               - loadPage()'s raw-vs-rendered comparison in rendered mode
+//   resourceCache           - Map sharing fetched scripts, stylesheets, fonts and images
+//                             between the pages of a crawl or batch
+//   signal, onProgress      - job cancellation and progress reporting
+export const analyzePage = async (url, response, context = {}) => {
+    const { signal, onProgress = () => {} } = context;
+    const { rules, disabledRules, scoringProfile, keywordOptions } = Array.isArray(context.rules) ? context : await resolveAuditContext(context);
+    // Progress steps: fetching page, analyzing content, then one per rule
+    const totalSteps = rules.length + 2;
+    onProgress({ stage: 'analyzing content', step: 2, totalSteps });
+
+    // Parse the HTML
+    const $ = cheerio.load(response.data);
+
+    // Extract SEO elements - making sure to only get the target site's title
+    let title = $('title').text();
+    
+    // Clean up the title to remove any SEO Audit Tool related text
+    if (title.includes('SEO Audit Tool')) {
+        // If title contains SEO Audit Tool, remove that part and anything after it
+        title = title.split('SEO Audit Tool')[0].trim();
+        // Also remove any trailing separators like | or -
+        title = title.replace(/[\|\-\.]+\s*$/, '').trim();
+    }
+    
+    console.log('Extracted title:', title);
+    const metaDescription = $('meta[name="description"]').attr('content') || '';
+    const viewportMeta = $('meta[name="viewport"]').attr('content') || '';
+    // Super robust heading detection - using multiple methods in combination
+    console.log('URL being analyzed:', url);
+    console.log('Parsing HTML content length:', response.data.length);
+    
+    // Method 1: Use Cheerio with direct tag selectors and log fully
+    let h1CountCheerio = $('h1').length;
+    let h2CountCheerio = $('h2').length;
+    let h3CountCheerio = $('h3').length;
+    let h4CountCheerio = $('h4').length;
+    let h5CountCheerio = $('h5').length;
+    let h6CountCheerio = $('h6').length;
+
+    // Log ALL found tags for debugging
+    console.log('Cheerio found H1 tags:', $('h1').length);
+    if (h1CountCheerio > 0) {
+        $('h1').each((i, el) => {
+            console.log(`H1 #${i+1} text:`, $(el).text());
+            console.log(`H1 #${i+1} html:`, $(el).html());
+        });
+    }
+    console.log('Cheerio found H2 tags:', $('h2').length);
+    if (h2CountCheerio > 0) {
+        $('h2').each((i, el) => {
+            if (i < 3) console.log(`H2 #${i+1} text:`, $(el).text()); // Log only first 3 to avoid clutter
+        });
+    }
+    
+    // Method 2: Use regex approach as a backup
+    const htmlContent = response.data;
+    
+    // These patterns handle complex nested tags better
+    const h1Regex = /<h1[^>]*>[\s\S]*?<\/h1>/gi;
+    const h2Regex = /<h2[^>]*>[\s\S]*?<\/h2>/gi;
+    const h3Regex = /<h3[^>]*>[\s\S]*?<\/h3>/gi;
+    const h4Regex = /<h4[^>]*>[\s\S]*?<\/h4>/gi;
+    const h5Regex = /<h5[^>]*>[\s\S]*?<\/h5>/gi;
+    const h6Regex = /<h6[^>]*>[\s\S]*?<\/h6>/gi;
+    
+    // Count matches with regex
+    const h1Matches = htmlContent.match(h1Regex) || [];
+    const h2Matches = htmlContent.match(h2Regex) || [];
+    const h3Matches = htmlContent.match(h3Regex) || [];
+    const h4Matches = htmlContent.match(h4Regex) || [];
+    const h5Matches = htmlContent.match(h5Regex) || [];
+    const h6Matches = htmlContent.match(h6Regex) || [];
+    
+    console.log('Regex found H1 tags:', h1Matches.length);
+    h1Matches.forEach((match, i) => {
+        if (i < 3) console.log(`Regex H1 #${i+1}:`, match.substring(0, 100) + (match.length > 100 ? '...' : ''));
+    });
+    console.log('Regex found H2 tags:', h2Matches.length);
+    h2Matches.forEach((match, i) => {
+        if (i < 3) console.log(`Regex H2 #${i+1}:`, match.substring(0, 100) + (match.length > 100 ? '...' : ''));
+    });
+    
+    // Method 3: Try a more aggressive search with alternate patterns
+    // This can help with pages that use custom components or have malformed HTML
+    try {
+        // Look for any tag that might be styled as a heading or have heading-like properties
+        const potentialHeadingElements = $('[role="heading"], .heading, .title, .header, .h1, .h2, .h3');
+        console.log('Potential additional heading elements found:', potentialHeadingElements.length);
+        
+        if (potentialHeadingElements.length > 0) {
+            potentialHeadingElements.each((i, el) => {
+                if (i < 3) console.log(`Potential heading #${i+1}:`, $(el).text());
+            });
+        }
+    } catch (error) {
+        console.error('Error in heading detection method 3:', error.message);
+    }
+    
+    // Method 4: Count any tag containing "h1", "h2" case-insensitively
+    try {
+        // This approach could catch customized heading tags like <custom-h1>
+        const customH1Regex = /<[^>]*h1[^>]*>[\s\S]*?<\/[^>]*h1[^>]*>/gi;
+        const customH2Regex = /<[^>]*h2[^>]*>[\s\S]*?<\/[^>]*h2[^>]*>/gi;
+        const customH1Matches = htmlContent.match(customH1Regex) || [];
+        const customH2Matches = htmlContent.match(customH2Regex) || [];
+        
+        console.log('Custom H1 tags found:', customH1Matches.length);
+        console.log('Custom H2 tags found:', customH2Matches.length);
+    } catch (error) {
+        console.error('Error in heading detection method 4:', error.message);
+    }
+    
+    // Method 5: Use HTML comment stripping and brute-force regex approach
+    // This can help with complex nested HTML or websites with JavaScript rendering
+    try {
+        // Strip HTML comments that might contain heading tags but aren't rendered
+        const strippedHtml = htmlContent.replace(/<!--[\s\S]*?-->/g, '');
+        
+        // Super aggressive regex patterns that are very permissive
+        const bruteH1Regex = /<h1[^>]*>[\s\S]*?<\/h1>/gi;
+        const bruteH2Regex = /<h2[^>]*>[\s\S]*?<\/h2>/gi;
+        
+        const bruteH1Matches = strippedHtml.match(bruteH1Regex) || [];
+        const bruteH2Matches = strippedHtml.match(bruteH2Regex) || [];
+        
+        console.log('Brute force H1 tags found:', bruteH1Matches.length);
+        console.log('Brute force H2 tags found:', bruteH2Matches.length);
+        
+        // Check for significant differences between methods
+        if (bruteH1Matches.length > h1CountCheerio && bruteH1Matches.length > h1Matches.length) {
+            console.log('Brute force method found more H1 tags than other methods');
+            h1CountCheerio = bruteH1Matches.length; // Use this higher count
+        }
+        
+        if (bruteH2Matches.length > h2CountCheerio && bruteH2Matches.length > h2Matches.length) {
+            console.log('Brute force method found more H2 tags than other methods');
+            h2CountCheerio = bruteH2Matches.length; // Use this higher count
+        }
+    } catch (error) {
+        console.error('Error in heading detection method 5:', error.message);
+    }
+    
+    // Use the higher count from all methods with additional safeguards
+    // If there's a large discrepancy, log explanations and use the highest count
+    
+    // Additional check: directly search in the raw HTML for probable h2/h3 tags
+    // Some sites use non-standard HTML that might confuse parsers
+    const rawH2Count = (htmlContent.match(/<h2/gi) || []).length;
+    const rawH3Count = (htmlContent.match(/<h3/gi) || []).length;
+    console.log('Raw HTML tag counts:', { rawH2: rawH2Count, rawH3: rawH3Count });
+    
+    // Final counts: take the maximum of all counting methods
+    const h1Count = Math.max(h1CountCheerio, h1Matches.length);
+    const h2Count = Math.max(h2CountCheerio, h2Matches.length, rawH2Count);
+    const h3Count = Math.max(h3CountCheerio, h3Matches.length, rawH3Count);
+    const h4Count = Math.max(h4CountCheerio, h4Matches.length);
+    const h5Count = Math.max(h5CountCheerio, h5Matches.length);
+    const h6Count = Math.max(h6CountCheerio, h6Matches.length);
+    
+    console.log('FINAL HEADING COUNTS:', { h1: h1Count, h2: h2Count, h3: h3Count, h4: h4Count, h5: h5Count, h6: h6Count });
+    
+    if (Math.abs(h1CountCheerio - h1Matches.length) > 2) {
+        console.log('WARNING: Large discrepancy in H1 count between methods!');
+    }
+    if (Math.abs(h2CountCheerio - h2Matches.length) > 5) {
+        console.log('WARNING: Large discrepancy in H2 count between methods!');
+    }
+
+    // Get first H1 text if it exists
+    let h1Text = '';
+    if (h1Count > 0 && h1Matches[0]) {
+        // Extract text from first H1 tag, removing HTML tags
+        h1Text = h1Matches[0].replace(/<\/?[^>]+(>|$)/g, '').trim();
+    }
+    
+    // Debug output for heading detection
+    console.log('Enhanced heading detection:');
+    console.log('H1 Tags:', h1Matches);
+    console.log('H2 Tags:', h2Matches.slice(0, 5)); // Show first 5 only to avoid log clutter
+    console.log('Heading counts:', { h1: h1Count, h2: h2Count, h3: h3Count, h4: h4Count, h5: h5Count, h6: h6Count });
+    const imgCount = $('img').length;
+    const imgWithAltCount = $('img[alt]').length;
+    // Relative and protocol-relative hrefs count too, resolved against the page
+    const { internal: internalLinks, external: externalLinks } = countLinks($, url);
+    const canonicalUrl = $('link[rel="canonical"]').attr('href') || '';
+    const robotsMeta = $('meta[name="robots"]').attr('content') || '';
+    const keywordsMeta = $('meta[name="keywords"]').attr('content') || '';
+    const headings = {
+        h1: h1Count,
+        h2: h2Count,
+        h3: h3Count,
+        h4: h4Count,
+        h5: h5Count,
+        h6: h6Count
+    };
+    
+    // Check for SSL - safely get it from the original URL
+    // Axios response structure may vary between environments
+    const hasSSL = url.startsWith('https://');
+    console.log('SSL check:', { originalUrl: url, hasSSL });
+    
+    // Initialize values with defaults to avoid undefined
+    // Analyze page load speed factors
+    const scriptCount = $('script').length || 0;
+    const cssCount = $('link[rel="stylesheet"]').length || 0;
+    const inlineStyles = $('style').length || 0;
+    console.log('Resource counts:', { scripts: scriptCount, css: cssCount, styles: inlineStyles });
+    
+    // Calculate text-to-code ratio for content quality assessment. Inline scripts and styles
+    // are code, not text.
+    const bodyText = $('body').text();
+    const codeText = $('body script, body style, body noscript, body template').text();
+    const textLength = bodyText.length - codeText.length;
+    const htmlLength = htmlContent.length;
+    const textToCodeRatio = textLength / htmlLength;
+    console.log('Content quality:', { textLength, htmlLength, textToCodeRatio });
+    
+    // Count media elements for content richness
+    const totalImages = imgCount || 0;
+    const totalVideos = $('video, iframe[src*="youtube"], iframe[src*="vimeo"]').length || 0;
+    console.log('Media elements:', { images: totalImages, videos: totalVideos });
+    
+    // Check for structured data (JSON-LD, Microdata and RDFa items)
+    const structuredData = extractStructuredData($);
+    const structuredDataCount = structuredData.items.length;
+    
+    // Target keywords (or the title's first significant word) and the page's top phrases.
+    // `keywordDensity` is the first keyword's, for scoring.
+    const keywordAnalysis = analyzeKeywords($, { url, html: htmlContent, page: { title, metaDescription }, ...keywordOptions });
+    const keywordDensity = keywordAnalysis.keywords.length ? keywordAnalysis.keywords[0].density : 0;
+    console.log('Keyword density:', keywordDensity.toFixed(2) + '%', keywordAnalysis.keywords.map(k => k.keyword));
+    
+    // Main content readability, length and heading outline, in the keyword analysis' language
+    const contentAnalysis = analyzeContent($, htmlContent, { language: keywordAnalysis.language });
+    
+    // Accessibility checks, scored separately from SEO
+    const accessibility = analyzeAccessibility($);
+    
+    // Check for social media meta tags
+    const openGraphTags = $('meta[property^="og:"]').length || 0;
+    const twitterTags = $('meta[name^="twitter:"]').length || 0;
+    const socialMediaTags = openGraphTags + twitterTags;
+    console.log('Social tags:', { openGraph: openGraphTags, twitter: twitterTags, total: socialMediaTags });
+    
+    // Mobile friendliness check - more detailed
+    const hasMobileViewport = typeof viewportMeta === 'string' && viewportMeta.includes('width=device-width');
+    console.log('Mobile viewport:', { meta: viewportMeta, hasMobileViewport });
+
+    const page = {
+        // Basic SEO Elements
+        title,
+        metaDescription,
+        h1Text,
+        h1Count,
+        h2Count,
+        h3Count,
+        h4Count,
+        h5Count,
+        h6Count,
+        imgCount,
+        imgWithAltCount,
+        internalLinks,
+        externalLinks,
+        canonicalUrl,
+        robotsMeta,
+        keywordsMeta,
+        
+        // Page Structure
+        headings,
+        
+        // Technical SEO
+        hasSSL,
+        hasMobileViewport,
+        viewportMeta,
+        
+        // Performance Indicators
+        scriptCount,
+        cssCount,
+        inlineStyles,
+        
+        // Content Quality Metrics
+        textToCodeRatio,
+        keywordDensity,
+        totalImages: imgCount,
+        totalVideos,
+        structuredDataCount,
+        
+        // Social Media
+        socialMediaTags,
+        openGraphTags,
+        twitterTags
+    };
+
+    // === Rule-based checks ===
+    // The sitemap provider needs robots.txt for its Sitemap: lines, so share one fetch
+    let robotsPromise = null;
+    const getRobots = () => {
+        if (!robotsPromise) robotsPromise = Promise.resolve(context.robotsInfo || getRobotsTxt(url, { signal }));
+        return robotsPromise;
+    };
+    const providers = {
+        dom: () => $,
+        html: () => htmlContent,
+        url: () => url,
+        headers: () => response.headers || {},
+        page: () => page,
+        robots: getRobots,
+        sitemap: async () => context.sitemapInfo || getXmlSitemap(url, { locations: (await getRobots()).sitemaps || [], signal }),
+        securityHeaders: () => fetchSecurityHeaders(url, { signal }),
+        links: () => validateLinks($, url, { signal }),
+        structuredData: () => structuredData,
+        keywords: () => keywordAnalysis,
+        content: () => contentAnalysis,
+        accessibility: () => accessibility,
+        resources: () => analyzeResources($, url, response, { cache: context.resourceCache, signal }),
+        social: () => analyzeSocial($, url, { signal }),
+        indexability: async () => analyzeIndexability($, { url, response, robots: await getRobots(), signal }),
+        rendering: () => context.rendering || null
+    };
+    const ruleResults = await runRules(rules, providers, {
+        signal,
+        onRule: (rule, index) => onProgress({ stage: `running ${rule.id}`, step: index + 3, totalSteps })
+    });
+    const { data: ruleData } = ruleResults;
+
+    // === Scoring ===
+    const resourceHints = ruleData['resource-hints'];
+    const securityHeaders = ruleData['security-headers'];
+    const resources = ruleResults.inputs.resources || null;
+    const social = ruleResults.inputs.social || null;
+    const preview = social ? social.preview : previewFromTags($, url);
+    const indexability = ruleResults.inputs.indexability || null;
+    const scoring = scorePage({ ...page, resourceHints, securityHeaders, content: contentAnalysis, accessibility, resources, social, indexability }, scoringProfile);
+    const onPageScore = scoring.categories.onPage.score;
+    const technicalScore = scoring.categories.technical.score;
+    const contentScore = scoring.categories.content.score;
+    const performanceScore = scoring.categories.performance.score;
+    const accessibilityScore = scoring.categories.accessibility.score;
+    const overallScore = scoring.overall.score;
+
+    console.log('Scores:', { profile: scoring.profile, onPageScore, technicalScore, contentScore, performanceScore, accessibilityScore, overallScore });
+
+    // Most severe first, then by how many overall points fixing the issue would recover
+    const findings = ruleResults.findings
+        .map(finding => ({ ...finding, impact: estimateScoreImpact(finding.scoreCheck, scoring.breakdown) }))
+        .sort((a, b) => (SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]) || (b.impact.overallPoints - a.impact.overallPoints));
+
+    return {
+        url,
+        analysis: {
+            ...page,
+            
+            // Advanced scores
+            onPageScore,
+            technicalScore,
+            contentScore,
+            performanceScore,
+            overallScore,
+            // Not part of overallScore unless the scoring profile weights it
+            accessibilityScore,
+            scoring,
+
+            // Crawl & technical extras (absent when the rule or input was disabled)
+            robotsInfo: ruleResults.inputs.robots,
+            robotsVerdicts: ruleData['robots-txt'],
+            sitemapInfo: ruleResults.inputs.sitemap,
+            hreflangInfo: ruleData.hreflang,
+            paginationInfo: ruleData.pagination,
+            imageSizeInfo: ruleData['image-sizes'],
+            resources,
+            cachingInfo: ruleData.caching,
+            mixedContentInfo: ruleData['mixed-content'],
+            structuredDataValidation: ruleData['structured-data'],
+            keywordAnalysis,
+            contentAnalysis,
+            accessibility,
+            linkValidation: ruleData['link-validation'] || null,
+            resourceHints,
+            securityHeaders,
+            imageOptimization: ruleData['image-optimization'],
+            urlStructure: ruleData['url-structure'],
+            rendering: context.rendering || null,
+            social,
+            indexability,
+            preview,
+
+            rules: {
+                ran: ruleResults.ran,
+                disabled: disabledRules,
+                errors: ruleResults.errors
+            },
+            
+            timestamp: new Date().toISOString()
+        },
+        findings,
+        // Plain strings kept for the current index.html and older clients
+        recommendations: findings.map(finding => finding.message)
+    };
+};
+
+export const auditUrl = async (url, context = {}) => {
+    const { signal, onProgress = () => {} } = context;
+    // Resolve the options first so an invalid rule selection or profile fails before any fetching
+    const auditContext = await resolveAuditContext(context);
+    onProgress({ stage: 'fetching page', step: 1, totalSteps: auditContext.rules.length + 2 });
+    const { response, rendering } = await loadPage(url, { render: context.render, signal, onProgress });
+    return analyzePage(url, response, { ...context, ...auditContext, rendering });
+};
@@ -0,0 +1,260 @@
+import { loadPage, analyzePage, resolveAuditContext } from './analyzer.js';
+import { buildRollup, toPageContent } from './crawler.js';
+import { findDuplicates } from './duplicates.js';
+import { getRobotsTxt, getXmlSitemap } from './cache.js';
+import { throwIfAborted } from './errors.js';
+
+export class BatchError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BatchError';
+        this.code = 'INVALID_BATCH';
+    }
+}
+
+// Link validation is off by default, as for crawls. Requests to one host start at least
+// `hostDelayMs` apart so a batch of URLs on the same site doesn't hammer it.
+export const BATCH_DEFAULTS = { concurrency: 5, hostDelayMs: 1000, checkLinks: false, render: false };
+export const BATCH_LIMITS = {
+    urls: parseInt(process.env.BATCH_MAX_URLS || '', 10) || 500,
+    concurrency: 10,
+    hostDelayMs: 10000
+};
+// Findings listed per URL in the batch table
+const TOP_FINDINGS = 3;
+
+const clamp = (value, fallback, min, max) => {
+    const n = parseInt(value, 10);
+    if (Number.isNaN(n)) return fallback;
+    return Math.min(Math.max(n, min), max);
+};
+
+export const normalizeBatchOptions = (options = {}) => ({
+    concurrency: clamp(options.concurrency, BATCH_DEFAULTS.concurrency, 1, BATCH_LIMITS.concurrency),
+    hostDelayMs: clamp(options.hostDelayMs, BATCH_DEFAULTS.hostDelayMs, 0, BATCH_LIMITS.hostDelayMs),
+    checkLinks: options.checkLinks !== undefined ? Boolean(options.checkLinks) : BATCH_DEFAULTS.checkLinks,
+    render: options.render !== undefined ? Boolean(options.render) : BATCH_DEFAULTS.render
+});
+
+// Column headers recognised as the URL column of a CSV export
+const URL_HEADERS = ['url', 'urls', 'address', 'page', 'link', 'loc', 'location'];
+
+// One CSV record; handles quoted fields with doubled quotes inside
+const parseCsvLine = (line, delimiter) => {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && !cell.trim()) {
+            quoted = true;
+            cell = '';
+        } else if (char === delimiter) {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+};
+
+// Bare hostnames like "example.com/page" are common in pasted lists; assume https
+const toUrl = (value) => {
+    const candidate = /^[a-z][a-z0-9+.-]*:\/\//i.test(value) ? value : `https://${value}`;
+    try {
+        const parsed = new URL(candidate);
+        if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+        if (!parsed.hostname.includes('.') && parsed.hostname !== 'localhost') return null;
+        parsed.hash = '';
+        return parsed.href;
+    } catch {
+        return null;
+    }
+};
+
+// Turn a list of values into unique audit URLs, reporting the ones that aren't URLs
+const collectUrls = (entries) => {
+    const urls = [];
+    const seen = new Set();
+    const invalid = [];
+    let duplicates = 0;
+    entries.forEach(({ line, value }) => {
+        const url = typeof value === 'string' ? toUrl(value.trim()) : null;
+        if (!url) {
+            invalid.push({ line, value });
+        } else if (seen.has(url)) {
+            duplicates++;
+        } else {
+            seen.add(url);
+            urls.push(url);
+        }
+    });
+    return { urls, invalid, duplicates };
+};
+
+// A pasted list (one URL per line) or a CSV export. For CSVs the column headed url, address,
+// page, ... is used, otherwise the first cell of each row that looks like a URL.
+export const parseUrlList = (text) => {
+    const lines = String(text).replace(/^﻿/, '').split(/\r?\n/)
+        .map((content, i) => ({ line: i + 1, content: content.trim() }))
+        .filter(({ content }) => content && !content.startsWith('#'));
+    if (!lines.length) return collectUrls([]);
+
+    const delimiter = [',', ';', '\t'].find(d => lines[0].content.includes(d));
+    if (!delimiter) return collectUrls(lines.map(({ line, content }) => ({ line, value: content })));
+
+    const rows = lines.map(({ line, content }) => ({ line, cells: parseCsvLine(content, delimiter) }));
+    const column = rows[0].cells.findIndex(cell => URL_HEADERS.includes(cell.toLowerCase()));
+    if (column !== -1) {
+        return collectUrls(rows.slice(1).map(({ line, cells }) => ({ line, value: cells[column] || '' })));
+    }
+    // Without a known header, a first row with no URL in it is taken to be one
+    const looksLikeUrl = (cell) => /^https?:\/\//i.test(cell) || /^[^\s/]+\.[a-z]{2,}(\/|$)/i.test(cell);
+    const body = rows[0].cells.some(looksLikeUrl) ? rows : rows.slice(1);
+    return collectUrls(body.map(({ line, cells }) => ({ line, value: cells.find(looksLikeUrl) || cells[0] })));
+};
+
+// JSON `urls` may be an array or the pasted text itself
+export const parseUrlInput = (urls) => {
+    if (Array.isArray(urls)) return collectUrls(urls.map((value, i) => ({ line: i + 1, value })));
+    return parseUrlList(urls || '');
+};
+
+// Parse and check a batch's URLs before it is queued. Rejects an empty or oversized list;
+// entries that aren't URLs are returned in `invalid` so the caller can report them.
+export const prepareBatch = (input) => {
+    if (input !== undefined && !Array.isArray(input) && typeof input !== 'string') {
+        throw new BatchError('urls must be an array of URLs or a newline-separated list');
+    }
+    const parsed = parseUrlInput(input);
+    if (!parsed.urls.length) {
+        throw new BatchError(parsed.invalid.length ? 'None of the submitted entries is a valid URL' : 'No URLs provided');
+    }
+    if (parsed.urls.length > BATCH_LIMITS.urls) {
+        throw new BatchError(`A batch can hold at most ${BATCH_LIMITS.urls} URLs (${parsed.urls.length} submitted)`);
+    }
+    return parsed;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const describeFailure = (error) => ({
+    status: error.response ? error.response.status : null,
+    code: error.code || null,
+    message: error.response ? `Website returned ${error.response.status} ${error.response.statusText}` : error.message
+});
+
+const SCORE_FIELDS = { onPage: 'onPageScore', technical: 'technicalScore', content: 'contentScore', performance: 'performanceScore', accessibility: 'accessibilityScore', overall: 'overallScore' };
+
+// Audit every URL, a few at a time. Failures are reported on the URL's row instead of failing the
+// batch. `options.signal` and `options.onProgress` behave as for crawlSite.
+export const auditBatch = async (urls, options = {}) => {
+    const { concurrency, hostDelayMs, checkLinks, render } = normalizeBatchOptions(options);
+    const { signal, onProgress = () => {} } = options;
+    const auditContext = await resolveAuditContext({
+        rules: options.rules, checkLinks, scoringProfile: options.scoringProfile, keywords: options.keywords, language: options.language
+    });
+
+    // robots.txt and the sitemap are fetched once per origin and shared by its URLs
+    const siteFiles = new Map();
+    const getSiteFiles = (url) => {
+        const { origin } = new URL(url);
+        if (!siteFiles.has(origin)) {
+            const robotsInfo = getRobotsTxt(origin, { signal });
+            const sitemapInfo = robotsInfo.then(robots => getXmlSitemap(origin, { locations: robots.sitemaps || [], signal }));
+            // Only awaited if a rule needs them; don't let an unused failure go unhandled
+            sitemapInfo.catch(() => {});
+            siteFiles.set(origin, { robotsInfo, sitemapInfo });
+        }
+        return siteFiles.get(origin);
+    };
+
+    // Scripts, stylesheets and images shared between URLs of a site are downloaded once
+    const resourceCache = new Map();
+
+    const queue = urls.map((url, index) => ({ url, index, host: new URL(url).host }));
+    const nextStart = new Map();
+    // The queued URL whose host is free soonest, so one slow host doesn't hold up the others
+    const takeNext = () => {
+        let best = 0;
+        queue.forEach((item, i) => {
+            if ((nextStart.get(item.host) || 0) < (nextStart.get(queue[best].host) || 0)) best = i;
+        });
+        const [item] = queue.splice(best, 1);
+        const startAt = Math.max(Date.now(), nextStart.get(item.host) || 0);
+        nextStart.set(item.host, startAt + hostDelayMs);
+        return { item, wait: startAt - Date.now() };
+    };
+
+    const rows = new Array(urls.length);
+    const audited = [];
+    const contents = [];
+    let completed = 0;
+
+    const worker = async () => {
+        while (queue.length) {
+            throwIfAborted(signal);
+            const { item, wait } = takeNext();
+            if (wait > 0) await sleep(wait);
+            throwIfAborted(signal);
+            console.log(`Batch [${completed + 1}/${urls.length}]: ${item.url}`);
+            try {
+                const { response, rendering } = await loadPage(item.url, { render, signal });
+                const result = await analyzePage(item.url, response, { ...auditContext, ...getSiteFiles(item.url), rendering, resourceCache, signal });
+                const { analysis, findings } = result;
+                const scores = Object.fromEntries(Object.entries(SCORE_FIELDS).map(([name, field]) => [name, analysis[field]]));
+                rows[item.index] = {
+                    url: item.url,
+                    status: 'audited',
+                    scores,
+                    findingCount: findings.length,
+                    errorCount: findings.filter(f => f.severity === 'error').length,
+                    topFindings: findings.slice(0, TOP_FINDINGS).map(({ code, severity, message }) => ({ code, severity, message })),
+                    error: null
+                };
+                // Only what the rollup needs, so a 500-URL batch doesn't hold every full result
+                audited.push({ url: item.url, analysis: Object.fromEntries(Object.values(SCORE_FIELDS).map(field => [field, analysis[field]])), findings });
+                // Error pages aren't indexed, so they can't compete as duplicates
+                if (response.status < 400) contents.push(toPageContent(result, response.data));
+            } catch (error) {
+                throwIfAborted(signal);
+                // Every other URL would fail the same way
+                if (error.code === 'RENDERER_UNAVAILABLE') throw error;
+                console.error(`Batch audit failed for ${item.url}:`, error.message);
+                rows[item.index] = { url: item.url, status: 'failed', scores: null, findingCount: 0, errorCount: 0, topFindings: [], error: describeFailure(error) };
+            }
+            completed++;
+            onProgress({ stage: 'auditing', completed, total: urls.length, url: item.url });
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, worker));
+
+    const { pagesAudited, scores, findings } = buildRollup(audited);
+    return {
+        options: { concurrency, hostDelayMs, checkLinks, render },
+        summary: {
+            total: urls.length,
+            audited: pagesAudited,
+            failed: urls.length - pagesAudited,
+            scores,
+            // Most widespread issues across the batch
+            findings: findings.slice(0, 10).map(({ urls: affected, ...group }) => ({ ...group, urls: affected.slice(0, 20) }))
+        },
+        rows,
+        // URLs are only compared with others on the same host
+        duplicates: findDuplicates(contents),
+        timestamp: new Date().toISOString()
+    };
+};
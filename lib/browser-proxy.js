@@ -0,0 +1,74 @@
+import http from 'http';
+import net from 'net';
+import { assertSafeUrl, safeLookup } from './safe-fetch.js';
+
+// The headless browser resolves hosts itself, so checking a host before Chrome fetches it
+// leaves a gap: DNS can answer differently when Chrome connects (rebinding). Instead Chrome
+// sends everything through this loopback proxy, which opens each connection with safeLookup,
+// so the address checked is the address used. Plain HTTP is forwarded; HTTPS and WebSockets
+// are tunnelled with CONNECT.
+
+const HOP_BY_HOP_HEADERS = ['proxy-connection', 'proxy-authorization', 'connection', 'keep-alive'];
+
+const agent = new http.Agent({ lookup: safeLookup });
+
+// The host and port a proxied request goes to, refused like safeRequest refuses them
+// (IP-literal hosts skip the lookup, so assertSafeUrl checks those)
+const endpoint = (target) => ({
+    host: target.hostname.replace(/^\[|\]$/g, ''),
+    port: Number(target.port) || (target.protocol === 'https:' ? 443 : 80)
+});
+
+const forward = (req, res) => {
+    let target;
+    try {
+        target = assertSafeUrl(req.url);
+    } catch (error) {
+        res.writeHead(403).end(error.message);
+        return;
+    }
+    const headers = { ...req.headers };
+    HOP_BY_HOP_HEADERS.forEach(name => delete headers[name]);
+    const options = { ...endpoint(target), agent, method: req.method, path: target.pathname + target.search, headers };
+    const upstream = http.request(options, (response) => {
+        res.writeHead(response.statusCode, response.headers);
+        response.pipe(res);
+    });
+    upstream.on('error', (error) => {
+        if (!res.headersSent) res.writeHead(error.code === 'BLOCKED_ADDRESS' ? 403 : 502);
+        res.end();
+    });
+    req.pipe(upstream);
+};
+
+const tunnel = (req, client, head) => {
+    let target;
+    try {
+        target = endpoint(assertSafeUrl(`https://${req.url}`));
+    } catch {
+        client.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+        return;
+    }
+    const upstream = net.connect({ ...target, lookup: safeLookup }, () => {
+        client.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+        if (head.length) upstream.write(head);
+        upstream.pipe(client);
+        client.pipe(upstream);
+    });
+    upstream.on('error', (error) => {
+        if (client.writable) client.end(`HTTP/1.1 ${error.code === 'BLOCKED_ADDRESS' ? '403 Forbidden' : '502 Bad Gateway'}\r\n\r\n`);
+    });
+    client.on('error', () => upstream.destroy());
+};
+
+// Listen on a free loopback port; resolves with the `host:port` to hand Chrome. Unref'd so the
+// proxy never keeps the process alive on its own.
+export const startBrowserProxy = () => new Promise((resolve, reject) => {
+    const server = http.createServer(forward);
+    server.on('connect', tunnel);
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+        server.unref();
+        resolve(`127.0.0.1:${server.address().port}`);
+    });
+});
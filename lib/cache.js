@@ -0,0 +1,194 @@
+import { AuditCancelledError, throwIfAborted } from './errors.js';
+import { fetchRobotsTxt } from './robots.js';
+import { fetchXmlSitemap } from './sitemap.js';
+
+// Caches for repeated audits of the same URL:
+//  - single-page audit results, keyed by the normalised URL and the audit options, kept for
+//    RESULT_CACHE_TTL_MS (default 10 minutes; 0 turns the cache off), at most
+//    RESULT_CACHE_MAX_ENTRIES (default 100) of them
+//  - robots.txt and sitemap results per origin, kept for SITE_FILE_CACHE_TTL_MS (default 10
+//    minutes), shared by single-page audits, crawls and batches. Fetching one may take at most
+//    SITE_FILE_TIMEOUT_MS (default 60 seconds), every file and sampled URL included.
+// Identical audits that overlap share one run instead of starting another.
+
+const envMs = (name, fallback) => {
+    const n = parseInt(process.env[name] ?? '', 10);
+    return Number.isNaN(n) ? fallback : Math.max(n, 0);
+};
+
+export const RESULT_CACHE_TTL_MS = envMs('RESULT_CACHE_TTL_MS', 10 * 60 * 1000);
+export const RESULT_CACHE_MAX_ENTRIES = envMs('RESULT_CACHE_MAX_ENTRIES', 100);
+export const SITE_FILE_CACHE_TTL_MS = envMs('SITE_FILE_CACHE_TTL_MS', 10 * 60 * 1000);
+export const SITE_FILE_TIMEOUT_MS = envMs('SITE_FILE_TIMEOUT_MS', 60 * 1000) || 60 * 1000;
+
+// A Map with per-entry expiry that drops the least recently used entry when full
+export const createTtlCache = ({ ttlMs, maxEntries = Infinity }) => {
+    const entries = new Map();
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry;
+        },
+        set(key, value) {
+            if (!ttlMs || !maxEntries) return null;
+            const entry = { value, storedAt: Date.now(), expiresAt: Date.now() + ttlMs };
+            entries.delete(key);
+            entries.set(key, entry);
+            while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+            return entry;
+        },
+        delete(key) {
+            entries.delete(key);
+        },
+        clear() {
+            entries.clear();
+        },
+        get size() {
+            return entries.size;
+        }
+    };
+};
+
+// JSON with object keys sorted, so { a, b } and { b, a } give the same cache key
+const stableStringify = (value) => {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+};
+
+// Lower-cased scheme and host, no default port or fragment, query parameters sorted. Anything
+// that isn't a URL is keyed as given and left for the audit to reject.
+export const normalizeCacheUrl = (url) => {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        parsed.searchParams.sort();
+        return parsed.href;
+    } catch {
+        return String(url);
+    }
+};
+
+export const auditCacheKey = (url, options = {}) => `${normalizeCacheUrl(url)} ${stableStringify(options)}`;
+
+// Settle with `promise`, or reject as cancelled as soon as `signal` aborts
+const withSignal = (promise, signal) => {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(new AuditCancelledError());
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(new AuditCancelledError());
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+};
+
+const results = createTtlCache({ ttlMs: RESULT_CACHE_TTL_MS, maxEntries: RESULT_CACHE_MAX_ENTRIES });
+const inFlight = new Map();
+
+// What a cached response says about where it came from
+const describeEntry = (entry, { hit, shared = false }) => ({
+    hit,
+    shared,
+    ageSeconds: entry ? Math.round((Date.now() - entry.storedAt) / 1000) : 0,
+    storedAt: entry ? new Date(entry.storedAt).toISOString() : null,
+    expiresAt: entry ? new Date(entry.expiresAt).toISOString() : null
+});
+
+// Run `run({ signal, onProgress })` for `key`, or reuse its cached result or a run already in
+// progress. `force` skips the cached result (the fresh one replaces it). The shared run is only
+// cancelled once every caller waiting on it has cancelled, and reports progress to all of them.
+// Resolves with { value, cache: { hit, shared, ageSeconds, storedAt, expiresAt } }.
+export const cachedAudit = async (key, run, { signal, onProgress = () => {}, force = false } = {}) => {
+    if (!force) {
+        const entry = results.get(key);
+        if (entry) return { value: entry.value, cache: describeEntry(entry, { hit: true }) };
+    }
+
+    // A caller that has already left must not join (or start) a run: its abort event has fired,
+    // so it would never be counted out and the run could never be cancelled
+    throwIfAborted(signal);
+    let flight = inFlight.get(key);
+    const shared = Boolean(flight);
+    if (!flight) {
+        const controller = new AbortController();
+        const listeners = new Set();
+        flight = { controller, listeners, waiting: 0, settled: false };
+        flight.promise = run({
+            signal: controller.signal,
+            onProgress: (progress) => listeners.forEach(listener => listener(progress))
+        }).then(value => ({ value, entry: results.set(key, value) }));
+        flight.promise.finally(() => {
+            flight.settled = true;
+            // A newer run may have taken the key since this one was cancelled
+            if (inFlight.get(key) === flight) inFlight.delete(key);
+        }).catch(() => {});
+        inFlight.set(key, flight);
+    }
+
+    flight.waiting++;
+    flight.listeners.add(onProgress);
+    // A cancelled run is dropped from inFlight at once, so callers arriving before it has wound
+    // down start a new run instead of joining one that can only fail
+    const leave = () => {
+        flight.listeners.delete(onProgress);
+        if (--flight.waiting === 0 && !flight.settled) {
+            flight.controller.abort();
+            if (inFlight.get(key) === flight) inFlight.delete(key);
+        }
+    };
+    const onAbort = () => leave();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    try {
+        const { value, entry } = await withSignal(flight.promise, signal);
+        return { value, cache: { ...describeEntry(entry, { hit: false, shared }), ageSeconds: 0 } };
+    } finally {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        if (!(signal && signal.aborted)) flight.listeners.delete(onProgress);
+    }
+};
+
+const siteFiles = createTtlCache({ ttlMs: SITE_FILE_CACHE_TTL_MS });
+const siteFilesInFlight = new Map();
+
+// robots.txt or sitemap results for an origin, fetched at most once per SITE_FILE_CACHE_TTL_MS.
+// `fetcher({ signal })` runs without the caller's signal, since other audits may be waiting on
+// it, but with one that times out after SITE_FILE_TIMEOUT_MS; requests it aborts fail as timed
+// out, which the fetchers report like any unreachable file. The caller still stops waiting
+// when its own signal aborts. Failed fetches aren't cached.
+export const cachedSiteFile = (kind, url, options, fetcher, { signal } = {}) => {
+    const key = `${kind} ${new URL(url).origin} ${stableStringify(options)}`;
+    const entry = siteFiles.get(key);
+    if (entry) return withSignal(Promise.resolve(entry.value), signal);
+    if (!siteFilesInFlight.has(key)) {
+        const promise = fetcher({ signal: AbortSignal.timeout(SITE_FILE_TIMEOUT_MS) }).then((value) => {
+            if (value && !value.error && !value.unreachable) siteFiles.set(key, value);
+            return value;
+        });
+        promise.finally(() => siteFilesInFlight.delete(key)).catch(() => {});
+        siteFilesInFlight.set(key, promise);
+    }
+    return withSignal(siteFilesInFlight.get(key), signal);
+};
+
+export const getRobotsTxt = (url, { signal } = {}) =>
+    cachedSiteFile('robots', url, {}, (context) => fetchRobotsTxt(url, context), { signal });
+
+// `options` are fetchXmlSitemap()'s
+export const getXmlSitemap = (url, { signal, ...options } = {}) =>
+    cachedSiteFile('sitemap', url, options, (context) => fetchXmlSitemap(url, { ...options, ...context }), { signal });
+
+// Drop everything cached, e.g. after a site has been fixed
+export const clearCaches = () => {
+    results.clear();
+    siteFiles.clear();
+};
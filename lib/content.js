@@ -0,0 +1,257 @@
+import cheerio from 'cheerio';
+import { tokenize, DEFAULT_LANGUAGE } from './keywords.js';
+import { selectorFor } from './utils.js';
+
+// Main content with fewer words than this is thin
+export const THIN_CONTENT_WORDS = 300;
+// Sentences longer than this many words are hard to read
+const LONG_SENTENCE_WORDS = 25;
+// Evidence items kept per heading issue
+const MAX_HEADING_EVIDENCE = 20;
+
+// Never part of the readable content
+const NON_CONTENT_SELECTOR = 'script, style, noscript, template, svg, iframe, form, button, select, textarea';
+// Site chrome around the main content
+const CHROME_SELECTOR = 'nav, header, footer, aside, [role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [aria-hidden="true"]';
+// Text blocks read as paragraphs
+const PARAGRAPH_SELECTOR = 'p, li, blockquote, dd, figcaption, td';
+
+const normalizeText = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+// The element holding the page's main content: <main>, role="main" or the largest <article>
+// when marked up, otherwise the container with the most paragraph text of its own.
+// Returns the element's paragraph texts.
+export const extractMainContent = (html) => {
+    const $ = cheerio.load(String(html || ''));
+    $(NON_CONTENT_SELECTOR).remove();
+
+    const textLength = (el) => normalizeText($(el).text()).length;
+    let root = ['main', '[role="main"]', 'article']
+        .map(selector => $(selector).toArray().sort((a, b) => textLength(b) - textLength(a))[0])
+        .find(el => el && textLength(el) > 0);
+    const isMain = root && (root.tagName.toLowerCase() === 'main' || $(root).attr('role') === 'main');
+    let source = root ? (isMain ? 'main' : 'article') : 'density';
+
+    if (!root) {
+        $(CHROME_SELECTOR).remove();
+        let best = null;
+        let bestLength = 0;
+        $('body, body div, body section').each((_, el) => {
+            const own = $(el).children('p').toArray().reduce((sum, p) => sum + textLength(p), 0);
+            if (own > bestLength) {
+                best = el;
+                bestLength = own;
+            }
+        });
+        root = best || $('body').get(0);
+        if (!best) source = 'body';
+    } else {
+        $(root).find(CHROME_SELECTOR).remove();
+    }
+
+    if (!root) return { source: 'none', paragraphs: [], text: '' };
+    // Innermost blocks only, so a <li> holding a <p> isn't counted twice
+    const paragraphs = $(root).find(PARAGRAPH_SELECTOR)
+        .filter((_, el) => $(el).find(PARAGRAPH_SELECTOR).length === 0)
+        .map((_, el) => normalizeText($(el).text()))
+        .get()
+        .filter(Boolean);
+    // Bare text in a container without paragraph markup still counts as content
+    const text = paragraphs.length ? paragraphs.join('\n') : normalizeText($(root).text());
+    return { source, paragraphs: paragraphs.length ? paragraphs : (text ? [text] : []), text };
+};
+
+// Sentences end at . ! ? or an ellipsis followed by whitespace, or at a line break
+export const splitSentences = (text) => String(text || '')
+    .split(/(?<=[.!?…])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => tokenize(sentence).some(word => /\p{L}/u.test(word)));
+
+// Syllables estimated from vowel groups, with each language's silent endings dropped first
+const VOWELS = {
+    en: /[aeiouy]+/g,
+    es: /[aeiouáéíóúü]+/g,
+    de: /[aeiouyäöü]+/g,
+    fr: /[aeiouyàâäéèêëîïôöûùü]+/g
+};
+
+export const countSyllables = (word, language = DEFAULT_LANGUAGE) => {
+    let w = word.toLowerCase().replace(/[^\p{L}]/gu, '');
+    if (!w) return 0;
+    if (language === 'en') {
+        if (w.length <= 3) return 1;
+        // Silent endings: "baked", "makes", "made" - but "wanted" and "boxes" keep their syllable
+        w = w.replace(/(?:[^laeiouysxzch]es|[^laeiouytd]ed|[^laeiouy]e)$/, match => match[0]).replace(/^y/, '');
+    } else if (language === 'fr') {
+        w = w.replace(/(?:es|ent|e)$/, '');
+    }
+    return Math.max(1, (w.match(VOWELS[language] || VOWELS.en) || []).length);
+};
+
+// Reading ease on the 0-100 Flesch scale with each language's own coefficients, and a
+// school grade level. `asl` is words per sentence, `asw` syllables per word.
+const READABILITY_FORMULAS = {
+    en: {
+        ease: { name: 'Flesch Reading Ease', score: ({ asl, asw }) => 206.835 - 1.015 * asl - 84.6 * asw },
+        grade: { name: 'Flesch-Kincaid Grade Level', score: ({ asl, asw }) => 0.39 * asl + 11.8 * asw - 15.59 }
+    },
+    es: {
+        ease: { name: 'Fernández Huerta', score: ({ asl, asw }) => 206.84 - 60 * asw - 1.02 * asl },
+        // Crawford's formula gives years of schooling from sentences and syllables per 100 words
+        grade: { name: 'Crawford', score: ({ asl, asw }) => -0.205 * (100 / asl) + 0.049 * (asw * 100) - 3.407 }
+    },
+    de: {
+        ease: { name: 'Flesch-Amstad', score: ({ asl, asw }) => 180 - asl - 58.5 * asw },
+        grade: {
+            name: 'Wiener Sachtextformel',
+            score: ({ asl, polysyllabic, longWords, monosyllabic }) => 0.1935 * polysyllabic + 0.1672 * asl + 0.1297 * longWords - 0.0327 * monosyllabic - 0.875
+        }
+    },
+    fr: {
+        ease: { name: 'Kandel-Moles', score: ({ asl, asw }) => 207 - 1.015 * asl - 73.6 * asw },
+        // No French grade formula is in common use; the English one is the usual stand-in
+        grade: { name: 'Flesch-Kincaid Grade Level', score: ({ asl, asw }) => 0.39 * asl + 11.8 * asw - 15.59 }
+    }
+};
+
+const describeEase = (score) => {
+    if (score >= 90) return 'very easy';
+    if (score >= 80) return 'easy';
+    if (score >= 70) return 'fairly easy';
+    if (score >= 60) return 'standard';
+    if (score >= 50) return 'fairly difficult';
+    if (score >= 30) return 'difficult';
+    return 'very difficult';
+};
+
+// Passive constructions: a form of the passive auxiliary followed, within a couple of words,
+// by a past participle. A heuristic; it misses passives without an auxiliary.
+const IRREGULAR_PARTICIPLES = new Set(`
+    been begun bitten blown born borne bought broken brought built burnt caught chosen come done drawn driven
+    drunk eaten fallen felt fought found forgotten forgiven frozen given gone grown held hidden hit hung hurt
+    kept known laid led left lent let lost made meant met paid put read ridden run said seen sent set shaken
+    shown shut sold sought spent spoken spread stolen struck sung sunk taken taught thought thrown told
+    understood won worn written
+`.trim().split(/\s+/));
+
+const PASSIVE_PATTERNS = {
+    en: {
+        auxiliaries: new Set(['am', 'is', 'are', 'was', 'were', 'be', 'been', 'being', "isn't", "aren't", "wasn't", "weren't"]),
+        participle: (word) => (/[a-z]{2,}ed$/.test(word) && !/^(?:need|indeed|seed|speed|feed|bleed|breed|hundred)$/.test(word)) || IRREGULAR_PARTICIPLES.has(word)
+    },
+    es: {
+        auxiliaries: new Set(['es', 'son', 'fue', 'fueron', 'era', 'eran', 'será', 'serán', 'sido', 'ser', 'sea', 'sean', 'está', 'están']),
+        participle: (word) => /(?:ado|ada|ados|adas|ido|ida|idos|idas|cho|cha|chos|chas|esto|esta|ierto|ierta)$/.test(word)
+    },
+    de: {
+        auxiliaries: new Set(['wird', 'werden', 'wurde', 'wurden', 'worden', 'werde', 'wirst', 'würde', 'würden']),
+        participle: (word) => /^(?:ge\p{L}+(?:t|en)|\p{L}+iert)$/u.test(word)
+    },
+    fr: {
+        auxiliaries: new Set(['est', 'sont', 'été', 'était', 'étaient', 'sera', 'seront', 'fut', 'furent', 'être', 'suis', 'sommes', 'êtes']),
+        participle: (word) => /(?:é|ée|és|ées|is|ise|ises|it|ite|its|ites|u|ue|us|ues)$/.test(word) && word.length > 3
+    }
+};
+
+// German puts the participle at the end of the clause, so look further ahead there
+const PASSIVE_WINDOW = { en: 2, es: 2, de: 12, fr: 2 };
+
+const isPassive = (words, language) => {
+    const { auxiliaries, participle } = PASSIVE_PATTERNS[language] || PASSIVE_PATTERNS.en;
+    const window = PASSIVE_WINDOW[language] || 2;
+    return words.some((word, i) => auxiliaries.has(word) && words.slice(i + 1, i + 1 + window).some(participle));
+};
+
+const round = (n, places = 1) => {
+    const factor = 10 ** places;
+    return Math.round(n * factor) / factor;
+};
+
+// Readability and length statistics for the main content in `language` (en, es, de or fr)
+export const measureContent = (paragraphs, language = DEFAULT_LANGUAGE) => {
+    const lang = READABILITY_FORMULAS[language] ? language : DEFAULT_LANGUAGE;
+    const sentences = paragraphs.flatMap(splitSentences);
+    const sentenceWords = sentences.map(sentence => tokenize(sentence).filter(word => /\p{L}/u.test(word)));
+    const words = sentenceWords.flat();
+    const wordCount = words.length;
+    const sentenceCount = sentences.length;
+    const paragraphWordCounts = paragraphs.map(paragraph => tokenize(paragraph).length);
+
+    const stats = {
+        wordCount,
+        sentenceCount,
+        paragraphCount: paragraphs.length,
+        avgWordsPerSentence: sentenceCount ? round(wordCount / sentenceCount) : 0,
+        avgWordsPerParagraph: paragraphs.length ? round(paragraphWordCounts.reduce((a, b) => a + b, 0) / paragraphs.length) : 0,
+        longSentences: sentenceWords.filter(list => list.length > LONG_SENTENCE_WORDS).length,
+        longestSentence: Math.max(0, ...sentenceWords.map(list => list.length))
+    };
+    if (!wordCount || !sentenceCount) {
+        return { language: lang, ...stats, syllablesPerWord: 0, readability: null, passiveVoice: { sentences: 0, rate: 0 } };
+    }
+
+    const syllables = words.map(word => countSyllables(word, lang));
+    const inputs = {
+        asl: wordCount / sentenceCount,
+        asw: syllables.reduce((a, b) => a + b, 0) / wordCount,
+        polysyllabic: (syllables.filter(n => n >= 3).length / wordCount) * 100,
+        monosyllabic: (syllables.filter(n => n === 1).length / wordCount) * 100,
+        longWords: (words.filter(word => word.length > 6).length / wordCount) * 100
+    };
+    const { ease, grade } = READABILITY_FORMULAS[lang];
+    const easeScore = round(Math.min(100, Math.max(0, ease.score(inputs))));
+    const passive = sentenceWords.filter(list => isPassive(list, lang)).length;
+
+    return {
+        language: lang,
+        ...stats,
+        syllablesPerWord: round(inputs.asw, 2),
+        readability: {
+            readingEase: { score: easeScore, formula: ease.name, level: describeEase(easeScore) },
+            gradeLevel: { score: round(Math.max(0, grade.score(inputs))), formula: grade.name }
+        },
+        passiveVoice: { sentences: passive, rate: round(passive / sentenceCount, 3) }
+    };
+};
+
+// Problems with the order and content of the page's h1-h6 headings, in document order
+export const checkHeadingOutline = ($) => {
+    const outline = [];
+    const issues = { skippedLevels: [], emptyHeadings: [], h1InNavigation: [] };
+    let previous = 0;
+    $('h1, h2, h3, h4, h5, h6').each((_, el) => {
+        const level = parseInt(el.tagName.slice(1), 10);
+        const text = normalizeText($(el).text()) || normalizeText($(el).find('img[alt]').attr('alt'));
+        outline.push({ level, text: text.slice(0, 120) });
+        if (!text) issues.emptyHeadings.push({ selector: selectorFor($, el) });
+        // Jumping down more than one level (h2 -> h4) skips a level; going back up is fine
+        if (previous && level > previous + 1) {
+            issues.skippedLevels.push({ selector: selectorFor($, el), details: `h${previous} followed by h${level}` });
+        } else if (!previous && level > 1) {
+            issues.skippedLevels.push({ selector: selectorFor($, el), details: `first heading is h${level}` });
+        }
+        if (level === 1 && $(el).closest('nav, [role="navigation"]').length) {
+            issues.h1InNavigation.push({ selector: selectorFor($, el) });
+        }
+        previous = level;
+    });
+    Object.keys(issues).forEach(key => { issues[key] = issues[key].slice(0, MAX_HEADING_EVIDENCE); });
+    return {
+        outline: outline.slice(0, 100),
+        issues,
+        issueCount: Object.values(issues).reduce((sum, list) => sum + list.length, 0)
+    };
+};
+
+// Everything the content rules and score checks use. `$` is the audit's DOM (only read),
+// `html` the same page as a string.
+export const analyzeContent = ($, html, { language = DEFAULT_LANGUAGE } = {}) => {
+    const main = extractMainContent(html);
+    const stats = measureContent(main.paragraphs, language);
+    return {
+        mainContent: { source: main.source, excerpt: main.text.slice(0, 300) },
+        ...stats,
+        thinContent: stats.wordCount < THIN_CONTENT_WORDS,
+        headingOutline: checkHeadingOutline($)
+    };
+};
@@ -0,0 +1,205 @@
+import cheerio from 'cheerio';
+import { loadPage, analyzePage, resolveAuditContext } from './analyzer.js';
+import { evaluateRobots } from './robots.js';
+import { getRobotsTxt, getXmlSitemap } from './cache.js';
+import { extractContentBlocks, findDuplicates } from './duplicates.js';
+import { extractLinks, buildLinkGraph } from './link-graph.js';
+import { throwIfAborted } from './errors.js';
+import { assertPublicHost } from './safe-fetch.js';
+
+// Link validation is off by default for crawls: every page would re-check the shared nav links
+export const CRAWL_DEFAULTS = { maxPages: 10, maxDepth: 2, concurrency: 3, useSitemap: true, checkLinks: false, render: false };
+export const CRAWL_LIMITS = { maxPages: 100, maxDepth: 5, concurrency: 5 };
+
+const clamp = (value, fallback, min, max) => {
+    const n = parseInt(value, 10);
+    if (Number.isNaN(n)) return fallback;
+    return Math.min(Math.max(n, min), max);
+};
+
+export const normalizeCrawlOptions = (options = {}) => ({
+    maxPages: clamp(options.maxPages, CRAWL_DEFAULTS.maxPages, 1, CRAWL_LIMITS.maxPages),
+    maxDepth: clamp(options.maxDepth, CRAWL_DEFAULTS.maxDepth, 0, CRAWL_LIMITS.maxDepth),
+    concurrency: clamp(options.concurrency, CRAWL_DEFAULTS.concurrency, 1, CRAWL_LIMITS.concurrency),
+    useSitemap: options.useSitemap !== undefined ? Boolean(options.useSitemap) : CRAWL_DEFAULTS.useSitemap,
+    checkLinks: options.checkLinks !== undefined ? Boolean(options.checkLinks) : CRAWL_DEFAULTS.checkLinks,
+    render: options.render !== undefined ? Boolean(options.render) : CRAWL_DEFAULTS.render
+});
+
+// Drop the fragment so /page and /page#section are crawled once
+const normalizeUrl = (u) => {
+    try {
+        const parsed = new URL(u);
+        parsed.hash = '';
+        return parsed.href;
+    } catch {
+        return null;
+    }
+};
+
+// Same hostname rule the single-page `internalLinks` count uses, applied to resolved hrefs
+export const extractInternalLinks = ($, pageUrl) => [...new Set(extractLinks($, pageUrl).filter(link => link.internal).map(link => link.url))];
+
+// The fields findDuplicates() compares for one audited page
+export const toPageContent = ({ url, analysis }, html) => ({
+    url,
+    title: analysis.title,
+    metaDescription: analysis.metaDescription,
+    h1Text: analysis.h1Text,
+    canonicalUrl: analysis.canonicalUrl,
+    blocks: extractContentBlocks(html)
+});
+
+const average = (values) => values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : 0;
+
+export const buildRollup = (pages) => {
+    const audited = pages.filter(p => p.analysis);
+    const scores = {
+        onPage: average(audited.map(p => p.analysis.onPageScore)),
+        technical: average(audited.map(p => p.analysis.technicalScore)),
+        content: average(audited.map(p => p.analysis.contentScore)),
+        performance: average(audited.map(p => p.analysis.performanceScore)),
+        accessibility: average(audited.map(p => p.analysis.accessibilityScore)),
+        overall: average(audited.map(p => p.analysis.overallScore))
+    };
+
+    // Group findings by code so the site view shows how widespread each issue is
+    const byCode = new Map();
+    audited.forEach(page => {
+        page.findings.forEach(finding => {
+            if (!byCode.has(finding.code)) {
+                byCode.set(finding.code, {
+                    code: finding.code,
+                    severity: finding.severity,
+                    category: finding.category,
+                    message: finding.message,
+                    fix: finding.fix,
+                    pageCount: 0,
+                    totalImpact: 0,
+                    urls: []
+                });
+            }
+            const group = byCode.get(finding.code);
+            group.pageCount++;
+            group.totalImpact += finding.impact.overallPoints;
+            group.urls.push(page.url);
+        });
+    });
+    const findings = [...byCode.values()].sort((a, b) => b.pageCount - a.pageCount || b.totalImpact - a.totalImpact);
+
+    const weakestPages = [...audited]
+        .sort((a, b) => a.analysis.overallScore - b.analysis.overallScore)
+        .slice(0, 5)
+        .map(p => ({ url: p.url, overallScore: p.analysis.overallScore }));
+
+    return {
+        pagesAudited: audited.length,
+        pagesFailed: pages.length - audited.length,
+        scores,
+        findings,
+        recommendations: findings.map(group => `${group.message} (${group.pageCount} of ${audited.length} pages)`),
+        weakestPages
+    };
+};
+
+// `options.signal` cancels the crawl between pages; `options.onProgress` is told about each finished page.
+// `options.rules`, `options.scoringProfile`, `options.keywords` and `options.language` are the same
+// options /api/analyze takes.
+export const crawlSite = async (seedUrl, options = {}) => {
+    const { maxPages, maxDepth, concurrency, useSitemap, checkLinks, render } = normalizeCrawlOptions(options);
+    const { signal, onProgress = () => {} } = options;
+    const seed = normalizeUrl(seedUrl);
+    if (!seed) throw new Error('Invalid seed URL');
+    // Fail fast on a private seed rather than reporting it as a failed page
+    await assertPublicHost(seed);
+    const { hostname } = new URL(seed);
+    const auditContext = await resolveAuditContext({
+        rules: options.rules, checkLinks, scoringProfile: options.scoringProfile, keywords: options.keywords, language: options.language
+    });
+
+    // robots.txt and the sitemap are site-wide, so fetch them once and share them with every page audit
+    onProgress({ stage: 'fetching robots.txt and sitemap', completed: 0, total: maxPages });
+    const robotsInfo = await getRobotsTxt(seed, { signal });
+    const sitemapInfo = await getXmlSitemap(seed, { includeUrls: useSitemap, locations: robotsInfo.sitemaps || [], signal });
+    const { urls: sitemapUrls = [], ...sitemapSummary } = sitemapInfo;
+
+    const queue = [{ url: seed, depth: 0, source: 'seed' }];
+    const seen = new Set([seed]);
+    const enqueue = (url, depth, source) => {
+        const normalized = normalizeUrl(url);
+        if (!normalized || seen.has(normalized)) return;
+        if (new URL(normalized).hostname !== hostname) return;
+        seen.add(normalized);
+        queue.push({ url: normalized, depth, source });
+    };
+    sitemapUrls.forEach(u => enqueue(u, 1, 'sitemap'));
+
+    // Assets shared by most pages (the site's CSS, JS, logo) are only downloaded once
+    const resourceCache = new Map();
+    const pages = [];
+    // What the duplicate check and link graph need from each page; kept apart so it isn't returned
+    const contents = [];
+    const linkSources = [];
+    const skipped = [];
+    let started = 0;
+
+    const worker = async () => {
+        while (queue.length && started < maxPages) {
+            throwIfAborted(signal);
+            const item = queue.shift();
+            const verdict = evaluateRobots(robotsInfo, item.url);
+            if (!verdict.allowed) {
+                skipped.push({ url: item.url, reason: `Disallowed by robots.txt (${verdict.reason})`, rule: verdict.rule });
+                continue;
+            }
+            started++;
+            console.log(`Crawling [${started}/${maxPages}] depth ${item.depth}: ${item.url}`);
+            try {
+                const { response, rendering } = await loadPage(item.url, { render, signal });
+                const result = await analyzePage(item.url, response, { ...auditContext, robotsInfo, sitemapInfo: sitemapSummary, rendering, resourceCache, signal });
+                pages.push({ ...result, depth: item.depth, source: item.source });
+                // Error pages aren't indexed, so they can't compete as duplicates
+                if (response.status < 400) contents.push(toPageContent(result, response.data));
+                const links = extractLinks(cheerio.load(response.data), item.url);
+                linkSources.push({ url: item.url, status: 'audited', links });
+                // Crawlers don't follow links on error pages
+                if (item.depth < maxDepth && response.status < 400) {
+                    links.filter(link => link.internal).forEach(link => enqueue(link.url, item.depth + 1, 'link'));
+                }
+            } catch (error) {
+                throwIfAborted(signal);
+                // Every other page would fail the same way
+                if (error.code === 'RENDERER_UNAVAILABLE') throw error;
+                console.error(`Crawl failed for ${item.url}:`, error.message);
+                linkSources.push({ url: item.url, status: 'failed' });
+                pages.push({
+                    url: item.url,
+                    depth: item.depth,
+                    source: item.source,
+                    error: error.response ? `${error.response.status} ${error.response.statusText}` : error.message
+                });
+            }
+            onProgress({ stage: 'crawling', completed: pages.length, total: maxPages, url: item.url });
+        }
+    };
+
+    // Workers share one queue; a worker that drains it early exits while others may still be adding
+    // links, so keep spinning up workers until nothing is queued or the page budget is spent.
+    while (queue.length && started < maxPages) {
+        await Promise.all(Array.from({ length: concurrency }, worker));
+    }
+
+    return {
+        seedUrl: seed,
+        options: { maxPages, maxDepth, concurrency, useSitemap, checkLinks, render },
+        robotsInfo,
+        sitemapInfo: sitemapSummary,
+        pages,
+        skipped,
+        unvisited: queue.length,
+        summary: buildRollup(pages),
+        duplicates: findDuplicates(contents),
+        linkGraph: buildLinkGraph({ seedUrl: seed, pages: linkSources, sitemapUrls, partial: queue.length > 0 }),
+        timestamp: new Date().toISOString()
+    };
+};
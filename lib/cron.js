@@ -0,0 +1,89 @@
+// Minimal 5-field cron expressions (minute hour day-of-month month day-of-week), evaluated
+// in UTC. Fields accept `*`, numbers, ranges (`1-5`), lists (`1,15`) and steps (`*/15`, `0-30/10`).
+
+export const CRON_PRESETS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@nightly': '0 2 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 }
+];
+
+export class CronError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CronError';
+    }
+}
+
+const parseField = (text, { name, min, max }) => {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+        if (!match) throw new CronError(`Invalid ${name} field "${text}"`);
+        const [, range, stepText] = match;
+        const step = stepText ? parseInt(stepText, 10) : 1;
+        let [from, to] = range === '*' ? [min, max] : range.split('-').map(n => parseInt(n, 10));
+        if (to === undefined) to = stepText ? max : from;
+        if (from < min || to > max || from > to || step < 1) throw new CronError(`Invalid ${name} field "${text}"`);
+        for (let v = from; v <= to; v += step) values.add(v);
+    }
+    return values;
+};
+
+// Parse an expression or preset. Returns the matching values for each field.
+export const parseCron = (expression) => {
+    const text = CRON_PRESETS[String(expression).trim()] || String(expression).trim();
+    const parts = text.split(/\s+/);
+    if (parts.length !== 5) throw new CronError(`Cron expressions need 5 fields or one of ${Object.keys(CRON_PRESETS).join(', ')}`);
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    // 7 is another name for Sunday
+    if (dayOfWeek.has(7)) dayOfWeek.add(0);
+    return {
+        minute, hour, dayOfMonth, month, dayOfWeek,
+        // Standard cron: when both day fields are restricted, a day matching either one counts.
+        // A field starting with `*` (including steps like `*/2`) counts as unrestricted.
+        anyDay: !parts[2].startsWith('*') && !parts[4].startsWith('*')
+    };
+};
+
+const dayMatches = (cron, date) => {
+    const dom = cron.dayOfMonth.has(date.getUTCDate());
+    const dow = cron.dayOfWeek.has(date.getUTCDay());
+    return cron.anyDay ? dom || dow : dom && dow;
+};
+
+// The first time strictly after `after` that the expression matches, or null if none
+// within the next four years (e.g. "0 0 31 2 *")
+export const nextCronRun = (expression, after = new Date()) => {
+    const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+    const date = new Date(after.getTime());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+    const limit = after.getTime() + 4 * 366 * 24 * 60 * 60 * 1000;
+
+    while (date.getTime() <= limit) {
+        if (!cron.month.has(date.getUTCMonth() + 1)) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0);
+        } else if (!dayMatches(cron, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0);
+        } else if (!cron.hour.has(date.getUTCHours())) {
+            date.setUTCHours(date.getUTCHours() + 1, 0);
+        } else if (!cron.minute.has(date.getUTCMinutes())) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+    return null;
+};
@@ -0,0 +1,241 @@
+import cheerio from 'cheerio';
+
+// Pages whose main content shares at least this fraction of shingles are near-duplicates
+export const NEAR_DUPLICATE_THRESHOLD = 0.85;
+// Pages with fewer words than this after boilerplate removal aren't compared
+const MIN_WORDS = 50;
+// Words per shingle
+const SHINGLE_SIZE = 5;
+// MinHash signature length; pairs are only compared exactly when the estimate comes close
+const SIGNATURE_SIZE = 128;
+const CANDIDATE_MARGIN = 0.1;
+// A text block found on at least this share of a site's pages (and on 5 or more) is boilerplate.
+// Set high so a large group of duplicate pages isn't mistaken for template text.
+const BOILERPLATE_SHARE = 0.8;
+const BOILERPLATE_MIN_PAGES = 5;
+// URLs listed per exact-duplicate group
+const MAX_GROUP_URLS = 50;
+
+// Site chrome that shouldn't count as page content
+const BOILERPLATE_SELECTOR = [
+    'script', 'style', 'noscript', 'template', 'svg', 'iframe', 'form',
+    'nav', 'header', 'footer', 'aside',
+    '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]', '[role="complementary"]', '[aria-hidden="true"]'
+].join(', ');
+const BLOCK_SELECTOR = 'p, li, h1, h2, h3, h4, h5, h6, td, th, dt, dd, blockquote, pre, figcaption, div, section, article, main';
+
+const normalizeText = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+// The page's text split into blocks (paragraphs, list items, cells, ...) with nav, header,
+// footer and other template elements removed. Takes raw HTML so the audit's DOM is untouched.
+export const extractContentBlocks = (html) => {
+    const $ = cheerio.load(String(html || ''));
+    $(BOILERPLATE_SELECTOR).remove();
+    $('br').replaceWith('\n');
+    // Mark block boundaries so adjacent blocks don't run together into one string
+    $(BLOCK_SELECTOR).each((_, el) => {
+        $(el).prepend('\n');
+        $(el).append('\n');
+    });
+    return $('body').text().split('\n').map(normalizeText).filter(Boolean);
+};
+
+// 32-bit FNV-1a
+const hashString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+// murmur3's finaliser, used to derive the MinHash functions from one shingle hash
+const mix = (value) => {
+    let h = value >>> 0;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+};
+
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => mix(i + 1) ^ 0x9e3779b9);
+
+const toWords = (text) => text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+const shingle = (words) => {
+    const hashes = new Set();
+    if (words.length < SHINGLE_SIZE) {
+        if (words.length) hashes.add(hashString(words.join(' ')));
+        return hashes;
+    }
+    for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+        hashes.add(hashString(words.slice(i, i + SHINGLE_SIZE).join(' ')));
+    }
+    return hashes;
+};
+
+const minHash = (shingles) => SEEDS.map(seed => {
+    let min = 0xffffffff;
+    for (const value of shingles) {
+        const h = mix(value ^ seed);
+        if (h < min) min = h;
+    }
+    return min;
+});
+
+const estimateSimilarity = (a, b) => a.filter((value, i) => value === b[i]).length / SIGNATURE_SIZE;
+
+const jaccard = (a, b) => {
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    let shared = 0;
+    for (const value of small) if (large.has(value)) shared++;
+    const union = a.size + b.size - shared;
+    return union ? shared / union : 0;
+};
+
+const hostOf = (url) => new URL(url).host;
+
+// Resolve a canonical href against the page; null when missing or unparseable
+const resolveCanonical = (href, pageUrl) => {
+    if (!href) return null;
+    try {
+        const resolved = new URL(href, pageUrl);
+        resolved.hash = '';
+        return resolved.href;
+    } catch {
+        return null;
+    }
+};
+
+const percent = (fraction) => Math.round(fraction * 1000) / 10;
+
+// Pages sharing the same non-empty title, meta description or H1 on the same host
+const findExactDuplicates = (pages, field) => {
+    const groups = new Map();
+    pages.forEach(page => {
+        const value = normalizeText(page[field]);
+        if (!value) return;
+        const key = `${hostOf(page.url)}\n${value.toLowerCase()}`;
+        if (!groups.has(key)) groups.set(key, { value, urls: [] });
+        groups.get(key).urls.push(page.url);
+    });
+    return [...groups.values()]
+        .filter(group => group.urls.length > 1)
+        .sort((a, b) => b.urls.length - a.urls.length)
+        .map(group => ({ value: group.value, pageCount: group.urls.length, urls: group.urls.slice(0, MAX_GROUP_URLS) }));
+};
+
+// Blocks repeated across most of a host's pages: menus, cookie notices, footers that aren't
+// marked up as <nav> or <footer>
+const findBoilerplate = (pages) => {
+    const byHost = new Map();
+    pages.forEach(page => {
+        const host = hostOf(page.url);
+        if (!byHost.has(host)) byHost.set(host, { pages: 0, counts: new Map() });
+        const site = byHost.get(host);
+        site.pages++;
+        new Set(page.blocks).forEach(block => site.counts.set(block, (site.counts.get(block) || 0) + 1));
+    });
+    const boilerplate = new Map();
+    for (const [host, site] of byHost) {
+        const minPages = Math.max(BOILERPLATE_MIN_PAGES, Math.ceil(site.pages * BOILERPLATE_SHARE));
+        boilerplate.set(host, new Set([...site.counts].filter(([, count]) => count >= minPages).map(([block]) => block)));
+    }
+    return boilerplate;
+};
+
+// Group near-duplicate pairs into clusters of pages that are transitively similar
+const clusterPairs = (pairs) => {
+    const parent = new Map();
+    const find = (url) => {
+        while (parent.get(url) !== url) url = parent.get(url);
+        return url;
+    };
+    pairs.forEach(({ a, b }) => {
+        if (!parent.has(a)) parent.set(a, a);
+        if (!parent.has(b)) parent.set(b, b);
+        parent.set(find(a), find(b));
+    });
+    const clusters = new Map();
+    for (const url of parent.keys()) {
+        const root = find(url);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push(url);
+    }
+    return [...clusters.values()];
+};
+
+// Compare the pages of one audit. `pages` is [{ url, title, metaDescription, h1Text,
+// canonicalUrl, blocks }], `blocks` from extractContentBlocks(). Pages are only compared
+// with pages on the same host.
+export const findDuplicates = (pages, { threshold = NEAR_DUPLICATE_THRESHOLD } = {}) => {
+    const boilerplate = findBoilerplate(pages);
+    const fingerprints = pages.map(page => {
+        const ignored = boilerplate.get(hostOf(page.url));
+        const words = toWords(page.blocks.filter(block => !ignored.has(block)).join(' '));
+        const shingles = shingle(words);
+        return { ...page, host: hostOf(page.url), wordCount: words.length, shingles, signature: minHash(shingles) };
+    });
+    const comparable = fingerprints.filter(page => page.wordCount >= MIN_WORDS);
+
+    const pairs = [];
+    for (let i = 0; i < comparable.length; i++) {
+        for (let j = i + 1; j < comparable.length; j++) {
+            const a = comparable[i];
+            const b = comparable[j];
+            if (a.host !== b.host) continue;
+            if (estimateSimilarity(a.signature, b.signature) < threshold - CANDIDATE_MARGIN) continue;
+            const similarity = jaccard(a.shingles, b.shingles);
+            if (similarity >= threshold) pairs.push({ a: a.url, b: b.url, similarity });
+        }
+    }
+
+    const byUrl = new Map(fingerprints.map(page => [page.url, page]));
+    const clusters = clusterPairs(pairs).map(urls => {
+        const members = new Set(urls);
+        const clusterPairsList = pairs.filter(pair => members.has(pair.a));
+        const similarities = clusterPairsList.map(pair => pair.similarity);
+        const clusterPages = urls.map(url => {
+            const canonical = resolveCanonical(byUrl.get(url).canonicalUrl, url);
+            return {
+                url,
+                wordCount: byUrl.get(url).wordCount,
+                canonical,
+                // Where this page's canonical points, relative to the rest of the cluster
+                canonicalStatus: !canonical ? 'missing'
+                    : canonical === url ? 'self'
+                        : members.has(canonical) ? 'cluster-page'
+                            : 'other-page'
+            };
+        });
+        // Consolidated when the other pages all canonicalise to one page of the cluster that
+        // doesn't itself point elsewhere
+        const targets = new Set(clusterPages.filter(page => page.canonicalStatus === 'cluster-page').map(page => page.canonical));
+        const [target] = targets;
+        const consolidated = targets.size === 1 && clusterPages.every(page => (page.url === target
+            ? ['self', 'missing'].includes(page.canonicalStatus)
+            : page.canonical === target));
+        return {
+            pageCount: urls.length,
+            similarity: { min: percent(Math.min(...similarities)), max: percent(Math.max(...similarities)) },
+            canonicalTarget: consolidated ? target : null,
+            consolidated,
+            pages: clusterPages,
+            pairs: clusterPairsList
+                .map(pair => ({ urls: [pair.a, pair.b], similarity: percent(pair.similarity) }))
+                .sort((x, y) => y.similarity - x.similarity)
+        };
+    }).sort((a, b) => b.pageCount - a.pageCount || b.similarity.max - a.similarity.max);
+
+    return {
+        pagesCompared: comparable.length,
+        threshold: percent(threshold),
+        titles: findExactDuplicates(pages, 'title'),
+        metaDescriptions: findExactDuplicates(pages, 'metaDescription'),
+        h1s: findExactDuplicates(pages, 'h1Text'),
+        nearDuplicates: clusters
+    };
+};
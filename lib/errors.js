@@ -0,0 +1,60 @@
+// Thrown when a job's AbortSignal fires between audit stages. Uses the same code axios
+// gives aborted requests so callers only need one check.
+export class AuditCancelledError extends Error {
+    constructor(message = 'Audit cancelled') {
+        super(message);
+        this.name = 'AuditCancelledError';
+        this.code = 'ERR_CANCELED';
+    }
+}
+
+export const isCancelled = (error) => Boolean(error) && error.code === 'ERR_CANCELED';
+
+export const throwIfAborted = (signal) => {
+    if (signal && signal.aborted) throw new AuditCancelledError();
+};
+
+// Errors caused by bad request options rather than by the audited site
+const CLIENT_ERROR_CODES = [
+    'INVALID_RULE_SELECTION', 'INVALID_SCORING_PROFILE', 'INVALID_SCHEDULE', 'INVALID_BATCH', 'INVALID_REPORT',
+    'INVALID_KEYWORDS', 'INVALID_LINK_GRAPH', 'INVALID_URL', 'UNSUPPORTED_PROTOCOL', 'BLOCKED_ADDRESS'
+];
+
+// API key, rate limit and quota failures from lib/access.js
+const ACCESS_ERROR_STATUS = { UNAUTHORIZED: 401, AUDIT_NOT_ALLOWED: 403, RATE_LIMITED: 429, QUOTA_EXCEEDED: 429 };
+
+// Responses safeRequest refuses to audit: the site answered, but not with something usable
+const UNPROCESSABLE_CODES = ['NOT_HTML', 'TOO_MANY_REDIRECTS', 'RESPONSE_TOO_LARGE'];
+
+export const isClientError = (error) => Boolean(error) && CLIENT_ERROR_CODES.includes(error.code);
+
+// Map an audit failure to the HTTP status and body the API returns for it
+export const toErrorResponse = (error) => {
+    if (isClientError(error)) {
+        return { status: 400, body: { error: error.message, code: error.code } };
+    }
+    if (ACCESS_ERROR_STATUS[error.code]) {
+        return { status: ACCESS_ERROR_STATUS[error.code], body: { error: error.message, code: error.code } };
+    }
+    if (UNPROCESSABLE_CODES.includes(error.code)) {
+        return { status: 422, body: { error: error.message, code: error.code } };
+    }
+    if (error.code === 'RENDERER_UNAVAILABLE') {
+        return { status: 503, body: { error: error.message } };
+    }
+    if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
+        return {
+            status: 400,
+            body: { error: 'Could not connect to the website. Please check the URL and try again.' }
+        };
+    } else if (error.response && error.response.status) {
+        return {
+            status: error.response.status,
+            body: { error: `Website returned an error: ${error.response.status} ${error.response.statusText}` }
+        };
+    }
+    return {
+        status: 500,
+        body: { error: 'Failed to analyze URL', message: error.message }
+    };
+};
@@ -0,0 +1,184 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash, randomBytes } from 'crypto';
+
+// Audit history, kept per client. A store implements:
+//   save(record)                            - persist { id, url, clientId, createdAt, summary, result }
+//   list(url, { limit, offset, clientId })  - { total, runs: [the client's summary entries, newest first] }
+//   get(id)                                 - the full record, or null
+// HISTORY_STORE picks the built-in store: `file` (default, under HISTORY_DIR), `memory`
+// or `none`. Call setHistoryStore() to plug in another backend.
+
+export const HISTORY_DIR = path.resolve(process.env.HISTORY_DIR || 'data/history');
+
+// Fields compared between two runs besides scores and findings
+export const DIFF_FIELDS = [
+    'title', 'metaDescription', 'canonicalUrl', 'robotsMeta', 'h1Text',
+    'h1Count', 'h2Count', 'h3Count', 'h4Count', 'h5Count', 'h6Count',
+    'internalLinks', 'externalLinks', 'imgCount', 'imgWithAltCount',
+    'hasSSL', 'hasMobileViewport', 'structuredDataCount'
+];
+
+const SCORE_FIELDS = { onPage: 'onPageScore', technical: 'technicalScore', content: 'contentScore', performance: 'performanceScore', accessibility: 'accessibilityScore', overall: 'overallScore' };
+
+// Runs are keyed by URL without its fragment
+export const normalizeHistoryUrl = (url) => {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href;
+};
+
+const urlKey = (url) => createHash('sha1').update(normalizeHistoryUrl(url)).digest('hex').slice(0, 16);
+
+// The id carries the URL key so the file store can find a run without an index lookup
+const ID_PATTERN = /^([0-9a-f]{16})_([0-9a-z]+)$/;
+const createId = (url) => `${urlKey(url)}_${Date.now().toString(36)}${randomBytes(3).toString('hex')}`;
+
+// The part of a run listed by list(): enough to chart progress without loading every result
+const summarize = (record) => {
+    const { analysis, findings = [] } = record.result;
+    return {
+        id: record.id,
+        url: record.url,
+        createdAt: record.createdAt,
+        scoringProfile: analysis.scoring ? analysis.scoring.profile : null,
+        scores: Object.fromEntries(Object.entries(SCORE_FIELDS).map(([name, field]) => [name, analysis[field]])),
+        findingCount: findings.length
+    };
+};
+
+export const createFileHistoryStore = (dir = HISTORY_DIR) => {
+    const urlDir = (key) => path.join(dir, key);
+    return {
+        async save(record) {
+            const key = record.id.match(ID_PATTERN)[1];
+            await fs.mkdir(urlDir(key), { recursive: true });
+            await fs.writeFile(path.join(urlDir(key), `${record.id}.json`), JSON.stringify(record));
+            // One summary per line, appended, so listing never has to read the full results
+            await fs.appendFile(path.join(urlDir(key), 'index.jsonl'), JSON.stringify({ ...record.summary, clientId: record.clientId }) + '\n');
+        },
+        async list(url, { limit, offset, clientId }) {
+            let lines = [];
+            try {
+                lines = (await fs.readFile(path.join(urlDir(urlKey(url)), 'index.jsonl'), 'utf8')).split('\n').filter(Boolean);
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw err;
+            }
+            const runs = lines.map(line => JSON.parse(line))
+                .filter(entry => entry.clientId === clientId)
+                .map(({ clientId: _, ...summary }) => summary)
+                .reverse();
+            return { total: runs.length, runs: runs.slice(offset, offset + limit) };
+        },
+        async get(id) {
+            const match = String(id).match(ID_PATTERN);
+            if (!match) return null;
+            try {
+                return JSON.parse(await fs.readFile(path.join(urlDir(match[1]), `${id}.json`), 'utf8'));
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+        }
+    };
+};
+
+export const createMemoryHistoryStore = () => {
+    const records = new Map();
+    return {
+        async save(record) {
+            records.set(record.id, record);
+        },
+        async list(url, { limit, offset, clientId }) {
+            const normalized = normalizeHistoryUrl(url);
+            const runs = [...records.values()].filter(r => r.url === normalized && r.clientId === clientId).map(r => r.summary).reverse();
+            return { total: runs.length, runs: runs.slice(offset, offset + limit) };
+        },
+        async get(id) {
+            return records.get(id) || null;
+        }
+    };
+};
+
+const createDefaultStore = () => {
+    const kind = process.env.HISTORY_STORE || 'file';
+    if (kind === 'none') return null;
+    if (kind === 'memory') return createMemoryHistoryStore();
+    return createFileHistoryStore();
+};
+
+let store = createDefaultStore();
+
+export const setHistoryStore = (newStore) => {
+    store = newStore;
+};
+
+export const isHistoryEnabled = () => Boolean(store);
+
+// Save an /api/analyze result for the client that asked for it. Returns the run id, or null
+// when history is disabled.
+export const saveRun = async (url, result, { clientId } = {}) => {
+    if (!store) return null;
+    const normalized = normalizeHistoryUrl(url);
+    const record = { id: createId(normalized), url: normalized, clientId, createdAt: new Date().toISOString(), result };
+    record.summary = summarize(record);
+    await store.save(record);
+    return record.id;
+};
+
+export const listRuns = async (url, { limit = 20, offset = 0, clientId } = {}) => {
+    if (!store) return { total: 0, runs: [] };
+    return store.list(normalizeHistoryUrl(url), { limit, offset, clientId });
+};
+
+// A run saved for another client is treated as missing
+export const getRun = async (id, { clientId } = {}) => {
+    const run = store ? await store.get(id) : null;
+    return run && run.clientId === clientId ? run : null;
+};
+
+// The run saved just before `run` for the same URL and client, if any
+export const getPreviousRun = async (run) => {
+    const { runs } = await listRuns(run.url, { limit: Infinity, clientId: run.clientId });
+    const index = runs.findIndex(r => r.id === run.id);
+    return index !== -1 && runs[index + 1] ? getRun(runs[index + 1].id, { clientId: run.clientId }) : null;
+};
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// What changed from run `from` to run `to`: score deltas per category, findings that
+// appeared or were resolved (matched on `code`), and changed page fields.
+export const diffRuns = (from, to) => {
+    const before = from.result.analysis;
+    const after = to.result.analysis;
+
+    const scores = Object.fromEntries(Object.entries(SCORE_FIELDS).map(([name, field]) => {
+        const a = before[field];
+        const b = after[field];
+        return [name, { from: a, to: b, delta: typeof a === 'number' && typeof b === 'number' ? b - a : null }];
+    }));
+
+    const byCode = (findings = []) => new Map(findings.map(f => [f.code, f]));
+    const fromFindings = byCode(from.result.findings);
+    const toFindings = byCode(to.result.findings);
+    const brief = ({ code, severity, category, message }) => ({ code, severity, category, message });
+
+    const fields = DIFF_FIELDS
+        .filter(field => !isEqual(before[field], after[field]))
+        .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+
+    return {
+        url: to.url,
+        from: { id: from.id, createdAt: from.createdAt },
+        to: { id: to.id, createdAt: to.createdAt },
+        scores,
+        findings: {
+            new: [...toFindings.values()].filter(f => !fromFindings.has(f.code)).map(brief),
+            resolved: [...fromFindings.values()].filter(f => !toFindings.has(f.code)).map(brief),
+            changed: [...toFindings.values()]
+                .filter(f => fromFindings.has(f.code) && fromFindings.get(f.code).evidenceCount !== f.evidenceCount)
+                .map(f => ({ ...brief(f), evidenceCount: { from: fromFindings.get(f.code).evidenceCount, to: f.evidenceCount } }))
+        },
+        fields
+    };
+};
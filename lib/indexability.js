@@ -0,0 +1,248 @@
+import { evaluateRobots } from './robots.js';
+import { checkLink } from './links.js';
+
+// The crawler the verdict is given for; its own meta tag and X-Robots-Tag group count as well
+// as the generic ones, and its robots.txt group decides crawling
+export const INDEXABILITY_AGENT = 'Googlebot';
+const AGENT_TOKEN = INDEXABILITY_AGENT.toLowerCase();
+
+// Canonical targets followed when checking for chains
+const MAX_CANONICAL_HOPS = 3;
+const CANONICAL_CHECK = { timeout: 10000, maxRedirects: 5 };
+
+// https://developers.google.com/search/docs/crawling-indexing/robots-meta-tag
+const KNOWN_DIRECTIVES = [
+    'all', 'none', 'index', 'noindex', 'follow', 'nofollow', 'noarchive', 'nocache', 'nosnippet', 'notranslate',
+    'noimageindex', 'indexifembedded', 'unavailable_after', 'max-snippet', 'max-image-preview', 'max-video-preview'
+];
+// Directives that take a value after a colon, so "max-snippet: 50" isn't read as a user agent
+const VALUE_DIRECTIVES = ['unavailable_after', 'max-snippet', 'max-image-preview', 'max-video-preview'];
+
+const directiveName = (token) => token.split(':')[0].trim().toLowerCase();
+
+// Split a comma-separated directive list. unavailable_after dates may contain commas
+// ("Friday, 25-Jun-10 ..."), so a fragment that isn't a directive joins the previous one.
+const splitDirectives = (content) => String(content || '').split(',').reduce((tokens, part) => {
+    const token = part.trim();
+    if (!token) return tokens;
+    const previous = tokens[tokens.length - 1];
+    if (previous && directiveName(previous) === 'unavailable_after' && !KNOWN_DIRECTIVES.includes(directiveName(token))) {
+        tokens[tokens.length - 1] = `${previous}, ${token}`;
+    } else {
+        tokens.push(token);
+    }
+    return tokens;
+}, []);
+
+// X-Robots-Tag values, grouped by user agent ('*' for directives without one). A "googlebot:"
+// prefix applies to the directives after it, up to the next prefix or the end of the header.
+export const parseRobotsHeader = (value) => {
+    const groups = {};
+    const values = Array.isArray(value) ? value : [value];
+    for (const header of values.filter(Boolean)) {
+        let agent = '*';
+        for (const token of splitDirectives(header)) {
+            const prefixed = token.match(/^([a-z0-9_-]+)\s*:\s*(.*)$/i);
+            let directive = token;
+            if (prefixed && !VALUE_DIRECTIVES.includes(prefixed[1].toLowerCase())) {
+                agent = prefixed[1].toLowerCase();
+                directive = prefixed[2].trim();
+            }
+            if (directive) (groups[agent] = groups[agent] || []).push(directive);
+        }
+    }
+    return groups;
+};
+
+const metaDirectives = ($, name) => $('meta[name][content]')
+    .filter((_, el) => $(el).attr('name').trim().toLowerCase() === name)
+    .toArray()
+    .map(el => $(el).attr('content'));
+
+// What a set of directives means for indexing. `none` is noindex + nofollow; an
+// unavailable_after date in the past works as noindex.
+const interpretDirectives = (directives) => {
+    const names = directives.map(directiveName);
+    const unavailable = directives.find(d => directiveName(d) === 'unavailable_after');
+    const unavailableAfter = unavailable ? new Date(unavailable.slice(unavailable.indexOf(':') + 1).trim()) : null;
+    return {
+        noindex: names.includes('noindex') || names.includes('none'),
+        nofollow: names.includes('nofollow') || names.includes('none'),
+        unavailableAfter: unavailableAfter && !Number.isNaN(unavailableAfter.getTime()) ? unavailableAfter.toISOString() : null
+    };
+};
+
+// Every robots directive that applies to INDEXABILITY_AGENT, with where it came from
+export const collectDirectives = ($, headers = {}) => {
+    const header = parseRobotsHeader(headers['x-robots-tag']);
+    const sources = [
+        { source: 'meta robots', directives: metaDirectives($, 'robots').flatMap(splitDirectives) },
+        { source: `meta ${AGENT_TOKEN}`, directives: metaDirectives($, AGENT_TOKEN).flatMap(splitDirectives) },
+        { source: 'X-Robots-Tag', directives: header['*'] || [] },
+        { source: `X-Robots-Tag (${AGENT_TOKEN})`, directives: header[AGENT_TOKEN] || [] }
+    ].filter(({ directives }) => directives.length)
+        .map(source => ({ ...source, ...interpretDirectives(source.directives) }));
+    // The most restrictive directive wins when sources disagree
+    const effective = interpretDirectives(sources.flatMap(({ directives }) => directives));
+    return { sources, ...effective, otherAgents: Object.keys(header).filter(agent => agent !== '*' && agent !== AGENT_TOKEN) };
+};
+
+const withoutHash = (url) => {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href;
+};
+
+// Canonicals from <link rel="canonical"> in <head> and the HTTP Link header. Google ignores
+// canonicals in <body> and, when several disagree, all of them.
+export const readCanonical = ($, pageUrl, headers = {}) => {
+    const declared = [];
+    $('link[rel][href]').each((_, el) => {
+        if (!$(el).attr('rel').toLowerCase().split(/\s+/).includes('canonical')) return;
+        declared.push({ source: $(el).closest('head').length ? 'html' : 'body', href: $(el).attr('href').trim() });
+    });
+    for (const match of String(headers.link || '').matchAll(/<([^>]*)>\s*;[^,]*rel\s*=\s*"?canonical"?/gi)) {
+        declared.push({ source: 'header', href: match[1].trim() });
+    }
+    const resolved = declared.map(entry => {
+        try {
+            return { ...entry, url: withoutHash(new URL(entry.href, pageUrl).href) };
+        } catch {
+            return { ...entry, url: null };
+        }
+    });
+    const usable = resolved.filter(entry => entry.source !== 'body' && entry.url);
+    const urls = [...new Set(usable.map(entry => entry.url))];
+    return {
+        declared: resolved,
+        url: urls.length === 1 ? urls[0] : null,
+        href: urls.length === 1 ? usable[0].href : null,
+        conflicting: urls.length > 1,
+        invalid: resolved.filter(entry => !entry.url).map(entry => entry.href),
+        inBody: resolved.filter(entry => entry.source === 'body').map(entry => entry.href)
+    };
+};
+
+// Follow a canonical from page `from` to the URL it finally settles on: each target is fetched,
+// and one that declares another canonical leads to the next hop
+const followCanonical = async (start, { from, signal }) => {
+    const chain = [];
+    const seen = new Set([from]);
+    let current = start;
+    while (current && chain.length < MAX_CANONICAL_HOPS) {
+        if (seen.has(current)) return { chain, loop: true, target: null };
+        seen.add(current);
+        const result = await checkLink({ url: current, internal: true }, { ...CANONICAL_CHECK, signal });
+        chain.push({
+            url: current,
+            status: result.statusCode || result.status,
+            finalUrl: result.finalUrl || null,
+            redirected: Boolean(result.redirected),
+            noindex: Boolean(result.noindex),
+            canonical: result.canonical || null,
+            error: result.error || null
+        });
+        const ok = result.status === 'ok' && !result.redirected;
+        if (!ok || result.noindex || !result.canonicalised) return { chain, loop: false, target: ok && !result.noindex ? current : null };
+        current = result.canonical;
+    }
+    return { chain, loop: false, target: null };
+};
+
+// Decide whether the audited URL can be indexed. Everything that stops it is a blocking reason;
+// the rest (a relative canonical, a canonical chain, nofollow, ...) are non-blocking.
+//   url      - the audited URL
+//   response - the page fetch (status, headers, `url` after redirects, `redirects`)
+//   robots   - fetchRobotsTxt() result for the site
+export const analyzeIndexability = async ($, { url, response, robots, signal }) => {
+    const finalUrl = withoutHash(response.url || url);
+    const status = response.status;
+    const headers = response.headers || {};
+    const redirects = response.redirects || [];
+    const reasons = [];
+    const add = (code, blocking, message, details = {}) => reasons.push({ code, blocking, message, ...details });
+
+    if (response.redirectLimitExceeded) {
+        add('too-many-redirects', true, `${url} redirects more than ${redirects.length} times; crawlers give up before reaching a page`,
+            { chain: [...redirects, { url: finalUrl, status }] });
+    } else if (redirects.length) {
+        add('redirected', true, `${url} redirects to ${finalUrl}; search engines index the target instead`,
+            { chain: [...redirects, { url: finalUrl, status }] });
+    }
+    if (status !== 200 && !response.redirectLimitExceeded) {
+        add('http-status', true, `The page returns HTTP ${status}; only 200 responses are indexed`, { status });
+    }
+
+    const robotsVerdict = evaluateRobots(robots, finalUrl, INDEXABILITY_AGENT);
+    const directives = collectDirectives($, headers);
+    if (!robotsVerdict.allowed) {
+        add('blocked-by-robots-txt', true, `robots.txt blocks ${INDEXABILITY_AGENT} from crawling the page (${robotsVerdict.rule ? `${robotsVerdict.rule.type}: ${robotsVerdict.rule.path}` : robotsVerdict.reason}); it can still be indexed from links, without its content`,
+            { rule: robotsVerdict.rule });
+        // Crawlers never fetch the page, so they never see its directives
+        if (directives.noindex) {
+            add('noindex-not-seen', false, 'The noindex can\'t take effect while robots.txt blocks crawling, because crawlers never see it');
+        }
+    } else {
+        directives.sources.filter(source => source.noindex).forEach(source => {
+            add('noindex', true, `${source.source} says ${source.directives.join(', ')}`, { source: source.source });
+        });
+        if (directives.unavailableAfter && new Date(directives.unavailableAfter) <= new Date()) {
+            add('unavailable-after', true, `unavailable_after has passed (${directives.unavailableAfter})`, { date: directives.unavailableAfter });
+        }
+    }
+    if (directives.nofollow) add('nofollow', false, 'Links on the page are not followed (nofollow)');
+
+    const declared = readCanonical($, finalUrl, headers);
+    const canonical = { ...declared, selfReferencing: null, relative: false, crossDomain: false, chain: [], target: null };
+    if (declared.conflicting) {
+        add('conflicting-canonicals', false, `The page declares ${new Set(declared.declared.filter(d => d.url && d.source !== 'body').map(d => d.url)).size} different canonicals, so search engines ignore all of them`,
+            { canonicals: declared.declared });
+    }
+    if (declared.inBody.length) add('canonical-in-body', false, 'A rel="canonical" outside <head> is ignored', { hrefs: declared.inBody });
+    if (declared.invalid.length) add('invalid-canonical', false, `The canonical "${declared.invalid[0]}" is not a valid URL`, { hrefs: declared.invalid });
+    if (!declared.url && !declared.conflicting && !declared.invalid.length) {
+        add('missing-canonical', false, 'The page declares no canonical URL, so search engines choose one');
+    }
+
+    if (declared.url) {
+        canonical.selfReferencing = declared.url === finalUrl;
+        canonical.relative = !/^https?:\/\//i.test(declared.href);
+        canonical.crossDomain = new URL(declared.url).hostname !== new URL(finalUrl).hostname;
+        if (canonical.relative) add('relative-canonical', false, `The canonical "${declared.href}" is relative; use the absolute URL`, { href: declared.href });
+        if (!canonical.selfReferencing) {
+            const followed = await followCanonical(declared.url, { from: finalUrl, signal });
+            canonical.chain = followed.chain;
+            canonical.target = followed.target;
+            add('canonicalised', true, `The canonical points to ${canonical.crossDomain ? 'another domain' : 'another URL'} (${declared.url}), which search engines index instead`,
+                { canonical: declared.url, crossDomain: canonical.crossDomain });
+            if (followed.loop) {
+                add('canonical-loop', false, 'Canonicals point back to a URL already in the chain', { chain: followed.chain });
+            } else if (followed.chain.some(hop => hop.canonical && hop.canonical !== hop.finalUrl)) {
+                add('canonical-chain', false, `The canonical ${declared.url} declares its own canonical; point straight at the final URL`, { chain: followed.chain });
+            }
+            const last = followed.chain[followed.chain.length - 1];
+            if (last && !followed.target && !followed.loop) {
+                const problem = last.error ? `can't be fetched (${last.error})`
+                    : last.redirected ? `redirects to ${last.finalUrl}`
+                        : typeof last.status === 'number' && last.status !== 200 ? `returns HTTP ${last.status}`
+                            : last.noindex ? 'is noindexed' : `declares yet another canonical after ${MAX_CANONICAL_HOPS} hops`;
+                add('canonical-target-not-indexable', false, `The canonical target ${last.url} ${problem}, so the page may not be indexed anywhere`, { chain: followed.chain });
+            }
+        }
+    }
+
+    const blocking = reasons.filter(reason => reason.blocking);
+    return {
+        url,
+        finalUrl,
+        status,
+        indexable: blocking.length === 0,
+        verdict: blocking.length ? 'not-indexable' : 'indexable',
+        agent: INDEXABILITY_AGENT,
+        reasons,
+        redirects,
+        robotsTxt: { allowed: robotsVerdict.allowed, reason: robotsVerdict.reason, rule: robotsVerdict.rule },
+        directives,
+        canonical
+    };
+};
@@ -0,0 +1,132 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { isCancelled, toErrorResponse } from './errors.js';
+
+// Finished jobs (and their results) are dropped after this long
+export const JOB_TTL_MS = parseInt(process.env.JOB_TTL_MS || '', 10) || 60 * 60 * 1000; // 1 hour
+// Jobs beyond this many wait in the queue so a burst of submissions can't swamp the instance
+export const MAX_RUNNING_JOBS = parseInt(process.env.MAX_RUNNING_JOBS || '', 10) || 3;
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+const jobs = new Map();
+const waiting = [];
+let running = 0;
+
+export const isTerminal = (job) => TERMINAL_STATUSES.includes(job.status);
+
+// The public view of a job; results are only included once the job has completed
+export const serializeJob = (job, { includeResult = true } = {}) => ({
+    id: job.id,
+    type: job.type,
+    input: job.input,
+    status: job.status,
+    progress: job.progress,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    expiresAt: job.expiresAt,
+    error: job.error,
+    result: includeResult && job.status === 'completed' ? job.result : undefined
+});
+
+const emit = (job, event) => {
+    job.events.emit('update', { event, job: serializeJob(job, { includeResult: event === 'completed' }) });
+};
+
+const finish = (job, status, fields = {}) => {
+    Object.assign(job, fields, { status, finishedAt: new Date().toISOString() });
+    job.expiresAt = new Date(Date.now() + JOB_TTL_MS).toISOString();
+    emit(job, status);
+    job.events.removeAllListeners();
+};
+
+const start = async (job) => {
+    running++;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    emit(job, 'started');
+
+    const onProgress = (progress) => {
+        if (job.status !== 'running') return;
+        job.progress = { ...job.progress, ...progress };
+        emit(job, 'progress');
+    };
+
+    try {
+        const result = await job.runner({ signal: job.controller.signal, onProgress });
+        if (job.status !== 'running') return;
+        finish(job, 'completed', { result });
+    } catch (error) {
+        if (job.status !== 'running') return;
+        if (isCancelled(error)) {
+            finish(job, 'cancelled');
+            return;
+        }
+        console.error(`[job ${job.id}] Failed:`, error.message);
+        const { status, body } = toErrorResponse(error);
+        finish(job, 'failed', { error: { status, ...body } });
+    } finally {
+        // A cancelled job holds its slot until the runner has actually stopped
+        running--;
+        startNext();
+    }
+};
+
+const startNext = () => {
+    while (running < MAX_RUNNING_JOBS && waiting.length) {
+        const job = waiting.shift();
+        if (job.status === 'queued') start(job);
+    }
+};
+
+// `runner` receives { signal, onProgress } and resolves with the job's result
+export const createJob = (type, input, runner) => {
+    const job = {
+        id: randomUUID(),
+        type,
+        input,
+        status: 'queued',
+        progress: { stage: 'queued' },
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        expiresAt: null,
+        error: null,
+        result: null,
+        runner,
+        controller: new AbortController(),
+        events: new EventEmitter()
+    };
+    jobs.set(job.id, job);
+    waiting.push(job);
+    startNext();
+    return job;
+};
+
+export const getJob = (id) => jobs.get(id);
+
+export const cancelJob = (id) => {
+    const job = jobs.get(id);
+    if (!job || isTerminal(job)) return job;
+    job.controller.abort();
+    Object.assign(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+    job.expiresAt = new Date(Date.now() + JOB_TTL_MS).toISOString();
+    emit(job, 'cancelled');
+    job.events.removeAllListeners();
+    return job;
+};
+
+// Listen for job updates until it reaches a terminal state. Returns an unsubscribe function.
+export const subscribeToJob = (job, listener) => {
+    job.events.on('update', listener);
+    return () => job.events.off('update', listener);
+};
+
+// Sweep expired jobs; unref'd so it never keeps the process alive on its own
+setInterval(() => {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+        if (job.expiresAt && Date.parse(job.expiresAt) <= now) jobs.delete(id);
+    }
+}, 60000).unref();
@@ -0,0 +1,231 @@
+import { extractContentBlocks } from './duplicates.js';
+
+export const KEYWORD_LIMITS = { keywords: 10, keywordLength: 100 };
+export const DEFAULT_LANGUAGE = 'en';
+// Top phrases reported per n-gram length
+const TOP_NGRAMS = 10;
+
+export class KeywordOptionsError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'KeywordOptionsError';
+        this.code = 'INVALID_KEYWORDS';
+    }
+}
+
+const words = (list) => new Set(list.trim().split(/\s+/));
+
+export const STOP_WORDS = {
+    en: words(`
+        a about above after again against all am an and any are aren't as at be because been before being below
+        between both but by can can't cannot could couldn't did didn't do does doesn't doing don't down during each
+        few for from further get got had hadn't has hasn't have haven't having he he'd he'll he's her here here's
+        hers herself him himself his how how's i i'd i'll i'm i've if in into is isn't it it's its itself just
+        let's me more most mustn't my myself no nor not now of off on once only or other ought our ours ourselves
+        out over own same shan't she she'd she'll she's should shouldn't so some such than that that's the their
+        theirs them themselves then there there's these they they'd they'll they're they've this those through to
+        too under until up us very was wasn't we we'd we'll we're we've were weren't what what's when when's where
+        where's which while who who's whom why why's will with won't would wouldn't you you'd you'll you're you've
+        your yours yourself yourselves also may might must one two new
+    `),
+    es: words(`
+        a al algo algunas algunos ante antes como con contra cual cuando de del desde donde durante e el ella
+        ellas ellos en entre era erais eran eras eres es esa esas ese eso esos esta estaba estado estamos estan
+        estar estas este esto estos estoy fue fueron fui ha había habían han has hasta hay la las le les lo los
+        mas más me mi mis mucho muchos muy nada ni no nos nosotras nosotros nuestra nuestras nuestro nuestros o
+        os otra otras otro otros para pero poco por porque que qué quien quienes se sea ser si sí siempre sin
+        sobre sois solo somos son soy su sus también tanto te tenemos tener tengo ti tiene tienen todo todos tu
+        tus tú un una unas uno unos usted ustedes vosotras vosotros y ya yo
+    `),
+    de: words(`
+        aber alle allem allen aller alles als also am an ander andere anderem anderen anderer anderes auch auf
+        aus bei bin bis bist da damit dann das dass daß dein deine dem den denn der des dich die dies diese
+        diesem diesen dieser dieses dir doch dort du durch ein eine einem einen einer eines er es etwas euch euer
+        für gegen gewesen hab habe haben hat hatte hier hin hinter ich ihm ihn ihnen ihr ihre ihrem ihren ihrer
+        im in indem ins ist jede jedem jeden jeder jedes jetzt kann kein keine keinem keinen können man manche
+        mein meine mich mir mit muss nach nicht nichts noch nun nur ob oder ohne sehr sein seine seinem seinen
+        sich sie sind so solche soll sondern sonst über um und uns unser unter viel vom von vor war waren warst
+        was weil weiter welche wenn wer werde werden wie wieder will wir wird wo wollen würde zu zum zur zwar
+        zwischen
+    `),
+    fr: words(`
+        a à ai aie ainsi alors au aucun aussi autre aux avec avoir c ça car ce ceci cela celle celles celui ces
+        cet cette ceux chez comme d dans de des donc dont du elle elles en encore est et étaient était été être
+        eu fait il ils j je l la le les leur leurs lui m ma mais me même mes moi mon n ne ni nos notre nous on
+        ont ou où par pas peu peut plus pour qu quand que quel quelle quelles quels qui s sa sans se sera ses si
+        son sont sous sur t ta te tes toi ton tous tout toute toutes très tu un une vos votre vous y
+    `)
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(STOP_WORDS);
+
+// Light suffix-stripping stemmers: enough to match plurals and common inflections of a
+// keyword ("running shoes" ~ "running shoe"), not a full morphological analysis.
+// Each list is tried in order and only the first matching suffix is removed.
+const SUFFIXES = {
+    en: [['ies', 'y'], ['sses', 'ss'], ['xes', 'x'], ['ches', 'ch'], ['shes', 'sh'], ['ness', ''], ['ing', ''], ['ed', ''], ['ly', ''], ['s', '']],
+    es: [['amientos', ''], ['imientos', ''], ['amiento', ''], ['imiento', ''], ['aciones', ''], ['ación', ''], ['mente', ''], ['ces', 'z'], ['es', ''], ['s', '']],
+    de: [['ungen', 'ung'], ['heiten', 'heit'], ['keiten', 'keit'], ['ern', ''], ['em', ''], ['en', ''], ['er', ''], ['es', ''], ['e', ''], ['n', ''], ['s', '']],
+    fr: [['issements', ''], ['issement', ''], ['ations', ''], ['ation', ''], ['ements', ''], ['ement', ''], ['euses', 'eux'], ['euse', 'eux'], ['aux', 'al'], ['es', ''], ['s', ''], ['x', ''], ['e', '']]
+};
+// Words this short are left alone so "is" or "bus" don't lose their only vowel
+const MIN_STEM_LENGTH = 3;
+
+const stripSuffix = (word, language) => {
+    for (const [suffix, replacement] of SUFFIXES[language] || []) {
+        if (word.endsWith(suffix) && word.length - suffix.length + replacement.length >= MIN_STEM_LENGTH) {
+            // "-ss" is a stem ending in English, not a plural ("class", "glass")
+            if (language === 'en' && suffix === 's' && word.endsWith('ss')) return word;
+            return word.slice(0, word.length - suffix.length) + replacement;
+        }
+    }
+    return word;
+};
+
+export const stem = (word, language = DEFAULT_LANGUAGE) => {
+    let stemmed = stripSuffix(word, language);
+    if (language === 'en' && stemmed !== word) {
+        // running -> runn -> run, hopped -> hopp -> hop
+        if (/([^aeiouylsz])\1$/.test(stemmed)) stemmed = stemmed.slice(0, -1);
+    }
+    // A silent final e: optimize and optimized, shoe and shoes share a stem
+    if (language === 'en' && stemmed.endsWith('e') && stemmed.length > MIN_STEM_LENGTH) stemmed = stemmed.slice(0, -1);
+    return stemmed;
+};
+
+// Unicode-aware words, keeping internal apostrophes and hyphens ("don't", "e-commerce")
+export const tokenize = (text) => String(text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .match(/[\p{L}\p{N}]+(?:['-][\p{L}\p{N}]+)*/gu) || [];
+
+// Split a URL's path into words: /blog/running-shoes_2024 -> blog running shoes 2024
+const urlWords = (url) => {
+    try {
+        return tokenize(decodeURIComponent(new URL(url).pathname).replace(/[-_/.+]/g, ' '));
+    } catch {
+        return [];
+    }
+};
+
+// Check a request's `keywords` (a string, an array of strings, or comma-separated) and
+// `language`. Returns the trimmed keyword list and language, or throws KeywordOptionsError.
+export const normalizeKeywordOptions = ({ keywords, language } = {}) => {
+    let list = [];
+    if (typeof keywords === 'string') list = keywords.split(',');
+    else if (Array.isArray(keywords)) list = keywords;
+    else if (keywords !== undefined && keywords !== null) throw new KeywordOptionsError('keywords must be a string or an array of strings');
+    if (list.some(keyword => typeof keyword !== 'string')) {
+        throw new KeywordOptionsError('keywords must be a string or an array of strings');
+    }
+    list = [...new Set(list.map(keyword => keyword.trim().replace(/\s+/g, ' ')).filter(Boolean))];
+    if (list.length > KEYWORD_LIMITS.keywords) throw new KeywordOptionsError(`At most ${KEYWORD_LIMITS.keywords} keywords can be analysed`);
+    const tooLong = list.find(keyword => keyword.length > KEYWORD_LIMITS.keywordLength);
+    if (tooLong) throw new KeywordOptionsError(`Keywords can be at most ${KEYWORD_LIMITS.keywordLength} characters`);
+    const empty = list.find(keyword => !tokenize(keyword).length);
+    if (empty !== undefined) throw new KeywordOptionsError(`Keyword "${empty}" has no words in it`);
+
+    if (language !== undefined && language !== null) {
+        const code = String(language).toLowerCase().split(/[-_]/)[0];
+        if (!SUPPORTED_LANGUAGES.includes(code)) {
+            throw new KeywordOptionsError(`Unsupported language "${language}". Use one of: ${SUPPORTED_LANGUAGES.join(', ')}`);
+        }
+        return { keywords: list, language: code };
+    }
+    return { keywords: list, language: null };
+};
+
+// The page's declared language when it's one we have stop words for
+const detectLanguage = ($) => {
+    const declared = String($('html').attr('lang') || '').toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LANGUAGES.includes(declared) ? { language: declared, source: 'html-lang' } : { language: DEFAULT_LANGUAGE, source: 'default' };
+};
+
+// Positions where the stemmed phrase occurs in the stemmed token list
+const countPhrase = (stems, phrase) => {
+    if (!phrase.length) return 0;
+    let count = 0;
+    for (let i = 0; i <= stems.length - phrase.length; i++) {
+        if (phrase.every((part, j) => stems[i + j] === part)) count++;
+    }
+    return count;
+};
+
+const round = (n) => Math.round(n * 100) / 100;
+
+// Where a keyword should appear, and how much each placement counts towards `prominence`
+const PLACEMENTS = { title: 25, h1: 20, firstParagraph: 15, url: 15, metaDescription: 15, altText: 10 };
+
+// Most frequent 1-3 word phrases. Phrases may not start or end with a stop word, so
+// "price of gold" counts but "of the" doesn't.
+const topNgrams = (tokens, stopWords, totalWords) => {
+    const result = {};
+    for (const size of [1, 2, 3]) {
+        const counts = new Map();
+        for (let i = 0; i <= tokens.length - size; i++) {
+            const gram = tokens.slice(i, i + size);
+            if (stopWords.has(gram[0]) || stopWords.has(gram[size - 1])) continue;
+            if (gram.some(word => /^\d+$/.test(word))) continue;
+            const phrase = gram.join(' ');
+            counts.set(phrase, (counts.get(phrase) || 0) + 1);
+        }
+        result[size] = [...counts]
+            .filter(([, count]) => size === 1 || count > 1)
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, TOP_NGRAMS)
+            .map(([phrase, count]) => ({ phrase, count, density: totalWords ? round((count * size / totalWords) * 100) : 0 }));
+    }
+    return result;
+};
+
+// Keyword usage on one page. `keywords` are the caller's target keywords and phrases; without
+// any, the first title word that isn't a stop word stands in as the primary keyword.
+// Body text excludes scripts, styles and site chrome (nav, header, footer).
+export const analyzeKeywords = ($, { url, html, page, keywords = [], language } = {}) => {
+    const { language: lang, source: languageSource } = language ? { language, source: 'request' } : detectLanguage($);
+    const stopWords = STOP_WORDS[lang];
+    const toStems = (text) => tokenize(text).map(word => stem(word, lang));
+
+    const bodyTokens = tokenize(extractContentBlocks(html).join('\n'));
+    const bodyStems = bodyTokens.map(word => stem(word, lang));
+    const totalWords = bodyTokens.length;
+
+    const firstParagraph = $('p').filter((_, el) => $(el).text().trim().length > 0).first().text();
+    const altText = $('img[alt]').map((_, el) => $(el).attr('alt')).get().join(' \n ');
+    const placements = {
+        title: toStems(page.title),
+        h1: toStems($('h1').map((_, el) => $(el).text()).get().join(' \n ')),
+        firstParagraph: toStems(firstParagraph),
+        url: urlWords(url).map(word => stem(word, lang)),
+        metaDescription: toStems(page.metaDescription),
+        altText: toStems(altText)
+    };
+
+    const targets = keywords.length
+        ? keywords.map(keyword => ({ keyword, source: 'target' }))
+        : tokenize(page.title).filter(word => !stopWords.has(word) && word.length > 2 && !/^\d+$/.test(word)).slice(0, 1)
+            .map(keyword => ({ keyword, source: 'title' }));
+
+    const results = targets.map(({ keyword, source }) => {
+        const phrase = toStems(keyword);
+        const occurrences = countPhrase(bodyStems, phrase);
+        const found = Object.fromEntries(Object.keys(PLACEMENTS).map(place => [place, countPhrase(placements[place], phrase) > 0]));
+        return {
+            keyword,
+            source,
+            occurrences,
+            density: totalWords ? round((occurrences * phrase.length / totalWords) * 100) : 0,
+            prominence: found,
+            prominenceScore: Object.entries(PLACEMENTS).reduce((sum, [place, points]) => sum + (found[place] ? points : 0), 0)
+        };
+    });
+
+    return {
+        language: lang,
+        languageSource,
+        totalWords,
+        keywords: results,
+        ngrams: topNgrams(bodyTokens, stopWords, totalWords)
+    };
+};
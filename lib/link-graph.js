@@ -0,0 +1,269 @@
+import { csvCell, escapeHtml } from './reports.js';
+
+export const LINK_GRAPH_FORMATS = {
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    graphml: { contentType: 'application/graphml+xml; charset=utf-8', extension: 'graphml' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+// PageRank damping factor and convergence settings
+const DAMPING = 0.85;
+const MAX_ITERATIONS = 100;
+const TOLERANCE = 1e-6;
+// Anchor texts listed per target page
+const MAX_ANCHORS = 10;
+// Nofollowed and generic-anchor links listed
+const MAX_LISTED_LINKS = 200;
+
+// Anchor text that says nothing about the target, in the languages keywords.js supports
+export const GENERIC_ANCHORS = new Set([
+    'click here', 'click', 'here', 'read more', 'more', 'learn more', 'find out more', 'more info', 'more information',
+    'see more', 'view more', 'continue', 'continue reading', 'details', 'this', 'this page', 'this link', 'link', 'go',
+    'website', 'page',
+    'aquí', 'haz clic aquí', 'pulse aquí', 'leer más', 'más', 'más información', 'ver más',
+    'hier', 'hier klicken', 'mehr', 'weiterlesen', 'mehr erfahren', 'mehr lesen',
+    'ici', 'cliquez ici', 'en savoir plus', 'lire la suite', 'plus', 'voir plus'
+]);
+
+export class LinkGraphError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'LinkGraphError';
+        this.code = 'INVALID_LINK_GRAPH';
+    }
+}
+
+export const resolveLinkGraphFormat = (format = 'json') => {
+    const name = String(format).toLowerCase();
+    if (!LINK_GRAPH_FORMATS[name]) {
+        throw new LinkGraphError(`Unknown link graph format "${format}". Use one of: ${Object.keys(LINK_GRAPH_FORMATS).join(', ')}`);
+    }
+    return name;
+};
+
+const normalizeText = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+// Drop the fragment so /page and /page#section are one node
+const normalizeUrl = (href, base) => {
+    try {
+        const parsed = new URL(href, base);
+        if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+        parsed.hash = '';
+        return parsed.href;
+    } catch {
+        return null;
+    }
+};
+
+// Every http(s) link on the page, resolved against it: relative ("page.html", "../x"),
+// root-relative and protocol-relative hrefs included. `internal` means the same hostname.
+export const extractLinks = ($, pageUrl) => {
+    const { hostname } = new URL(pageUrl);
+    const base = normalizeUrl($('base[href]').attr('href') || pageUrl, pageUrl) || pageUrl;
+    const links = [];
+    $('a[href], area[href]').each((_, el) => {
+        const url = normalizeUrl($(el).attr('href'), base);
+        if (!url) return;
+        const rel = ($(el).attr('rel') || '').toLowerCase().split(/\s+/);
+        const text = normalizeText($(el).text())
+            || normalizeText($(el).find('img[alt]').map((__, img) => $(img).attr('alt')).get().join(' '))
+            || normalizeText($(el).attr('aria-label') || $(el).attr('alt') || $(el).attr('title'));
+        links.push({ url, text, internal: new URL(url).hostname === hostname, nofollow: rel.includes('nofollow') });
+    });
+    return links;
+};
+
+// Counts for the single-page `internalLinks` and `externalLinks` metrics
+export const countLinks = ($, pageUrl) => {
+    const links = extractLinks($, pageUrl);
+    const internal = links.filter(link => link.internal).length;
+    return { internal, external: links.length - internal };
+};
+
+export const isGenericAnchor = (text) => GENERIC_ANCHORS.has(normalizeText(text).toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').trim());
+
+// Links that only carry weight between pages that were crawled; nofollowed links pass none
+const computePageRank = (urls, edges) => {
+    const index = new Map(urls.map((url, i) => [url, i]));
+    const outgoing = urls.map(() => []);
+    edges.forEach(edge => {
+        if (edge.followed && index.has(edge.source) && index.has(edge.target) && edge.source !== edge.target) {
+            outgoing[index.get(edge.source)].push(index.get(edge.target));
+        }
+    });
+    const n = urls.length;
+    let ranks = new Array(n).fill(1 / n);
+    for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+        // Pages without followed links share their rank with every page
+        const dangling = ranks.reduce((sum, rank, i) => (outgoing[i].length ? sum : sum + rank), 0);
+        const next = new Array(n).fill((1 - DAMPING) / n + (DAMPING * dangling) / n);
+        ranks.forEach((rank, i) => {
+            outgoing[i].forEach(target => { next[target] += (DAMPING * rank) / outgoing[i].length; });
+        });
+        const change = next.reduce((sum, rank, i) => sum + Math.abs(rank - ranks[i]), 0);
+        ranks = next;
+        if (change < TOLERANCE) break;
+    }
+    return new Map(urls.map((url, i) => [url, ranks[i]]));
+};
+
+// Shortest number of clicks from the seed, following any internal link between crawled pages
+const computeDepths = (seedUrl, adjacency) => {
+    const depths = new Map([[seedUrl, 0]]);
+    const queue = [seedUrl];
+    while (queue.length) {
+        const url = queue.shift();
+        for (const target of adjacency.get(url) || []) {
+            if (depths.has(target)) continue;
+            depths.set(target, depths.get(url) + 1);
+            queue.push(target);
+        }
+    }
+    return depths;
+};
+
+// Build the internal link graph of a crawl. `pages` is [{ url, status, links }] with `links`
+// from extractLinks() (omitted for pages that failed); `sitemapUrls` the sitemap's entries.
+// Only crawled pages contribute links, so with `partial` set (the crawl stopped at maxPages)
+// orphans are pages no crawled page links to.
+export const buildLinkGraph = ({ seedUrl, pages, sitemapUrls = [], partial = false }) => {
+    const { hostname } = new URL(seedUrl);
+    const sitemap = new Set(sitemapUrls.map(url => normalizeUrl(url)).filter(url => url && new URL(url).hostname === hostname));
+    const crawled = new Map(pages.map(page => [page.url, page]));
+
+    // One edge per source/target pair, counting every link between them
+    const edgeMap = new Map();
+    const nofollowLinks = [];
+    const genericAnchors = [];
+    const externalOutlinks = new Map();
+    pages.forEach(page => {
+        (page.links || []).forEach(link => {
+            if (!link.internal) {
+                externalOutlinks.set(page.url, (externalOutlinks.get(page.url) || 0) + 1);
+                return;
+            }
+            const key = `${page.url}\n${link.url}`;
+            if (!edgeMap.has(key)) edgeMap.set(key, { source: page.url, target: link.url, links: 0, nofollowLinks: 0, anchors: new Map() });
+            const edge = edgeMap.get(key);
+            edge.links++;
+            if (link.nofollow) {
+                edge.nofollowLinks++;
+                nofollowLinks.push({ source: page.url, target: link.url, anchor: link.text });
+            }
+            if (link.text) edge.anchors.set(link.text, (edge.anchors.get(link.text) || 0) + 1);
+            if (link.text && isGenericAnchor(link.text)) genericAnchors.push({ source: page.url, target: link.url, anchor: link.text });
+        });
+    });
+    const edges = [...edgeMap.values()].map(edge => ({ ...edge, followed: edge.nofollowLinks < edge.links }));
+
+    const urls = new Set([...crawled.keys(), ...sitemap, ...edges.map(edge => edge.target)]);
+    const inbound = new Map();
+    const outbound = new Map();
+    const adjacency = new Map();
+    edges.filter(edge => edge.source !== edge.target).forEach(edge => {
+        if (!inbound.has(edge.target)) inbound.set(edge.target, []);
+        inbound.get(edge.target).push(edge);
+        if (!outbound.has(edge.source)) outbound.set(edge.source, []);
+        outbound.get(edge.source).push(edge);
+        if (!adjacency.has(edge.source)) adjacency.set(edge.source, []);
+        adjacency.get(edge.source).push(edge.target);
+    });
+
+    const audited = [...crawled.values()].filter(page => page.status === 'audited').map(page => page.url);
+    const ranks = audited.length ? computePageRank(audited, edges) : new Map();
+    const maxRank = Math.max(0, ...ranks.values());
+    const depths = computeDepths(seedUrl, adjacency);
+
+    const nodes = [...urls].map(url => {
+        const incoming = inbound.get(url) || [];
+        const anchors = new Map();
+        incoming.forEach(edge => edge.anchors.forEach((count, text) => anchors.set(text, (anchors.get(text) || 0) + count)));
+        const rank = ranks.get(url);
+        return {
+            url,
+            status: crawled.has(url) ? crawled.get(url).status : 'not-crawled',
+            inSitemap: sitemap.has(url),
+            depth: depths.has(url) ? depths.get(url) : null,
+            // Distinct pages linking in / linked to, and the raw link counts
+            inlinks: incoming.length,
+            inlinkCount: incoming.reduce((sum, edge) => sum + edge.links, 0),
+            outlinks: (outbound.get(url) || []).length,
+            outlinkCount: (outbound.get(url) || []).reduce((sum, edge) => sum + edge.links, 0),
+            externalOutlinks: externalOutlinks.get(url) || 0,
+            nofollowInlinks: incoming.reduce((sum, edge) => sum + edge.nofollowLinks, 0),
+            pageRank: rank === undefined ? null : Math.round(rank * 1e6) / 1e6,
+            // Rank relative to the strongest page, 0-100
+            importance: rank === undefined ? null : Math.round((rank / maxRank) * 100),
+            anchors: [...anchors].sort((a, b) => b[1] - a[1]).slice(0, MAX_ANCHORS).map(([text, count]) => ({ text, count }))
+        };
+    }).sort((a, b) => (b.pageRank ?? -1) - (a.pageRank ?? -1) || (a.depth ?? Infinity) - (b.depth ?? Infinity));
+
+    // In the sitemap but linked from no crawled page (the homepage needs no links)
+    const orphans = nodes.filter(node => node.inSitemap && node.url !== seedUrl && node.inlinks === 0).map(node => node.url);
+    const reachable = nodes.filter(node => node.depth !== null);
+
+    return {
+        seedUrl,
+        partial,
+        stats: {
+            nodes: nodes.length,
+            edges: edges.length,
+            crawledPages: audited.length,
+            maxDepth: reachable.length ? Math.max(...reachable.map(node => node.depth)) : 0,
+            unreachableFromSeed: nodes.length - reachable.length,
+            orphans: orphans.length,
+            nofollowLinks: nofollowLinks.length,
+            genericAnchors: genericAnchors.length
+        },
+        orphans,
+        nofollowLinks: nofollowLinks.slice(0, MAX_LISTED_LINKS),
+        genericAnchors: genericAnchors.slice(0, MAX_LISTED_LINKS),
+        nodes,
+        edges: edges.map(({ source, target, links, nofollowLinks: nofollow, anchors }) => ({
+            source, target, links, nofollowLinks: nofollow, anchors: [...anchors.keys()]
+        }))
+    };
+};
+
+// GraphML for Gephi, yEd and other graph tools, with the node metrics as attributes
+export const renderGraphMl = (graph) => {
+    const nodeKeys = [['status', 'string'], ['depth', 'int'], ['inlinks', 'int'], ['outlinks', 'int'], ['pageRank', 'double'], ['importance', 'int'], ['inSitemap', 'boolean']];
+    const edgeKeys = [['links', 'int'], ['nofollowLinks', 'int'], ['anchors', 'string']];
+    const data = (key, value) => (value === null || value === undefined ? '' : `<data key="${key}">${escapeHtml(value)}</data>`);
+    const ids = new Map(graph.nodes.map((node, i) => [node.url, `n${i}`]));
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        ...nodeKeys.map(([name, type]) => `  <key id="${name}" for="node" attr.name="${name}" attr.type="${type}"/>`),
+        '  <key id="url" for="node" attr.name="url" attr.type="string"/>',
+        ...edgeKeys.map(([name, type]) => `  <key id="e_${name}" for="edge" attr.name="${name}" attr.type="${type}"/>`),
+        '  <graph id="links" edgedefault="directed">',
+        ...graph.nodes.map(node => `    <node id="${ids.get(node.url)}">${data('url', node.url)}${nodeKeys.map(([name]) => data(name, node[name])).join('')}</node>`),
+        ...graph.edges.map((edge, i) => `    <edge id="e${i}" source="${ids.get(edge.source)}" target="${ids.get(edge.target)}">${data('e_links', edge.links)}${data('e_nofollowLinks', edge.nofollowLinks)}${data('e_anchors', edge.anchors.join(' | '))}</edge>`),
+        '  </graph>',
+        '</graphml>',
+        ''
+    ].join('\n');
+};
+
+const EDGE_CSV_COLUMNS = ['source', 'target', 'links', 'nofollowLinks', 'anchors'];
+
+// Edge list: one row per linking page and target
+export const renderEdgeCsv = (graph) => [
+    EDGE_CSV_COLUMNS.join(','),
+    ...graph.edges.map(edge => EDGE_CSV_COLUMNS.map(column => csvCell(column === 'anchors' ? edge.anchors.join(' | ') : edge[column])).join(','))
+].join('\r\n') + '\r\n';
+
+// { body, contentType, filename } for a link graph download
+export const exportLinkGraph = (graph, format = 'json') => {
+    const name = resolveLinkGraphFormat(format);
+    if (!graph || !Array.isArray(graph.nodes) || !Array.isArray(graph.edges)) {
+        throw new LinkGraphError('Expected a crawl result with a linkGraph');
+    }
+    const body = name === 'graphml' ? renderGraphMl(graph)
+        : name === 'csv' ? renderEdgeCsv(graph)
+            : JSON.stringify(graph, null, 2);
+    let host = 'site';
+    try { host = new URL(graph.seedUrl).hostname; } catch { /* keep the generic name */ }
+    return { body, contentType: LINK_GRAPH_FORMATS[name].contentType, filename: `link-graph-${host}.${LINK_GRAPH_FORMATS[name].extension}` };
+};
@@ -0,0 +1,158 @@
+import cheerio from 'cheerio';
+import { mapWithConcurrency } from './utils.js';
+import { safeRequest } from './safe-fetch.js';
+import { throwIfAborted } from './errors.js';
+
+export const LINK_CHECK_DEFAULTS = { limit: 100, concurrency: 5, timeout: 10000, maxRedirects: 10 };
+
+// Resolve every <a href> against the page URL and group identical targets
+export const collectLinks = ($, pageUrl) => {
+    const { hostname } = new URL(pageUrl);
+    const targets = new Map();
+    $('a[href]').each((_, el) => {
+        const href = ($(el).attr('href') || '').trim();
+        if (!href || href.startsWith('#')) return;
+        let resolved;
+        try { resolved = new URL(href, pageUrl); } catch { return; }
+        // mailto:, tel:, javascript: and friends can't be checked
+        if (!['http:', 'https:'].includes(resolved.protocol)) return;
+        resolved.hash = '';
+        const key = resolved.href;
+        if (!targets.has(key)) {
+            targets.set(key, {
+                url: key,
+                internal: resolved.hostname === hostname,
+                occurrences: 0,
+                anchorText: $(el).text().trim().slice(0, 100)
+            });
+        }
+        targets.get(key).occurrences++;
+    });
+    return [...targets.values()];
+};
+
+const isTimeout = (error) => error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message);
+
+// Request one hop without following redirects. Internal targets use GET so the final page's
+// canonical and robots directives can be read; external ones use HEAD and fall back to GET
+// for servers that refuse it.
+const requestHop = async (url, { internal, timeout, signal }) => {
+    const config = {
+        maxRedirects: 0,
+        timeout,
+        signal,
+        validateStatus: () => true,
+        maxBytes: 5 * 1024 * 1024
+    };
+    if (!internal) {
+        const head = await safeRequest(url, { ...config, method: 'HEAD' });
+        if (head.status !== 405 && head.status !== 501) return head;
+    }
+    return safeRequest(url, config);
+};
+
+// Read the indexing signals of a final, successful HTML response
+const readIndexSignals = (response, finalUrl) => {
+    const signals = { canonical: null, canonicalised: false, noindex: false };
+    const xRobots = String(response.headers['x-robots-tag'] || '').toLowerCase();
+    if (xRobots.includes('noindex')) signals.noindex = true;
+    const contentType = String(response.headers['content-type'] || '');
+    if (!contentType.includes('html') || typeof response.data !== 'string') return signals;
+
+    const $ = cheerio.load(response.data);
+    const robotsMeta = ($('meta[name="robots"]').attr('content') || '').toLowerCase();
+    if (robotsMeta.includes('noindex')) signals.noindex = true;
+    const canonicalHref = $('link[rel="canonical"]').attr('href');
+    if (canonicalHref) {
+        try {
+            const canonical = new URL(canonicalHref, finalUrl);
+            canonical.hash = '';
+            signals.canonical = canonical.href;
+            signals.canonicalised = canonical.href !== finalUrl;
+        } catch { }
+    }
+    return signals;
+};
+
+// Follow a link hop by hop, recording the whole redirect chain
+export const checkLink = async (target, options = {}) => {
+    const { timeout, maxRedirects, signal } = { ...LINK_CHECK_DEFAULTS, ...options };
+    const chain = [];
+    const visited = new Set();
+    let current = target.url;
+
+    try {
+        for (let hop = 0; hop <= maxRedirects; hop++) {
+            if (visited.has(current)) {
+                return { ...target, status: 'redirect-loop', chain, finalUrl: current };
+            }
+            visited.add(current);
+
+            // Redirects off-site are treated like external links
+            const internal = target.internal && new URL(current).hostname === new URL(target.url).hostname;
+            const response = await requestHop(current, { internal, timeout, signal });
+            chain.push({ url: current, status: response.status });
+
+            const location = response.headers.location;
+            if (response.status >= 300 && response.status < 400 && location) {
+                current = new URL(location, current).href;
+                continue;
+            }
+
+            const result = {
+                ...target,
+                status: response.status >= 400 ? 'broken' : 'ok',
+                statusCode: response.status,
+                statusText: response.statusText,
+                finalUrl: current,
+                redirected: chain.length > 1,
+                chain
+            };
+            if (response.status < 300) Object.assign(result, readIndexSignals(response, current));
+            return result;
+        }
+        return { ...target, status: 'too-many-redirects', chain, finalUrl: current };
+    } catch (error) {
+        throwIfAborted(signal);
+        return {
+            ...target,
+            status: isTimeout(error) ? 'timeout' : 'error',
+            error: error.code || error.message,
+            chain
+        };
+    }
+};
+
+export const validateLinks = async ($, pageUrl, options = {}) => {
+    const { limit, concurrency, signal } = { ...LINK_CHECK_DEFAULTS, ...options };
+    const targets = collectLinks($, pageUrl);
+    const sampled = targets.slice(0, limit);
+
+    const results = await mapWithConcurrency(sampled, concurrency, async (target) => {
+        throwIfAborted(signal);
+        return checkLink(target, options);
+    });
+
+    const summarize = ({ url, occurrences, anchorText, statusCode, statusText, error }) =>
+        ({ url, occurrences, anchorText, statusCode, statusText, error });
+
+    return {
+        total: targets.length,
+        checked: results.length,
+        broken: results.filter(r => r.status === 'broken').map(summarize),
+        timeouts: results.filter(r => r.status === 'timeout').map(summarize),
+        errors: results.filter(r => r.status === 'error').map(summarize),
+        redirects: results
+            .filter(r => r.redirected)
+            .map(r => ({ url: r.url, finalUrl: r.finalUrl, statusCode: r.statusCode, hops: r.chain.length - 1, chain: r.chain })),
+        redirectLoops: results
+            .filter(r => r.status === 'redirect-loop' || r.status === 'too-many-redirects')
+            .map(r => ({ url: r.url, reason: r.status, chain: r.chain })),
+        canonicalised: results
+            .filter(r => r.canonicalised)
+            .map(r => ({ url: r.url, finalUrl: r.finalUrl, canonical: r.canonical })),
+        noindexed: results
+            .filter(r => r.noindex)
+            .map(r => ({ url: r.url, finalUrl: r.finalUrl }))
+    };
+};
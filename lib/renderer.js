@@ -0,0 +1,172 @@
+import cheerio from 'cheerio';
+import { collectLinks } from './links.js';
+import { extractStructuredData } from './structured-data.js';
+import { throwIfAborted } from './errors.js';
+import { USER_AGENT } from './utils.js';
+import { assertPublicHost } from './safe-fetch.js';
+import { startBrowserProxy } from './browser-proxy.js';
+
+// How long to wait for the network to go idle before auditing whatever has rendered so far
+export const RENDER_TIMEOUT_MS = parseInt(process.env.RENDER_TIMEOUT_MS || '', 10) || 20000;
+// Lists in the raw-vs-rendered comparison keep at most this many items
+const MAX_DIFF_ITEMS = 50;
+
+export class RendererUnavailableError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RendererUnavailableError';
+        this.code = 'RENDERER_UNAVAILABLE';
+    }
+}
+
+let browserPromise = null;
+let proxyPromise = null;
+
+// Chrome reaches the network only through the address-checking proxy (see lib/browser-proxy.js):
+// loopback isn't exempt, QUIC is off and WebRTC may not send UDP around it
+const proxyArgs = (proxy) => [
+    `--proxy-server=http://${proxy}`,
+    '--proxy-bypass-list=<-loopback>',
+    '--disable-quic',
+    '--force-webrtc-ip-handling-policy=disable_non_proxied_udp'
+];
+
+// One headless browser is shared by every render; it is launched on first use and relaunched
+// if it crashes. puppeteer is an optional dependency so plain audits don't need Chrome.
+const getBrowser = () => {
+    if (!browserPromise) {
+        browserPromise = (async () => {
+            let puppeteer;
+            try {
+                puppeteer = (await import('puppeteer')).default;
+            } catch {
+                throw new RendererUnavailableError('Rendered mode needs the optional "puppeteer" dependency. Run `npm install puppeteer`.');
+            }
+            if (!proxyPromise) {
+                proxyPromise = startBrowserProxy();
+                proxyPromise.catch(() => { proxyPromise = null; });
+            }
+            // Containers usually can't give Chrome its own sandbox
+            const args = [
+                ...proxyArgs(await proxyPromise),
+                ...(process.env.BROWSER_NO_SANDBOX ? ['--no-sandbox', '--disable-setuid-sandbox'] : [])
+            ];
+            try {
+                const browser = await puppeteer.launch({ headless: true, args });
+                browser.on('disconnected', () => { browserPromise = null; });
+                return browser;
+            } catch (error) {
+                throw new RendererUnavailableError(`Could not start the headless browser: ${error.message}`);
+            }
+        })();
+        browserPromise.catch(() => { browserPromise = null; });
+    }
+    return browserPromise;
+};
+
+const INLINE_SCHEMES = /^(data|blob|about):/i;
+
+// Load `url` in the headless browser, wait for the network to go idle and return the final DOM.
+// The page's host is checked up front so a refused URL fails with BLOCKED_ADDRESS; everything
+// after that, redirects and subresources included, is checked by the proxy.
+export const renderPage = async (url, { signal, timeout = RENDER_TIMEOUT_MS } = {}) => {
+    throwIfAborted(signal);
+    await assertPublicHost(url);
+    const browser = await getBrowser();
+    const page = await browser.newPage();
+    const closePage = () => page.close().catch(() => {});
+    if (signal) signal.addEventListener('abort', closePage, { once: true });
+
+    const started = Date.now();
+    try {
+        await page.setUserAgent(USER_AGENT);
+        let networkIdle = true;
+        let response;
+        try {
+            response = await page.goto(url, { waitUntil: 'networkidle0', timeout });
+        } catch (error) {
+            throwIfAborted(signal);
+            // Pages that keep polling never go idle; audit what has rendered by the deadline
+            if (error.name !== 'TimeoutError') throw error;
+            networkIdle = false;
+        }
+        return {
+            html: await page.content(),
+            finalUrl: page.url(),
+            status: response ? response.status() : null,
+            networkIdle,
+            renderTime: Date.now() - started
+        };
+    } catch (error) {
+        throwIfAborted(signal);
+        throw error;
+    } finally {
+        if (signal) signal.removeEventListener('abort', closePage);
+        await closePage();
+    }
+};
+
+// Print an HTML document to an A4 PDF with the shared browser; used for PDF reports
+export const printPdf = async (html, { signal, timeout = RENDER_TIMEOUT_MS } = {}) => {
+    throwIfAborted(signal);
+    const browser = await getBrowser();
+    const page = await browser.newPage();
+    try {
+        // Reports are self-contained, so nothing should need the network
+        await page.setRequestInterception(true);
+        page.on('request', request => (INLINE_SCHEMES.test(request.url()) ? request.continue() : request.abort('blockedbyclient')).catch(() => {}));
+        await page.setContent(html, { waitUntil: 'load', timeout });
+        throwIfAborted(signal);
+        return Buffer.from(await page.pdf({
+            format: 'A4',
+            printBackground: true,
+            margin: { top: '16mm', right: '14mm', bottom: '16mm', left: '14mm' }
+        }));
+    } finally {
+        await page.close().catch(() => {});
+    }
+};
+
+// The values compared between the raw HTML and the rendered DOM
+const snapshot = (html, url) => {
+    const $ = cheerio.load(html);
+    const headings = [];
+    $('h1, h2, h3, h4, h5, h6').each((_, el) => {
+        headings.push({ level: parseInt(el.tagName.slice(1), 10), text: $(el).text().trim().replace(/\s+/g, ' ') });
+    });
+
+    return {
+        title: $('title').first().text().trim(),
+        metaDescription: ($('meta[name="description"]').attr('content') || '').trim(),
+        headings,
+        links: collectLinks($, url).map(link => link.url),
+        structuredData: extractStructuredData($).items.map(item => `${item.format}:${item.types.join(',') || 'untyped'}`)
+    };
+};
+
+const compareValue = (raw, rendered) => ({ raw, rendered, changed: raw !== rendered });
+
+// Items present on one side only; `key` turns an item into the string it is matched on
+const compareList = (raw, rendered, key = item => item) => {
+    const rawKeys = new Set(raw.map(key));
+    const renderedKeys = new Set(rendered.map(key));
+    return {
+        raw: raw.length,
+        rendered: rendered.length,
+        renderedOnly: rendered.filter(item => !rawKeys.has(key(item))).slice(0, MAX_DIFF_ITEMS),
+        rawOnly: raw.filter(item => !renderedKeys.has(key(item))).slice(0, MAX_DIFF_ITEMS)
+    };
+};
+
+// What client-side rendering added, removed or changed compared to the HTML the server sent
+export const compareRendered = (rawHtml, renderedHtml, url) => {
+    const raw = snapshot(String(rawHtml || ''), url);
+    const rendered = snapshot(renderedHtml, url);
+    return {
+        title: compareValue(raw.title, rendered.title),
+        metaDescription: compareValue(raw.metaDescription, rendered.metaDescription),
+        headings: compareList(raw.headings, rendered.headings, h => `${h.level}:${h.text}`),
+        links: compareList(raw.links, rendered.links),
+        structuredData: compareList(raw.structuredData, rendered.structuredData)
+    };
+};
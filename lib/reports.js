@@ -0,0 +1,348 @@
+import { SCORE_CATEGORIES, getLetterGrade } from './scoring.js';
+import { printPdf } from './renderer.js';
+import { safeRequest } from './safe-fetch.js';
+
+export const REPORT_FORMATS = {
+    html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    sarif: { contentType: 'application/sarif+json; charset=utf-8', extension: 'sarif' }
+};
+
+// White-label defaults; every field can also be overridden per request with `branding`
+export const DEFAULT_BRANDING = {
+    agencyName: process.env.REPORT_AGENCY_NAME || 'BrightForge SEO',
+    logoUrl: process.env.REPORT_LOGO_URL || '',
+    primaryColor: process.env.REPORT_PRIMARY_COLOR || '#FF4438',
+    accentColor: process.env.REPORT_ACCENT_COLOR || '#1E2022',
+    footerText: process.env.REPORT_FOOTER_TEXT || ''
+};
+
+// Logos are embedded in the report so it still shows when opened offline
+const MAX_LOGO_BYTES = 512 * 1024;
+
+const CATEGORY_LABELS = { onPage: 'On-page', technical: 'Technical', content: 'Content', performance: 'Performance', accessibility: 'Accessibility' };
+const PRIORITIES = { error: 'High', warning: 'Medium', notice: 'Low' };
+const SARIF_LEVELS = { error: 'error', warning: 'warning', notice: 'note' };
+
+export class ReportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReportError';
+        this.code = 'INVALID_REPORT';
+    }
+}
+
+export const resolveFormat = (format = 'html') => {
+    const name = String(format).toLowerCase();
+    if (!REPORT_FORMATS[name]) {
+        throw new ReportError(`Unknown report format "${format}". Use one of: ${Object.keys(REPORT_FORMATS).join(', ')}`);
+    }
+    return name;
+};
+
+const isColor = (value) => /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i.test(value);
+
+// Merge a request's `branding` over the defaults, rejecting values that would break the markup
+export const resolveBranding = (branding = {}) => {
+    if (branding === null || typeof branding !== 'object' || Array.isArray(branding)) {
+        throw new ReportError('branding must be an object');
+    }
+    const unknown = Object.keys(branding).filter(key => !(key in DEFAULT_BRANDING));
+    if (unknown.length) throw new ReportError(`Unknown branding fields: ${unknown.join(', ')}. Use: ${Object.keys(DEFAULT_BRANDING).join(', ')}`);
+    const merged = { ...DEFAULT_BRANDING, ...Object.fromEntries(Object.entries(branding).filter(([, value]) => value !== undefined)) };
+    for (const field of ['primaryColor', 'accentColor']) {
+        if (!isColor(merged[field])) throw new ReportError(`branding.${field} must be a hex colour such as #FF4438`);
+    }
+    if (merged.logoUrl && !/^(https?:\/\/|data:image\/)/i.test(merged.logoUrl)) {
+        throw new ReportError('branding.logoUrl must be an http(s) URL or a data:image URI');
+    }
+    return merged;
+};
+
+// Reports cover single-page audits: an /api/analyze result, analyze job or history run
+export const assertAuditResult = (result) => {
+    if (!result || typeof result !== 'object' || !result.analysis || !Array.isArray(result.findings)) {
+        throw new ReportError('Reports need a single-page audit result with `analysis` and `findings`');
+    }
+    return result;
+};
+
+// Download the logo and inline it as a data URI. A logo that can't be fetched is left out
+// rather than failing the report.
+export const embedLogo = async (logoUrl, { signal } = {}) => {
+    if (!logoUrl || logoUrl.startsWith('data:')) return logoUrl;
+    try {
+        const response = await safeRequest(logoUrl, {
+            responseType: 'arraybuffer',
+            timeout: 10000,
+            maxBytes: MAX_LOGO_BYTES,
+            maxDecompressedBytes: MAX_LOGO_BYTES,
+            signal
+        });
+        const type = String(response.headers['content-type'] || '').split(';')[0].trim();
+        if (!type.startsWith('image/')) throw new Error(`not an image (${type || 'no content type'})`);
+        return `data:${type};base64,${Buffer.from(response.data).toString('base64')}`;
+    } catch (error) {
+        console.error(`Report logo ${logoUrl} could not be embedded:`, error.message);
+        return '';
+    }
+};
+
+export const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const formatValue = (value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(Math.round(value * 100) / 100);
+    if (typeof value === 'object') return Object.entries(value).map(([k, v]) => `${k}: ${v}`).join(', ');
+    return String(value);
+};
+
+// Category scores with grades, read from the scoring breakdown when the result has one.
+// Results saved before a category existed leave it out.
+const categoryScores = (analysis) => SCORE_CATEGORIES.map(category => {
+    const scored = analysis.scoring && analysis.scoring.categories[category];
+    const score = scored ? scored.score : analysis[`${category}Score`];
+    return { category, label: CATEGORY_LABELS[category], score, grade: scored ? scored.grade : getLetterGrade(score) };
+}).filter(({ score }) => typeof score === 'number');
+
+const evidenceSummary = (finding) => {
+    const items = (finding.evidence || []).slice(0, 5).map(item => item.selector || item.url || (item.header ? `${item.header}: ${item.value}` : ''));
+    const more = (finding.evidenceCount || 0) - items.length;
+    return more > 0 ? [...items, `and ${more} more`] : items;
+};
+
+// A self-contained HTML report: inline styles, no scripts, the logo embedded. `branding`
+// must already be resolved and its logo embedded.
+export const renderHtmlReport = (result, branding = DEFAULT_BRANDING) => {
+    const { url, analysis, findings } = assertAuditResult(result);
+    const overall = analysis.scoring ? analysis.scoring.overall : { score: analysis.overallScore, grade: getLetterGrade(analysis.overallScore) };
+    const generatedAt = new Date().toISOString();
+
+    const categoryCards = categoryScores(analysis).map(({ label, score, grade }) => `
+        <div class="card">
+            <div class="card-label">${escapeHtml(label)}</div>
+            <div class="card-score">${escapeHtml(score)}</div>
+            <div class="grade">${escapeHtml(grade)}</div>
+        </div>`).join('');
+
+    const findingRows = findings.map((finding, i) => `
+            <tr class="severity-${escapeHtml(finding.severity)}">
+                <td>${i + 1}</td>
+                <td><span class="badge">${escapeHtml(PRIORITIES[finding.severity] || finding.severity)}</span></td>
+                <td>
+                    <strong>${escapeHtml(finding.message)}</strong>
+                    ${finding.fix ? `<div class="fix">${escapeHtml(finding.fix)}</div>` : ''}
+                    ${evidenceSummary(finding).length ? `<ul class="evidence">${evidenceSummary(finding).map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : ''}
+                </td>
+                <td>${escapeHtml(finding.category)}</td>
+                <td>${finding.impact && finding.impact.overallPoints ? `+${escapeHtml(finding.impact.overallPoints)}` : ''}</td>
+            </tr>`).join('');
+
+    const breakdownRows = (analysis.scoring ? analysis.scoring.breakdown : []).filter(item => item.maxPoints > 0).map(item => `
+            <tr>
+                <td>${escapeHtml(item.label)}</td>
+                <td>${escapeHtml(CATEGORY_LABELS[item.category] || item.category)}</td>
+                <td>${escapeHtml(formatValue(item.value))}</td>
+                <td>${escapeHtml(item.score)}</td>
+                <td>${escapeHtml(item.earned)} / ${escapeHtml(item.maxPoints)}</td>
+            </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>SEO audit: ${escapeHtml(url)} - ${escapeHtml(branding.agencyName)}</title>
+<style>
+    :root { --primary: ${branding.primaryColor}; --accent: ${branding.accentColor}; }
+    body { font-family: Arial, Helvetica, sans-serif; color: var(--accent); margin: 0; padding: 32px; }
+    header { display: flex; align-items: center; justify-content: space-between; border-bottom: 4px solid var(--primary); padding-bottom: 16px; }
+    header img { max-height: 56px; max-width: 220px; }
+    h1 { font-size: 24px; margin: 24px 0 4px; }
+    h2 { font-size: 18px; margin: 32px 0 12px; color: var(--primary); }
+    .meta { color: #666; font-size: 13px; word-break: break-all; }
+    .overall { display: flex; align-items: center; gap: 16px; margin: 24px 0; }
+    .overall-score { font-size: 56px; font-weight: bold; color: var(--primary); }
+    .grade { display: inline-block; padding: 2px 10px; border-radius: 4px; background: var(--accent); color: #fff; font-weight: bold; }
+    .cards { display: flex; gap: 12px; flex-wrap: wrap; }
+    .card { flex: 1; min-width: 120px; border: 1px solid #ddd; border-top: 4px solid var(--primary); border-radius: 4px; padding: 12px; text-align: center; }
+    .card-label { font-size: 13px; color: #666; }
+    .card-score { font-size: 32px; font-weight: bold; margin: 4px 0; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th { text-align: left; background: var(--accent); color: #fff; padding: 8px; }
+    td { border-bottom: 1px solid #eee; padding: 8px; vertical-align: top; }
+    tr { page-break-inside: avoid; }
+    .badge { display: inline-block; padding: 2px 8px; border-radius: 4px; font-size: 12px; font-weight: bold; color: #fff; background: #888; }
+    .severity-error .badge { background: #c62828; }
+    .severity-warning .badge { background: #ef6c00; }
+    .fix { color: #444; margin-top: 4px; }
+    .evidence { margin: 4px 0 0; padding-left: 18px; color: #666; font-family: monospace; font-size: 12px; word-break: break-all; }
+    footer { margin-top: 40px; border-top: 1px solid #ddd; padding-top: 12px; font-size: 12px; color: #666; }
+    @media print { body { padding: 0; } h2 { page-break-after: avoid; } }
+</style>
+</head>
+<body>
+<header>
+    ${branding.logoUrl ? `<img src="${escapeHtml(branding.logoUrl)}" alt="${escapeHtml(branding.agencyName)}">` : `<strong>${escapeHtml(branding.agencyName)}</strong>`}
+    <span class="meta">SEO audit report</span>
+</header>
+<h1>${escapeHtml(analysis.title || url)}</h1>
+<div class="meta">${escapeHtml(url)}<br>Audited ${escapeHtml(analysis.timestamp || generatedAt)}${analysis.scoring ? ` &middot; ${escapeHtml(analysis.scoring.profile)} scoring profile` : ''}</div>
+<div class="overall">
+    <div class="overall-score">${escapeHtml(overall.score)}</div>
+    <div><div class="grade">${escapeHtml(overall.grade)}</div><div class="meta">Overall score</div></div>
+</div>
+<div class="cards">${categoryCards}
+</div>
+<h2>Prioritised findings (${findings.length})</h2>
+${findings.length ? `<table>
+    <thead><tr><th>#</th><th>Priority</th><th>Issue and fix</th><th>Category</th><th>Points</th></tr></thead>
+    <tbody>${findingRows}
+    </tbody>
+</table>` : '<p>No issues found.</p>'}
+${breakdownRows ? `<h2>Score breakdown</h2>
+<table>
+    <thead><tr><th>Check</th><th>Category</th><th>Value</th><th>Score</th><th>Points</th></tr></thead>
+    <tbody>${breakdownRows}
+    </tbody>
+</table>` : ''}
+<footer>Prepared by ${escapeHtml(branding.agencyName)} on ${escapeHtml(generatedAt.slice(0, 10))}${branding.footerText ? ` &middot; ${escapeHtml(branding.footerText)}` : ''}</footer>
+</body>
+</html>
+`;
+};
+
+// Quote a CSV cell; cells that spreadsheets would run as formulas are prefixed with '
+export const csvCell = (value) => {
+    let text = formatValue(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = ['type', 'id', 'label', 'category', 'severity', 'value', 'score', 'maxPoints', 'pointsLost', 'overallPointsLost', 'fix', 'evidenceCount'];
+
+// One row per score check, then one per finding, under a shared set of columns
+export const renderCsvReport = (result) => {
+    const { analysis, findings } = assertAuditResult(result);
+    const checks = (analysis.scoring ? analysis.scoring.breakdown : []).map(item => ({
+        type: 'check',
+        id: item.check,
+        label: item.label,
+        category: item.category,
+        value: item.value,
+        score: item.score,
+        maxPoints: item.maxPoints,
+        pointsLost: item.lost,
+        overallPointsLost: item.overallLost
+    }));
+    const issues = findings.map(finding => ({
+        type: 'finding',
+        id: finding.code,
+        label: finding.message,
+        category: finding.category,
+        severity: finding.severity,
+        pointsLost: finding.impact ? finding.impact.categoryPoints : 0,
+        overallPointsLost: finding.impact ? finding.impact.overallPoints : 0,
+        fix: finding.fix,
+        evidenceCount: finding.evidenceCount
+    }));
+    const lines = [CSV_COLUMNS.join(','), ...[...checks, ...issues].map(row => CSV_COLUMNS.map(column => csvCell(row[column])).join(','))];
+    return lines.join('\r\n') + '\r\n';
+};
+
+// Scores and findings without the page metrics, for tools that only track issues
+export const renderJsonReport = (result) => {
+    const { url, analysis, findings } = assertAuditResult(result);
+    return JSON.stringify({
+        url,
+        auditedAt: analysis.timestamp || null,
+        scoringProfile: analysis.scoring ? analysis.scoring.profile : null,
+        scores: Object.fromEntries(categoryScores(analysis).map(({ category, score, grade }) => [category, { score, grade }])),
+        overall: { score: analysis.overallScore, grade: getLetterGrade(analysis.overallScore) },
+        findings: findings.map(({ details, ...finding }) => finding)
+    }, null, 2);
+};
+
+// SARIF 2.1.0, so findings can be loaded into code-scanning dashboards. Each finding code
+// is a SARIF rule; selectors become logical locations within the audited URL.
+export const renderSarifReport = (result) => {
+    const { url, analysis, findings } = assertAuditResult(result);
+    const rules = [...new Map(findings.map(finding => [finding.code, {
+        id: finding.code,
+        name: finding.ruleId,
+        shortDescription: { text: finding.message },
+        help: { text: finding.fix || finding.message },
+        defaultConfiguration: { level: SARIF_LEVELS[finding.severity] || 'warning' },
+        properties: { category: finding.category }
+    }])).values()];
+
+    const results = findings.map(finding => {
+        const selectors = (finding.evidence || []).filter(item => item.selector).map(item => ({ fullyQualifiedName: item.selector, kind: 'element' }));
+        const urls = (finding.evidence || []).filter(item => item.url).map(item => item.url);
+        return {
+            ruleId: finding.code,
+            ruleIndex: rules.findIndex(rule => rule.id === finding.code),
+            level: SARIF_LEVELS[finding.severity] || 'warning',
+            message: { text: finding.message },
+            locations: [{
+                physicalLocation: { artifactLocation: { uri: url } },
+                ...(selectors.length ? { logicalLocations: selectors } : {})
+            }],
+            ...(urls.length ? { relatedLocations: urls.map((uri, id) => ({ id, physicalLocation: { artifactLocation: { uri } } })) } : {}),
+            properties: {
+                category: finding.category,
+                severity: finding.severity,
+                evidenceCount: finding.evidenceCount,
+                impact: finding.impact,
+                ...(finding.wcag ? { tags: finding.wcag.map(criterion => `WCAG ${criterion}`) } : {})
+            }
+        };
+    });
+
+    return JSON.stringify({
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: { driver: { name: 'SEOAuditTool', version: '1.0.0', rules } },
+            invocations: [{ executionSuccessful: true, endTimeUtc: analysis.timestamp || new Date().toISOString() }],
+            artifacts: [{ location: { uri: url } }],
+            results,
+            properties: { overallScore: analysis.overallScore, scoringProfile: analysis.scoring ? analysis.scoring.profile : null }
+        }]
+    }, null, 2);
+};
+
+// Name downloads after the audited host and date, e.g. seo-audit-example.com-2024-05-01.pdf
+export const reportFilename = (result, format) => {
+    let host = 'report';
+    try { host = new URL(result.url).hostname; } catch { /* keep the generic name */ }
+    const date = String((result.analysis && result.analysis.timestamp) || new Date().toISOString()).slice(0, 10);
+    return `seo-audit-${host}-${date}.${REPORT_FORMATS[format].extension}`;
+};
+
+// Build a report download: { body, contentType, filename }. PDFs are the HTML report printed
+// by the headless browser, so they need puppeteer like rendered mode does.
+export const buildReport = async (result, { format = 'html', branding, signal } = {}) => {
+    const name = resolveFormat(format);
+    assertAuditResult(result);
+    let body;
+    if (name === 'html' || name === 'pdf') {
+        const resolved = resolveBranding(branding);
+        const html = renderHtmlReport(result, { ...resolved, logoUrl: await embedLogo(resolved.logoUrl, { signal }) });
+        body = name === 'pdf' ? await printPdf(html, { signal }) : html;
+    } else if (name === 'csv') {
+        body = renderCsvReport(result);
+    } else if (name === 'json') {
+        body = renderJsonReport(result);
+    } else {
+        body = renderSarifReport(result);
+    }
+    return { body, contentType: REPORT_FORMATS[name].contentType, filename: reportFilename(result, name) };
+};
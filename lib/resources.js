@@ -0,0 +1,337 @@
+import { mapWithConcurrency, selectorFor } from './utils.js';
+import { safeRequest, decompressBody } from './safe-fetch.js';
+import { throwIfAborted } from './errors.js';
+
+export const RESOURCE_DEFAULTS = { limit: 100, concurrency: 6, timeout: 10000, maxBytes: 10 * 1024 * 1024 };
+
+export const RESOURCE_TYPES = ['document', 'script', 'stylesheet', 'font', 'image'];
+
+// Cache lifetime that counts as long for a static asset (30 days, as the caching rule uses)
+export const LONG_CACHE_SECONDS = 30 * 24 * 60 * 60;
+// Text responses smaller than one packet gain nothing from compression
+export const MIN_COMPRESSIBLE_BYTES = 1400;
+// Images are assumed to be shown on 2x screens when judging whether they're oversized
+const DEVICE_PIXEL_RATIO = 2;
+// Oversized images and legacy formats are only reported when there's this much to save
+const MIN_IMAGE_SAVINGS = 4 * 1024;
+const MIN_LEGACY_IMAGE_BYTES = 10 * 1024;
+// Rough saving from re-encoding a JPEG, PNG or GIF as WebP or AVIF
+const MODERN_FORMAT_SAVING = 0.3;
+
+const COMPRESSED_ENCODINGS = ['br', 'gzip', 'deflate', 'zstd'];
+const LEGACY_IMAGE_FORMATS = ['jpeg', 'png', 'gif', 'bmp'];
+
+const resolve = (href, base) => {
+    if (!href) return null;
+    try {
+        const url = new URL(href.trim(), base);
+        if (!['http:', 'https:'].includes(url.protocol)) return null;
+        url.hash = '';
+        return url.href;
+    } catch {
+        return null;
+    }
+};
+
+const isAsync = ($el) => $el.attr('async') !== undefined || $el.attr('defer') !== undefined || ($el.attr('type') || '').toLowerCase() === 'module';
+
+// Print stylesheets don't block rendering; other media queries can't be evaluated without a
+// viewport, so they count as blocking
+const isBlockingMedia = (media) => !media || !/^\s*print\s*$/i.test(media);
+
+const px = (value) => {
+    const match = String(value || '').trim().match(/^(\d+(?:\.\d+)?)(px)?$/i);
+    return match ? parseFloat(match[1]) : null;
+};
+
+// Width and height the page asks for: attributes, or pixel sizes in an inline style
+const renderedSize = ($el) => {
+    const style = Object.fromEntries(String($el.attr('style') || '').split(';')
+        .map(part => part.split(':').map(s => s.trim().toLowerCase()))
+        .filter(parts => parts.length === 2));
+    return { width: px(style.width) ?? px($el.attr('width')), height: px(style.height) ?? px($el.attr('height')) };
+};
+
+// Every script, stylesheet, font preload and image the HTML references, once per URL.
+// Render-blocking resources are the synchronous scripts and non-print stylesheets in <head>.
+export const collectResources = ($, pageUrl) => {
+    const base = resolve($('base[href]').attr('href'), pageUrl) || pageUrl;
+    const resources = new Map();
+    const add = (url, type, extra = {}) => {
+        if (!url || resources.has(url)) return;
+        resources.set(url, { url, type, ...extra });
+    };
+
+    const renderBlocking = { scripts: [], stylesheets: [] };
+    const scriptsWithoutDefer = [];
+    $('script[src]').each((_, el) => {
+        const url = resolve($(el).attr('src'), base);
+        if (!url) return;
+        const inHead = $(el).closest('head').length > 0;
+        const blocking = !isAsync($(el));
+        add(url, 'script', { renderBlocking: blocking && inHead });
+        if (blocking && inHead) renderBlocking.scripts.push({ url, selector: selectorFor($, el) });
+        else if (blocking) scriptsWithoutDefer.push({ url, selector: selectorFor($, el) });
+    });
+    $('link[href]').each((_, el) => {
+        const rel = ($(el).attr('rel') || '').toLowerCase().split(/\s+/);
+        const url = resolve($(el).attr('href'), base);
+        if (!url) return;
+        if (rel.includes('stylesheet') && !rel.includes('alternate')) {
+            const blocking = $(el).closest('head').length > 0 && isBlockingMedia($(el).attr('media')) && $(el).attr('disabled') === undefined;
+            add(url, 'stylesheet', { renderBlocking: blocking });
+            if (blocking) renderBlocking.stylesheets.push({ url, selector: selectorFor($, el) });
+        } else if (rel.includes('preload') && $(el).attr('as') === 'font') {
+            add(url, 'font');
+        }
+    });
+    $('img').each((_, el) => {
+        const url = resolve($(el).attr('src') || $(el).attr('data-src'), base);
+        if (!url) return;
+        const size = renderedSize($(el));
+        add(url, 'image', {
+            selector: selectorFor($, el),
+            renderedWidth: size.width,
+            renderedHeight: size.height,
+            // The browser picks a candidate from srcset, so the src alone can't be judged oversized
+            responsive: Boolean($(el).attr('srcset') || $(el).closest('picture').length)
+        });
+    });
+    return { resources: [...resources.values()], renderBlocking, scriptsWithoutDefer, inlineStyles: $('style').map((_, el) => $(el).html()).get() };
+};
+
+// Font files from @font-face rules. Browsers download one source per face, so prefer woff2.
+export const extractFontUrls = (css, baseUrl) => {
+    const urls = [];
+    for (const [rule] of String(css || '').matchAll(/@font-face\s*{[^}]*}/gi)) {
+        const sources = [...rule.matchAll(/url\(\s*(['"]?)([^'")]+)\1\s*\)(?:\s*format\(\s*['"]?([\w-]+)['"]?\s*\))?/gi)]
+            .map(([, , href, format]) => ({ url: resolve(href, baseUrl), format: (format || '').toLowerCase() }))
+            .filter(source => source.url);
+        const chosen = sources.find(source => source.format === 'woff2' || /\.woff2(\?|$)/i.test(source.url)) || sources[0];
+        if (chosen) urls.push(chosen.url);
+    }
+    return urls;
+};
+
+// Intrinsic size from the image header: PNG, GIF, JPEG and WebP
+export const readImageSize = (buffer) => {
+    if (!buffer || buffer.length < 30) return null;
+    if (buffer.readUInt32BE(0) === 0x89504e47) {
+        return { format: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+        return { format: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        const chunk = buffer.toString('ascii', 12, 16);
+        if (chunk === 'VP8 ') return { format: 'webp', width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+        if (chunk === 'VP8L') {
+            const bits = buffer.readUInt32LE(21);
+            return { format: 'webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8X') return { format: 'webp', width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+        return { format: 'webp', width: null, height: null };
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < buffer.length) {
+            if (buffer[offset] !== 0xff) return { format: 'jpeg', width: null, height: null };
+            const marker = buffer[offset + 1];
+            // Start-of-frame markers carry the dimensions; C4, C8 and CC are other tables
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                return { format: 'jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+        return { format: 'jpeg', width: null, height: null };
+    }
+    if (buffer.toString('ascii', 4, 12) === 'ftypavif') return { format: 'avif', width: null, height: null };
+    if (buffer.toString('ascii', 0, 2) === 'BM') return { format: 'bmp', width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) };
+    return null;
+};
+
+const decode = (buffer, encoding) => {
+    try {
+        return decompressBody(buffer, encoding);
+    } catch { /* fall through to the raw bytes */ }
+    return buffer;
+};
+
+// Cache lifetime in seconds from Cache-Control, falling back to Expires
+export const cacheLifetime = (headers) => {
+    const cacheControl = String(headers['cache-control'] || '').toLowerCase();
+    if (/no-store|no-cache/.test(cacheControl)) return 0;
+    const maxAge = cacheControl.match(/(?:^|,)\s*(?:s-maxage|max-age)\s*=\s*(\d+)/);
+    if (maxAge) return parseInt(maxAge[1], 10);
+    if (headers.expires) {
+        const expires = Date.parse(headers.expires);
+        const date = headers.date ? Date.parse(headers.date) : Date.now();
+        if (!Number.isNaN(expires)) return Math.max(0, Math.round((expires - date) / 1000));
+    }
+    return null;
+};
+
+const isCompressible = (type, contentType) => type === 'script' || type === 'stylesheet'
+    || /^text\/|javascript|json|xml|svg|font\/(ttf|otf)|application\/(x-)?font-(ttf|otf|sfnt)|vnd\.ms-fontobject/i.test(contentType);
+
+// Fetch one resource as it comes over the wire: the body is left compressed so its length is
+// the transfer size (without headers). Only what later stages need is kept from the body -
+// an image's header, a stylesheet's fonts - so cached results stay small.
+const fetchResource = async (resource, { pageHost, timeout, maxBytes, signal }) => {
+    const entry = { url: resource.url, type: resource.type, thirdParty: new URL(resource.url).hostname !== pageHost };
+    try {
+        const response = await safeRequest(resource.url, {
+            responseType: 'arraybuffer',
+            decompress: false,
+            timeout,
+            signal,
+            maxBytes,
+            validateStatus: () => true
+        });
+        const body = Buffer.from(response.data || []);
+        const headers = response.headers || {};
+        const contentType = String(headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        const encoding = String(headers['content-encoding'] || '').trim().toLowerCase() || null;
+        const lifetime = cacheLifetime(headers);
+        Object.assign(entry, {
+            status: response.status,
+            bytes: body.length,
+            contentType,
+            encoding,
+            compressible: isCompressible(resource.type, contentType),
+            compressed: COMPRESSED_ENCODINGS.includes(encoding),
+            cache: {
+                cacheControl: headers['cache-control'] || null,
+                expires: headers.expires || null,
+                etag: Boolean(headers.etag),
+                lastModified: Boolean(headers['last-modified']),
+                lifetimeSeconds: lifetime,
+                long: lifetime !== null && lifetime >= LONG_CACHE_SECONDS
+            }
+        });
+        if (response.status >= 400) {
+            entry.error = `HTTP ${response.status}`;
+            return { entry };
+        }
+        if (resource.type === 'image') return { entry, imageSize: readImageSize(decode(body, encoding)) };
+        if (resource.type === 'stylesheet') return { entry, fonts: extractFontUrls(decode(body, encoding).toString('utf8'), resource.url) };
+        return { entry };
+    } catch (error) {
+        throwIfAborted(signal);
+        entry.error = error.code === 'RESPONSE_TOO_LARGE' ? `Larger than ${maxBytes} bytes` : error.message;
+        return { entry };
+    }
+};
+
+// Image details: intrinsic size against the size it's shown at, and whether it's in a
+// format WebP or AVIF would shrink
+const describeImage = (resource, entry, imageSize) => {
+    const size = imageSize || { format: /svg/.test(entry.contentType) ? 'svg' : null, width: null, height: null };
+    const image = {
+        format: size.format,
+        width: size.width,
+        height: size.height,
+        renderedWidth: resource.renderedWidth,
+        renderedHeight: resource.renderedHeight,
+        selector: resource.selector,
+        oversized: false,
+        wastedBytes: 0,
+        legacyFormat: LEGACY_IMAGE_FORMATS.includes(size.format) && entry.bytes >= MIN_LEGACY_IMAGE_BYTES
+    };
+    if (size.width && size.height && resource.renderedWidth && !resource.responsive) {
+        // Fill in the missing rendered dimension from the image's aspect ratio
+        const renderedHeight = resource.renderedHeight || (resource.renderedWidth * size.height) / size.width;
+        const neededPixels = (resource.renderedWidth * DEVICE_PIXEL_RATIO) * (renderedHeight * DEVICE_PIXEL_RATIO);
+        const wasted = Math.round(entry.bytes * Math.max(0, 1 - neededPixels / (size.width * size.height)));
+        image.oversized = wasted >= MIN_IMAGE_SAVINGS;
+        image.wastedBytes = image.oversized ? wasted : 0;
+    }
+    image.modernFormatSavings = image.legacyFormat ? Math.round(entry.bytes * MODERN_FORMAT_SAVING) : 0;
+    return image;
+};
+
+const summarizeTypes = (assets) => Object.fromEntries(RESOURCE_TYPES.map(type => {
+    const ofType = assets.filter(asset => asset.type === type && !asset.error);
+    return [type, { count: ofType.length, bytes: ofType.reduce((sum, asset) => sum + asset.bytes, 0) }];
+}));
+
+// Fetch everything the page loads and measure it. `response` is the page fetch, counted as the
+// document. `options.cache` (a Map) shares fetched assets between the pages of a crawl or batch.
+export const analyzeResources = async ($, pageUrl, response, options = {}) => {
+    const { limit, concurrency, timeout, maxBytes } = { ...RESOURCE_DEFAULTS, ...options };
+    const { signal, cache } = options;
+    const pageHost = new URL(pageUrl).hostname;
+    const { resources, renderBlocking, scriptsWithoutDefer, inlineStyles } = collectResources($, pageUrl);
+
+    const load = (resource) => {
+        if (!cache) return fetchResource(resource, { pageHost, timeout, maxBytes, signal });
+        if (!cache.has(resource.url)) {
+            const pending = fetchResource(resource, { pageHost, timeout, maxBytes, signal });
+            // A cancelled fetch mustn't poison the cache for the next page
+            pending.catch(() => cache.delete(resource.url));
+            cache.set(resource.url, pending);
+        }
+        return cache.get(resource.url);
+    };
+
+    // Stylesheets first: the fonts they declare are only known once they're downloaded
+    const selected = resources.slice(0, limit);
+    const stylesheets = selected.filter(resource => resource.type === 'stylesheet');
+    const styleResults = await mapWithConcurrency(stylesheets, concurrency, load);
+    const known = new Set(selected.map(resource => resource.url));
+    const fonts = [
+        ...inlineStyles.flatMap(css => extractFontUrls(css, pageUrl)),
+        ...styleResults.flatMap(result => result.fonts || [])
+    ].filter(url => !known.has(url) && known.add(url)).map(url => ({ url, type: 'font' }));
+    const rest = [...selected.filter(resource => resource.type !== 'stylesheet'), ...fonts].slice(0, Math.max(0, limit - stylesheets.length));
+    throwIfAborted(signal);
+    const restResults = await mapWithConcurrency(rest, concurrency, load);
+
+    const byUrl = new Map(selected.map(resource => [resource.url, resource]));
+    const assets = [...styleResults, ...restResults].map(({ entry, imageSize }) => {
+        const resource = byUrl.get(entry.url) || entry;
+        // Cached entries are shared between pages, so copy before adding page-specific fields
+        const asset = { ...entry, renderBlocking: Boolean(resource.renderBlocking), thirdParty: new URL(entry.url).hostname !== pageHost };
+        if (entry.type === 'image' && !entry.error) asset.image = describeImage(resource, entry, imageSize);
+        return asset;
+    });
+
+    const headers = response.headers || {};
+    const documentBytes = parseInt(headers['content-length'], 10) || Buffer.byteLength(String(response.data || ''));
+    const documentEncoding = String(headers['content-encoding'] || '').toLowerCase() || null;
+    const byType = summarizeTypes(assets);
+    byType.document = { count: 1, bytes: documentBytes };
+
+    const ok = assets.filter(asset => !asset.error);
+    const compressible = ok.filter(asset => asset.compressible && asset.bytes >= MIN_COMPRESSIBLE_BYTES);
+    const firstParty = ok.filter(asset => !asset.thirdParty);
+    const images = ok.filter(asset => asset.image);
+    const encodings = {};
+    compressible.forEach(asset => { encodings[asset.encoding || 'none'] = (encodings[asset.encoding || 'none'] || 0) + 1; });
+
+    return {
+        total: { count: ok.length + 1, bytes: Object.values(byType).reduce((sum, type) => sum + type.bytes, 0) },
+        byType,
+        document: { bytes: documentBytes, encoding: documentEncoding },
+        // Of the text assets big enough to benefit: how many use each Content-Encoding
+        compression: {
+            encodings,
+            compressibleBytes: compressible.reduce((sum, asset) => sum + asset.bytes, 0),
+            uncompressedBytes: compressible.filter(asset => !asset.compressed).reduce((sum, asset) => sum + asset.bytes, 0)
+        },
+        caching: {
+            firstPartyAssets: firstParty.length,
+            longCacheAssets: firstParty.filter(asset => asset.cache.long).length
+        },
+        images: {
+            bytes: images.reduce((sum, asset) => sum + asset.bytes, 0),
+            wastedBytes: images.reduce((sum, asset) => sum + asset.image.wastedBytes, 0),
+            legacyFormatBytes: images.filter(asset => asset.image.legacyFormat).reduce((sum, asset) => sum + asset.bytes, 0)
+        },
+        renderBlocking,
+        scriptsWithoutDefer,
+        failed: assets.filter(asset => asset.error).length,
+        skipped: Math.max(0, resources.length - limit),
+        assets
+    };
+};
@@ -0,0 +1,185 @@
+import axios from 'axios';
+import { safeRequest } from './safe-fetch.js';
+
+// Crawlers the audit reports robots.txt verdicts for. SEOAuditTool is this tool's own token
+// (see USER_AGENT) and is the one the site crawler obeys.
+export const ROBOTS_AGENTS = ['Googlebot', 'Bingbot', 'SEOAuditTool'];
+export const OWN_AGENT = 'SEOAuditTool';
+
+// RFC 9309 requires parsing at least 500 KiB; anything past that is ignored, as Google does
+const MAX_ROBOTS_BYTES = 500 * 1024;
+
+// Directives outside RFC 9309 that major crawlers still understand; not reported as unknown
+const EXTENSION_DIRECTIVES = ['crawl-delay', 'host', 'clean-param'];
+
+// Parse robots.txt into user-agent groups as described in RFC 9309. Consecutive user-agent
+// lines share one group; Sitemap lines are global and don't interrupt a group.
+export const parseRobotsTxt = (text) => {
+    const groups = [];
+    const sitemaps = [];
+    const errors = [];
+    const unknownDirectives = [];
+    let group = null;
+    let lastWasAgent = false;
+
+    String(text).split(/\r\n|\r|\n/).forEach((raw, index) => {
+        const line = index + 1;
+        const content = raw.split('#')[0].trim();
+        if (!content) return;
+
+        const colon = content.indexOf(':');
+        if (colon === -1) {
+            errors.push({ line, content: raw.trim(), message: 'Missing ":" between directive and value' });
+            return;
+        }
+        const directive = content.slice(0, colon).trim().toLowerCase();
+        const value = content.slice(colon + 1).trim();
+
+        switch (directive) {
+        case 'user-agent':
+            if (!value) {
+                errors.push({ line, content: raw.trim(), message: 'Empty user-agent' });
+                return;
+            }
+            if (!lastWasAgent) {
+                group = { userAgents: [], rules: [], crawlDelay: null, line };
+                groups.push(group);
+            }
+            group.userAgents.push(value);
+            lastWasAgent = true;
+            return;
+        case 'allow':
+        case 'disallow':
+            lastWasAgent = false;
+            if (!group) {
+                errors.push({ line, content: raw.trim(), message: `${directive} rule before any user-agent line is ignored` });
+                return;
+            }
+            if (value && !value.startsWith('/') && !value.startsWith('*')) {
+                errors.push({ line, content: raw.trim(), message: 'Rule paths must start with "/" or "*"' });
+            }
+            group.rules.push({ type: directive, path: value, line });
+            return;
+        case 'crawl-delay':
+            lastWasAgent = false;
+            if (!group) {
+                errors.push({ line, content: raw.trim(), message: 'crawl-delay before any user-agent line is ignored' });
+                return;
+            }
+            if (Number.isNaN(Number(value)) || value === '') {
+                errors.push({ line, content: raw.trim(), message: 'crawl-delay must be a number of seconds' });
+                return;
+            }
+            group.crawlDelay = Number(value);
+            return;
+        case 'sitemap':
+            try {
+                sitemaps.push(new URL(value).href);
+            } catch {
+                errors.push({ line, content: raw.trim(), message: 'Sitemap must be an absolute URL' });
+            }
+            return;
+        default:
+            if (!EXTENSION_DIRECTIVES.includes(directive)) unknownDirectives.push({ line, directive, content: raw.trim() });
+        }
+    });
+
+    return { groups, sitemaps: [...new Set(sitemaps)], errors, unknownDirectives };
+};
+
+// Normalise percent-encoding so "/caf%c3%a9", "/café" and "/caf%C3%A9" compare equal
+const normalizeEncoding = (value) => value
+    .replace(/[^\x21-\x7e]/g, c => encodeURIComponent(c))
+    .replace(/%[0-9a-f]{2}/gi, e => e.toUpperCase());
+
+// Turn a rule path into a RegExp: `*` matches any run of characters and a trailing `$`
+// anchors the end. Everything else is a literal prefix.
+const patternToRegExp = (pattern) => {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => normalizeEncoding(part).replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+};
+
+// The groups that apply to `agent`: every group naming its product token (matched
+// case-insensitively), or the `*` groups when none do. Matching groups are merged.
+const groupsFor = (groups, agent) => {
+    const token = agent.toLowerCase();
+    const named = groups.filter(g => g.userAgents.some(ua => ua.toLowerCase() === token));
+    return named.length ? named : groups.filter(g => g.userAgents.includes('*'));
+};
+
+// Decide whether `agent` may fetch `url`. The longest matching rule wins; on a tie Allow
+// wins. Returns the rule that decided it (null when no rule matched).
+export const evaluateRobots = (robotsInfo, url, agent = OWN_AGENT) => {
+    if (!robotsInfo || !robotsInfo.exists) {
+        // 4xx means "no restrictions"; an unreachable robots.txt means "assume everything is disallowed"
+        const unreachable = Boolean(robotsInfo && robotsInfo.unreachable);
+        return { agent, allowed: !unreachable, reason: unreachable ? 'robots.txt unreachable' : 'no robots.txt', rule: null, crawlDelay: null };
+    }
+
+    let path;
+    try {
+        const parsed = new URL(url);
+        path = normalizeEncoding(parsed.pathname + parsed.search);
+    } catch {
+        return { agent, allowed: true, reason: 'invalid URL', rule: null, crawlDelay: null };
+    }
+
+    const groups = groupsFor(robotsInfo.groups || [], agent);
+    const delays = groups.map(g => g.crawlDelay).filter(d => d !== null);
+    const crawlDelay = delays.length ? Math.max(...delays) : null;
+    if (path === '/robots.txt') return { agent, allowed: true, reason: 'robots.txt is always allowed', rule: null, crawlDelay };
+
+    let best = null;
+    for (const rule of groups.flatMap(g => g.rules)) {
+        // An empty Disallow matches nothing
+        if (!rule.path || !patternToRegExp(rule.path).test(path)) continue;
+        const length = normalizeEncoding(rule.path).length;
+        if (!best || length > best.length || (length === best.length && rule.type === 'allow')) {
+            best = { ...rule, length };
+        }
+    }
+
+    if (!best) {
+        return { agent, allowed: true, reason: groups.length ? 'no matching rule' : 'no group for this user-agent', rule: null, crawlDelay };
+    }
+    const { length, ...rule } = best;
+    return { agent, allowed: rule.type === 'allow', reason: `matched ${rule.type} rule`, rule, crawlDelay };
+};
+
+// Verdicts for every agent in ROBOTS_AGENTS
+export const robotsVerdicts = (robotsInfo, url) =>
+    Object.fromEntries(ROBOTS_AGENTS.map(agent => [agent, evaluateRobots(robotsInfo, url, agent)]));
+
+export const fetchRobotsTxt = async (siteUrl, { signal } = {}) => {
+    const robotsUrl = new URL('/robots.txt', siteUrl).href;
+    try {
+        const res = await safeRequest(robotsUrl, {
+            timeout: 15000,
+            validateStatus: () => true,
+            signal
+        });
+        // RFC 9309: 4xx means no restrictions, 5xx means the crawler should assume complete disallow
+        if (res.status >= 500) return { exists: false, unreachable: true, url: robotsUrl, status: res.status };
+        if (res.status >= 400) return { exists: false, url: robotsUrl, status: res.status };
+
+        const body = String(res.data || '');
+        const truncated = Buffer.byteLength(body) > MAX_ROBOTS_BYTES;
+        const parsed = parseRobotsTxt(truncated ? Buffer.from(body).subarray(0, MAX_ROBOTS_BYTES).toString() : body);
+        return {
+            exists: true,
+            url: robotsUrl,
+            status: res.status,
+            truncated,
+            ...parsed,
+            // Raw Disallow lines, kept for older clients
+            disallows: body.split(/\r\n|\r|\n/).filter(l => l.trim().toLowerCase().startsWith('disallow'))
+        };
+    } catch (err) {
+        if (axios.isCancel(err)) throw err;
+        return { exists: false, unreachable: true, url: robotsUrl, error: err.message };
+    }
+};
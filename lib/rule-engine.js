@@ -0,0 +1,201 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { isCancelled, throwIfAborted } from './errors.js';
+
+export const BUILTIN_RULES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'rules');
+
+export const RULE_CATEGORIES = ['technical', 'content', 'performance', 'social', 'accessibility'];
+export const RULE_SEVERITIES = ['error', 'warning', 'notice'];
+
+// What a rule can ask for in `inputs`. The analyzer supplies a provider for each one and the
+// engine only calls the providers that an enabled rule needs, so e.g. robots.txt is never
+// fetched when every robots rule is disabled.
+//   dom             - cheerio instance for the page
+//   html            - raw HTML string
+//   url             - the audited URL
+//   headers         - response headers of the page fetch
+//   page            - the basic metrics the analyzer extracts (title, heading counts, ...)
+//   robots          - fetchRobotsTxt() result
+//   sitemap         - fetchXmlSitemap() result
+//   securityHeaders - security headers from a HEAD request to the page
+//   links           - validateLinks() result
+//   rendering       - raw-vs-rendered comparison; null unless the audit ran in rendered mode
+//   structuredData  - extractStructuredData() result: JSON-LD, Microdata and RDFa items
+//   keywords        - analyzeKeywords() result: per-keyword density and prominence, top phrases
+//   content         - analyzeContent() result: main content readability, length, heading outline
+//   accessibility   - analyzeAccessibility() result: per-check failures with WCAG criteria
+//   resources       - analyzeResources() result: every script, stylesheet, font and image fetched
+//                     and measured (size, compression, caching, image dimensions)
+//   social          - analyzeSocial() result: Open Graph and Twitter Card tags, the share image,
+//                     icons and web app manifest fetched and checked, and the link previews
+//   indexability    - analyzeIndexability() result: robots directives, robots.txt, status,
+//                     redirects and the followed canonical merged into one verdict
+export const RULE_INPUTS = [
+    'dom', 'html', 'url', 'headers', 'page', 'robots', 'sitemap', 'securityHeaders', 'links', 'rendering', 'structuredData',
+    'keywords', 'content', 'accessibility', 'resources', 'social', 'indexability'
+];
+
+// Findings keep at most this many evidence items; `evidenceCount` holds the full number
+export const MAX_EVIDENCE = 50;
+
+export class RuleDefinitionError extends Error {
+    constructor(file, message) {
+        super(`Invalid rule in ${file}: ${message}`);
+        this.name = 'RuleDefinitionError';
+    }
+}
+
+export class RuleSelectionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RuleSelectionError';
+        this.code = 'INVALID_RULE_SELECTION';
+    }
+}
+
+const validateRule = (rule, file) => {
+    if (!rule || typeof rule !== 'object') throw new RuleDefinitionError(file, 'default export must be a rule object');
+    if (typeof rule.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(rule.id)) throw new RuleDefinitionError(file, '`id` must be a kebab-case string');
+    if (!RULE_CATEGORIES.includes(rule.category)) throw new RuleDefinitionError(file, `\`category\` must be one of ${RULE_CATEGORIES.join(', ')}`);
+    if (!RULE_SEVERITIES.includes(rule.severity)) throw new RuleDefinitionError(file, `\`severity\` must be one of ${RULE_SEVERITIES.join(', ')}`);
+    if (!Array.isArray(rule.inputs)) throw new RuleDefinitionError(file, '`inputs` must be an array');
+    const unknown = rule.inputs.filter(input => !RULE_INPUTS.includes(input));
+    if (unknown.length) throw new RuleDefinitionError(file, `unknown inputs: ${unknown.join(', ')}`);
+    if (typeof rule.run !== 'function') throw new RuleDefinitionError(file, '`run` must be a function');
+    return {
+        description: '',
+        fix: '',
+        enabledByDefault: true,
+        ...rule
+    };
+};
+
+// Fill in a rule's defaults on a finding it returned. A finding object has:
+//   code       - stable identifier clients can filter and dedupe on (defaults to the rule id)
+//   severity   - error | warning | notice (defaults to the rule's)
+//   category   - technical | content | performance | social | accessibility (always the rule's)
+//   message    - what is wrong, in plain English
+//   fix        - how to fix it (defaults to the rule's `fix`)
+//   evidence   - affected elements and URLs: [{ selector }, { url }, { header, value }]
+//   scoreCheck - SCORE_CHECKS id (see scoring.js) when the issue costs score points
+//   wcag       - WCAG success criteria the issue fails, e.g. ['1.1.1'] (accessibility findings)
+export const normalizeFinding = (rule, finding) => {
+    const evidence = Array.isArray(finding.evidence) ? finding.evidence : [];
+    const severity = RULE_SEVERITIES.includes(finding.severity) ? finding.severity : rule.severity;
+    return {
+        code: finding.code || rule.id,
+        ruleId: rule.id,
+        severity,
+        category: rule.category,
+        message: finding.message,
+        fix: finding.fix || rule.fix,
+        evidence: evidence.slice(0, MAX_EVIDENCE),
+        evidenceCount: evidence.length,
+        scoreCheck: finding.scoreCheck || null,
+        details: finding.details,
+        wcag: Array.isArray(finding.wcag) ? finding.wcag : undefined
+    };
+};
+
+const loadRulesFrom = async (dir) => {
+    const files = fs.readdirSync(dir).filter(f => f.endsWith('.js') || f.endsWith('.mjs')).sort();
+    const rules = [];
+    for (const file of files) {
+        const mod = await import(pathToFileURL(path.join(dir, file)).href);
+        rules.push(validateRule(mod.default, file));
+    }
+    return rules;
+};
+
+let loaded = null;
+
+// Built-in rules from lib/rules, then any custom rules from RULES_DIR. A custom rule with
+// the same id as a built-in one replaces it.
+export const loadRules = () => {
+    if (!loaded) {
+        loaded = (async () => {
+            const rules = new Map();
+            (await loadRulesFrom(BUILTIN_RULES_DIR)).forEach(rule => rules.set(rule.id, rule));
+            if (process.env.RULES_DIR) {
+                const customDir = path.resolve(process.env.RULES_DIR);
+                (await loadRulesFrom(customDir)).forEach(rule => {
+                    if (rules.has(rule.id)) console.log(`Custom rule "${rule.id}" overrides the built-in rule`);
+                    rules.set(rule.id, rule);
+                });
+                console.log(`Loaded custom rules from ${customDir}`);
+            }
+            return [...rules.values()];
+        })();
+        // Let a failed load be retried on the next request instead of caching the rejection
+        loaded.catch(() => { loaded = null; });
+    }
+    return loaded;
+};
+
+export const describeRule = ({ id, category, severity, inputs, description, fix, enabledByDefault }) =>
+    ({ id, category, severity, inputs, description, fix, enabledByDefault });
+
+// Pick the rules for one request. `selection` may contain:
+//   only    - run exactly these rule ids
+//   enable  - also run these (e.g. rules that are off by default)
+//   disable - skip these
+export const selectRules = (rules, selection = {}) => {
+    const { only, enable = [], disable = [] } = selection || {};
+    const ids = new Set(rules.map(rule => rule.id));
+    for (const list of [only || [], enable, disable]) {
+        if (!Array.isArray(list)) throw new RuleSelectionError('Rule selections must be arrays of rule ids');
+        const unknown = list.filter(id => !ids.has(id));
+        if (unknown.length) throw new RuleSelectionError(`Unknown rule ids: ${unknown.join(', ')}`);
+    }
+    const selected = rules.filter(rule => {
+        if (disable.includes(rule.id)) return false;
+        if (only) return only.includes(rule.id);
+        return rule.enabledByDefault || enable.includes(rule.id);
+    });
+    return {
+        selected,
+        disabled: rules.filter(rule => !selected.includes(rule)).map(rule => rule.id)
+    };
+};
+
+// Run the selected rules in order. `providers` maps each RULE_INPUTS name to a (possibly async)
+// function; each provider is called at most once. A rule returns either an array of findings
+// or `{ findings, data }`, where `data` is exposed in the analysis payload under the rule id.
+export const runRules = async (rules, providers, { signal, onRule = () => {} } = {}) => {
+    const resolved = new Map();
+    const resolveInput = (name) => {
+        if (!resolved.has(name)) resolved.set(name, Promise.resolve().then(() => providers[name]()));
+        return resolved.get(name);
+    };
+
+    const findings = [];
+    const data = {};
+    const ran = [];
+    const errors = [];
+
+    for (const [index, rule] of rules.entries()) {
+        throwIfAborted(signal);
+        onRule(rule, index, rules.length);
+        try {
+            const inputs = {};
+            for (const name of rule.inputs) inputs[name] = await resolveInput(name);
+            const output = (await rule.run(inputs, { signal })) || [];
+            const ruleFindings = Array.isArray(output) ? output : (output.findings || []);
+            if (!Array.isArray(output) && output.data !== undefined) data[rule.id] = output.data;
+            ruleFindings.forEach(finding => findings.push(normalizeFinding(rule, finding)));
+            ran.push(rule.id);
+        } catch (error) {
+            if (isCancelled(error)) throw error;
+            throwIfAborted(signal);
+            console.error(`Rule "${rule.id}" failed:`, error.message);
+            errors.push({ ruleId: rule.id, error: error.message });
+        }
+    }
+
+    // Expose the inputs that were actually fetched so the analyzer can report them
+    const inputs = {};
+    for (const [name, promise] of resolved) inputs[name] = await promise.catch(() => undefined);
+
+    return { findings, data, ran, errors, inputs };
+};
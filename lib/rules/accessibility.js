@@ -0,0 +1,115 @@
+// One finding per failing accessibility check. Images with no alt attribute at all are
+// reported by the image-alt rule.
+const FINDINGS = [
+    {
+        check: 'altTextQuality',
+        code: 'alt-text-filename',
+        message: (n) => `Replace ${n} file names or placeholder words used as image alt text with a description`,
+        fix: 'Describe what the image shows or does; "IMG_1234.jpg" or "image" tells a screen reader user nothing.',
+        scoreCheck: 'altText'
+    },
+    {
+        check: 'emptyAltInControls',
+        code: 'empty-alt-in-link',
+        severity: 'error',
+        message: (n) => `Add alt text to ${n} images that are the only content of a link or button`,
+        fix: 'An image inside a link or button names it: its alt text should say where the link goes or what the button does.',
+        scoreCheck: 'altText'
+    },
+    {
+        check: 'duplicateAltText',
+        code: 'duplicate-alt-text',
+        severity: 'notice',
+        message: (n) => `Give ${n} different images their own alt text instead of sharing one`,
+        fix: 'Write alt text for what each image shows, so screen reader users can tell them apart.',
+        scoreCheck: 'altText'
+    },
+    {
+        check: 'formLabels',
+        code: 'unlabelled-form-field',
+        severity: 'error',
+        message: (n) => `Label ${n} form fields`,
+        fix: 'Use a <label for="..."> (or wrap the field in a <label>); a placeholder disappears on input and isn\'t read as a label.',
+        scoreCheck: 'formLabels'
+    },
+    {
+        check: 'linkNames',
+        code: 'link-without-name',
+        severity: 'error',
+        message: (n) => `Give ${n} links an accessible name`,
+        fix: 'Put text in the link, give its image alt text, or add an aria-label describing where it goes.',
+        scoreCheck: 'accessibleNames'
+    },
+    {
+        check: 'buttonNames',
+        code: 'button-without-name',
+        severity: 'error',
+        message: (n) => `Give ${n} buttons an accessible name`,
+        fix: 'Put text in the button or add an aria-label saying what it does; icon-only buttons are silent to screen readers.',
+        scoreCheck: 'accessibleNames'
+    },
+    {
+        check: 'documentLanguage',
+        code: 'missing-document-language',
+        severity: 'error',
+        message: () => 'Set a valid language on the <html> element',
+        fix: 'Add lang="en" (or the page\'s language) to <html> so screen readers pronounce the text correctly.',
+        scoreCheck: 'documentLanguage'
+    },
+    {
+        check: 'duplicateIds',
+        code: 'duplicate-id',
+        message: (n) => `Make ${n} repeated element ids unique`,
+        fix: 'Labels, aria-labelledby and in-page links find elements by id; a repeated id points them at the wrong one.',
+        scoreCheck: 'uniqueIds'
+    },
+    {
+        check: 'ariaUsage',
+        code: 'invalid-aria',
+        message: (n) => `Fix ${n} invalid ARIA roles or attributes`,
+        fix: 'Use only WAI-ARIA roles and aria-* attributes, point id references at existing elements and never hide focusable content with aria-hidden.',
+        scoreCheck: 'ariaUsage'
+    },
+    {
+        check: 'headingLevels',
+        code: 'heading-levels-out-of-order',
+        message: (n) => `Fix ${n} headings that skip a level or have no text`,
+        fix: 'Screen reader users navigate by heading level; nest headings in order and give each one text.',
+        scoreCheck: 'headingLevels'
+    },
+    {
+        check: 'tabindex',
+        code: 'positive-tabindex',
+        message: (n) => `Remove the positive tabindex from ${n} elements`,
+        fix: 'Use tabindex="0" or "-1" and order the markup instead; positive values make keyboard focus jump around the page.',
+        scoreCheck: 'focusOrder'
+    },
+    {
+        check: 'colorContrast',
+        code: 'low-color-contrast',
+        severity: 'error',
+        message: (n) => `Raise the colour contrast of ${n} text elements`,
+        fix: 'Text needs a contrast ratio of at least 4.5:1 with its background (3:1 for large text).',
+        scoreCheck: 'colorContrast'
+    }
+];
+
+export default {
+    id: 'accessibility',
+    category: 'accessibility',
+    severity: 'warning',
+    inputs: ['accessibility'],
+    description: 'Alt text, form labels, accessible names, page language, ids, ARIA, heading order, focus order and contrast meet WCAG',
+    fix: 'Fix each issue as described; the WCAG success criteria are listed on every finding.',
+    run: ({ accessibility }) => ({
+        findings: FINDINGS
+            .filter(({ check }) => accessibility.checks[check].failureCount > 0)
+            .map(({ check, message, ...finding }) => ({
+                ...finding,
+                message: message(accessibility.checks[check].failureCount),
+                evidence: accessibility.checks[check].failures,
+                wcag: accessibility.checks[check].wcag
+            })),
+        data: { issueCount: accessibility.issueCount }
+    })
+};
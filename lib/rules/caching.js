@@ -0,0 +1,36 @@
+import { LONG_CACHE_SECONDS } from '../resources.js';
+
+export default {
+    id: 'caching',
+    category: 'performance',
+    severity: 'notice',
+    inputs: ['headers', 'url', 'resources'],
+    description: 'Document and the site\'s own scripts, stylesheets, fonts and images are served with a long Cache-Control max-age',
+    fix: 'Send Cache-Control: max-age of at least 30 days for static, fingerprinted assets.',
+    run: ({ headers, url, resources }) => {
+        const cc = headers['cache-control'] || '';
+        const maxAgeMatch = cc.match(/max-age=(\d+)/);
+        const maxAge = maxAgeMatch ? parseInt(maxAgeMatch[1], 10) : 0;
+        const good = maxAge > LONG_CACHE_SECONDS;
+        // Third-party assets are listed in `resources` but their headers aren't the site's to fix
+        const shortAssets = resources.assets.filter(asset => !asset.error && !asset.thirdParty && !asset.cache.long);
+        const findings = [];
+        if (!good || shortAssets.length) {
+            findings.push({
+                code: 'short-cache-lifetime',
+                message: shortAssets.length
+                    ? `Serve ${shortAssets.length} static assets with far-future Cache-Control headers`
+                    : 'Serve static assets with far-future Cache-Control headers',
+                evidence: [
+                    ...(good ? [] : [{ url, header: 'cache-control', value: cc }]),
+                    ...shortAssets.map(asset => ({ url: asset.url, header: 'cache-control', value: asset.cache.cacheControl || asset.cache.expires || '' }))
+                ],
+                scoreCheck: shortAssets.length ? 'assetCaching' : undefined
+            });
+        }
+        return {
+            data: { cacheControl: cc, maxAgeSeconds: maxAge, good, assets: resources.caching },
+            findings
+        };
+    }
+};
@@ -0,0 +1,68 @@
+// Flags SEO-relevant content that only exists after JavaScript runs. Search engines render
+// pages in a second, delayed pass (and many crawlers never do), so this content is at risk.
+// Only produces findings for audits run with `render: true`.
+export default {
+    id: 'client-side-rendering',
+    category: 'technical',
+    severity: 'warning',
+    inputs: ['rendering'],
+    description: 'Title, meta description, headings, links and structured data are in the server HTML, not only added by JavaScript',
+    fix: 'Render this content on the server (SSR, static generation or prerendering) so it is in the initial HTML.',
+    run: ({ rendering }) => {
+        if (!rendering) return [];
+        const { title, metaDescription, headings, links, structuredData } = rendering.diff;
+        const findings = [];
+
+        if (title.changed) {
+            findings.push(title.raw ? {
+                code: 'title-changed-by-js',
+                severity: 'notice',
+                message: 'JavaScript changes the page title after load',
+                evidence: [{ selector: 'title', raw: title.raw, rendered: title.rendered }]
+            } : {
+                code: 'title-rendered-only',
+                severity: 'error',
+                message: 'The page title is only set by JavaScript',
+                evidence: [{ selector: 'title', rendered: title.rendered }]
+            });
+        }
+        if (metaDescription.changed) {
+            findings.push(metaDescription.raw ? {
+                code: 'meta-description-changed-by-js',
+                severity: 'notice',
+                message: 'JavaScript changes the meta description after load',
+                evidence: [{ selector: 'meta[name="description"]', raw: metaDescription.raw, rendered: metaDescription.rendered }]
+            } : {
+                code: 'meta-description-rendered-only',
+                message: 'The meta description is only set by JavaScript',
+                evidence: [{ selector: 'meta[name="description"]', rendered: metaDescription.rendered }]
+            });
+        }
+        if (headings.renderedOnly.length) {
+            const missingH1 = headings.renderedOnly.some(h => h.level === 1);
+            findings.push({
+                code: 'headings-rendered-only',
+                severity: missingH1 ? 'error' : 'warning',
+                message: `${headings.renderedOnly.length} headings only appear after JavaScript runs`,
+                evidence: headings.renderedOnly.map(({ level, text }) => ({ selector: `h${level}`, text }))
+            });
+        }
+        if (links.renderedOnly.length) {
+            findings.push({
+                code: 'links-rendered-only',
+                message: `${links.renderedOnly.length} links only appear after JavaScript runs`,
+                fix: 'Output navigation and content links as <a href> elements in the server HTML.',
+                evidence: links.renderedOnly.map(url => ({ url }))
+            });
+        }
+        if (structuredData.renderedOnly.length) {
+            findings.push({
+                code: 'structured-data-rendered-only',
+                message: `${structuredData.renderedOnly.length} structured-data items are only injected by JavaScript`,
+                fix: 'Include the JSON-LD in the server HTML; not every consumer executes JavaScript.',
+                evidence: structuredData.renderedOnly.map(type => ({ type }))
+            });
+        }
+        return findings;
+    }
+};
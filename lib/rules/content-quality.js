@@ -0,0 +1,58 @@
+import { THIN_CONTENT_WORDS } from '../content.js';
+
+// Reading ease below this (on the 0-100 Flesch scale) is reported as hard to read
+const MIN_READING_EASE = 50;
+// Reported above this share of sentences
+const MAX_PASSIVE_RATE = 0.2;
+const MAX_LONG_SENTENCE_RATE = 0.25;
+
+export default {
+    id: 'content-quality',
+    category: 'content',
+    severity: 'notice',
+    inputs: ['content'],
+    description: 'Main content is long enough, readable and mostly in the active voice',
+    fix: 'Write at least a few hundred words of original main content in short, direct sentences.',
+    run: ({ content }) => {
+        const findings = [];
+        if (content.thinContent) {
+            findings.push({
+                code: 'thin-content',
+                severity: 'warning',
+                message: `Expand the main content: it has ${content.wordCount} words (aim for at least ${THIN_CONTENT_WORDS})`,
+                details: { wordCount: content.wordCount, source: content.mainContent.source },
+                scoreCheck: 'contentLength'
+            });
+        }
+        if (!content.readability) return findings;
+
+        const { readingEase, gradeLevel } = content.readability;
+        if (readingEase.score < MIN_READING_EASE) {
+            findings.push({
+                code: 'hard-to-read',
+                message: `Simplify the copy: ${readingEase.formula} score is ${readingEase.score} (${readingEase.level})`,
+                fix: 'Shorten sentences and prefer short, common words over long or technical ones.',
+                details: { readingEase, gradeLevel, avgWordsPerSentence: content.avgWordsPerSentence, syllablesPerWord: content.syllablesPerWord },
+                scoreCheck: 'readability'
+            });
+        }
+        if (content.passiveVoice.rate > MAX_PASSIVE_RATE) {
+            findings.push({
+                code: 'passive-voice',
+                message: `Rewrite passive sentences: ${Math.round(content.passiveVoice.rate * 100)}% of sentences use the passive voice`,
+                fix: 'Say who does what: "We ship orders daily" rather than "Orders are shipped daily".',
+                details: content.passiveVoice,
+                scoreCheck: 'passiveVoice'
+            });
+        }
+        if (content.sentenceCount && content.longSentences / content.sentenceCount > MAX_LONG_SENTENCE_RATE) {
+            findings.push({
+                code: 'long-sentences',
+                message: `Split long sentences: ${content.longSentences} of ${content.sentenceCount} have more than 25 words`,
+                fix: 'Break sentences over 25 words into two, or turn lists of clauses into bullet points.',
+                details: { longSentences: content.longSentences, longestSentence: content.longestSentence }
+            });
+        }
+        return findings;
+    }
+};
@@ -0,0 +1,12 @@
+export default {
+    id: 'h1-heading',
+    category: 'content',
+    severity: 'error',
+    inputs: ['page'],
+    description: 'Page has at least one H1 heading',
+    fix: 'Give the page a single <h1> that describes its main topic.',
+    run: ({ page }) => {
+        if (page.h1Count > 0) return [];
+        return [{ code: 'missing-h1', message: 'Add at least one H1 heading', scoreCheck: 'h1Count' }];
+    }
+};
@@ -0,0 +1,39 @@
+export default {
+    id: 'heading-outline',
+    category: 'content',
+    severity: 'warning',
+    inputs: ['content'],
+    description: 'Headings form a logical outline: no skipped levels, no empty headings, no H1 in navigation',
+    fix: 'Nest headings in order (h1, then h2, then h3) and give every heading text.',
+    run: ({ content }) => {
+        const { skippedLevels, emptyHeadings, h1InNavigation } = content.headingOutline.issues;
+        const findings = [];
+        if (skippedLevels.length) {
+            findings.push({
+                code: 'skipped-heading-level',
+                message: `Fix ${skippedLevels.length} headings that skip a level (${skippedLevels[0].details})`,
+                evidence: skippedLevels.map(({ selector, details }) => ({ selector, value: details })),
+                scoreCheck: 'headingOutline'
+            });
+        }
+        if (emptyHeadings.length) {
+            findings.push({
+                code: 'empty-heading',
+                message: `Give ${emptyHeadings.length} empty headings some text, or remove them`,
+                fix: 'Headings need text (or an image with alt text) for readers, screen readers and search engines.',
+                evidence: emptyHeadings,
+                scoreCheck: 'headingOutline'
+            });
+        }
+        if (h1InNavigation.length) {
+            findings.push({
+                code: 'h1-in-navigation',
+                message: 'Move the H1 out of the navigation',
+                fix: 'Use the H1 for the page\'s main topic inside the main content, not for a logo or menu.',
+                evidence: h1InNavigation,
+                scoreCheck: 'headingOutline'
+            });
+        }
+        return findings;
+    }
+};
@@ -0,0 +1,23 @@
+export default {
+    id: 'hreflang',
+    category: 'technical',
+    severity: 'warning',
+    inputs: ['dom'],
+    description: 'hreflang alternates include an x-default',
+    fix: 'Add <link rel="alternate" hreflang="x-default" href="..."> pointing at the fallback version of the page.',
+    run: ({ dom: $ }) => {
+        const links = $('link[rel="alternate"][hreflang]');
+        if (!links.length) return { data: { hasHreflang: false }, findings: [] };
+        const codes = [];
+        links.each((_, el) => codes.push($(el).attr('hreflang')));
+        const errors = [];
+        if (!codes.includes('x-default')) errors.push('Missing x-default hreflang');
+
+        const findings = errors.length ? [{
+            code: 'hreflang-missing-x-default',
+            message: 'Fix hreflang issues: ' + errors.join(', '),
+            evidence: codes.map(code => ({ selector: `link[rel="alternate"][hreflang="${code}"]` }))
+        }] : [];
+        return { data: { hasHreflang: true, count: links.length, errors }, findings };
+    }
+};
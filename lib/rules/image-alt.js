@@ -0,0 +1,22 @@
+import { selectorFor } from '../utils.js';
+
+export default {
+    id: 'image-alt',
+    category: 'content',
+    severity: 'warning',
+    inputs: ['dom', 'page', 'url'],
+    description: 'Every image has an alt attribute',
+    fix: 'Add an alt attribute describing each image, or alt="" for purely decorative ones.',
+    run: ({ dom: $, page, url }) => {
+        const missing = page.imgCount - page.imgWithAltCount;
+        if (missing <= 0) return [];
+        const evidence = [];
+        $('img:not([alt])').each((_, el) => {
+            const src = $(el).attr('src');
+            let resolved;
+            try { resolved = src ? new URL(src, url).href : undefined; } catch { resolved = src; }
+            evidence.push({ selector: selectorFor($, el), url: resolved });
+        });
+        return [{ code: 'missing-alt-text', message: `Add alt text to ${missing} images`, evidence, scoreCheck: 'imageAlt' }];
+    }
+};
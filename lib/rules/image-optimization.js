@@ -0,0 +1,18 @@
+export default {
+    id: 'image-optimization',
+    category: 'performance',
+    severity: 'notice',
+    inputs: ['dom'],
+    description: 'Counts lazy-loaded and responsive (srcset) images',
+    run: ({ dom: $ }) => {
+        const imgs = $('img');
+        let withLazy = 0;
+        let withSrcset = 0;
+        imgs.each((i, el) => {
+            const $img = $(el);
+            if ($img.attr('loading') === 'lazy') withLazy++;
+            if ($img.attr('srcset')) withSrcset++;
+        });
+        return { data: { total: imgs.length, withLazy, withSrcset } };
+    }
+};
@@ -0,0 +1,45 @@
+export default {
+    id: 'image-sizes',
+    category: 'performance',
+    severity: 'notice',
+    inputs: ['resources'],
+    description: 'Images aren\'t much larger than they are shown, and use WebP or AVIF where it would help',
+    fix: 'Resize images to at most twice their displayed size, serve them with srcset, and encode photos as WebP or AVIF.',
+    run: ({ resources }) => {
+        const images = resources.assets.filter(asset => asset.image);
+        const oversized = images.filter(asset => asset.image.oversized);
+        const legacy = images.filter(asset => asset.image.legacyFormat);
+        const kb = (bytes) => Math.round(bytes / 1024);
+        const findings = [];
+        if (oversized.length) {
+            findings.push({
+                code: 'oversized-images',
+                severity: 'warning',
+                message: `Resize ${oversized.length} images that are much larger than they are shown (about ${kb(resources.images.wastedBytes)} KB to save)`,
+                evidence: oversized.map(asset => ({
+                    selector: asset.image.selector,
+                    url: asset.url,
+                    value: `${asset.image.width}x${asset.image.height} shown at ${asset.image.renderedWidth}x${asset.image.renderedHeight ?? 'auto'}`
+                })),
+                scoreCheck: 'imageSizing'
+            });
+        }
+        if (legacy.length) {
+            findings.push({
+                code: 'legacy-image-formats',
+                message: `Serve ${legacy.length} JPEG, PNG or GIF images as WebP or AVIF`,
+                fix: 'WebP and AVIF are typically 25-50% smaller at the same quality; use <picture> to keep a fallback.',
+                evidence: legacy.map(asset => ({ url: asset.url, value: `${asset.image.format}, ${kb(asset.bytes)} KB` })),
+                scoreCheck: 'imageFormats'
+            });
+        }
+        return {
+            data: {
+                sampled: images.length,
+                avgSize: images.length ? Math.round(resources.images.bytes / images.length) : 0,
+                ...resources.images
+            },
+            findings
+        };
+    }
+};
@@ -0,0 +1,50 @@
+// Severity and fix per reason code. blocked-by-robots-txt is left to the robots-txt rule.
+const REASONS = {
+    'redirected': { severity: 'warning', fix: 'Audit and link to the final URL; keep the redirect only for old links.' },
+    'too-many-redirects': { severity: 'error', fix: 'Redirect straight to the final URL in one hop, and break any redirect loop.' },
+    'http-status': { severity: 'error', fix: 'Serve the page with a 200 status.' },
+    'noindex': { severity: 'error', fix: 'Remove noindex (or "none") from the meta robots tags and X-Robots-Tag header if the page should appear in search results.' },
+    'unavailable-after': { severity: 'error', fix: 'Remove or extend the unavailable_after date.' },
+    'noindex-not-seen': { severity: 'warning', fix: 'Allow crawling in robots.txt so the noindex can be read, or remove the noindex.' },
+    'nofollow': { severity: 'notice', fix: 'Remove nofollow unless search engines shouldn\'t follow any link on the page.' },
+    'canonicalised': { severity: 'warning', fix: 'Point the canonical at this URL if this is the version that should rank.' },
+    'conflicting-canonicals': { severity: 'warning', fix: 'Declare a single canonical, in either the <head> or the Link header.' },
+    'canonical-in-body': { severity: 'warning', fix: 'Move <link rel="canonical"> into <head>.' },
+    'invalid-canonical': { severity: 'warning', fix: 'Use a valid absolute URL in the canonical.' },
+    'missing-canonical': { severity: 'notice', fix: 'Add <link rel="canonical" href="..."> with the absolute URL of the preferred version.' },
+    'relative-canonical': { severity: 'notice', fix: 'Use the full URL, including https:// and the host, in the canonical.' },
+    'canonical-chain': { severity: 'warning', fix: 'Point the canonical directly at the final canonical URL.' },
+    'canonical-loop': { severity: 'error', fix: 'Make the pages agree on one canonical URL.' },
+    'canonical-target-not-indexable': { severity: 'error', fix: 'Point the canonical at a URL that returns 200, doesn\'t redirect and isn\'t noindexed.' }
+};
+
+export default {
+    id: 'indexability',
+    category: 'technical',
+    severity: 'error',
+    inputs: ['indexability'],
+    description: 'Page can be indexed: 200 status, no noindex, crawlable and canonical to itself or a valid target',
+    fix: 'Remove whatever stops the page being indexed: noindex, a robots.txt block, a redirect or error status, or a canonical pointing elsewhere.',
+    run: ({ indexability }) => {
+        const findings = indexability.reasons
+            .filter(reason => REASONS[reason.code])
+            .map(({ code, blocking, message, ...details }) => ({
+                code,
+                severity: REASONS[code].severity,
+                message,
+                fix: REASONS[code].fix,
+                evidence: details.chain
+                    ? details.chain.map(hop => ({ url: hop.url, status: hop.status }))
+                    : [{ url: details.canonical || indexability.finalUrl, value: details.source || details.href || details.status || undefined }],
+                details,
+                scoreCheck: blocking ? 'indexable' : code === 'missing-canonical' ? 'canonical' : undefined
+            }));
+        return {
+            data: {
+                verdict: indexability.verdict,
+                reasons: indexability.reasons.map(({ code, blocking, message }) => ({ code, blocking, message }))
+            },
+            findings
+        };
+    }
+};
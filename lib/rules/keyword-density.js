@@ -0,0 +1,49 @@
+// Densities outside this range (in % of body words) are reported
+const MIN_DENSITY = 0.5;
+const MAX_DENSITY = 5;
+
+const quoteList = (items) => items.map(({ keyword, density }) => `"${keyword}" (${density}%)`).join(', ');
+
+export default {
+    id: 'keyword-density',
+    category: 'content',
+    severity: 'notice',
+    inputs: ['keywords'],
+    description: 'Target keywords (or the primary keyword from the title) appear often enough in the body copy, without stuffing',
+    fix: 'Use the page\'s primary keyword naturally in headings and body copy (roughly 0.5-5% of words).',
+    run: ({ keywords: { keywords } }) => {
+        if (!keywords.length) {
+            return [{
+                code: 'low-keyword-density',
+                message: 'Use your primary keyword more frequently in body copy',
+                details: { keywordDensity: 0 },
+                scoreCheck: 'keywordDensity'
+            }];
+        }
+        const [primary] = keywords;
+        const brief = ({ keyword, density, occurrences }) => ({ keyword, density, occurrences });
+        const low = keywords.filter(k => k.density < MIN_DENSITY);
+        const stuffed = keywords.filter(k => k.density > MAX_DENSITY);
+        const findings = [];
+        if (low.length) {
+            findings.push({
+                code: 'low-keyword-density',
+                message: `Use ${quoteList(low)} more frequently in body copy`,
+                details: { keywordDensity: primary.density, keywords: low.map(brief) },
+                // Only the primary keyword feeds the keywordDensity score
+                scoreCheck: low.includes(primary) ? 'keywordDensity' : null
+            });
+        }
+        if (stuffed.length) {
+            findings.push({
+                code: 'keyword-stuffing',
+                severity: 'warning',
+                message: `${quoteList(stuffed)} ${stuffed.length > 1 ? 'are' : 'is'} repeated so often it can read as keyword stuffing`,
+                fix: 'Write for readers: use synonyms and related phrases instead of repeating the keyword.',
+                details: { keywordDensity: primary.density, keywords: stuffed.map(brief) },
+                scoreCheck: stuffed.includes(primary) ? 'keywordDensity' : null
+            });
+        }
+        return findings;
+    }
+};
@@ -0,0 +1,33 @@
+// Where a target keyword is expected, with the message used when it's missing
+const PLACEMENTS = {
+    title: { code: 'keyword-missing-from-title', message: 'the title' },
+    h1: { code: 'keyword-missing-from-h1', message: 'the H1 heading' },
+    metaDescription: { code: 'keyword-missing-from-meta-description', message: 'the meta description' },
+    firstParagraph: { code: 'keyword-missing-from-intro', message: 'the first paragraph' }
+};
+
+export default {
+    id: 'keyword-placement',
+    category: 'content',
+    severity: 'notice',
+    inputs: ['keywords'],
+    description: 'Target keywords appear in the title, H1, meta description and opening paragraph',
+    fix: 'Work the keyword into the title, main heading, meta description and opening paragraph where it reads naturally.',
+    run: ({ keywords }) => {
+        // Only meaningful for keywords the caller chose; the title keyword is in the title by definition
+        const targets = keywords.keywords.filter(k => k.source === 'target');
+        const findings = [];
+        for (const [place, { code, message }] of Object.entries(PLACEMENTS)) {
+            const missing = targets.filter(k => !k.prominence[place]).map(k => k.keyword);
+            if (!missing.length) continue;
+            findings.push({
+                code,
+                // The primary (first) keyword belongs in every placement; secondary ones only matter less
+                severity: missing.includes(targets[0].keyword) ? 'warning' : 'notice',
+                message: `Add ${missing.map(k => `"${k}"`).join(', ')} to ${message}`,
+                details: { keywords: missing }
+            });
+        }
+        return { findings, data: { keywords: targets.map(({ keyword, prominence, prominenceScore }) => ({ keyword, prominence, prominenceScore })) } };
+    }
+};
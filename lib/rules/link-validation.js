@@ -0,0 +1,66 @@
+const toEvidence = (links) => links.map(({ url, statusCode, error }) => ({ url, status: statusCode || error }));
+
+export default {
+    id: 'link-validation',
+    category: 'technical',
+    severity: 'warning',
+    inputs: ['links'],
+    description: 'Checks every link for 4xx/5xx errors, timeouts, redirect chains and loops, and canonicalised or noindexed targets',
+    fix: 'Update or remove the listed links.',
+    run: ({ links }) => {
+        const findings = [];
+        if (links.broken.length) {
+            findings.push({
+                code: 'broken-links',
+                severity: 'error',
+                message: `Fix ${links.broken.length} broken links returning 4xx/5xx errors`,
+                fix: 'Point each broken link at a live page, or remove it.',
+                evidence: toEvidence(links.broken)
+            });
+        }
+        const unreachable = [...links.timeouts, ...links.errors];
+        if (unreachable.length) {
+            findings.push({
+                code: 'unreachable-links',
+                message: `${unreachable.length} linked URLs timed out or could not be reached`,
+                fix: 'Check the linked sites are up; remove links to hosts that no longer exist.',
+                evidence: toEvidence(unreachable)
+            });
+        }
+        if (links.redirectLoops.length) {
+            findings.push({
+                code: 'redirect-loops',
+                severity: 'error',
+                message: `Fix ${links.redirectLoops.length} links caught in redirect loops`,
+                fix: 'Fix the redirect rules so each URL ends at a page that returns 200.',
+                evidence: links.redirectLoops.map(({ url, chain }) => ({ url, chain: chain.map(hop => hop.url) }))
+            });
+        }
+        if (links.redirects.length) {
+            findings.push({
+                code: 'redirecting-links',
+                severity: 'notice',
+                message: `Update ${links.redirects.length} links that redirect to point at their final URL`,
+                fix: 'Change each link to its final destination to save a redirect hop.',
+                evidence: links.redirects.map(({ url, finalUrl, hops }) => ({ url, finalUrl, hops }))
+            });
+        }
+        if (links.canonicalised.length) {
+            findings.push({
+                code: 'links-to-canonicalised',
+                message: `${links.canonicalised.length} links point to pages canonicalised to another URL; link to the canonical instead`,
+                fix: 'Link directly to the canonical URL of each target.',
+                evidence: links.canonicalised.map(({ url, canonical }) => ({ url, canonical }))
+            });
+        }
+        if (links.noindexed.length) {
+            findings.push({
+                code: 'links-to-noindex',
+                message: `${links.noindexed.length} links point to noindexed pages`,
+                fix: 'Check whether these targets should be indexable; if not, consider whether the links are needed.',
+                evidence: links.noindexed.map(({ url }) => ({ url }))
+            });
+        }
+        return { data: links, findings };
+    }
+};
@@ -0,0 +1,18 @@
+import { selectorFor } from '../utils.js';
+
+export default {
+    id: 'mixed-content',
+    category: 'technical',
+    severity: 'error',
+    inputs: ['dom', 'url'],
+    description: 'HTTPS page loads no assets over plain HTTP',
+    fix: 'Load every asset over HTTPS (or a protocol-relative URL the server supports over HTTPS).',
+    run: ({ dom: $, url }) => {
+        if (!url.startsWith('https://')) return { data: { mixedCount: 0 } };
+        const assets = $('img[src^="http://"], script[src^="http://"], link[href^="http://"], iframe[src^="http://"]');
+        const mixedCount = assets.length;
+        const evidence = assets.toArray().map(el => ({ selector: selectorFor($, el), url: $(el).attr('src') || $(el).attr('href') }));
+        const findings = mixedCount ? [{ code: 'mixed-content', message: `${mixedCount} insecure (HTTP) assets found on HTTPS page`, evidence }] : [];
+        return { data: { mixedCount }, findings };
+    }
+};
@@ -0,0 +1,17 @@
+export default {
+    id: 'mobile-viewport',
+    category: 'technical',
+    severity: 'error',
+    inputs: ['page'],
+    description: 'Page declares a responsive viewport (width=device-width)',
+    fix: 'Add <meta name="viewport" content="width=device-width, initial-scale=1"> to the <head>.',
+    run: ({ page }) => {
+        if (page.hasMobileViewport) return [];
+        return [{
+            code: 'missing-viewport',
+            message: 'Add a viewport meta tag for mobile responsiveness',
+            evidence: page.viewportMeta ? [{ selector: 'meta[name="viewport"]', value: page.viewportMeta }] : [],
+            scoreCheck: 'mobileViewport'
+        }];
+    }
+};
@@ -0,0 +1,42 @@
+import { MIN_COMPRESSIBLE_BYTES } from '../resources.js';
+
+// Pages heavier than this are reported
+const MAX_PAGE_BYTES = 3 * 1024 * 1024;
+
+export default {
+    id: 'page-weight',
+    category: 'performance',
+    severity: 'warning',
+    inputs: ['resources'],
+    description: 'Total transfer size stays reasonable and text assets are compressed',
+    fix: 'Remove unused scripts and styles, compress images, and serve text assets with Brotli or gzip.',
+    run: ({ resources }) => {
+        const mb = (bytes) => Math.round((bytes / (1024 * 1024)) * 10) / 10;
+        const findings = [];
+        if (resources.total.bytes > MAX_PAGE_BYTES) {
+            const heaviest = Object.entries(resources.byType).sort((a, b) => b[1].bytes - a[1].bytes)[0];
+            findings.push({
+                code: 'heavy-page',
+                message: `Reduce the page weight of ${mb(resources.total.bytes)} MB (${heaviest[0]}s account for ${mb(heaviest[1].bytes)} MB)`,
+                evidence: [...resources.assets]
+                    .filter(asset => !asset.error)
+                    .sort((a, b) => b.bytes - a.bytes)
+                    .slice(0, 10)
+                    .map(asset => ({ url: asset.url, value: `${asset.type}, ${Math.round(asset.bytes / 1024)} KB` })),
+                details: { byType: resources.byType },
+                scoreCheck: 'pageWeight'
+            });
+        }
+        const uncompressed = resources.assets.filter(asset => !asset.error && asset.compressible && !asset.compressed && asset.bytes >= MIN_COMPRESSIBLE_BYTES);
+        if (uncompressed.length) {
+            findings.push({
+                code: 'uncompressed-text-resources',
+                message: `Compress ${uncompressed.length} scripts, stylesheets and other text files with Brotli or gzip`,
+                fix: 'Enable Brotli (or gzip) on the server or CDN for JavaScript, CSS, SVG, JSON and font files other than WOFF/WOFF2.',
+                evidence: uncompressed.map(asset => ({ url: asset.url, header: 'content-encoding', value: asset.encoding || 'none' })),
+                scoreCheck: 'textCompression'
+            });
+        }
+        return { data: { total: resources.total, byType: resources.byType, compression: resources.compression }, findings };
+    }
+};
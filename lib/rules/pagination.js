@@ -0,0 +1,12 @@
+export default {
+    id: 'pagination',
+    category: 'technical',
+    severity: 'notice',
+    inputs: ['dom'],
+    description: 'Detects rel="prev" / rel="next" pagination links',
+    run: ({ dom: $ }) => {
+        const prev = $('link[rel="prev"]').length > 0;
+        const next = $('link[rel="next"]').length > 0;
+        return { data: { prev, next, paginated: prev || next } };
+    }
+};
@@ -0,0 +1,40 @@
+export default {
+    id: 'render-blocking',
+    category: 'performance',
+    severity: 'warning',
+    inputs: ['resources'],
+    description: 'No synchronous scripts or stylesheets hold up the first render',
+    fix: 'Add defer (or async) to scripts, inline the critical CSS and load the rest without blocking.',
+    run: ({ resources }) => {
+        const { scripts, stylesheets } = resources.renderBlocking;
+        const findings = [];
+        if (scripts.length) {
+            findings.push({
+                code: 'render-blocking-scripts',
+                message: `Add defer or async to ${scripts.length} scripts in <head> that block rendering`,
+                evidence: scripts,
+                scoreCheck: 'renderBlocking'
+            });
+        }
+        if (stylesheets.length) {
+            findings.push({
+                code: 'render-blocking-stylesheets',
+                severity: 'notice',
+                message: `Reduce ${stylesheets.length} render-blocking stylesheets`,
+                fix: 'Inline the CSS needed for the first screen and load the rest with media="print" onload swaps or rel="preload".',
+                evidence: stylesheets,
+                scoreCheck: 'renderBlocking'
+            });
+        }
+        if (resources.scriptsWithoutDefer.length) {
+            findings.push({
+                code: 'scripts-without-defer',
+                severity: 'notice',
+                message: `Add defer or async to ${resources.scriptsWithoutDefer.length} scripts in <body>`,
+                fix: 'Synchronous scripts pause HTML parsing wherever they appear; defer runs them after parsing in order.',
+                evidence: resources.scriptsWithoutDefer
+            });
+        }
+        return { data: { renderBlockingScripts: scripts.length, renderBlockingStylesheets: stylesheets.length }, findings };
+    }
+};
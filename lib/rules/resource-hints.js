@@ -0,0 +1,15 @@
+export default {
+    id: 'resource-hints',
+    category: 'performance',
+    severity: 'notice',
+    inputs: ['dom'],
+    description: 'Counts preload, preconnect and dns-prefetch hints',
+    run: ({ dom: $ }) => ({
+        data: {
+            hasPreload: $('link[rel="preload"]').length > 0,
+            hasPreconnect: $('link[rel="preconnect"]').length > 0,
+            hasDnsPrefetch: $('link[rel="dns-prefetch"]').length > 0,
+            totalResourceHints: $('link[rel="preload"], link[rel="preconnect"], link[rel="dns-prefetch"]').length
+        }
+    })
+};
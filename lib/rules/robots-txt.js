@@ -0,0 +1,72 @@
+import { robotsVerdicts } from '../robots.js';
+
+const lineEvidence = (items) => items.map(({ line, content, message }) => ({ line, content, message }));
+
+export default {
+    id: 'robots-txt',
+    category: 'technical',
+    severity: 'warning',
+    inputs: ['robots', 'url'],
+    description: 'Site serves a valid robots.txt that lets search engines crawl the page',
+    fix: 'Serve a robots.txt at the site root, even if it only allows everything and lists the sitemap.',
+    run: ({ robots, url }) => {
+        const verdicts = robotsVerdicts(robots, url);
+        const findings = [];
+
+        if (robots.unreachable) {
+            findings.push({
+                code: 'robots-txt-unreachable',
+                severity: 'error',
+                message: 'robots.txt could not be fetched, so crawlers treat the whole site as disallowed',
+                fix: 'Make /robots.txt return 200 (or 404 if you have no rules); 5xx errors and timeouts block crawling.',
+                evidence: [{ url: robots.url || new URL('/robots.txt', url).href, status: robots.status || robots.error }]
+            });
+        } else if (!robots.exists) {
+            findings.push({
+                code: 'missing-robots-txt',
+                message: 'Add a robots.txt',
+                evidence: [{ url: new URL('/robots.txt', url).href, status: robots.status }]
+            });
+        }
+
+        const blocked = Object.values(verdicts).filter(v => !v.allowed && v.agent !== 'SEOAuditTool');
+        if (robots.exists && blocked.length) {
+            findings.push({
+                code: 'blocked-by-robots-txt',
+                severity: 'error',
+                message: `robots.txt blocks ${blocked.map(v => v.agent).join(' and ')} from crawling this page`,
+                fix: 'Remove or narrow the Disallow rule if this page should appear in search results.',
+                evidence: blocked.map(({ agent, rule }) => ({ agent, line: rule.line, rule: `${rule.type}: ${rule.path}` }))
+            });
+        }
+
+        if (robots.errors && robots.errors.length) {
+            findings.push({
+                code: 'robots-txt-syntax-errors',
+                message: `robots.txt has ${robots.errors.length} lines crawlers will ignore or misread`,
+                fix: 'Fix each listed line; every rule needs a "directive: value" form inside a user-agent group.',
+                evidence: lineEvidence(robots.errors)
+            });
+        }
+        if (robots.unknownDirectives && robots.unknownDirectives.length) {
+            findings.push({
+                code: 'robots-txt-unknown-directives',
+                severity: 'notice',
+                message: `robots.txt uses ${robots.unknownDirectives.length} directives search engines don't support`,
+                fix: 'Remove unsupported directives (e.g. Noindex); use meta robots or X-Robots-Tag instead.',
+                evidence: robots.unknownDirectives.map(({ line, content }) => ({ line, content }))
+            });
+        }
+        if (robots.exists && !robots.sitemaps.length) {
+            findings.push({
+                code: 'robots-txt-no-sitemap',
+                severity: 'notice',
+                message: 'Reference your XML sitemap with a Sitemap: line in robots.txt',
+                fix: 'Add "Sitemap: https://your-site/sitemap.xml" to robots.txt.',
+                evidence: [{ url: robots.url }]
+            });
+        }
+
+        return { data: verdicts, findings };
+    }
+};
@@ -0,0 +1,8 @@
+export default {
+    id: 'security-headers',
+    category: 'technical',
+    severity: 'notice',
+    inputs: ['securityHeaders'],
+    description: 'Reports which security headers the page is served with',
+    run: ({ securityHeaders }) => ({ data: securityHeaders })
+};
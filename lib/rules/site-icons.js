@@ -0,0 +1,50 @@
+export default {
+    id: 'site-icons',
+    category: 'technical',
+    severity: 'warning',
+    inputs: ['social'],
+    description: 'Favicon, Apple touch icon and web app manifest are present and load',
+    fix: 'Declare a favicon and apple-touch-icon with <link> tags and make sure they (and any manifest) load.',
+    run: ({ social }) => {
+        const { icons: { favicon, appleTouchIcon }, manifest } = social;
+        const findings = [];
+        if (!favicon.ok) {
+            findings.push({
+                code: favicon.declared ? 'favicon-unreachable' : 'missing-favicon',
+                message: favicon.declared
+                    ? `Fix the favicon at ${favicon.url} (${favicon.error})`
+                    : `Add a favicon: none is declared and /favicon.ico ${favicon.status ? `returns HTTP ${favicon.status}` : 'is unreachable'}`,
+                fix: 'Add <link rel="icon" href="/favicon.svg" type="image/svg+xml"> (or a 32x32 PNG/ICO); browser tabs and Google results show it.',
+                evidence: [{ url: favicon.url, value: favicon.error || 'unreachable' }]
+            });
+        }
+        if (!appleTouchIcon.ok) {
+            findings.push({
+                code: appleTouchIcon.declared ? 'apple-touch-icon-unreachable' : 'missing-apple-touch-icon',
+                severity: 'notice',
+                message: appleTouchIcon.declared
+                    ? `Fix the apple-touch-icon at ${appleTouchIcon.url} (${appleTouchIcon.error})`
+                    : 'Add a 180x180 apple-touch-icon for iOS home screens and bookmarks',
+                fix: 'Add <link rel="apple-touch-icon" href="/apple-touch-icon.png"> pointing at a 180x180 PNG.',
+                evidence: [{ url: appleTouchIcon.url, value: appleTouchIcon.error || 'unreachable' }]
+            });
+        }
+        if (manifest && manifest.issues.length) {
+            findings.push({
+                code: manifest.valid ? 'incomplete-manifest' : 'invalid-manifest',
+                severity: manifest.valid ? 'notice' : 'warning',
+                message: `Fix the web app manifest, which ${manifest.issues.join('; ')}`,
+                fix: 'Give the manifest a name, short_name, start_url, display and 192x192 and 512x512 icons.',
+                evidence: manifest.issues.map(issue => ({ url: manifest.url, value: issue }))
+            });
+        }
+        return {
+            data: {
+                favicon: favicon.ok ? favicon.url : null,
+                appleTouchIcon: appleTouchIcon.ok ? appleTouchIcon.url : null,
+                manifest: manifest && { url: manifest.url, valid: manifest.valid, issues: manifest.issues }
+            },
+            findings
+        };
+    }
+};
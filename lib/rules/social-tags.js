@@ -0,0 +1,115 @@
+import { SHARE_IMAGE, TWITTER_CARD_TYPES } from '../social.js';
+
+export default {
+    id: 'social-tags',
+    category: 'social',
+    severity: 'warning',
+    inputs: ['social'],
+    description: 'Open Graph and Twitter Card tags are complete and the share image is usable',
+    fix: 'Add og:title, og:type, og:image and og:url (absolute URLs) and a twitter:card, with a 1200x630 share image.',
+    run: ({ social }) => {
+        const { openGraph, twitter, image, urlConsistency } = social;
+        const findings = [];
+        if (openGraph.missing.length) {
+            findings.push({
+                code: 'missing-og-tags',
+                message: `Add the required Open Graph tags: ${openGraph.missing.map(property => `og:${property}`).join(', ')}`,
+                evidence: openGraph.missing.map(property => ({ value: `og:${property}` })),
+                scoreCheck: 'socialTags'
+            });
+        }
+        if (openGraph.relativeUrls.length) {
+            findings.push({
+                code: 'relative-og-urls',
+                message: `Use absolute URLs in ${openGraph.relativeUrls.join(' and ')}`,
+                fix: 'Open Graph URLs must be absolute (https://...); Facebook and LinkedIn ignore relative ones.',
+                evidence: openGraph.relativeUrls.map(tag => ({ value: `${tag}="${openGraph.tags[tag.slice(3)]}"` }))
+            });
+        }
+        if (!twitter.card) {
+            findings.push({
+                code: 'missing-twitter-card',
+                severity: 'notice',
+                message: 'Add a twitter:card tag so links shared on X get a card',
+                fix: 'Add <meta name="twitter:card" content="summary_large_image">. X reads the title, description and image from the Open Graph tags.',
+                scoreCheck: 'socialTags'
+            });
+        } else if (!twitter.valid) {
+            findings.push({
+                code: 'invalid-twitter-card',
+                message: `Change twitter:card "${twitter.card}" to one of ${TWITTER_CARD_TYPES.join(', ')}`,
+                evidence: [{ value: twitter.card }],
+                scoreCheck: 'socialTags'
+            });
+        }
+        if (image && !image.reachable) {
+            findings.push({
+                code: 'og-image-unreachable',
+                severity: 'error',
+                message: `Fix the share image, which ${image.issues[0]}`,
+                fix: 'Point og:image at a public image URL that returns 200.',
+                evidence: [{ url: image.url, value: image.status ? `HTTP ${image.status}` : image.issues[0] }],
+                scoreCheck: 'socialTags'
+            });
+        } else if (image && !image.format) {
+            findings.push({
+                code: 'og-image-invalid',
+                severity: 'error',
+                message: `Fix the share image, which is ${image.issues[0]}`,
+                evidence: [{ url: image.url, header: 'content-type', value: image.contentType || 'none' }],
+                scoreCheck: 'socialTags'
+            });
+        } else if (image && !image.dimensionsUnknown) {
+            const size = `${image.width}x${image.height}`;
+            if (image.width < SHARE_IMAGE.minWidth || image.height < SHARE_IMAGE.minHeight) {
+                findings.push({
+                    code: 'og-image-too-small',
+                    message: `Use a share image of at least ${SHARE_IMAGE.minWidth}x${SHARE_IMAGE.minHeight} (it is ${size}); platforms skip smaller ones`,
+                    fix: `Use a ${SHARE_IMAGE.recommendedWidth}x${SHARE_IMAGE.recommendedHeight} image.`,
+                    evidence: [{ url: image.url, value: size }],
+                    scoreCheck: 'socialTags'
+                });
+            } else if (image.width < SHARE_IMAGE.recommendedWidth || image.height < SHARE_IMAGE.recommendedHeight) {
+                findings.push({
+                    code: 'og-image-small',
+                    severity: 'notice',
+                    message: `Use a ${SHARE_IMAGE.recommendedWidth}x${SHARE_IMAGE.recommendedHeight} share image (it is ${size}) so it shows as a large preview`,
+                    evidence: [{ url: image.url, value: size }]
+                });
+            }
+            if (Math.abs(image.aspectRatio - image.targetAspectRatio) / image.targetAspectRatio > SHARE_IMAGE.aspectTolerance) {
+                findings.push({
+                    code: 'og-image-aspect-ratio',
+                    severity: 'notice',
+                    message: `Crop the share image to ${image.targetAspectRatio}:1 (it is ${image.aspectRatio}:1) so previews don't cut it off`,
+                    evidence: [{ url: image.url, value: size }]
+                });
+            }
+            if (image.declared.width && image.declared.height && (image.declared.width !== image.width || image.declared.height !== image.height)) {
+                findings.push({
+                    code: 'og-image-size-mismatch',
+                    severity: 'notice',
+                    message: `Correct og:image:width and og:image:height (${image.declared.width}x${image.declared.height}) to the image's ${size}`,
+                    evidence: [{ url: image.url, value: size }]
+                });
+            }
+        }
+        if (urlConsistency.matches === false) {
+            findings.push({
+                code: 'og-url-mismatch',
+                message: `Make og:url match the ${urlConsistency.comparedWith === 'canonical' ? 'canonical URL' : 'page URL'} so shares count towards one URL`,
+                fix: 'Set og:url to the same absolute URL as <link rel="canonical">.',
+                evidence: [{ url: urlConsistency.ogUrl, value: `${urlConsistency.comparedWith}: ${urlConsistency.canonical || 'this page'}` }]
+            });
+        }
+        return {
+            data: {
+                missingOpenGraph: openGraph.missing,
+                twitterCard: twitter.card,
+                image: image && { url: image.url, width: image.width, height: image.height, issues: image.issues },
+                ogUrlMatches: urlConsistency.matches
+            },
+            findings
+        };
+    }
+};
@@ -0,0 +1,62 @@
+import { validateStructuredData } from '../structured-data.js';
+
+// `list` is 'errors' or 'warnings'; `kind` narrows to 'missing' properties or wrong value 'type's
+const problemEvidence = (items, list, kind) => items.flatMap(item => item[list]
+    .filter(problem => !kind || problem.kind === kind)
+    .map(({ property, message }) => ({ selector: item.selector, type: item.type, property, message })));
+
+export default {
+    id: 'structured-data',
+    category: 'content',
+    severity: 'warning',
+    inputs: ['structuredData'],
+    description: 'Page has schema.org structured data that parses and has the properties its rich results need',
+    fix: 'Describe the page with schema.org JSON-LD in a <script type="application/ld+json"> block.',
+    run: ({ structuredData }) => {
+        const validation = validateStructuredData(structuredData);
+        const findings = [];
+
+        if (!validation.count) findings.push({ code: 'missing-structured-data', message: 'Implement schema.org structured data', scoreCheck: 'structuredData' });
+        if (validation.parseErrors.length) {
+            findings.push({
+                code: 'invalid-structured-data',
+                severity: 'error',
+                message: `${validation.parseErrors.length} structured-data blocks contain invalid JSON`,
+                fix: 'Fix the JSON syntax in each listed block; validate it with a JSON-LD linter.',
+                evidence: validation.parseErrors
+            });
+        }
+
+        const missing = problemEvidence(validation.items, 'errors', 'missing');
+        const wrongTypes = problemEvidence(validation.items, 'errors', 'type');
+        if (missing.length) {
+            findings.push({
+                code: 'structured-data-missing-required',
+                severity: 'error',
+                message: `Add ${missing.length} required structured-data properties`,
+                fix: 'Add each listed property; without them the item is not eligible for its rich result.',
+                evidence: missing
+            });
+        }
+        if (wrongTypes.length) {
+            findings.push({
+                code: 'structured-data-invalid-values',
+                severity: 'error',
+                message: `Fix ${wrongTypes.length} structured-data values of the wrong type`,
+                fix: 'Use the expected value type: ISO 8601 dates, plain numbers for prices, 3-letter currency codes, absolute URLs and nested typed objects.',
+                evidence: wrongTypes
+            });
+        }
+        const warnings = problemEvidence(validation.items, 'warnings');
+        if (warnings.length) {
+            findings.push({
+                code: 'structured-data-recommended-properties',
+                severity: 'notice',
+                message: `${warnings.length} recommended structured-data properties are missing or malformed`,
+                fix: 'Add the recommended properties to make rich results more complete.',
+                evidence: warnings
+            });
+        }
+        return { data: validation, findings };
+    }
+};
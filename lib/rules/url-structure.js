@@ -0,0 +1,17 @@
+export default {
+    id: 'url-structure',
+    category: 'technical',
+    severity: 'notice',
+    inputs: ['url'],
+    description: 'URL path is lowercase, uses no underscores and is under 100 characters',
+    run: ({ url }) => {
+        try {
+            const { pathname } = new URL(url);
+            const clean = pathname.toLowerCase() === pathname && !pathname.includes('_');
+            const lenOk = pathname.length < 100;
+            return { data: { clean, lenOk, score: (clean ? 50 : 0) + (lenOk ? 50 : 0) } };
+        } catch {
+            return { data: { clean: false, lenOk: false, score: 0 } };
+        }
+    }
+};
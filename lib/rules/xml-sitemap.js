@@ -0,0 +1,105 @@
+const urlEvidence = (issue) => issue.urls.map(({ url, sitemap, lastmod }) => ({ url, sitemap, lastmod }));
+
+export default {
+    id: 'xml-sitemap',
+    category: 'technical',
+    severity: 'warning',
+    inputs: ['sitemap', 'url'],
+    description: 'Site serves valid XML sitemaps listing only live, indexable, canonical URLs',
+    fix: 'Publish an XML sitemap listing your indexable URLs and reference it with a Sitemap: line in robots.txt.',
+    run: ({ sitemap, url }) => {
+        if (!sitemap.exists) {
+            return [{
+                code: 'missing-sitemap',
+                message: 'Add a sitemap.xml and reference it in robots.txt',
+                evidence: sitemap.sitemaps
+                    ? sitemap.sitemaps.map(({ url: sitemapUrl, status, errors }) => ({ url: sitemapUrl, status: status || errors[0] }))
+                    : [{ url: new URL('/sitemap.xml', url).href, status: sitemap.status }]
+            }];
+        }
+
+        const findings = [];
+        const fileErrors = sitemap.sitemaps.flatMap(file => file.errors.map(message => ({ url: file.url, message })));
+        if (fileErrors.length) {
+            findings.push({
+                code: 'sitemap-errors',
+                severity: 'error',
+                message: `Fix ${fileErrors.length} problems in your sitemap files`,
+                fix: 'Keep each file valid XML under 50,000 URLs and 50MB uncompressed; split larger sitemaps behind a sitemap index.',
+                evidence: fileErrors
+            });
+        }
+        if (sitemap.skippedFiles) {
+            findings.push({
+                code: 'sitemap-files-not-read',
+                severity: 'notice',
+                message: `${sitemap.skippedFiles} sitemap files were not read because the sitemap tree is very large`,
+                evidence: []
+            });
+        }
+
+        const { offHost, invalidLoc, invalidLastmod, futureLastmod } = sitemap.issues;
+        if (invalidLoc.count) {
+            findings.push({
+                code: 'sitemap-invalid-urls',
+                severity: 'error',
+                message: `${invalidLoc.count} sitemap entries are not absolute http(s) URLs`,
+                fix: 'Use fully-qualified URLs, including the protocol, in every <loc>.',
+                evidence: urlEvidence(invalidLoc)
+            });
+        }
+        if (offHost.count) {
+            findings.push({
+                code: 'sitemap-off-host-urls',
+                message: `${offHost.count} sitemap entries point to another host`,
+                fix: 'List only URLs on the same host as the site; search engines ignore the others.',
+                evidence: urlEvidence(offHost)
+            });
+        }
+        if (invalidLastmod.count) {
+            findings.push({
+                code: 'sitemap-invalid-lastmod',
+                severity: 'notice',
+                message: `${invalidLastmod.count} sitemap entries have a malformed <lastmod>`,
+                fix: 'Write <lastmod> in W3C Datetime format, e.g. 2024-05-01 or 2024-05-01T12:00:00+00:00.',
+                evidence: urlEvidence(invalidLastmod)
+            });
+        }
+        if (futureLastmod.count) {
+            findings.push({
+                code: 'sitemap-future-lastmod',
+                severity: 'notice',
+                message: `${futureLastmod.count} sitemap entries have a <lastmod> in the future`,
+                fix: 'Set <lastmod> to when the page content last changed; search engines distrust future dates.',
+                evidence: urlEvidence(futureLastmod)
+            });
+        }
+
+        const { sample } = sitemap;
+        if (sample && sample.non200.length) {
+            findings.push({
+                code: 'sitemap-non-200-urls',
+                message: `${sample.non200.length} of ${sample.size} sampled sitemap URLs don't return 200`,
+                fix: 'List only final URLs that return 200; drop redirected, missing and erroring pages.',
+                evidence: sample.non200
+            });
+        }
+        if (sample && sample.noindex.length) {
+            findings.push({
+                code: 'sitemap-noindex-urls',
+                message: `${sample.noindex.length} of ${sample.size} sampled sitemap URLs are noindexed`,
+                fix: 'Remove noindexed pages from the sitemap, or make them indexable.',
+                evidence: sample.noindex
+            });
+        }
+        if (sample && sample.nonCanonical.length) {
+            findings.push({
+                code: 'sitemap-non-canonical-urls',
+                message: `${sample.nonCanonical.length} of ${sample.size} sampled sitemap URLs are canonicalised to another URL`,
+                fix: 'List the canonical URL of each page instead.',
+                evidence: sample.nonCanonical
+            });
+        }
+        return findings;
+    }
+};
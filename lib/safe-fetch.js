@@ -0,0 +1,286 @@
+import axios from 'axios';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import zlib from 'zlib';
+import { USER_AGENT } from './utils.js';
+
+// Every outbound request for a user-supplied URL goes through safeRequest(): the page, robots.txt,
+// sitemaps, link checks, page resources, report logos and webhooks.
+export const SAFE_FETCH_DEFAULTS = {
+    timeout: 30000,
+    maxRedirects: 5,
+    // On the wire, and after Content-Encoding is undone
+    maxBytes: 10 * 1024 * 1024,
+    maxDecompressedBytes: 20 * 1024 * 1024
+};
+
+// For local development and intranet deployments that audit internal sites
+const ALLOW_PRIVATE_NETWORKS = ['1', 'true', 'yes'].includes(String(process.env.ALLOW_PRIVATE_NETWORKS || '').toLowerCase());
+
+const HTML_TYPES = /^(text\/html|application\/xhtml\+xml)\b/i;
+
+export class SafeFetchError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'SafeFetchError';
+        this.code = code;
+    }
+}
+
+// Loopback, private, link-local (cloud metadata lives at 169.254.169.254), carrier-grade NAT,
+// multicast and reserved ranges
+const BLOCKED_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+    ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8], ['2001:db8::', 32]
+].forEach(([address, prefix]) => BLOCKED_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+// The IPv4 address carried by an IPv4-mapped (::ffff:a.b.c.d), NAT64 (64:ff9b::/96) or 6to4
+// (2002::/16) IPv6 address, so those can't be used to reach a blocked IPv4 range
+const embeddedIpv4 = (address) => {
+    const lower = address.toLowerCase();
+    const dotted = lower.match(/^(?:::ffff:|64:ff9b::)(\d+\.\d+\.\d+\.\d+)$/);
+    if (dotted) return dotted[1];
+    const hex = lower.match(/^(?:::ffff:|64:ff9b::)([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    const sixToFour = lower.match(/^2002:([0-9a-f]{1,4}):([0-9a-f]{1,4}):/);
+    const parts = hex || sixToFour;
+    if (!parts) return null;
+    const [high, low] = [parseInt(parts[1], 16), parseInt(parts[2], 16)];
+    return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+};
+
+export const isBlockedAddress = (address) => {
+    if (ALLOW_PRIVATE_NETWORKS) return false;
+    const family = net.isIP(address);
+    if (family === 4) return BLOCKED_RANGES.check(address, 'ipv4');
+    if (family === 6) {
+        const ipv4 = embeddedIpv4(address);
+        return BLOCKED_RANGES.check(address, 'ipv6') || Boolean(ipv4 && BLOCKED_RANGES.check(ipv4, 'ipv4'));
+    }
+    return true;
+};
+
+const blockedError = (hostname, address) => new SafeFetchError('BLOCKED_ADDRESS',
+    `Refusing to fetch ${hostname}: ${address === hostname ? 'it is' : `it resolves to ${address}, which is`} a private, loopback or link-local address`);
+
+// dns.lookup() replacement for the HTTP agents (and the browser proxy): every connection,
+// including each redirect hop, is checked against the address it actually connects to, so DNS
+// rebinding can't slip through
+export const safeLookup = (hostname, options, callback) => {
+    const opts = typeof options === 'function' ? {} : options;
+    const done = typeof options === 'function' ? options : callback;
+    dns.lookup(hostname, { ...opts, all: true }, (error, addresses) => {
+        if (error) return done(error);
+        const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+        if (blocked) return done(blockedError(hostname, blocked.address));
+        if (opts.all) return done(null, addresses);
+        return done(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+// Check what can be checked without a request: the scheme, and IP-literal hosts (which skip DNS)
+export const assertSafeUrl = (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new SafeFetchError('INVALID_URL', `Invalid URL: ${url}`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new SafeFetchError('UNSUPPORTED_PROTOCOL', `Only http and https URLs can be fetched, not ${parsed.protocol}`);
+    }
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && isBlockedAddress(hostname)) throw blockedError(hostname, hostname);
+    return parsed;
+};
+
+// Resolve a hostname and check every address; for callers that don't connect through the
+// agents above (the headless browser). A host that doesn't resolve is left for the request
+// itself to report.
+export const assertPublicHost = async (url) => {
+    const { hostname } = assertSafeUrl(url);
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) || ALLOW_PRIVATE_NETWORKS) return;
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(host, { all: true });
+    } catch {
+        return;
+    }
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) throw blockedError(host, blocked.address);
+};
+
+// Undo a Content-Encoding without letting a small compressed body expand past `maxBytes`
+export const decompressBody = (buffer, encoding, maxBytes = SAFE_FETCH_DEFAULTS.maxDecompressedBytes) => {
+    const options = { maxOutputLength: maxBytes };
+    try {
+        switch (String(encoding || '').trim().toLowerCase()) {
+            case 'br': return zlib.brotliDecompressSync(buffer, options);
+            case 'gzip':
+            case 'x-gzip': return zlib.gunzipSync(buffer, options);
+            // Some servers send raw deflate data under this name
+            case 'deflate': return buffer[0] === 0x78 ? zlib.inflateSync(buffer, options) : zlib.inflateRawSync(buffer, options);
+            default: return buffer;
+        }
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw new SafeFetchError('RESPONSE_TOO_LARGE', `Response is larger than ${maxBytes} bytes once decompressed`);
+        }
+        throw error;
+    }
+};
+
+// Read a response stream, giving up once it passes `maxBytes` or `signal` aborts
+const readBody = (stream, maxBytes, signal) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let total = 0;
+    const onAbort = () => {
+        reject(new axios.CanceledError());
+        stream.destroy();
+    };
+    if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+        stream.on('close', () => signal.removeEventListener('abort', onAbort));
+        if (signal.aborted) return onAbort();
+    }
+    stream.on('data', (chunk) => {
+        total += chunk.length;
+        if (total > maxBytes) {
+            reject(new SafeFetchError('RESPONSE_TOO_LARGE', `Response is larger than ${maxBytes} bytes`));
+            stream.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+    stream.on('aborted', () => reject(new Error('Response aborted')));
+});
+
+const isRedirect = (status) => [301, 302, 303, 307, 308].includes(status);
+
+// axios-style request with the SSRF and size guards. Takes the axios options callers already use
+// (method, data, headers, timeout, signal, responseType 'text' | 'arraybuffer', decompress,
+// validateStatus) plus:
+//   maxRedirects         - redirects to follow; with 0 a 3xx response is returned as is
+//   maxBytes             - body size on the wire
+//   maxDecompressedBytes - body size after Content-Encoding is undone
+//   expectHtml           - reject 2xx responses that aren't HTML (NOT_HTML)
+// Resolves with { status, statusText, headers, data, url, redirects }, `redirects` being the
+// hops followed ([{ url, status }]).
+//
+// Unlike axios's, `timeout` is one deadline for the whole request: every redirect hop and the
+// body, so a server trickling bytes can't hold it open. It fails with axios's timeout error
+// (ECONNABORTED), as does a `signal` aborted with a TimeoutError (AbortSignal.timeout()); any
+// other abort fails as cancelled.
+export const safeRequest = async (url, options = {}) => {
+    const { timeout, signal } = { ...SAFE_FETCH_DEFAULTS, ...options };
+    const deadline = timeout ? AbortSignal.timeout(timeout) : null;
+    const signals = [signal, deadline].filter(Boolean);
+    const combined = signals.length ? AbortSignal.any(signals) : undefined;
+    try {
+        return await followRequest(url, { ...options, signal: combined });
+    } catch (error) {
+        if (combined && combined.aborted && combined.reason && combined.reason.name === 'TimeoutError') {
+            const message = combined.reason === deadline.reason ? `timeout of ${timeout}ms exceeded` : combined.reason.message;
+            throw new axios.AxiosError(message, axios.AxiosError.ECONNABORTED);
+        }
+        throw error;
+    }
+};
+
+const followRequest = async (url, options) => {
+    const {
+        method = 'GET', data, headers = {}, signal, responseType = 'text', decompress = true,
+        validateStatus = (status) => status >= 200 && status < 300,
+        maxRedirects, maxBytes, maxDecompressedBytes, expectHtml = false
+    } = { ...SAFE_FETCH_DEFAULTS, ...options };
+
+    const redirects = [];
+    let current = url;
+    let currentMethod = method.toUpperCase();
+    let body = data;
+    for (;;) {
+        assertSafeUrl(current);
+        let response;
+        try {
+            response = await axios.request({
+                url: current,
+                method: currentMethod,
+                data: body,
+                headers: { 'User-Agent': USER_AGENT, 'Accept-Encoding': 'br, gzip, deflate', ...headers },
+                signal,
+                httpAgent,
+                httpsAgent,
+                // The agents' lookup is the address check; a proxy would bypass it
+                proxy: false,
+                maxRedirects: 0,
+                decompress: false,
+                responseType: 'stream',
+                validateStatus: () => true
+            });
+        } catch (error) {
+            // axios wraps errors from the lookup; surface ours with its code
+            if (error.cause instanceof SafeFetchError) throw error.cause;
+            throw error;
+        }
+
+        const location = response.headers.location;
+        if (isRedirect(response.status) && location && maxRedirects > 0) {
+            response.data.destroy();
+            if (redirects.length >= maxRedirects) {
+                // `redirects` on the error is every hop, including the one not followed
+                throw Object.assign(new SafeFetchError('TOO_MANY_REDIRECTS', `Stopped after ${maxRedirects} redirects (last to ${new URL(location, current).href})`),
+                    { redirects: [...redirects, { url: current, status: response.status }] });
+            }
+            redirects.push({ url: current, status: response.status });
+            current = new URL(location, current).href;
+            // Browsers turn a redirected POST into a GET
+            if (response.status === 303 || ((response.status === 301 || response.status === 302) && currentMethod === 'POST')) {
+                currentMethod = 'GET';
+                body = undefined;
+            }
+            continue;
+        }
+
+        const contentType = String(response.headers['content-type'] || '');
+        if (expectHtml && response.status >= 200 && response.status < 300 && contentType && !HTML_TYPES.test(contentType)) {
+            response.data.destroy();
+            throw new SafeFetchError('NOT_HTML', `Expected an HTML page but ${current} is ${contentType.split(';')[0]}`);
+        }
+
+        let raw;
+        try {
+            raw = currentMethod === 'HEAD' ? Buffer.alloc(0) : await readBody(response.data, maxBytes, signal);
+        } catch (error) {
+            if (signal && signal.aborted) throw new axios.CanceledError();
+            throw error;
+        }
+        const buffer = decompress ? decompressBody(raw, response.headers['content-encoding'], maxDecompressedBytes) : raw;
+        const result = {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers,
+            data: responseType === 'arraybuffer' ? buffer : buffer.toString('utf8'),
+            url: current,
+            redirects
+        };
+        if (!validateStatus(result.status)) {
+            const error = new axios.AxiosError(`Request failed with status code ${result.status}`,
+                result.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST);
+            error.response = result;
+            throw error;
+        }
+        return result;
+    }
+};
@@ -0,0 +1,411 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { randomBytes, randomUUID } from 'crypto';
+import { parseCron, nextCronRun } from './cron.js';
+import { deliverWebhook } from './webhooks.js';
+import { isTerminal, subscribeToJob } from './jobs.js';
+import { OWN_AGENT } from './robots.js';
+
+// Recurring audits. Each schedule belongs to the client that created it and runs an analyze or
+// crawl job on a cron expression, compares the result with the previous run and POSTs any
+// regressions to its webhook. Schedules are kept in SCHEDULES_FILE; set SCHEDULE_STORE=memory
+// to keep them in memory only.
+
+export const SCHEDULES_FILE = path.resolve(process.env.SCHEDULES_FILE || 'data/schedules.json');
+// How often due schedules are looked for
+export const SCHEDULER_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS || '', 10) || 30000;
+export const SCHEDULE_TYPES = ['analyze', 'crawl'];
+// The shortest gap allowed between two runs of a schedule
+export const MIN_SCHEDULE_INTERVAL_MINUTES = parseInt(process.env.MIN_SCHEDULE_INTERVAL_MINUTES || '', 10) || 60;
+// Upcoming runs checked against the minimum interval
+const INTERVAL_SAMPLE_RUNS = 100;
+
+// What counts as a regression, unless a schedule overrides it
+export const DEFAULT_ALERTS = {
+    scoreDrop: 10,          // overallScore falls by more than this many points
+    noindex: true,          // a page becomes noindex
+    canonicalChange: true,  // a page's canonical URL changes
+    robotsBlocked: true,    // robots.txt starts blocking a crawler from a page
+    failure: true           // the audit fails after a successful run
+};
+
+// Delivery attempts kept per schedule
+const MAX_DELIVERIES = 20;
+
+export class ScheduleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ScheduleError';
+        this.code = 'INVALID_SCHEDULE';
+    }
+}
+
+const createFileStore = (file = SCHEDULES_FILE) => ({
+    async load() {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') return [];
+            throw err;
+        }
+    },
+    async save(schedules) {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        // Write then rename so a crash mid-write can't leave a truncated file
+        await fs.writeFile(`${file}.tmp`, JSON.stringify(schedules, null, 2));
+        await fs.rename(`${file}.tmp`, file);
+    }
+});
+
+const createMemoryStore = () => ({
+    async load() {
+        return [];
+    },
+    async save() {}
+});
+
+const store = process.env.SCHEDULE_STORE === 'memory' ? createMemoryStore() : createFileStore();
+
+let schedulesPromise = null;
+const running = new Set();
+let runAudit = null;
+let chargeRun = null;
+
+const getSchedules = () => {
+    if (!schedulesPromise) {
+        schedulesPromise = store.load().then(list => new Map(list.map(s => [s.id, s])));
+        schedulesPromise.catch(() => { schedulesPromise = null; });
+    }
+    return schedulesPromise;
+};
+
+// Saves are chained so two quick changes can't write the file out of order
+let saving = Promise.resolve();
+const persist = async () => {
+    const schedules = await getSchedules();
+    saving = saving
+        .then(() => store.save([...schedules.values()]))
+        .catch(error => console.error('Failed to save schedules:', error.message));
+    return saving;
+};
+
+// The public view of a schedule; the webhook secret is only returned when the schedule is created
+export const serializeSchedule = (schedule, { includeSecret = false, includeDeliveries = false } = {}) => ({
+    id: schedule.id,
+    url: schedule.url,
+    type: schedule.type,
+    cron: schedule.cron,
+    options: schedule.options,
+    webhook: schedule.webhook ? { url: schedule.webhook.url, secret: includeSecret ? schedule.webhook.secret : undefined } : null,
+    alerts: schedule.alerts,
+    status: schedule.status,
+    running: running.has(schedule.id),
+    createdAt: schedule.createdAt,
+    updatedAt: schedule.updatedAt,
+    nextRunAt: schedule.nextRunAt,
+    lastRun: schedule.lastRun,
+    lastSkipped: schedule.lastSkipped || null,
+    deliveries: includeDeliveries ? schedule.deliveries : undefined
+});
+
+const isHttpUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+};
+
+const normalizeAlerts = (alerts = {}) => {
+    if (typeof alerts !== 'object' || alerts === null || Array.isArray(alerts)) {
+        throw new ScheduleError('alerts must be an object');
+    }
+    const unknown = Object.keys(alerts).filter(key => !(key in DEFAULT_ALERTS));
+    if (unknown.length) {
+        throw new ScheduleError(`Unknown alerts: ${unknown.join(', ')}. Use: ${Object.keys(DEFAULT_ALERTS).join(', ')}`);
+    }
+    const normalized = { ...DEFAULT_ALERTS, ...alerts };
+    if (normalized.scoreDrop !== false && !(typeof normalized.scoreDrop === 'number' && normalized.scoreDrop >= 0)) {
+        throw new ScheduleError('alerts.scoreDrop must be a number of points, or false');
+    }
+    return normalized;
+};
+
+const normalizeWebhook = (webhook) => {
+    if (webhook === undefined || webhook === null) return null;
+    const { url, secret } = typeof webhook === 'string' ? { url: webhook } : webhook;
+    if (!isHttpUrl(url)) throw new ScheduleError('webhook.url must be an http(s) URL');
+    if (secret !== undefined && (typeof secret !== 'string' || !secret)) {
+        throw new ScheduleError('webhook.secret must be a non-empty string');
+    }
+    return { url, secret: secret || randomBytes(24).toString('hex') };
+};
+
+// The gaps between upcoming runs show how often an expression fires; irregular ones such as
+// "*/5 2 * * *" are caught as long as a burst falls within the sampled runs
+const shortestInterval = (parsed, from) => {
+    let shortest = Infinity;
+    let previous = from;
+    for (let i = 0; i < INTERVAL_SAMPLE_RUNS; i++) {
+        const next = nextCronRun(parsed, previous);
+        if (!next) break;
+        if (i > 0) shortest = Math.min(shortest, next - previous);
+        previous = next;
+    }
+    return shortest;
+};
+
+const parseSchedule = (cron) => {
+    let parsed;
+    try {
+        parsed = parseCron(cron);
+    } catch (error) {
+        throw new ScheduleError(error.message);
+    }
+    const nextRunAt = nextCronRun(parsed);
+    if (!nextRunAt) throw new ScheduleError(`Cron expression "${cron}" never matches`);
+    if (shortestInterval(parsed, new Date(nextRunAt.getTime() - 60000)) < MIN_SCHEDULE_INTERVAL_MINUTES * 60000) {
+        throw new ScheduleError(`Cron expression "${cron}" runs more often than once every ${MIN_SCHEDULE_INTERVAL_MINUTES} minutes`);
+    }
+    return nextRunAt.toISOString();
+};
+
+// `ownerId` is the client id of the key holder creating it; `options` are the job options for
+// `type` (see POST /api/jobs)
+export const createSchedule = async ({ ownerId, url, type = 'analyze', cron, options = {}, webhook, alerts }) => {
+    if (!ownerId) throw new Error('A schedule needs an owner');
+    if (!isHttpUrl(url)) throw new ScheduleError('Invalid URL provided');
+    if (!SCHEDULE_TYPES.includes(type)) {
+        throw new ScheduleError(`Unknown schedule type "${type}". Use one of: ${SCHEDULE_TYPES.join(', ')}`);
+    }
+    if (!cron || typeof cron !== 'string') throw new ScheduleError('cron is required, e.g. "0 2 * * *" or "@weekly"');
+
+    const now = new Date().toISOString();
+    const schedule = {
+        id: randomUUID(),
+        ownerId,
+        url,
+        type,
+        cron: cron.trim(),
+        options,
+        webhook: normalizeWebhook(webhook),
+        alerts: normalizeAlerts(alerts),
+        status: 'active',
+        createdAt: now,
+        updatedAt: now,
+        nextRunAt: parseSchedule(cron),
+        lastRun: null,
+        lastSkipped: null,
+        baseline: null,
+        deliveries: []
+    };
+    (await getSchedules()).set(schedule.id, schedule);
+    await persist();
+    return schedule;
+};
+
+// Passing `ownerId` limits these to that client's schedules; another client's schedule is
+// treated as missing
+const isOwnedBy = (schedule, ownerId) => ownerId === undefined || schedule.ownerId === ownerId;
+
+export const listSchedules = async ({ ownerId } = {}) => [...(await getSchedules()).values()].filter(s => isOwnedBy(s, ownerId));
+
+export const getSchedule = async (id, { ownerId } = {}) => {
+    const schedule = (await getSchedules()).get(id);
+    return schedule && isOwnedBy(schedule, ownerId) ? schedule : null;
+};
+
+export const pauseSchedule = async (id, options) => {
+    const schedule = await getSchedule(id, options);
+    if (!schedule) return null;
+    Object.assign(schedule, { status: 'paused', nextRunAt: null, updatedAt: new Date().toISOString() });
+    await persist();
+    return schedule;
+};
+
+export const resumeSchedule = async (id, options) => {
+    const schedule = await getSchedule(id, options);
+    if (!schedule) return null;
+    Object.assign(schedule, { status: 'active', nextRunAt: parseSchedule(schedule.cron), updatedAt: new Date().toISOString() });
+    await persist();
+    return schedule;
+};
+
+// A run already in progress finishes, but its result is discarded
+export const deleteSchedule = async (id, options) => {
+    const schedule = await getSchedule(id, options);
+    if (!schedule) return null;
+    (await getSchedules()).delete(id);
+    await persist();
+    return schedule;
+};
+
+// The signals compared between runs, per page
+const snapshotPage = ({ analysis }) => ({
+    overallScore: analysis.overallScore,
+    noindex: analysis.indexability
+        ? analysis.indexability.reasons.some(reason => reason.code === 'noindex')
+        : analysis.robotsMeta.toLowerCase().includes('noindex'),
+    canonicalUrl: analysis.canonicalUrl || null,
+    robotsBlocked: Object.entries(analysis.robotsVerdicts || {})
+        .filter(([, verdict]) => !verdict.allowed)
+        .map(([agent]) => agent)
+});
+
+const snapshotRun = (type, result) => {
+    if (type === 'analyze') {
+        return { overallScore: result.analysis.overallScore, pages: { [result.url]: snapshotPage(result) } };
+    }
+    const pages = Object.fromEntries(result.pages.filter(p => p.analysis).map(p => [p.url, snapshotPage(p)]));
+    // Pages the crawl had to skip are blocked for our own crawler
+    result.skipped.forEach(({ url }) => {
+        pages[url] = { skipped: true, robotsBlocked: [OWN_AGENT] };
+    });
+    return { overallScore: result.summary.scores.overall, pages };
+};
+
+// Regressions between two snapshots of the same schedule, per the schedule's alert settings
+export const detectRegressions = (before, after, alerts, url) => {
+    const found = [];
+    const drop = before.overallScore - after.overallScore;
+    if (alerts.scoreDrop !== false && drop > alerts.scoreDrop) {
+        found.push({
+            type: 'score-drop',
+            url,
+            message: `overallScore dropped by ${drop} points, from ${before.overallScore} to ${after.overallScore}`,
+            from: before.overallScore,
+            to: after.overallScore
+        });
+    }
+
+    Object.entries(after.pages).forEach(([pageUrl, page]) => {
+        const previous = before.pages[pageUrl];
+        if (!previous) return;
+        const audited = !page.skipped && !previous.skipped;
+        if (alerts.noindex && audited && page.noindex && !previous.noindex) {
+            found.push({ type: 'noindex', url: pageUrl, message: 'Page became noindex', from: false, to: true });
+        }
+        if (alerts.canonicalChange && audited && page.canonicalUrl !== previous.canonicalUrl) {
+            found.push({
+                type: 'canonical-changed',
+                url: pageUrl,
+                message: `Canonical URL changed from ${previous.canonicalUrl || '(none)'} to ${page.canonicalUrl || '(none)'}`,
+                from: previous.canonicalUrl,
+                to: page.canonicalUrl
+            });
+        }
+        const newlyBlocked = page.robotsBlocked.filter(agent => !previous.robotsBlocked.includes(agent));
+        if (alerts.robotsBlocked && newlyBlocked.length) {
+            found.push({
+                type: 'robots-blocked',
+                url: pageUrl,
+                message: `robots.txt now blocks ${newlyBlocked.join(' and ')}`,
+                from: previous.robotsBlocked,
+                to: page.robotsBlocked
+            });
+        }
+    });
+    return found;
+};
+
+const waitForJob = (job) => new Promise(resolve => {
+    if (isTerminal(job)) return resolve(job);
+    subscribeToJob(job, ({ job: snapshot }) => {
+        if (isTerminal(snapshot)) resolve(job);
+    });
+});
+
+const recordDelivery = (schedule, attempt) => {
+    schedule.deliveries = [attempt, ...schedule.deliveries].slice(0, MAX_DELIVERIES);
+    persist();
+};
+
+const finishRun = async (schedule, job, startedAt) => {
+    await waitForJob(job);
+    running.delete(schedule.id);
+    // Deleted while running
+    if (!(await getSchedules()).has(schedule.id)) return;
+
+    const previousRun = schedule.lastRun;
+    const lastRun = { jobId: job.id, status: job.status, startedAt, finishedAt: new Date().toISOString(), alerts: [] };
+    if (job.status === 'completed') {
+        const snapshot = snapshotRun(schedule.type, job.result);
+        lastRun.overallScore = snapshot.overallScore;
+        lastRun.historyId = job.result.historyId;
+        if (schedule.baseline) lastRun.alerts = detectRegressions(schedule.baseline, snapshot, schedule.alerts, schedule.url);
+        schedule.baseline = snapshot;
+    } else if (job.status === 'failed') {
+        lastRun.error = job.error;
+        if (schedule.alerts.failure && previousRun && previousRun.status === 'completed') {
+            lastRun.alerts = [{ type: 'audit-failed', url: schedule.url, message: `Audit failed: ${job.error.error}`, from: 'completed', to: 'failed' }];
+        }
+    }
+    schedule.lastRun = lastRun;
+    await persist();
+
+    if (lastRun.alerts.length) {
+        console.log(`[schedule ${schedule.id}] ${lastRun.alerts.length} alerts for ${schedule.url}`);
+        if (schedule.webhook) {
+            deliverWebhook(schedule.webhook, 'audit.regression', {
+                schedule: { id: schedule.id, url: schedule.url, type: schedule.type, cron: schedule.cron },
+                run: { ...lastRun, alerts: undefined, previousScore: previousRun ? previousRun.overallScore ?? null : null },
+                alerts: lastRun.alerts
+            }, { onAttempt: attempt => recordDelivery(schedule, attempt) });
+        }
+    }
+};
+
+// Start a run now. Returns the job, or null if the schedule is already running.
+export const runSchedule = async (id) => {
+    const schedule = await getSchedule(id);
+    if (!schedule || running.has(id)) return null;
+    if (!runAudit) throw new Error('The scheduler has not been started');
+    running.add(id);
+    const startedAt = new Date().toISOString();
+    let job;
+    try {
+        job = runAudit(schedule.type, { url: schedule.url, ...schedule.options }, schedule.ownerId);
+    } catch (error) {
+        running.delete(id);
+        throw error;
+    }
+    console.log(`[schedule ${id}] Running ${schedule.type} for ${schedule.url} as job ${job.id}`);
+    finishRun(schedule, job, startedAt).catch(error => {
+        running.delete(id);
+        console.error(`[schedule ${id}] Failed to record run:`, error.message);
+    });
+    return job;
+};
+
+const tick = async () => {
+    const now = Date.now();
+    for (const schedule of await listSchedules()) {
+        if (schedule.status !== 'active' || !schedule.nextRunAt || Date.parse(schedule.nextRunAt) > now) continue;
+        // Runs missed while the server was down collapse into this one
+        const next = nextCronRun(schedule.cron);
+        schedule.nextRunAt = next ? next.toISOString() : null;
+        await persist();
+        if (running.has(schedule.id)) continue;
+        // A run the owner can't pay for is skipped rather than queued
+        try {
+            await chargeRun(schedule);
+        } catch (error) {
+            schedule.lastSkipped = { skippedAt: new Date().toISOString(), error: { code: error.code || null, message: error.message } };
+            console.log(`[schedule ${schedule.id}] Skipped run: ${error.message}`);
+            await persist();
+            continue;
+        }
+        await runSchedule(schedule.id);
+    }
+};
+
+// `submit(type, input, ownerId)` queues an audit job for the schedule's owner and returns it.
+// `charge(schedule)` charges a cron-fired run to the owner's quota and throws when it can't.
+// Unref'd so the ticker never keeps the process alive on its own.
+export const startScheduler = (submit, { charge = async () => {} } = {}) => {
+    runAudit = submit;
+    chargeRun = charge;
+    setInterval(() => {
+        tick().catch(error => console.error('Scheduler tick failed:', error.message));
+    }, SCHEDULER_INTERVAL_MS).unref();
+};
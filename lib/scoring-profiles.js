@@ -0,0 +1,115 @@
+// Named scoring profiles. `categoryWeights` set how much each category counts towards the
+// overall score (they are normalised, so they needn't add up to 1). Within a category each
+// check's `weight` is relative to the other checks in it; a weight of 0 turns a check off.
+// Accessibility has no overall weight in the built-in profiles, so it stays a separate score.
+// `thresholds` tune where a check starts losing points - see SCORE_CHECKS in scoring.js.
+
+const DEFAULT_THRESHOLDS = {
+    titleLength: { idealMin: 30, idealMax: 60, goodMin: 20, goodMax: 70, fairMin: 10, fairMax: 80 },
+    metaDescriptionLength: { idealMin: 120, idealMax: 160, goodMin: 100, goodMax: 180, fairMin: 80, fairMax: 200 },
+    internalLinks: { steps: [[10, 1], [7, 0.9], [5, 0.8], [3, 0.6], [1, 0.4]], floor: 0 },
+    externalLinks: { idealMin: 3, idealMax: 10 },
+    textToCodeRatio: { steps: [[0.4, 1], [0.3, 0.8], [0.2, 0.6], [0.1, 0.4]], floor: 0.2 },
+    keywordDensity: { idealMin: 1, idealMax: 3, maxAcceptable: 4 },
+    media: { steps: [[5, 1], [3, 0.8], [1, 0.6]], floor: 0.2 },
+    resourceCount: { steps: [[10, 1], [20, 0.8], [30, 0.6], [40, 0.4]], floor: 0.2 },
+    // Total transfer size in bytes
+    pageWeight: { steps: [[1000000, 1], [2000000, 0.8], [3000000, 0.6], [5000000, 0.4]], floor: 0.2 },
+    // Synchronous scripts and stylesheets in <head>
+    renderBlocking: { steps: [[0, 1], [2, 0.8], [4, 0.6], [8, 0.4]], floor: 0.2 },
+    contentLength: { steps: [[600, 1], [300, 0.8], [150, 0.5], [50, 0.25]], floor: 0 },
+    // Reading ease on the 0-100 Flesch scale; 60+ is plain language
+    readability: { steps: [[60, 1], [50, 0.85], [40, 0.7], [30, 0.5]], floor: 0.3 },
+    // Share of sentences in the passive voice
+    passiveVoice: { steps: [[0.1, 1], [0.2, 0.75], [0.3, 0.5]], floor: 0.25 },
+    // Skipped levels, empty headings and H1s in navigation
+    headingOutline: { steps: [[0, 1], [1, 0.7], [3, 0.4]], floor: 0 },
+    uniqueIds: { steps: [[0, 1], [2, 0.7], [5, 0.4]], floor: 0 },
+    ariaUsage: { steps: [[0, 1], [2, 0.6], [5, 0.3]], floor: 0 },
+    headingLevels: { steps: [[0, 1], [1, 0.7], [3, 0.4]], floor: 0 },
+    focusOrder: { steps: [[0, 1], [2, 0.6]], floor: 0.2 }
+};
+
+// The accessibility checks weigh the same in every profile
+const ACCESSIBILITY_WEIGHTS = {
+    altText: 20, formLabels: 15, accessibleNames: 15, documentLanguage: 10, uniqueIds: 5,
+    ariaUsage: 10, headingLevels: 10, focusOrder: 5, colorContrast: 10
+};
+
+// Build a profile's `checks` from plain weights plus optional threshold overrides
+const checks = (weights, thresholds = {}) => Object.fromEntries(Object.entries(weights).map(([id, weight]) => [
+    id,
+    { weight, thresholds: { ...(DEFAULT_THRESHOLDS[id] || {}), ...(thresholds[id] || {}) } }
+]));
+
+export const PROFILES = {
+    default: {
+        name: 'default',
+        description: 'Balanced weighting for general-purpose sites',
+        categoryWeights: { onPage: 0.3, technical: 0.3, content: 0.25, performance: 0.15, accessibility: 0 },
+        checks: checks({
+            titleLength: 20, metaDescriptionLength: 20, h1Count: 20, headingStructure: 15, internalLinks: 15, externalLinks: 10,
+            ssl: 20, mobileViewport: 20, canonical: 15, indexable: 20, resourceHints: 10, contentSecurityPolicy: 15,
+            imageAlt: 20, textToCodeRatio: 20, keywordDensity: 20, media: 15, socialTags: 10, structuredData: 15,
+            contentLength: 20, readability: 15, passiveVoice: 5, headingOutline: 10,
+            resourceCount: 10, pageWeight: 25, renderBlocking: 25, textCompression: 15, assetCaching: 10, imageSizing: 10, imageFormats: 5,
+            ...ACCESSIBILITY_WEIGHTS
+        })
+    },
+    ecommerce: {
+        name: 'ecommerce',
+        description: 'Product and category pages: structured data, images and speed matter most',
+        categoryWeights: { onPage: 0.25, technical: 0.25, content: 0.25, performance: 0.25, accessibility: 0 },
+        checks: checks({
+            titleLength: 20, metaDescriptionLength: 20, h1Count: 20, headingStructure: 10, internalLinks: 20, externalLinks: 0,
+            ssl: 25, mobileViewport: 20, canonical: 25, indexable: 15, resourceHints: 10, contentSecurityPolicy: 5,
+            imageAlt: 25, textToCodeRatio: 10, keywordDensity: 10, media: 20, socialTags: 10, structuredData: 25,
+            contentLength: 10, readability: 5, passiveVoice: 0, headingOutline: 5,
+            resourceCount: 10, pageWeight: 20, renderBlocking: 20, textCompression: 10, assetCaching: 10, imageSizing: 20, imageFormats: 10,
+            ...ACCESSIBILITY_WEIGHTS
+        }, {
+            // Product grids legitimately carry little copy per image
+            textToCodeRatio: { steps: [[0.25, 1], [0.15, 0.8], [0.1, 0.6], [0.05, 0.4]] },
+            media: { steps: [[8, 1], [4, 0.8], [1, 0.6]] },
+            contentLength: { steps: [[300, 1], [150, 0.8], [75, 0.5], [25, 0.25]] },
+            resourceCount: { steps: [[15, 1], [25, 0.8], [35, 0.6], [45, 0.4]] },
+            // Image-heavy listings weigh more
+            pageWeight: { steps: [[1500000, 1], [3000000, 0.8], [4500000, 0.6], [6000000, 0.4]] }
+        })
+    },
+    blog: {
+        name: 'blog',
+        description: 'Articles and editorial content: copy, headings and keywords matter most',
+        categoryWeights: { onPage: 0.35, technical: 0.2, content: 0.35, performance: 0.1, accessibility: 0 },
+        checks: checks({
+            titleLength: 20, metaDescriptionLength: 20, h1Count: 15, headingStructure: 20, internalLinks: 15, externalLinks: 10,
+            ssl: 25, mobileViewport: 25, canonical: 20, indexable: 20, resourceHints: 5, contentSecurityPolicy: 5,
+            imageAlt: 15, textToCodeRatio: 25, keywordDensity: 25, media: 10, socialTags: 15, structuredData: 10,
+            contentLength: 25, readability: 20, passiveVoice: 10, headingOutline: 15,
+            resourceCount: 10, pageWeight: 25, renderBlocking: 25, textCompression: 15, assetCaching: 10, imageSizing: 10, imageFormats: 5,
+            ...ACCESSIBILITY_WEIGHTS
+        }, {
+            textToCodeRatio: { steps: [[0.5, 1], [0.35, 0.8], [0.25, 0.6], [0.15, 0.4]] },
+            contentLength: { steps: [[1000, 1], [600, 0.8], [300, 0.5], [100, 0.25]] },
+            externalLinks: { idealMin: 2, idealMax: 15 }
+        })
+    },
+    'local-business': {
+        name: 'local-business',
+        description: 'Local service sites: mobile, structured business data and social sharing matter most',
+        categoryWeights: { onPage: 0.3, technical: 0.35, content: 0.2, performance: 0.15, accessibility: 0 },
+        checks: checks({
+            titleLength: 25, metaDescriptionLength: 25, h1Count: 20, headingStructure: 10, internalLinks: 15, externalLinks: 5,
+            ssl: 20, mobileViewport: 30, canonical: 15, indexable: 20, resourceHints: 5, contentSecurityPolicy: 10,
+            imageAlt: 15, textToCodeRatio: 10, keywordDensity: 15, media: 15, socialTags: 20, structuredData: 25,
+            contentLength: 10, readability: 10, passiveVoice: 0, headingOutline: 5,
+            resourceCount: 10, pageWeight: 25, renderBlocking: 20, textCompression: 15, assetCaching: 10, imageSizing: 15, imageFormats: 5,
+            ...ACCESSIBILITY_WEIGHTS
+        }, {
+            // Small brochure sites rarely have deep internal linking
+            internalLinks: { steps: [[6, 1], [4, 0.9], [3, 0.8], [2, 0.6], [1, 0.4]] }
+        })
+    }
+};
+
+export const DEFAULT_PROFILE = 'default';
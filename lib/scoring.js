@@ -0,0 +1,510 @@
+import { PROFILES, DEFAULT_PROFILE } from './scoring-profiles.js';
+import { REQUIRED_OG } from './social.js';
+
+// `accessibility` is scored like the others but the built-in profiles give it no weight in
+// the overall score, so it reads as a separate score; custom profiles can fold it in
+export const SCORE_CATEGORIES = ['onPage', 'technical', 'content', 'performance', 'accessibility'];
+
+export class ScoringProfileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ScoringProfileError';
+        this.code = 'INVALID_SCORING_PROFILE';
+    }
+}
+
+// Score for a length that is best inside [idealMin, idealMax] and tolerable in the wider bands
+const lengthBand = (length, t) => {
+    if (length >= t.idealMin && length <= t.idealMax) return 1;
+    if (length >= t.goodMin && length <= t.goodMax) return 0.8;
+    if (length >= t.fairMin && length <= t.fairMax) return 0.6;
+    if (length > 0) return 0.3;
+    return 0;
+};
+
+// `steps` is [[threshold, score], ...] in priority order; the first step the value passes wins
+const stepAtLeast = (value, { steps, floor = 0 }) => {
+    const step = steps.find(([min]) => value >= min);
+    return step ? step[1] : floor;
+};
+
+const stepAtMost = (value, { steps, floor = 0 }) => {
+    const step = steps.find(([max]) => value <= max);
+    return step ? step[1] : floor;
+};
+
+// Accessibility checks scored by the share of tested elements that passed
+const failureShare = (m, id) => {
+    const check = m.accessibility && m.accessibility.checks[id];
+    if (!check || !check.tested) return { value: 0, fraction: 1 };
+    return { value: check.failureCount, fraction: 1 - check.failureCount / check.tested };
+};
+
+// Accessibility checks scored on their failure count
+const failureSteps = (m, id, t) => {
+    const failures = m.accessibility ? m.accessibility.checks[id].failureCount : 0;
+    return { value: failures, fraction: stepAtMost(failures, t) };
+};
+
+// Every check the scoring profiles can weight. `evaluate(metrics, thresholds)` returns the
+// fraction of the check's points earned (0-1) and the measured value it was based on.
+export const SCORE_CHECKS = {
+    // On-page
+    titleLength: {
+        category: 'onPage',
+        label: 'Title length',
+        evaluate: (m, t) => ({ value: m.title.length, fraction: lengthBand(m.title.length, t) })
+    },
+    metaDescriptionLength: {
+        category: 'onPage',
+        label: 'Meta description length',
+        evaluate: (m, t) => ({ value: m.metaDescription.length, fraction: lengthBand(m.metaDescription.length, t) })
+    },
+    h1Count: {
+        category: 'onPage',
+        label: 'Single H1 heading',
+        evaluate: (m) => {
+            const count = m.h1Count;
+            return { value: count, fraction: count === 1 ? 1 : count === 2 ? 0.7 : count > 2 ? 0.4 : 0 };
+        }
+    },
+    headingStructure: {
+        category: 'onPage',
+        label: 'Heading hierarchy',
+        evaluate: (m) => {
+            const { h1, h2, h3, h4, h5, h6 } = m.headings;
+            let score = 0;
+            if (h1 === 1) score += 50;
+            else if (h1 > 1) score += 25;
+            if (h2 >= 1) score += 20;
+            if (h3 >= 1) score += 10;
+            if (h4 >= 1) score += 5;
+            if (h5 >= 1) score += 5;
+            if (h6 >= 1) score += 5;
+            // Penalise skipped levels
+            if (h1 >= 1 && h2 === 0 && (h3 > 0 || h4 > 0 || h5 > 0 || h6 > 0)) score -= 15;
+            if (h2 >= 1 && h3 === 0 && (h4 > 0 || h5 > 0 || h6 > 0)) score -= 10;
+            return { value: m.headings, fraction: Math.max(0, Math.min(100, score)) / 100 };
+        }
+    },
+    internalLinks: {
+        category: 'onPage',
+        label: 'Internal links',
+        evaluate: (m, t) => ({ value: m.internalLinks, fraction: stepAtLeast(m.internalLinks, t) })
+    },
+    externalLinks: {
+        category: 'onPage',
+        label: 'External links',
+        evaluate: (m, t) => {
+            const count = m.externalLinks;
+            const fraction = count >= t.idealMin && count <= t.idealMax ? 1 : count > t.idealMax ? 0.8 : count >= 1 ? 0.7 : 0.4;
+            return { value: count, fraction };
+        }
+    },
+
+    // Technical
+    ssl: {
+        category: 'technical',
+        label: 'HTTPS',
+        evaluate: (m) => ({ value: m.hasSSL, fraction: m.hasSSL ? 1 : 0 })
+    },
+    mobileViewport: {
+        category: 'technical',
+        label: 'Mobile viewport',
+        evaluate: (m) => ({ value: m.hasMobileViewport, fraction: m.hasMobileViewport ? 1 : 0 })
+    },
+    canonical: {
+        category: 'technical',
+        label: 'Canonical URL',
+        evaluate: (m) => {
+            // Only a canonical search engines will use counts: valid, in <head> or the Link header, unambiguous
+            if (m.indexability) return { value: m.indexability.canonical.url, fraction: m.indexability.canonical.url ? 1 : 0 };
+            return { value: m.canonicalUrl || null, fraction: m.canonicalUrl ? 1 : 0 };
+        }
+    },
+    indexable: {
+        category: 'technical',
+        label: 'Indexable',
+        evaluate: (m) => {
+            if (m.indexability) return { value: m.indexability.verdict, fraction: m.indexability.indexable ? 1 : 0 };
+            const noindex = m.robotsMeta.toLowerCase().includes('noindex');
+            return { value: m.robotsMeta || null, fraction: noindex ? 0 : 1 };
+        }
+    },
+    resourceHints: {
+        category: 'technical',
+        label: 'Resource hints',
+        evaluate: (m) => {
+            const count = (m.resourceHints && m.resourceHints.totalResourceHints) || 0;
+            return { value: count, fraction: count ? 1 : 0 };
+        }
+    },
+    contentSecurityPolicy: {
+        category: 'technical',
+        label: 'Content-Security-Policy header',
+        evaluate: (m) => {
+            const present = Boolean(m.securityHeaders && m.securityHeaders.hasContentSecurityPolicy);
+            return { value: present, fraction: present ? 1 : 0 };
+        }
+    },
+
+    // Content
+    imageAlt: {
+        category: 'content',
+        label: 'Image alt text coverage',
+        evaluate: (m) => {
+            const ratio = m.imgCount ? m.imgWithAltCount / m.imgCount : 1;
+            return { value: Math.round(ratio * 100), fraction: ratio };
+        }
+    },
+    textToCodeRatio: {
+        category: 'content',
+        label: 'Text-to-code ratio',
+        evaluate: (m, t) => ({ value: m.textToCodeRatio, fraction: stepAtLeast(m.textToCodeRatio, t) })
+    },
+    keywordDensity: {
+        category: 'content',
+        label: 'Keyword density',
+        evaluate: (m, t) => {
+            const density = m.keywordDensity;
+            let fraction = 0.2;
+            if (density >= t.idealMin && density <= t.idealMax) fraction = 1;
+            else if (density > t.idealMax && density <= t.maxAcceptable) fraction = 0.7;
+            else if (density > 0 && density < t.idealMin) fraction = 0.7;
+            else if (density > t.maxAcceptable) fraction = 0.4;
+            return { value: density, fraction };
+        }
+    },
+    media: {
+        category: 'content',
+        label: 'Images and video',
+        evaluate: (m, t) => {
+            const total = m.totalImages + m.totalVideos;
+            return { value: total, fraction: stepAtLeast(total, t) };
+        }
+    },
+    socialTags: {
+        category: 'content',
+        label: 'Open Graph and Twitter tags',
+        evaluate: (m) => {
+            // With the social checks: the required og:* share, a valid card type, a usable image
+            if (m.social) {
+                const { openGraph, twitter, image } = m.social;
+                const required = 1 - openGraph.missing.length / REQUIRED_OG.length;
+                const imageOk = Boolean(image && image.reachable && image.format);
+                return { value: m.socialMediaTags, fraction: 0.5 * required + 0.2 * (twitter.valid ? 1 : 0) + 0.3 * (imageOk ? 1 : 0) };
+            }
+            const hasOG = m.openGraphTags > 0;
+            const hasTwitter = m.twitterTags > 0;
+            return { value: m.socialMediaTags, fraction: hasOG && hasTwitter ? 1 : hasOG || hasTwitter ? 0.7 : 0 };
+        }
+    },
+    structuredData: {
+        category: 'content',
+        label: 'Structured data',
+        evaluate: (m) => ({ value: m.structuredDataCount, fraction: m.structuredDataCount > 0 ? 1 : 0 })
+    },
+
+    contentLength: {
+        category: 'content',
+        label: 'Main content length',
+        evaluate: (m, t) => {
+            const words = m.content ? m.content.wordCount : 0;
+            return { value: words, fraction: stepAtLeast(words, t) };
+        }
+    },
+    readability: {
+        category: 'content',
+        label: 'Readability',
+        evaluate: (m, t) => {
+            const readability = m.content && m.content.readability;
+            if (!readability) return { value: null, fraction: 0 };
+            return { value: readability.readingEase.score, fraction: stepAtLeast(readability.readingEase.score, t) };
+        }
+    },
+    passiveVoice: {
+        category: 'content',
+        label: 'Passive voice',
+        evaluate: (m, t) => {
+            const rate = m.content ? m.content.passiveVoice.rate : 0;
+            return { value: rate, fraction: stepAtMost(rate, t) };
+        }
+    },
+    headingOutline: {
+        category: 'content',
+        label: 'Heading outline',
+        evaluate: (m, t) => {
+            const issues = m.content ? m.content.headingOutline.issueCount : 0;
+            return { value: issues, fraction: stepAtMost(issues, t) };
+        }
+    },
+
+    // Performance
+    resourceCount: {
+        category: 'performance',
+        label: 'Script and stylesheet count',
+        evaluate: (m, t) => {
+            const total = m.scriptCount + m.cssCount;
+            return { value: total, fraction: stepAtMost(total, t) };
+        }
+    },
+    // The rest of the performance checks read resources.js measurements. They aren't taken
+    // when every rule using the `resources` input is disabled, and then score in full.
+    pageWeight: {
+        category: 'performance',
+        label: 'Page weight',
+        evaluate: (m, t) => {
+            if (!m.resources) return { value: null, fraction: 1 };
+            return { value: m.resources.total.bytes, fraction: stepAtMost(m.resources.total.bytes, t) };
+        }
+    },
+    renderBlocking: {
+        category: 'performance',
+        label: 'Render-blocking resources',
+        evaluate: (m, t) => {
+            if (!m.resources) return { value: null, fraction: 1 };
+            const { scripts, stylesheets } = m.resources.renderBlocking;
+            return { value: scripts.length + stylesheets.length, fraction: stepAtMost(scripts.length + stylesheets.length, t) };
+        }
+    },
+    textCompression: {
+        category: 'performance',
+        label: 'Text compression',
+        evaluate: (m) => {
+            if (!m.resources || !m.resources.compression.compressibleBytes) return { value: m.resources ? 0 : null, fraction: 1 };
+            const { compressibleBytes, uncompressedBytes } = m.resources.compression;
+            return { value: uncompressedBytes, fraction: 1 - uncompressedBytes / compressibleBytes };
+        }
+    },
+    assetCaching: {
+        category: 'performance',
+        label: 'Static asset caching',
+        evaluate: (m) => {
+            if (!m.resources || !m.resources.caching.firstPartyAssets) return { value: null, fraction: 1 };
+            const { firstPartyAssets, longCacheAssets } = m.resources.caching;
+            return { value: longCacheAssets, fraction: longCacheAssets / firstPartyAssets };
+        }
+    },
+    imageSizing: {
+        category: 'performance',
+        label: 'Properly sized images',
+        evaluate: (m) => {
+            if (!m.resources || !m.resources.images.bytes) return { value: m.resources ? 0 : null, fraction: 1 };
+            const { bytes, wastedBytes } = m.resources.images;
+            return { value: wastedBytes, fraction: 1 - wastedBytes / bytes };
+        }
+    },
+    imageFormats: {
+        category: 'performance',
+        label: 'Modern image formats',
+        evaluate: (m) => {
+            if (!m.resources || !m.resources.images.bytes) return { value: m.resources ? 0 : null, fraction: 1 };
+            const { bytes, legacyFormatBytes } = m.resources.images;
+            return { value: legacyFormatBytes, fraction: 1 - legacyFormatBytes / bytes };
+        }
+    },
+
+    // Accessibility (see accessibility.js for the WCAG criteria behind each)
+    altText: {
+        category: 'accessibility',
+        label: 'Meaningful image alt text',
+        evaluate: (m) => {
+            const images = m.accessibility ? m.accessibility.images : { total: 0 };
+            if (!images.total) return { value: null, fraction: 1 };
+            return { value: images.withMeaningfulAlt, fraction: images.withMeaningfulAlt / images.total };
+        }
+    },
+    formLabels: {
+        category: 'accessibility',
+        label: 'Labelled form fields',
+        evaluate: (m) => failureShare(m, 'formLabels')
+    },
+    accessibleNames: {
+        category: 'accessibility',
+        label: 'Link and button names',
+        evaluate: (m) => {
+            const checks = m.accessibility && m.accessibility.checks;
+            if (!checks || !checks.linkNames.tested) return { value: 0, fraction: 1 };
+            const failures = checks.linkNames.failureCount + checks.buttonNames.failureCount;
+            return { value: failures, fraction: 1 - failures / checks.linkNames.tested };
+        }
+    },
+    documentLanguage: {
+        category: 'accessibility',
+        label: 'Page language',
+        evaluate: (m) => {
+            const failed = m.accessibility ? m.accessibility.checks.documentLanguage.failureCount > 0 : false;
+            return { value: m.accessibility ? m.accessibility.lang : null, fraction: failed ? 0 : 1 };
+        }
+    },
+    uniqueIds: {
+        category: 'accessibility',
+        label: 'Unique element ids',
+        evaluate: (m, t) => failureSteps(m, 'duplicateIds', t)
+    },
+    ariaUsage: {
+        category: 'accessibility',
+        label: 'Valid ARIA',
+        evaluate: (m, t) => failureSteps(m, 'ariaUsage', t)
+    },
+    headingLevels: {
+        category: 'accessibility',
+        label: 'Heading levels',
+        evaluate: (m, t) => failureSteps(m, 'headingLevels', t)
+    },
+    focusOrder: {
+        category: 'accessibility',
+        label: 'No positive tabindex',
+        evaluate: (m, t) => failureSteps(m, 'tabindex', t)
+    },
+    colorContrast: {
+        category: 'accessibility',
+        label: 'Colour contrast',
+        evaluate: (m) => failureShare(m, 'colorContrast')
+    }
+};
+
+export const getLetterGrade = (score) => {
+    if (score >= 97) return 'A+';
+    if (score >= 93) return 'A';
+    if (score >= 90) return 'A-';
+    if (score >= 87) return 'B+';
+    if (score >= 83) return 'B';
+    if (score >= 80) return 'B-';
+    if (score >= 77) return 'C+';
+    if (score >= 73) return 'C';
+    if (score >= 70) return 'C-';
+    if (score >= 67) return 'D+';
+    if (score >= 63) return 'D';
+    if (score >= 60) return 'D-';
+    return 'F';
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isFraction = (value) => isNumber(value) && value >= 0 && value <= 1;
+
+// Threshold overrides must use the keys the check already has (from the base profile), so a
+// typo or a malformed step fails here rather than as a NaN score mid-audit
+const validateThresholds = (id, thresholds, known = {}) => {
+    if (!isPlainObject(thresholds)) throw new ScoringProfileError(`Thresholds for check "${id}" must be an object`);
+    for (const [key, value] of Object.entries(thresholds)) {
+        if (!Object.hasOwn(known, key)) {
+            const allowed = Object.keys(known);
+            throw new ScoringProfileError(`Unknown threshold "${key}" for check "${id}". ${allowed.length ? `Use: ${allowed.join(', ')}` : 'It has no thresholds'}`);
+        }
+        if (key === 'steps') {
+            if (!Array.isArray(value) || !value.every(step => Array.isArray(step) && step.length === 2 && isNumber(step[0]) && isFraction(step[1]))) {
+                throw new ScoringProfileError(`steps for check "${id}" must be an array of [threshold, score] pairs, with scores from 0 to 1`);
+            }
+        } else if (key === 'floor') {
+            if (!isFraction(value)) throw new ScoringProfileError(`floor for check "${id}" must be a score from 0 to 1`);
+        } else if (!isNumber(value)) {
+            throw new ScoringProfileError(`Threshold "${key}" for check "${id}" must be a number`);
+        }
+    }
+};
+
+// Turn a request's `scoringProfile` (a profile name, or a custom profile object that may
+// `extends` a named one) into a complete profile. Custom values are merged over the base.
+export const resolveScoringProfile = (requested) => {
+    if (requested === undefined || requested === null) return PROFILES[DEFAULT_PROFILE];
+    if (typeof requested === 'string') {
+        if (!PROFILES[requested]) {
+            throw new ScoringProfileError(`Unknown scoring profile "${requested}". Use one of: ${Object.keys(PROFILES).join(', ')}`);
+        }
+        return PROFILES[requested];
+    }
+    if (!isPlainObject(requested)) throw new ScoringProfileError('scoringProfile must be a profile name or object');
+
+    const base = resolveScoringProfile(requested.extends || DEFAULT_PROFILE);
+    const { categoryWeights = {}, checks = {} } = requested;
+    if (!isPlainObject(categoryWeights) || !isPlainObject(checks)) {
+        throw new ScoringProfileError('categoryWeights and checks must be objects');
+    }
+    for (const [category, weight] of Object.entries(categoryWeights)) {
+        if (!SCORE_CATEGORIES.includes(category)) throw new ScoringProfileError(`Unknown score category "${category}"`);
+        if (typeof weight !== 'number' || weight < 0) throw new ScoringProfileError(`Weight for category "${category}" must be a non-negative number`);
+    }
+
+    const mergedChecks = { ...base.checks };
+    for (const [id, override] of Object.entries(checks)) {
+        if (!SCORE_CHECKS[id]) throw new ScoringProfileError(`Unknown score check "${id}"`);
+        if (!isPlainObject(override)) throw new ScoringProfileError(`Settings for check "${id}" must be an object`);
+        if (override.weight !== undefined && (typeof override.weight !== 'number' || override.weight < 0)) {
+            throw new ScoringProfileError(`Weight for check "${id}" must be a non-negative number`);
+        }
+        if (override.thresholds !== undefined) validateThresholds(id, override.thresholds, mergedChecks[id] && mergedChecks[id].thresholds);
+        mergedChecks[id] = {
+            ...mergedChecks[id],
+            ...override,
+            thresholds: { ...(mergedChecks[id] && mergedChecks[id].thresholds), ...(override.thresholds || {}) }
+        };
+    }
+
+    return {
+        name: requested.name || `custom (${base.name})`,
+        description: requested.description || `Custom profile based on ${base.name}`,
+        categoryWeights: { ...base.categoryWeights, ...categoryWeights },
+        checks: mergedChecks
+    };
+};
+
+// Score `metrics` (the page metrics plus resourceHints / securityHeaders / content / accessibility / resources) against a profile.
+// Within a category each check's weight is scaled so the category tops out at 100, and the
+// breakdown records the points every check earned and lost on that scale and overall.
+export const scorePage = (metrics, profile = PROFILES[DEFAULT_PROFILE]) => {
+    const categoryWeightTotal = SCORE_CATEGORIES.reduce((sum, c) => sum + (profile.categoryWeights[c] || 0), 0) || 1;
+    const categoryShare = (category) => (profile.categoryWeights[category] || 0) / categoryWeightTotal;
+
+    const weightTotals = {};
+    for (const [id, check] of Object.entries(SCORE_CHECKS)) {
+        const weight = (profile.checks[id] && profile.checks[id].weight) || 0;
+        weightTotals[check.category] = (weightTotals[check.category] || 0) + weight;
+    }
+
+    const round = (n) => Math.round(n * 10) / 10;
+    const breakdown = Object.entries(SCORE_CHECKS).map(([id, check]) => {
+        const settings = profile.checks[id] || { weight: 0, thresholds: {} };
+        const { value, fraction } = check.evaluate(metrics, settings.thresholds || {});
+        const points = weightTotals[check.category] ? (settings.weight / weightTotals[check.category]) * 100 : 0;
+        const earned = points * fraction;
+        return {
+            check: id,
+            label: check.label,
+            category: check.category,
+            value,
+            score: Math.round(fraction * 100),
+            maxPoints: round(points),
+            earned: round(earned),
+            lost: round(points - earned),
+            overallEarned: round(earned * categoryShare(check.category)),
+            overallLost: round((points - earned) * categoryShare(check.category))
+        };
+    });
+
+    const categories = {};
+    for (const category of SCORE_CATEGORIES) {
+        const score = Math.min(Math.round(breakdown
+            .filter(item => item.category === category)
+            .reduce((sum, item) => sum + item.earned, 0)), 100);
+        categories[category] = { score, grade: getLetterGrade(score), weight: round(categoryShare(category)) };
+    }
+    const overall = Math.round(SCORE_CATEGORIES.reduce((sum, c) => sum + categories[c].score * categoryShare(c), 0));
+
+    return {
+        profile: profile.name,
+        categories,
+        overall: { score: overall, grade: getLetterGrade(overall) },
+        breakdown
+    };
+};
+
+// Points a finding costs, read off the score breakdown. `scoreCheck` is a SCORE_CHECKS id;
+// findings that don't feed a score get an impact of zero so clients can still sort on it.
+export const estimateScoreImpact = (scoreCheck, breakdown) => {
+    const item = scoreCheck && breakdown.find(entry => entry.check === scoreCheck);
+    if (!item) return { category: null, categoryPoints: 0, overallPoints: 0 };
+    return { category: item.category, categoryPoints: item.lost, overallPoints: item.overallLost };
+};
@@ -0,0 +1,218 @@
+import axios from 'axios';
+import zlib from 'zlib';
+import { XMLParser, XMLValidator } from 'fast-xml-parser';
+import { checkLink } from './links.js';
+import { mapWithConcurrency } from './utils.js';
+import { safeRequest } from './safe-fetch.js';
+
+// Limits from the sitemaps.org protocol, per file
+export const SITEMAP_LIMITS = { maxUrls: 50000, maxBytes: 50 * 1024 * 1024 };
+// How much of a site's sitemap tree is read, so a huge or looping index can't run away
+export const SITEMAP_DEFAULTS = { maxFiles: 50, maxDepth: 3, sampleSize: 20, sampleConcurrency: 5 };
+
+// Robots.txt may declare any number of sitemaps; only the first few are fetched
+const MAX_DECLARED_SITEMAPS = 10;
+// Issue lists keep at most this many URLs; `count` holds the full number
+const MAX_ISSUE_URLS = 50;
+// lastmod values this far ahead are treated as clock skew rather than future dates
+const LASTMOD_TOLERANCE_MS = 24 * 60 * 60 * 1000;
+// W3C Datetime as the protocol requires: YYYY, YYYY-MM, YYYY-MM-DD or a full timestamp with zone
+const W3C_DATETIME = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+
+const parser = new XMLParser({
+    ignoreAttributes: true,
+    parseTagValue: false,
+    trimValues: true,
+    isArray: (name) => ['url', 'sitemap', 'image:image', 'video:video'].includes(name)
+});
+
+const isGzip = (buffer) => buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+
+const text = (value) => (value === undefined || value === null ? '' : String(typeof value === 'object' ? value['#text'] || '' : value).trim());
+
+// Download one sitemap file, gunzipping `.xml.gz` bodies, and parse it
+const fetchSitemapFile = async (sitemapUrl, { signal }) => {
+    const file = { url: sitemapUrl, type: null, status: null, gzipped: false, bytes: 0, urlCount: 0, errors: [] };
+    const res = await safeRequest(sitemapUrl, {
+        timeout: 15000,
+        validateStatus: () => true,
+        responseType: 'arraybuffer',
+        maxBytes: SITEMAP_LIMITS.maxBytes + 1,
+        maxDecompressedBytes: SITEMAP_LIMITS.maxBytes + 1,
+        signal
+    });
+    file.status = res.status;
+    if (res.status >= 400) return { file, parsed: null };
+
+    let body = Buffer.from(res.data);
+    if (isGzip(body)) {
+        file.gzipped = true;
+        try {
+            body = zlib.gunzipSync(body, { maxOutputLength: SITEMAP_LIMITS.maxBytes + 1 });
+        } catch (err) {
+            file.errors.push(err.code === 'ERR_BUFFER_TOO_LARGE'
+                ? 'Uncompressed size exceeds the 50MB limit'
+                : `Could not decompress: ${err.message}`);
+            return { file, parsed: null };
+        }
+    }
+    file.bytes = body.length;
+    if (file.bytes > SITEMAP_LIMITS.maxBytes) file.errors.push('File exceeds the 50MB (uncompressed) limit');
+
+    const xml = body.toString('utf8');
+    const valid = XMLValidator.validate(xml);
+    if (valid !== true) {
+        file.errors.push(`Invalid XML: ${valid.err.msg} (line ${valid.err.line})`);
+        return { file, parsed: null };
+    }
+    const parsed = parser.parse(xml);
+    if (parsed.urlset) file.type = 'urlset';
+    else if (parsed.sitemapindex) file.type = 'sitemapindex';
+    else file.errors.push('Root element must be <urlset> or <sitemapindex>');
+    return { file, parsed };
+};
+
+const issueList = () => ({ count: 0, urls: [] });
+const addIssue = (list, item) => {
+    list.count++;
+    if (list.urls.length < MAX_ISSUE_URLS) list.urls.push(item);
+};
+
+const checkLastmod = (issues, loc, lastmod) => {
+    if (!lastmod) return;
+    if (!W3C_DATETIME.test(lastmod) || Number.isNaN(Date.parse(lastmod))) {
+        addIssue(issues.invalidLastmod, { url: loc, lastmod });
+    } else if (Date.parse(lastmod) > Date.now() + LASTMOD_TOLERANCE_MS) {
+        addIssue(issues.futureLastmod, { url: loc, lastmod });
+    }
+};
+
+// Pick `size` URLs spread evenly across the list so the sample isn't just the homepage's siblings
+const spreadSample = (urls, size) => {
+    if (urls.length <= size) return urls;
+    const step = urls.length / size;
+    return Array.from({ length: size }, (_, i) => urls[Math.floor(i * step)]);
+};
+
+// Fetch a sample of the listed on-host URLs and report the ones that shouldn't be in a sitemap:
+// anything not answering 200 directly, noindexed pages and pages canonicalised elsewhere
+const sampleListedUrls = async (urls, hostname, { sampleSize, sampleConcurrency, signal }) => {
+    const onHost = urls.filter(url => new URL(url).hostname === hostname);
+    const sample = spreadSample(onHost, sampleSize);
+    const results = await mapWithConcurrency(sample, sampleConcurrency, url => checkLink({ url, internal: true }, { signal }));
+    return {
+        size: sample.length,
+        non200: results
+            .filter(r => r.statusCode !== 200 || r.redirected)
+            .map(({ url, chain, status, finalUrl }) => ({ url, status: chain.length ? chain[0].status : status, finalUrl })),
+        noindex: results.filter(r => r.noindex).map(({ url }) => ({ url })),
+        nonCanonical: results.filter(r => r.canonicalised).map(({ url, canonical }) => ({ url, canonical }))
+    };
+};
+
+// Analyze a site's sitemaps. `locations` are the Sitemap: URLs declared in robots.txt;
+// /sitemap.xml is only assumed when there are none. Sitemap indexes are followed recursively
+// and gzipped files decompressed. Each file is checked against the protocol limits and each
+// entry for off-host URLs and bad lastmod dates; then `sampleSize` listed URLs are fetched.
+// Pass `includeUrls` to also get every listed URL (used by the crawler to seed its queue).
+export const fetchXmlSitemap = async (siteUrl, options = {}) => {
+    const { includeUrls = false, locations = [], signal } = options;
+    const { maxFiles, maxDepth, sampleSize, sampleConcurrency } = { ...SITEMAP_DEFAULTS, ...options };
+    try {
+        const { hostname } = new URL(siteUrl);
+        const declared = locations.length > 0;
+        const roots = declared ? locations.slice(0, MAX_DECLARED_SITEMAPS) : [new URL('/sitemap.xml', siteUrl).href];
+
+        const files = [];
+        const urls = [];
+        const extensions = { image: 0, video: 0, news: 0 };
+        const issues = { offHost: issueList(), invalidLoc: issueList(), invalidLastmod: issueList(), futureLastmod: issueList() };
+        const visited = new Set();
+        let skippedFiles = 0;
+
+        const visit = async (sitemapUrl, depth, parent) => {
+            if (visited.has(sitemapUrl)) return;
+            if (files.length >= maxFiles) {
+                skippedFiles++;
+                return;
+            }
+            visited.add(sitemapUrl);
+
+            let result;
+            try {
+                result = await fetchSitemapFile(sitemapUrl, { signal });
+            } catch (err) {
+                if (axios.isCancel(err)) throw err;
+                const tooLarge = err.code === 'RESPONSE_TOO_LARGE';
+                files.push({ url: sitemapUrl, parent, status: null, errors: [tooLarge ? 'File exceeds the 50MB limit' : err.message] });
+                return;
+            }
+            const { file, parsed } = result;
+            file.parent = parent;
+            files.push(file);
+            if (!parsed) return;
+
+            if (file.type === 'sitemapindex') {
+                if (parent) file.errors.push('Sitemap indexes must not list other sitemap indexes');
+                const children = (parsed.sitemapindex.sitemap || []).map(entry => text(entry.loc)).filter(Boolean);
+                file.urlCount = children.length;
+                if (children.length > SITEMAP_LIMITS.maxUrls) file.errors.push(`Lists ${children.length} sitemaps; the limit is ${SITEMAP_LIMITS.maxUrls}`);
+                if (depth >= maxDepth) {
+                    file.errors.push('Sitemap index nested too deeply; children were not read');
+                    return;
+                }
+                for (const child of children) {
+                    let childUrl;
+                    try { childUrl = new URL(child, sitemapUrl).href; } catch { continue; }
+                    await visit(childUrl, depth + 1, sitemapUrl);
+                }
+                return;
+            }
+
+            if (file.type === 'urlset') {
+                const entries = parsed.urlset.url || [];
+                file.urlCount = entries.length;
+                if (entries.length > SITEMAP_LIMITS.maxUrls) file.errors.push(`Lists ${entries.length} URLs; the limit is ${SITEMAP_LIMITS.maxUrls}`);
+                for (const entry of entries) {
+                    const loc = text(typeof entry === 'object' ? entry.loc : entry);
+                    let parsedLoc;
+                    try { parsedLoc = new URL(loc); } catch { }
+                    if (!parsedLoc || !['http:', 'https:'].includes(parsedLoc.protocol)) {
+                        addIssue(issues.invalidLoc, { url: loc, sitemap: sitemapUrl });
+                        continue;
+                    }
+                    if (parsedLoc.hostname !== hostname) addIssue(issues.offHost, { url: loc, sitemap: sitemapUrl });
+                    if (typeof entry === 'object') {
+                        checkLastmod(issues, loc, text(entry.lastmod));
+                        if (entry['image:image']) extensions.image += entry['image:image'].length;
+                        if (entry['video:video']) extensions.video += entry['video:video'].length;
+                        if (entry['news:news']) extensions.news++;
+                    }
+                    urls.push(loc);
+                }
+            }
+        };
+
+        for (const root of roots) await visit(root, 0, null);
+
+        const summary = {
+            exists: files.some(f => f.status && f.status < 400),
+            source: declared ? 'robots.txt' : 'default',
+            urlCount: urls.length,
+            sitemaps: files,
+            indexCount: files.filter(f => f.type === 'sitemapindex').length,
+            skippedFiles,
+            errorCount: files.reduce((sum, f) => sum + f.errors.length, 0),
+            extensions,
+            issues,
+            sample: urls.length && sampleSize > 0
+                ? await sampleListedUrls(urls, hostname, { sampleSize, sampleConcurrency, signal })
+                : null
+        };
+        if (!summary.exists && files.length) summary.status = files[0].status;
+        return includeUrls ? { ...summary, urls } : summary;
+    } catch (err) {
+        if (axios.isCancel(err)) throw err;
+        return { exists: false, error: err.message };
+    }
+};
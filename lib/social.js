@@ -0,0 +1,371 @@
+import { safeRequest } from './safe-fetch.js';
+import { readImageSize } from './resources.js';
+
+// Open Graph properties every shared page needs (https://ogp.me/#metadata)
+export const REQUIRED_OG = ['title', 'type', 'image', 'url'];
+export const TWITTER_CARD_TYPES = ['summary', 'summary_large_image', 'app', 'player'];
+
+// Share images: Facebook wants at least 200x200 and 1200x630 for the large layout, and
+// rejects files over 8MB; X wants 2:1 for summary_large_image, 1:1 for summary, under 5MB
+export const SHARE_IMAGE = {
+    minWidth: 200,
+    minHeight: 200,
+    recommendedWidth: 1200,
+    recommendedHeight: 630,
+    maxBytes: 8 * 1024 * 1024,
+    // Width / height, and how far off still renders without visible cropping
+    aspectRatio: { og: 1.91, summary_large_image: 2, summary: 1 },
+    aspectTolerance: 0.1
+};
+
+const FETCH_TIMEOUT = 10000;
+const MAX_ICON_BYTES = 1024 * 1024;
+// Manifest icon sizes Chrome needs for the install prompt and splash screen
+const MANIFEST_ICON_SIZES = ['192x192', '512x512'];
+
+// Advance widths (1/1000 em) of printable ASCII (space to ~) in Arial / Helvetica, regular and
+// bold - the fonts the platforms' snippets are set in, or close enough to estimate line fits
+const REGULAR_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+const ELLIPSIS = '…';
+
+const charWidth = (char, widths) => {
+    const code = char.codePointAt(0);
+    if (code >= 32 && code <= 126) return widths[code - 32];
+    if (char === ELLIPSIS) return 1000;
+    // Accented Latin letters are as wide as their base letter
+    const base = char.normalize('NFD')[0];
+    if (base !== char && base.codePointAt(0) <= 126) return charWidth(base, widths);
+    // CJK, kana and Hangul are full-width
+    if (/[ᄀ-ᅟ⺀-꓏가-힣豈-﫿＀-｠]/u.test(char)) return 1000;
+    return 556;
+};
+
+// Estimated rendered width in pixels of `text` at `fontSize` px
+export const textWidth = (text, { fontSize, bold = false }) => {
+    const widths = bold ? BOLD_WIDTHS : REGULAR_WIDTHS;
+    const units = [...String(text)].reduce((sum, char) => sum + charWidth(char, widths), 0);
+    return Math.round((units * fontSize) / 1000);
+};
+
+// Cut `text` to fit `maxWidth` pixels the way snippets are cut: at a word boundary where one
+// is close enough, with an ellipsis
+export const truncateToWidth = (text, { fontSize, bold = false, maxWidth }) => {
+    const value = String(text || '').replace(/\s+/g, ' ').trim();
+    const width = textWidth(value, { fontSize, bold });
+    if (width <= maxWidth) return { text: value, truncated: false, width, maxWidth };
+    const budget = maxWidth - textWidth(` ${ELLIPSIS}`, { fontSize, bold });
+    const chars = [...value];
+    let cut = 0;
+    let used = 0;
+    const widths = bold ? BOLD_WIDTHS : REGULAR_WIDTHS;
+    while (cut < chars.length && used + (charWidth(chars[cut], widths) * fontSize) / 1000 <= budget) {
+        used += (charWidth(chars[cut], widths) * fontSize) / 1000;
+        cut++;
+    }
+    let kept = chars.slice(0, cut).join('');
+    const lastSpace = kept.lastIndexOf(' ');
+    if (lastSpace > kept.length * 0.7) kept = kept.slice(0, lastSpace);
+    return { text: `${kept.replace(/[\s,;:.\-–—|]+$/, '')} ${ELLIPSIS}`, truncated: true, width, maxWidth };
+};
+
+// How each platform sets its link preview. Titles and descriptions wrap over `lines` lines of
+// `lineWidth` px; truncation is estimated against their total width.
+export const PREVIEW_LAYOUTS = {
+    google: { title: { fontSize: 20, maxWidth: 600 }, description: { fontSize: 14, maxWidth: 920 } },
+    facebook: { title: { fontSize: 16, bold: true, maxWidth: 2 * 470 }, description: { fontSize: 14, maxWidth: 470 } },
+    linkedin: { title: { fontSize: 14, bold: true, maxWidth: 2 * 500 }, description: null },
+    x: { title: { fontSize: 15, maxWidth: 480 }, description: { fontSize: 15, maxWidth: 2 * 480 } }
+};
+
+const absoluteUrl = (value, base) => {
+    if (!value) return null;
+    try {
+        return new URL(value, base).href;
+    } catch {
+        return null;
+    }
+};
+
+// First value of each og:* / twitter:* tag. Both attributes are seen in the wild: Open Graph
+// is specified on `property` and Twitter Cards on `name`.
+const readTags = ($, prefix) => {
+    const tags = {};
+    $(`meta[property^="${prefix}:"], meta[name^="${prefix}:"]`).each((_, el) => {
+        const key = ($(el).attr('property') || $(el).attr('name')).slice(prefix.length + 1).trim().toLowerCase();
+        const content = ($(el).attr('content') || '').trim();
+        if (key && content && tags[key] === undefined) tags[key] = content;
+    });
+    return tags;
+};
+
+const relTokens = (el, $) => ($(el).attr('rel') || '').toLowerCase().split(/\s+/);
+
+// The Open Graph, Twitter Card, icon and manifest declarations of a page, without fetching
+export const extractSocialTags = ($, pageUrl) => {
+    const openGraph = readTags($, 'og');
+    const twitter = readTags($, 'twitter');
+    const icons = [];
+    $('link[rel][href]').each((_, el) => {
+        const rel = relTokens(el, $);
+        const kind = rel.includes('apple-touch-icon') || rel.includes('apple-touch-icon-precomposed') ? 'appleTouchIcon'
+            : rel.includes('icon') ? 'favicon' : null;
+        const url = kind && absoluteUrl($(el).attr('href'), pageUrl);
+        if (url) icons.push({ kind, url, sizes: $(el).attr('sizes') || null, type: $(el).attr('type') || null });
+    });
+    const manifestHref = $('link[rel~="manifest"]').attr('href');
+    const canonicalHref = $('link[rel="canonical"]').attr('href');
+    return {
+        title: $('title').first().text().replace(/\s+/g, ' ').trim(),
+        description: ($('meta[name="description"]').attr('content') || '').trim(),
+        canonical: canonicalHref ? absoluteUrl(canonicalHref, pageUrl) : null,
+        openGraph,
+        twitter,
+        icons,
+        manifest: manifestHref ? absoluteUrl(manifestHref, pageUrl) : null
+    };
+};
+
+// A path segment as it reads, or as sent when its percent-escapes are malformed (/caf%E9)
+const decodeSegment = (segment) => {
+    try {
+        return decodeURIComponent(segment);
+    } catch {
+        return segment;
+    }
+};
+
+// example.com › blog › post, as Google shows it above the title
+const breadcrumb = (url) => {
+    const { hostname, pathname } = new URL(url);
+    const parts = pathname.split('/').filter(Boolean).map(part => decodeSegment(part).replace(/\.[a-z0-9]+$/i, ''));
+    return [hostname.replace(/^www\./, ''), ...parts].join(' › ');
+};
+
+const fitText = (text, layout) => (layout && text ? truncateToWidth(text, layout) : null);
+
+// What Facebook, LinkedIn, X and Google would show for the page, for rendering mock snippets.
+// Each platform falls back the way it does in practice (og:title, then <title>, ...).
+export const buildPreview = (tags, pageUrl) => {
+    const { openGraph: og, twitter } = tags;
+    const url = (og.url ? absoluteUrl(og.url, pageUrl) : null) || tags.canonical || pageUrl;
+    const domain = new URL(url).hostname.replace(/^www\./, '');
+    const image = absoluteUrl(og.image || og['image:url'] || og['image:secure_url'], pageUrl);
+    const twitterImage = absoluteUrl(twitter.image || twitter['image:src'], pageUrl) || image;
+    const title = og.title || tags.title;
+    const description = og.description || tags.description;
+    const card = TWITTER_CARD_TYPES.includes(twitter.card) ? twitter.card : (twitterImage ? 'summary_large_image' : 'summary');
+
+    return {
+        title,
+        description,
+        image,
+        url,
+        siteName: og.site_name || null,
+        google: {
+            title: fitText(tags.title || title, PREVIEW_LAYOUTS.google.title),
+            description: fitText(tags.description, PREVIEW_LAYOUTS.google.description),
+            siteName: og.site_name || domain,
+            displayUrl: breadcrumb(url),
+            url
+        },
+        facebook: {
+            title: fitText(title, PREVIEW_LAYOUTS.facebook.title),
+            description: fitText(description, PREVIEW_LAYOUTS.facebook.description),
+            image,
+            domain: domain.toUpperCase()
+        },
+        linkedin: {
+            title: fitText(title, PREVIEW_LAYOUTS.linkedin.title),
+            image,
+            domain
+        },
+        x: {
+            card,
+            title: fitText(twitter.title || title, PREVIEW_LAYOUTS.x.title),
+            description: fitText(twitter.description || description, PREVIEW_LAYOUTS.x.description),
+            image: twitterImage,
+            domain,
+            site: twitter.site || null
+        }
+    };
+};
+
+// GET a URL for a check, keeping at most `maxBytes`. Never rejects: failures come back as
+// { error } so one unreachable icon doesn't stop the others being checked.
+const probe = async (url, { maxBytes, signal, responseType = 'arraybuffer' }) => {
+    try {
+        const response = await safeRequest(url, { responseType, maxBytes, timeout: FETCH_TIMEOUT, validateStatus: () => true, signal });
+        return {
+            url,
+            status: response.status,
+            reachable: response.status < 400,
+            contentType: String(response.headers['content-type'] || '').split(';')[0].trim().toLowerCase() || null,
+            data: response.data
+        };
+    } catch (error) {
+        if (signal && signal.aborted) throw error;
+        return { url, status: null, reachable: false, contentType: null, error: error.code === 'RESPONSE_TOO_LARGE' ? `Larger than ${maxBytes} bytes` : (error.code || error.message) };
+    }
+};
+
+// Size, type and aspect ratio of the share image against SHARE_IMAGE
+const checkShareImage = async (url, { card, declared, signal }) => {
+    const result = await probe(url, { maxBytes: SHARE_IMAGE.maxBytes, signal });
+    const image = { url, status: result.status, reachable: result.reachable, contentType: result.contentType, bytes: null, format: null, width: null, height: null, aspectRatio: null, dimensionsUnknown: false, declared, issues: [] };
+    if (!result.reachable) {
+        image.issues.push(result.error ? `unreachable (${result.error})` : `returns HTTP ${result.status}`);
+        return image;
+    }
+    image.bytes = result.data.length;
+    const size = readImageSize(result.data);
+    if (!size || (result.contentType && !result.contentType.startsWith('image/'))) {
+        image.issues.push(`not an image (${result.contentType || 'unknown type'})`);
+        return image;
+    }
+    image.format = size.format;
+    // AVIF, and WebP or JPEG files with an unusual header layout, are images whose size can't be read
+    if (!size.width || !size.height) {
+        image.dimensionsUnknown = true;
+        image.issues.push(`dimensions could not be read from the ${size.format.toUpperCase()} file`);
+        return image;
+    }
+    Object.assign(image, { width: size.width, height: size.height, aspectRatio: Math.round((size.width / size.height) * 100) / 100 });
+    if (size.width < SHARE_IMAGE.minWidth || size.height < SHARE_IMAGE.minHeight) {
+        image.issues.push(`${size.width}x${size.height} is below the ${SHARE_IMAGE.minWidth}x${SHARE_IMAGE.minHeight} minimum`);
+    } else if (size.width < SHARE_IMAGE.recommendedWidth || size.height < SHARE_IMAGE.recommendedHeight) {
+        image.issues.push(`${size.width}x${size.height} is smaller than the recommended ${SHARE_IMAGE.recommendedWidth}x${SHARE_IMAGE.recommendedHeight}`);
+    }
+    const target = card === 'summary' ? SHARE_IMAGE.aspectRatio.summary : SHARE_IMAGE.aspectRatio.og;
+    image.targetAspectRatio = target;
+    if (Math.abs(image.aspectRatio - target) / target > SHARE_IMAGE.aspectTolerance) {
+        image.issues.push(`aspect ratio ${image.aspectRatio}:1 will be cropped to ${target}:1`);
+    }
+    if (declared.width && declared.height && (declared.width !== size.width || declared.height !== size.height)) {
+        image.issues.push(`og:image:width/height say ${declared.width}x${declared.height} but the file is ${size.width}x${size.height}`);
+    }
+    return image;
+};
+
+const checkManifest = async (url, { signal }) => {
+    const result = await probe(url, { maxBytes: MAX_ICON_BYTES, signal, responseType: 'text' });
+    const manifest = { url, status: result.status, reachable: result.reachable, valid: false, name: null, shortName: null, startUrl: null, display: null, icons: [], issues: [] };
+    if (!result.reachable) {
+        manifest.issues.push(result.error ? `unreachable (${result.error})` : `returns HTTP ${result.status}`);
+        return manifest;
+    }
+    let json;
+    try {
+        json = JSON.parse(result.data);
+    } catch (error) {
+        manifest.issues.push(`is not valid JSON (${error.message})`);
+        return manifest;
+    }
+    manifest.valid = Boolean(json) && typeof json === 'object' && !Array.isArray(json);
+    if (!manifest.valid) {
+        manifest.issues.push('is not a JSON object');
+        return manifest;
+    }
+    Object.assign(manifest, {
+        name: json.name || null,
+        shortName: json.short_name || null,
+        startUrl: json.start_url || null,
+        display: json.display || null,
+        icons: (Array.isArray(json.icons) ? json.icons : []).map(icon => ({ src: icon.src, sizes: icon.sizes || null, type: icon.type || null }))
+    });
+    if (!manifest.name && !manifest.shortName) manifest.issues.push('has no name or short_name');
+    if (!manifest.startUrl) manifest.issues.push('has no start_url');
+    if (!manifest.display) manifest.issues.push('has no display mode');
+    const sizes = new Set(manifest.icons.flatMap(icon => String(icon.sizes || '').toLowerCase().split(/\s+/)));
+    const missingSizes = MANIFEST_ICON_SIZES.filter(size => !sizes.has(size) && !sizes.has('any'));
+    if (missingSizes.length) manifest.issues.push(`has no ${missingSizes.join(' or ')} icon`);
+    return manifest;
+};
+
+// Browsers fall back to /favicon.ico and iOS to /apple-touch-icon.png when none is declared
+const checkIcon = async (declared, fallbackPath, pageUrl, { signal }) => {
+    const url = declared ? declared.url : new URL(fallbackPath, pageUrl).href;
+    const result = await probe(url, { maxBytes: MAX_ICON_BYTES, signal });
+    const size = result.reachable ? readImageSize(result.data) : null;
+    const isImage = result.reachable && (Boolean(size) || /^image\//.test(result.contentType || ''));
+    return {
+        url,
+        declared: Boolean(declared),
+        sizes: declared ? declared.sizes : null,
+        status: result.status,
+        reachable: result.reachable,
+        contentType: result.contentType,
+        width: size ? size.width : null,
+        height: size ? size.height : null,
+        ok: isImage,
+        error: result.error || (!result.reachable && result.status ? `HTTP ${result.status}` : (result.reachable && !isImage ? `not an image (${result.contentType || 'unknown type'})` : null))
+    };
+};
+
+const normalizeForCompare = (url) => {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href;
+};
+
+// Validate the page's Open Graph and Twitter Card tags, fetch its share image, icons and
+// manifest, and build the preview. `pageUrl` is the audited URL.
+export const analyzeSocial = async ($, pageUrl, { signal } = {}) => {
+    const tags = extractSocialTags($, pageUrl);
+    const { openGraph: og, twitter } = tags;
+
+    const missingOpenGraph = REQUIRED_OG.filter(property => !og[property] && !(property === 'image' && (og['image:url'] || og['image:secure_url'])));
+    // OG URLs must be absolute; relative ones are resolved here but ignored by some scrapers
+    const relativeUrls = ['url', 'image'].filter(property => og[property] && !/^https?:\/\//i.test(og[property])).map(property => `og:${property}`);
+
+    const cardType = twitter.card || null;
+    const twitterCard = {
+        card: cardType,
+        valid: TWITTER_CARD_TYPES.includes(cardType),
+        // X falls back to the Open Graph tags for anything not given as twitter:*
+        usesOpenGraphFallback: !twitter.title || !twitter.description || !twitter.image
+    };
+
+    const canonical = tags.canonical;
+    const ogUrl = og.url ? absoluteUrl(og.url, pageUrl) : null;
+    const urlConsistency = {
+        ogUrl,
+        canonical,
+        // Without a canonical, og:url should point at the page itself
+        comparedWith: canonical ? 'canonical' : 'page',
+        matches: ogUrl ? normalizeForCompare(ogUrl) === normalizeForCompare(canonical || pageUrl) : null
+    };
+
+    const imageUrl = absoluteUrl(og.image || og['image:url'] || og['image:secure_url'] || twitter.image || twitter['image:src'], pageUrl);
+    const declaredSize = { width: parseInt(og['image:width'], 10) || null, height: parseInt(og['image:height'], 10) || null };
+    const [image, favicon, appleTouchIcon, manifest] = await Promise.all([
+        imageUrl ? checkShareImage(imageUrl, { card: twitterCard.valid ? cardType : null, declared: declaredSize, signal }) : null,
+        checkIcon(tags.icons.find(icon => icon.kind === 'favicon'), '/favicon.ico', pageUrl, { signal }),
+        checkIcon(tags.icons.find(icon => icon.kind === 'appleTouchIcon'), '/apple-touch-icon.png', pageUrl, { signal }),
+        tags.manifest ? checkManifest(tags.manifest, { signal }) : null
+    ]);
+
+    return {
+        openGraph: { tags: og, missing: missingOpenGraph, relativeUrls },
+        twitter: { tags: twitter, ...twitterCard },
+        image: image ? { source: og.image || og['image:url'] || og['image:secure_url'] ? 'og:image' : 'twitter:image', ...image } : null,
+        urlConsistency,
+        icons: { declared: tags.icons, favicon, appleTouchIcon },
+        manifest,
+        preview: buildPreview(tags, pageUrl)
+    };
+};
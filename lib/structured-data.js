@@ -0,0 +1,289 @@
+import { selectorFor } from './utils.js';
+
+// Property and type names may be written as full IRIs or with a prefix; compare on the bare name
+const shortName = (name) => String(name || '').trim().replace(/^(https?:\/\/schema\.org\/|schema:)/, '');
+
+// === Extraction ===
+// Every format is turned into the same item shape so validation doesn't care where it came from:
+//   { format, selector, types: ['Product'], properties: { name: ['Widget'], offers: [item] } }
+
+// `properties` objects have no prototype, so names like "constructor" or "__proto__" are plain keys
+const createProperties = () => Object.create(null);
+
+const addProperty = (properties, name, value) => {
+    const key = shortName(name);
+    if (!key) return;
+    (properties[key] = properties[key] || []).push(value);
+};
+
+const jsonLdValue = (value, format, selector) => {
+    if (value === null || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(v => jsonLdValue(v, format, selector));
+    if ('@value' in value) return value['@value'];
+    return jsonLdItem(value, format, selector);
+};
+
+const jsonLdItem = (node, format, selector) => {
+    const properties = createProperties();
+    for (const [key, value] of Object.entries(node)) {
+        if (key.startsWith('@')) continue;
+        [].concat(jsonLdValue(value, format, selector)).forEach(v => addProperty(properties, key, v));
+    }
+    return { format, selector, id: node['@id'] || null, types: [].concat(node['@type'] || []).map(shortName), properties };
+};
+
+// Top-level nodes of a JSON-LD document: arrays and @graph are unwrapped
+const jsonLdNodes = (data) => {
+    if (Array.isArray(data)) return data.flatMap(jsonLdNodes);
+    if (!data || typeof data !== 'object') return [];
+    if (Array.isArray(data['@graph'])) {
+        const { '@graph': graph, '@context': _context, ...rest } = data;
+        return [...(rest['@type'] ? [rest] : []), ...graph.flatMap(jsonLdNodes)];
+    }
+    return [data];
+};
+
+const extractJsonLd = ($, parseErrors) => {
+    const items = [];
+    $('script[type="application/ld+json"]').each((_, el) => {
+        const selector = selectorFor($, el);
+        let data;
+        try {
+            data = JSON.parse($(el).html());
+        } catch (err) {
+            parseErrors.push({ selector, error: err.message });
+            return;
+        }
+        try {
+            jsonLdNodes(data).forEach(node => items.push(jsonLdItem(node, 'json-ld', selector)));
+        } catch (err) {
+            parseErrors.push({ selector, error: err.message });
+        }
+    });
+    return items;
+};
+
+// The value of a Microdata itemprop element, per the HTML spec
+const microdataValue = ($, el) => {
+    const $el = $(el);
+    if ($el.is('meta')) return $el.attr('content') || '';
+    if ($el.is('a, area, link')) return $el.attr('href') || '';
+    if ($el.is('img, audio, video, source, track, iframe, embed')) return $el.attr('src') || '';
+    if ($el.is('object')) return $el.attr('data') || '';
+    if ($el.is('time')) return $el.attr('datetime') || $el.text().trim();
+    if ($el.is('data, meter')) return $el.attr('value') || '';
+    return $el.text().trim().replace(/\s+/g, ' ');
+};
+
+const microdataItem = ($, el) => {
+    const properties = createProperties();
+    $(el).find('[itemprop]').each((_, prop) => {
+        // Only properties whose nearest item is this one; deeper ones belong to nested items
+        if ($(prop).parent().closest('[itemscope]')[0] !== el) return;
+        const value = $(prop).is('[itemscope]') ? microdataItem($, prop) : microdataValue($, prop);
+        ($(prop).attr('itemprop') || '').split(/\s+/).forEach(name => addProperty(properties, name, value));
+    });
+    const types = ($(el).attr('itemtype') || '').split(/\s+/).filter(Boolean).map(shortName);
+    return { format: 'microdata', selector: selectorFor($, el), id: $(el).attr('itemid') || null, types, properties };
+};
+
+const rdfaValue = ($, el) => {
+    const $el = $(el);
+    return $el.attr('content') || $el.attr('href') || $el.attr('src') || $el.attr('resource') || $el.text().trim().replace(/\s+/g, ' ');
+};
+
+const rdfaItem = ($, el) => {
+    const properties = createProperties();
+    $(el).find('[property]').each((_, prop) => {
+        if ($(prop).parent().closest('[typeof]')[0] !== el) return;
+        const value = $(prop).is('[typeof]') ? rdfaItem($, prop) : rdfaValue($, prop);
+        ($(prop).attr('property') || '').split(/\s+/).forEach(name => addProperty(properties, name, value));
+    });
+    const types = ($(el).attr('typeof') || '').split(/\s+/).filter(Boolean).map(shortName);
+    return { format: 'rdfa', selector: selectorFor($, el), id: $(el).attr('resource') || null, types, properties };
+};
+
+// All top-level structured data items on the page, from JSON-LD, Microdata and RDFa. A block
+// that can't be read is reported in `parseErrors` rather than failing the page.
+export const extractStructuredData = ($) => {
+    const parseErrors = [];
+    const readItems = (selector, read) => $(selector).toArray().flatMap(el => {
+        try {
+            return [read($, el)];
+        } catch (err) {
+            parseErrors.push({ selector: selectorFor($, el), error: err.message });
+            return [];
+        }
+    });
+    const items = [
+        ...extractJsonLd($, parseErrors),
+        ...readItems('[itemscope]:not([itemprop])', microdataItem),
+        ...readItems('[typeof]:not([property])', rdfaItem)
+    ];
+    return { items, parseErrors };
+};
+
+// === Validation ===
+
+// Enough of the schema.org hierarchy to resolve common subtypes to the types validated below
+const SUPERTYPES = {
+    NewsArticle: ['Article'], BlogPosting: ['Article'], TechArticle: ['Article'], ScholarlyArticle: ['Article'], Report: ['Article'],
+    LocalBusiness: ['Organization', 'Place'], Corporation: ['Organization'], NGO: ['Organization'],
+    EducationalOrganization: ['Organization'], OnlineStore: ['Organization'], NewsMediaOrganization: ['Organization'],
+    FoodEstablishment: ['LocalBusiness'], Restaurant: ['FoodEstablishment'], CafeOrCoffeeShop: ['FoodEstablishment'], Bakery: ['FoodEstablishment'],
+    Store: ['LocalBusiness'], ProfessionalService: ['LocalBusiness'], LodgingBusiness: ['LocalBusiness'], Hotel: ['LodgingBusiness'],
+    AutomotiveBusiness: ['LocalBusiness'], AutoRepair: ['AutomotiveBusiness'], HealthAndBeautyBusiness: ['LocalBusiness'],
+    HomeAndConstructionBusiness: ['LocalBusiness'], Plumber: ['HomeAndConstructionBusiness'], Electrician: ['HomeAndConstructionBusiness'],
+    MedicalBusiness: ['LocalBusiness'], Dentist: ['MedicalBusiness'], LegalService: ['LocalBusiness'], Attorney: ['LegalService'],
+    BusinessEvent: ['Event'], MusicEvent: ['Event'], SportsEvent: ['Event'], TheaterEvent: ['Event'], EducationEvent: ['Event'],
+    ProductGroup: ['Product'], IndividualProduct: ['Product'], ProductModel: ['Product'],
+    AggregateOffer: ['Offer'], ImageObject: ['MediaObject']
+};
+
+// Table lookups by a name taken from the page, which may be "constructor" or "toString"
+const lookup = (table, name) => (Object.hasOwn(table, name) ? table[name] : undefined);
+
+const isA = (type, target) => type === target || (lookup(SUPERTYPES, type) || []).some(parent => isA(parent, target));
+
+// Required and recommended properties, following Google's rich result documentation.
+// `oneOf` lists alternatives where at least one must be present; `richResult` names the
+// search feature an item of the type can earn.
+const TYPE_SPECS = {
+    Article: { richResult: 'Article', required: ['headline'], recommended: ['image', 'author', 'datePublished', 'dateModified', 'publisher'] },
+    Product: { richResult: 'Product snippet', required: ['name'], oneOf: [['offers', 'review', 'aggregateRating']], recommended: ['image', 'description', 'brand', 'sku'] },
+    Offer: { required: ['price', 'priceCurrency'], recommended: ['availability', 'url', 'priceValidUntil'] },
+    AggregateOffer: { required: ['lowPrice', 'priceCurrency'], recommended: ['highPrice', 'offerCount'] },
+    AggregateRating: { required: ['ratingValue'], oneOf: [['ratingCount', 'reviewCount']], recommended: ['bestRating'] },
+    BreadcrumbList: { richResult: 'Breadcrumb', required: ['itemListElement'] },
+    ListItem: { required: ['position'], oneOf: [['name', 'item']], recommended: ['item'] },
+    FAQPage: { richResult: 'FAQ', required: ['mainEntity'] },
+    Question: { required: ['name', 'acceptedAnswer'] },
+    Answer: { required: ['text'] },
+    LocalBusiness: { richResult: 'Local business', required: ['name', 'address'], recommended: ['telephone', 'url', 'geo', 'openingHoursSpecification', 'priceRange', 'image'] },
+    Organization: { richResult: 'Organization', required: ['name'], recommended: ['url', 'logo', 'sameAs', 'contactPoint'] },
+    Event: { richResult: 'Event', required: ['name', 'startDate', 'location'], recommended: ['endDate', 'eventStatus', 'eventAttendanceMode', 'image', 'description', 'offers', 'organizer'] },
+    PostalAddress: { required: [], recommended: ['streetAddress', 'addressLocality', 'postalCode', 'addressCountry'] }
+};
+
+// Expected value kinds per property: a primitive kind or a schema.org type name
+const PROPERTY_KINDS = {
+    name: ['Text'], headline: ['Text'], description: ['Text'], text: ['Text'], telephone: ['Text'], sku: ['Text'],
+    url: ['URL'], sameAs: ['URL'], image: ['URL', 'ImageObject'], logo: ['URL', 'ImageObject'], item: ['URL', 'Thing'],
+    author: ['Person', 'Organization'], publisher: ['Organization', 'Person'], organizer: ['Organization', 'Person'], brand: ['Brand', 'Organization'],
+    datePublished: ['Date'], dateModified: ['Date'], startDate: ['Date'], endDate: ['Date'], priceValidUntil: ['Date'],
+    price: ['Number'], lowPrice: ['Number'], highPrice: ['Number'], offerCount: ['Number'], position: ['Number'],
+    ratingValue: ['Number'], ratingCount: ['Number'], reviewCount: ['Number'], bestRating: ['Number'],
+    priceCurrency: ['Currency'],
+    offers: ['Offer'], aggregateRating: ['AggregateRating'], review: ['Review'],
+    itemListElement: ['ListItem'], mainEntity: ['Question'], acceptedAnswer: ['Answer'],
+    address: ['PostalAddress', 'Text'], location: ['Place', 'VirtualLocation', 'PostalAddress'], geo: ['GeoCoordinates']
+};
+
+const isItem = (value) => Boolean(value) && typeof value === 'object' && Array.isArray(value.types);
+
+const PRIMITIVE_CHECKS = {
+    Text: (v) => typeof v === 'string' && v.trim() !== '',
+    URL: (v) => typeof v === 'string' && /^(https?:\/\/|\/|\.\/|\.\.\/)/.test(v.trim()),
+    Date: (v) => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}/.test(v.trim()) && !Number.isNaN(Date.parse(v.trim())),
+    Number: (v) => (typeof v === 'number' && Number.isFinite(v)) || (typeof v === 'string' && /^-?\d+(\.\d+)?$/.test(v.trim())),
+    Currency: (v) => typeof v === 'string' && /^[A-Z]{3}$/.test(v.trim())
+};
+
+const matchesKind = (value, kind) => {
+    if (PRIMITIVE_CHECKS[kind]) return !isItem(value) && PRIMITIVE_CHECKS[kind](value);
+    if (!isItem(value)) return false;
+    // An untyped object is given the benefit of the doubt
+    return kind === 'Thing' || !value.types.length || value.types.some(type => isA(type, kind));
+};
+
+// The spec for the first of an item's types (or their supertypes) that has one
+const specFor = (types) => {
+    const queue = [...types];
+    const seen = new Set();
+    while (queue.length) {
+        const type = queue.shift();
+        if (seen.has(type)) continue;
+        seen.add(type);
+        if (lookup(TYPE_SPECS, type)) return { type, spec: TYPE_SPECS[type] };
+        queue.push(...(lookup(SUPERTYPES, type) || []));
+    }
+    return null;
+};
+
+const MAX_NESTING = 6;
+
+// Check an item and, recursively, the nested items it contains. Problems are collected with
+// the property path they were found at, e.g. `offers[0].priceCurrency`.
+const validateItem = (item, path, problems, depth = 0) => {
+    const resolved = specFor(item.types);
+    const at = (property) => (path ? `${path}.${property}` : property);
+    const has = (property) => (item.properties[property] || []).some(v => v !== '' && v !== null && v !== undefined);
+
+    if (resolved) {
+        const { type, spec } = resolved;
+        spec.required.filter(p => !has(p)).forEach(p => {
+            problems.push({ level: 'error', kind: 'missing', property: at(p), message: `${type} is missing required property "${p}"` });
+        });
+        (spec.oneOf || []).filter(group => !group.some(has)).forEach(group => {
+            problems.push({ level: 'error', kind: 'missing', property: at(group.join('|')), message: `${type} needs at least one of ${group.map(p => `"${p}"`).join(', ')}` });
+        });
+        (spec.recommended || []).filter(p => !has(p)).forEach(p => {
+            problems.push({ level: 'warning', kind: 'missing', property: at(p), message: `${type} is missing recommended property "${p}"` });
+        });
+    }
+
+    for (const [property, values] of Object.entries(item.properties)) {
+        const kinds = lookup(PROPERTY_KINDS, property);
+        values.forEach((value, index) => {
+            const valuePath = at(values.length > 1 ? `${property}[${index}]` : property);
+            if (kinds && !kinds.some(kind => matchesKind(value, kind))) {
+                const required = resolved && resolved.spec.required.includes(property);
+                const found = isItem(value) ? (value.types.join(', ') || 'object') : JSON.stringify(value);
+                problems.push({
+                    level: required ? 'error' : 'warning',
+                    kind: 'type',
+                    property: valuePath,
+                    message: `"${property}" should be ${kinds.join(' or ')}, found ${found}`
+                });
+            }
+            if (isItem(value) && depth < MAX_NESTING) validateItem(value, valuePath, problems, depth + 1);
+        });
+    }
+};
+
+// Validate every extracted item. Each gets the rich result its type targets (if any) and
+// whether it is eligible: no errors anywhere in the item, nested items included.
+export const validateStructuredData = ({ items, parseErrors }) => {
+    const reports = items.map(item => {
+        const problems = [];
+        validateItem(item, '', problems);
+        const resolved = specFor(item.types);
+        const richResult = resolved ? resolved.spec.richResult || null : null;
+        const errors = problems.filter(p => p.level === 'error').map(({ level, ...p }) => p);
+        const warnings = problems.filter(p => p.level === 'warning').map(({ level, ...p }) => p);
+        return {
+            format: item.format,
+            selector: item.selector,
+            type: item.types.join(', ') || null,
+            properties: Object.keys(item.properties),
+            richResult,
+            eligible: richResult ? errors.length === 0 : null,
+            errors,
+            warnings
+        };
+    });
+
+    const richResults = [...new Set(reports.map(r => r.richResult).filter(Boolean))];
+    const eligible = richResults.filter(name => reports.some(r => r.richResult === name && r.eligible));
+    const countFormat = (format) => items.filter(item => item.format === format).length;
+    return {
+        count: items.length,
+        formats: { jsonLd: countFormat('json-ld'), microdata: countFormat('microdata'), rdfa: countFormat('rdfa') },
+        types: [...new Set(items.flatMap(item => item.types))],
+        parseErrors,
+        errorCount: reports.reduce((sum, r) => sum + r.errors.length, 0),
+        warningCount: reports.reduce((sum, r) => sum + r.warnings.length, 0),
+        richResults: { eligible, ineligible: richResults.filter(name => !eligible.includes(name)) },
+        items: reports
+    };
+};
@@ -0,0 +1,35 @@
+export const USER_AGENT = 'Mozilla/5.0 (compatible; SEOAuditTool/1.0)';
+
+// Run `fn` over `items` with at most `limit` calls in flight, keeping results in input order
+export const mapWithConcurrency = async (items, limit, fn) => {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+};
+
+// Short CSS selector for a cheerio element, used as evidence in findings. Stops at the
+// nearest ancestor with a usable id so selectors stay readable.
+export const selectorFor = ($, el) => {
+    const parts = [];
+    let node = el;
+    // domhandler gives <script> and <style> their own node types
+    while (node && ['tag', 'script', 'style'].includes(node.type)) {
+        const id = $(node).attr('id');
+        if (id && /^[A-Za-z][\w-]*$/.test(id)) {
+            parts.unshift(`#${id}`);
+            break;
+        }
+        const siblings = $(node).parent().children(node.name);
+        parts.unshift(siblings.length > 1 ? `${node.name}:nth-of-type(${siblings.index(node) + 1})` : node.name);
+        if (node.name === 'body') break;
+        node = node.parent;
+    }
+    return parts.join(' > ');
+};
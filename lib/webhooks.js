@@ -0,0 +1,64 @@
+import { createHmac, randomUUID } from 'crypto';
+import { USER_AGENT } from './utils.js';
+import { safeRequest } from './safe-fetch.js';
+
+// Deliveries are attempted this many times in total before giving up
+export const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '', 10) || 5;
+// Delay before the first retry; it doubles for every further attempt
+export const WEBHOOK_RETRY_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS || '', 10) || 30000;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Receivers verify a delivery by computing HMAC-SHA256(secret, `${timestamp}.${body}`) and
+// comparing it with the v1 value of the X-SEO-Audit-Signature header. The timestamp is signed
+// too so old deliveries can't be replayed.
+export const signPayload = (secret, timestamp, body) =>
+    createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Network errors, timeouts, 408, 429 and 5xx are worth retrying; other responses are final
+const isRetryable = (status) => !status || status === 408 || status === 429 || status >= 500;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// POST `payload` to `webhook.url`, retrying with exponential backoff. `onAttempt` is told
+// about every attempt. Resolves with the final attempt; never rejects.
+export const deliverWebhook = async (webhook, event, payload, options = {}) => {
+    const { maxAttempts = WEBHOOK_MAX_ATTEMPTS, retryDelayMs = WEBHOOK_RETRY_DELAY_MS, onAttempt = () => {} } = options;
+    const deliveryId = randomUUID();
+    const body = JSON.stringify({ event, deliveryId, sentAt: new Date().toISOString(), ...payload });
+
+    let attempt;
+    for (let number = 1; number <= maxAttempts; number++) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        attempt = { deliveryId, event, attempt: number, at: new Date().toISOString(), status: null, error: null, delivered: false };
+        try {
+            const response = await safeRequest(webhook.url, {
+                method: 'POST',
+                data: body,
+                timeout: WEBHOOK_TIMEOUT_MS,
+                maxRedirects: 0,
+                validateStatus: () => true,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': USER_AGENT,
+                    'X-SEO-Audit-Event': event,
+                    'X-SEO-Audit-Delivery': deliveryId,
+                    'X-SEO-Audit-Signature': `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, body)}`
+                }
+            });
+            attempt.status = response.status;
+            attempt.delivered = response.status >= 200 && response.status < 300;
+        } catch (error) {
+            attempt.error = error.code || error.message;
+        }
+
+        const final = attempt.delivered || !isRetryable(attempt.status) || number === maxAttempts;
+        attempt.nextRetryAt = final ? null : new Date(Date.now() + retryDelayMs * 2 ** (number - 1)).toISOString();
+        onAttempt(attempt);
+        if (final) break;
+        await sleep(retryDelayMs * 2 ** (number - 1));
+    }
+    if (!attempt.delivered) {
+        console.error(`Webhook ${deliveryId} to ${webhook.url} failed after ${attempt.attempt} attempts:`, attempt.error || attempt.status);
+    }
+    return attempt;
+};
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseUrlList, prepareBatch, BatchError } from '../lib/batch.js';
+
+test('a pasted list gets one URL per line, skipping blanks and comments', () => {
+    const { urls, invalid, duplicates } = parseUrlList('https://example.com/a\n\n# pages to check\nexample.com/b\r\nnot a url\nhttps://example.com/a#top');
+    assert.deepEqual(urls, ['https://example.com/a', 'https://example.com/b']);
+    assert.deepEqual(invalid, [{ line: 5, value: 'not a url' }]);
+    assert.equal(duplicates, 1);
+});
+
+test('a CSV uses the column with a URL header', () => {
+    const { urls, invalid } = parseUrlList('Title,Address,Status\nHome,https://example.com/,200\nAbout,https://example.com/about,200\nBroken,,404');
+    assert.deepEqual(urls, ['https://example.com/', 'https://example.com/about']);
+    assert.deepEqual(invalid, [{ line: 4, value: '' }]);
+});
+
+test('quoted cells may hold delimiters and doubled quotes', () => {
+    const { urls } = parseUrlList('"Name, full","URL"\n"Say ""hi""","https://example.com/a,b"\n  "x" ,  https://example.com/c ');
+    assert.deepEqual(urls, ['https://example.com/a,b', 'https://example.com/c']);
+});
+
+test('semicolon and tab separated files are detected from the first row', () => {
+    assert.deepEqual(parseUrlList('page;views\nhttps://example.com/a;10').urls, ['https://example.com/a']);
+    assert.deepEqual(parseUrlList('loc\tlastmod\nhttps://example.com/b\t2026-01-01').urls, ['https://example.com/b']);
+});
+
+test('without a known header the first cell that looks like a URL is used', () => {
+    const { urls } = parseUrlList('Name,Link to page\nHome,example.com/\nhttps://example.com/x,Other');
+    assert.deepEqual(urls, ['https://example.com/', 'https://example.com/x']);
+    // A first row holding a URL is data, not a header
+    assert.deepEqual(parseUrlList('10,https://example.com/a\n20,https://example.com/b').urls, ['https://example.com/a', 'https://example.com/b']);
+});
+
+test('a byte order mark and non-http schemes are handled', () => {
+    const { urls, invalid } = parseUrlList('\uFEFFurl,title\nftp://example.com/file,File\nhttps://example.com/ok,OK');
+    assert.deepEqual(urls, ['https://example.com/ok']);
+    assert.deepEqual(invalid, [{ line: 2, value: 'ftp://example.com/file' }]);
+});
+
+test('prepareBatch rejects empty, unusable and wrongly typed input', () => {
+    assert.throws(() => prepareBatch(''), { name: 'BatchError', message: 'No URLs provided' });
+    assert.throws(() => prepareBatch('nope\nstill nope'), { message: 'None of the submitted entries is a valid URL' });
+    assert.throws(() => prepareBatch({ urls: [] }), BatchError);
+    assert.deepEqual(prepareBatch(['example.com', 'https://example.com/']).urls, ['https://example.com/']);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextCronRun, CronError } from '../lib/cron.js';
+
+const at = (iso) => new Date(iso);
+const next = (expression, after) => nextCronRun(expression, at(after)).toISOString();
+
+test('fields accept lists, ranges and steps', () => {
+    const cron = parseCron('0,30 9-11 */10 1-12/6 *');
+    assert.deepEqual([...cron.minute], [0, 30]);
+    assert.deepEqual([...cron.hour], [9, 10, 11]);
+    assert.deepEqual([...cron.dayOfMonth], [1, 11, 21, 31]);
+    assert.deepEqual([...cron.month], [1, 7]);
+});
+
+test('presets expand to their expressions', () => {
+    assert.equal(next('@nightly', '2026-10-19T12:00:00Z'), '2026-10-20T02:00:00.000Z');
+    assert.equal(next('@weekly', '2026-10-19T12:00:00Z'), '2026-10-25T00:00:00.000Z');
+});
+
+test('invalid expressions throw a CronError', () => {
+    for (const expression of ['* * * *', '60 * * * *', '* 5-2 * * *', '*/0 * * * *', 'a b c d e']) {
+        assert.throws(() => parseCron(expression), CronError, expression);
+    }
+});
+
+test('the next run is strictly after the given time, in UTC', () => {
+    assert.equal(next('30 2 * * *', '2026-10-19T02:30:00Z'), '2026-10-20T02:30:00.000Z');
+    assert.equal(next('30 2 * * *', '2026-10-19T02:29:59Z'), '2026-10-19T02:30:00.000Z');
+    assert.equal(next('0 0 1 * *', '2026-12-15T00:00:00Z'), '2027-01-01T00:00:00.000Z');
+});
+
+test('7 is Sunday', () => {
+    assert.equal(next('0 0 * * 7', '2026-10-19T00:00:00Z'), '2026-10-25T00:00:00.000Z');
+});
+
+test('a day matching either restricted day field counts', () => {
+    // The 1st of the month or any Friday
+    assert.equal(next('0 0 1 * 5', '2026-10-19T00:00:00Z'), '2026-10-23T00:00:00.000Z');
+    assert.equal(next('0 0 1 * 5', '2026-10-30T12:00:00Z'), '2026-11-01T00:00:00.000Z');
+});
+
+test('a stepped wildcard day field still counts as unrestricted', () => {
+    // Odd days of the month that are Mondays, not odd days or Mondays
+    assert.equal(parseCron('0 0 */2 * 1').anyDay, false);
+    assert.equal(next('0 0 */2 * 1', '2026-10-19T00:00:00Z'), '2026-11-09T00:00:00.000Z');
+    assert.equal(parseCron('0 0 1 * */2').anyDay, false);
+});
+
+test('expressions that never match return null', () => {
+    assert.equal(nextCronRun('0 0 31 2 *', at('2026-10-19T00:00:00Z')), null);
+});
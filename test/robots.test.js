@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRobotsTxt, evaluateRobots } from '../lib/robots.js';
+
+const robots = (text) => ({ exists: true, ...parseRobotsTxt(text) });
+
+test('consecutive user-agent lines share a group and sitemap lines stay global', () => {
+    const { groups, sitemaps } = parseRobotsTxt([
+        'User-agent: Googlebot',
+        'User-agent: Bingbot',
+        'Sitemap: https://example.com/sitemap.xml',
+        'Disallow: /private',
+        'Crawl-delay: 5'
+    ].join('\n'));
+    assert.equal(groups.length, 1);
+    assert.deepEqual(groups[0].userAgents, ['Googlebot', 'Bingbot']);
+    assert.equal(groups[0].rules.length, 1);
+    assert.equal(groups[0].crawlDelay, 5);
+    assert.deepEqual(sitemaps, ['https://example.com/sitemap.xml']);
+});
+
+test('syntax errors and unknown directives are reported with their line numbers', () => {
+    const { errors, unknownDirectives } = parseRobotsTxt([
+        'Disallow: /early',
+        'User-agent: *',
+        'Disallow private',
+        'Crawl-delay: soon',
+        'Sitemap: /relative.xml',
+        'Noindex: /x',
+        'Host: example.com'
+    ].join('\r\n'));
+    assert.deepEqual(errors.map(e => e.line), [1, 3, 4, 5]);
+    assert.deepEqual(unknownDirectives.map(d => [d.line, d.directive]), [[6, 'noindex']]);
+});
+
+test('the longest matching rule wins, and allow wins a tie', () => {
+    const info = robots('User-agent: *\nDisallow: /shop\nAllow: /shop/public\nDisallow: /tie\nAllow: /tie');
+    assert.equal(evaluateRobots(info, 'https://example.com/shop/cart').allowed, false);
+    assert.equal(evaluateRobots(info, 'https://example.com/shop/public/item').allowed, true);
+    assert.equal(evaluateRobots(info, 'https://example.com/tie').allowed, true);
+    assert.equal(evaluateRobots(info, 'https://example.com/other').reason, 'no matching rule');
+});
+
+test('wildcards match any run of characters and $ anchors the end', () => {
+    const info = robots('User-agent: *\nDisallow: /*.pdf$\nDisallow: /search*q=');
+    assert.equal(evaluateRobots(info, 'https://example.com/files/report.pdf').allowed, false);
+    assert.equal(evaluateRobots(info, 'https://example.com/files/report.pdf?download=1').allowed, true);
+    assert.equal(evaluateRobots(info, 'https://example.com/search/results?q=shoes').allowed, false);
+});
+
+test('agents use their named groups, falling back to *', () => {
+    const info = robots('User-agent: *\nDisallow: /\n\nUser-agent: googlebot\nAllow: /');
+    assert.equal(evaluateRobots(info, 'https://example.com/page', 'Googlebot').allowed, true);
+    assert.equal(evaluateRobots(info, 'https://example.com/page', 'Bingbot').allowed, false);
+});
+
+test('percent-encoded and raw paths compare equal', () => {
+    const info = robots('User-agent: *\nDisallow: /café');
+    assert.equal(evaluateRobots(info, 'https://example.com/caf%c3%a9/menu').allowed, false);
+});
+
+test('an empty Disallow blocks nothing and robots.txt itself is always allowed', () => {
+    assert.equal(evaluateRobots(robots('User-agent: *\nDisallow:'), 'https://example.com/a').allowed, true);
+    assert.equal(evaluateRobots(robots('User-agent: *\nDisallow: /'), 'https://example.com/robots.txt').allowed, true);
+});
+
+test('a missing robots.txt allows everything and an unreachable one blocks everything', () => {
+    assert.equal(evaluateRobots({ exists: false, status: 404 }, 'https://example.com/a').allowed, true);
+    assert.equal(evaluateRobots({ exists: false, unreachable: true }, 'https://example.com/a').allowed, false);
+});